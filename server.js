@@ -1,12 +1,47 @@
 import http from 'node:http';
+import https from 'node:https';
 import { spawn } from 'node:child_process';
+import dns from 'node:dns/promises';
+import net from 'node:net';
 import { DatabaseSync } from 'node:sqlite';
+import { createHash, createHmac, randomBytes, randomUUID, scrypt, timingSafeEqual } from 'node:crypto';
 import fs from 'node:fs';
+import os from 'node:os';
 import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
 import { pipeline } from 'node:stream/promises';
+import zlib from 'node:zlib';
+
+const scryptAsync = promisify(scrypt);
 
 const PORT = process.env.PORT || 3000;
 const REPOS_DIR = process.env.REPOS_DIR || './repos';
+const GIT_HTTP_BACKEND = ['1', 'true'].includes(process.env.GUTHIB_GIT_HTTP_BACKEND);
+// How long deleted repositories can be restored before they are purged
+const TRASH_RETENTION_DAYS = parseFloat(process.env.GUTHIB_TRASH_RETENTION_DAYS || '30');
+// Keep a full-text index of every repository's default branch for searching code across repositories
+const SEARCH_INDEX = ['1', 'true'].includes(process.env.GUTHIB_SEARCH_INDEX);
+// Largest file that can be uploaded as a release asset
+const MAX_ASSET_SIZE = parseFloat(process.env.GUTHIB_MAX_ASSET_SIZE_MB || '1024') * 1024 * 1024;
+
+// Git hooks shipped with GutHib
+const HOOKS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'hooks');
+// .gitignore and license templates for new repositories
+const TEMPLATES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'templates');
+
+// Shared secret for the helpers in ssh/, which call back into the server. Created on first start
+const INTERNAL_SECRET_FILE = process.env.GUTHIB_INTERNAL_SECRET_FILE || './guthib.secret';
+if (!fs.existsSync(INTERNAL_SECRET_FILE)) {
+  fs.writeFileSync(INTERNAL_SECRET_FILE, randomBytes(32).toString('hex') + '\n', { mode: 0o600 });
+}
+const INTERNAL_SECRET = fs.readFileSync(INTERNAL_SECRET_FILE, 'utf8').trim();
+// Registered SSH keys, written out for git to check commit signatures with
+const ALLOWED_SIGNERS_FILE = process.env.GUTHIB_ALLOWED_SIGNERS_FILE || './guthib.allowed_signers';
+
+// Repository roles, from least to most privileged
+const ROLES = ['read', 'write', 'admin'];
+const VISIBILITIES = ['public', 'private'];
 
 // Initialize SQLite database
 const db = new DatabaseSync('./guthib.db');
@@ -15,6 +50,8 @@ db.exec(`
     id INTEGER PRIMARY KEY AUTOINCREMENT,
     name TEXT UNIQUE NOT NULL,
     description TEXT DEFAULT '',
+    visibility TEXT DEFAULT 'private',
+    owner_id INTEGER,
     created_at TEXT DEFAULT CURRENT_TIMESTAMP
   )
 `);
@@ -29,11 +66,282 @@ db.exec(`
     FOREIGN KEY (repo_name) REFERENCES repositories(name) ON DELETE CASCADE
   )
 `);
+db.exec(`
+  CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password_hash TEXT NOT NULL,
+    is_admin INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+db.exec(`
+  CREATE TABLE IF NOT EXISTS access_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    last_used_at TEXT,
+    revoked_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )
+`);
+db.exec(`
+  CREATE TABLE IF NOT EXISTS ssh_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    key_type TEXT NOT NULL,
+    public_key TEXT NOT NULL,
+    fingerprint TEXT UNIQUE NOT NULL,
+    last_used_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )
+`);
+db.exec(`
+  CREATE TABLE IF NOT EXISTS collaborators (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    repo_name TEXT NOT NULL,
+    user_id INTEGER NOT NULL,
+    role TEXT NOT NULL DEFAULT 'read',
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (repo_name, user_id),
+    FOREIGN KEY (repo_name) REFERENCES repositories(name) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )
+`);
+db.exec(`
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL,
+    repo_name TEXT NOT NULL,
+    event TEXT NOT NULL,
+    guid TEXT NOT NULL,
+    request_headers TEXT NOT NULL,
+    request_body TEXT NOT NULL,
+    status TEXT DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TEXT,
+    response_status INTEGER,
+    response_body TEXT,
+    error TEXT,
+    duration_ms INTEGER,
+    delivered_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+  )
+`);
+db.exec(`
+  CREATE TABLE IF NOT EXISTS branch_protections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    repo_name TEXT NOT NULL,
+    pattern TEXT NOT NULL,
+    push_role TEXT DEFAULT 'write',
+    allow_force_push INTEGER DEFAULT 0,
+    allow_deletion INTEGER DEFAULT 0,
+    require_linear_history INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (repo_name, pattern),
+    FOREIGN KEY (repo_name) REFERENCES repositories(name) ON DELETE CASCADE
+  )
+`);
+db.exec(`
+  CREATE TABLE IF NOT EXISTS pull_requests (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    repo_name TEXT NOT NULL,
+    number INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    body TEXT DEFAULT '',
+    base TEXT NOT NULL,
+    head TEXT NOT NULL,
+    state TEXT DEFAULT 'open',
+    author_id INTEGER NOT NULL,
+    base_sha TEXT,
+    head_sha TEXT,
+    merge_strategy TEXT,
+    merge_commit_sha TEXT,
+    merged_by INTEGER,
+    merged_at TEXT,
+    closed_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (repo_name, number),
+    FOREIGN KEY (repo_name) REFERENCES repositories(name) ON DELETE CASCADE
+  )
+`);
+db.exec(`
+  CREATE TABLE IF NOT EXISTS pull_request_comments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pull_request_id INTEGER NOT NULL,
+    author_id INTEGER NOT NULL,
+    body TEXT NOT NULL,
+    path TEXT,
+    line INTEGER,
+    side TEXT,
+    commit_sha TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (pull_request_id) REFERENCES pull_requests(id) ON DELETE CASCADE
+  )
+`);
+db.exec(`
+  CREATE TABLE IF NOT EXISTS issues (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    repo_name TEXT NOT NULL,
+    number INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    body TEXT DEFAULT '',
+    state TEXT DEFAULT 'open',
+    author_id INTEGER NOT NULL,
+    closed_by INTEGER,
+    closing_commit_sha TEXT,
+    closed_at TEXT,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (repo_name, number),
+    FOREIGN KEY (repo_name) REFERENCES repositories(name) ON DELETE CASCADE
+  )
+`);
+db.exec(`
+  CREATE TABLE IF NOT EXISTS issue_labels (
+    issue_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    PRIMARY KEY (issue_id, name),
+    FOREIGN KEY (issue_id) REFERENCES issues(id) ON DELETE CASCADE
+  )
+`);
+db.exec(`
+  CREATE TABLE IF NOT EXISTS issue_assignees (
+    issue_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    PRIMARY KEY (issue_id, user_id),
+    FOREIGN KEY (issue_id) REFERENCES issues(id) ON DELETE CASCADE,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  )
+`);
+// Replies point at the comment that starts their thread
+db.exec(`
+  CREATE TABLE IF NOT EXISTS issue_comments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    issue_id INTEGER NOT NULL,
+    author_id INTEGER NOT NULL,
+    body TEXT NOT NULL,
+    in_reply_to INTEGER,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (issue_id) REFERENCES issues(id) ON DELETE CASCADE
+  )
+`);
+// Build results reported by CI. Every report is kept; the latest one per context counts
+db.exec(`
+  CREATE TABLE IF NOT EXISTS commit_statuses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    repo_name TEXT NOT NULL,
+    sha TEXT NOT NULL,
+    state TEXT NOT NULL,
+    context TEXT NOT NULL DEFAULT 'default',
+    description TEXT DEFAULT '',
+    target_url TEXT,
+    creator_id INTEGER NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (repo_name) REFERENCES repositories(name) ON DELETE CASCADE
+  )
+`);
+db.exec('CREATE INDEX IF NOT EXISTS commit_statuses_sha ON commit_statuses (repo_name, sha)');
+// Releases name a tag. Their asset files are kept in the repository directory (see getAssetPath)
+db.exec(`
+  CREATE TABLE IF NOT EXISTS releases (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    repo_name TEXT NOT NULL,
+    tag_name TEXT NOT NULL,
+    name TEXT DEFAULT '',
+    body TEXT DEFAULT '',
+    draft INTEGER DEFAULT 0,
+    prerelease INTEGER DEFAULT 0,
+    author_id INTEGER NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    published_at TEXT,
+    UNIQUE (repo_name, tag_name),
+    FOREIGN KEY (repo_name) REFERENCES repositories(name) ON DELETE CASCADE
+  )
+`);
+db.exec(`
+  CREATE TABLE IF NOT EXISTS release_assets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    release_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    content_type TEXT NOT NULL,
+    size INTEGER NOT NULL,
+    sha256 TEXT NOT NULL,
+    uploader_id INTEGER NOT NULL,
+    download_count INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (release_id, name),
+    FOREIGN KEY (release_id) REFERENCES releases(id) ON DELETE CASCADE
+  )
+`);
+
+// Add a column to a table created by an older version of GutHib
+// Returns true if the column had to be added
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some(c => c.name === column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
 
-// Ensure repos directory exists
-if (!fs.existsSync(REPOS_DIR)) {
-  fs.mkdirSync(REPOS_DIR, { recursive: true });
+// Repositories from before access control were readable by anyone, and stay public
+if (ensureColumn('repositories', 'visibility', "TEXT DEFAULT 'private'")) {
+  db.exec("UPDATE repositories SET visibility = 'public'");
 }
+ensureColumn('repositories', 'owner_id', 'INTEGER');
+ensureColumn('repositories', 'archived', 'INTEGER DEFAULT 0');
+ensureColumn('repositories', 'forked_from', 'TEXT');
+ensureColumn('repositories', 'import_url', 'TEXT');
+ensureColumn('repositories', 'import_status', 'TEXT');
+ensureColumn('repositories', 'import_progress', 'TEXT');
+ensureColumn('repositories', 'import_error', 'TEXT');
+ensureColumn('repositories', 'deleted_at', 'TEXT');
+ensureColumn('repositories', 'deleted_name', 'TEXT');
+ensureColumn('repositories', 'is_template', 'INTEGER DEFAULT 0');
+ensureColumn('branch_protections', 'require_status_checks', 'INTEGER DEFAULT 0');
+ensureColumn('branch_protections', 'required_contexts', "TEXT DEFAULT ''");
+ensureColumn('users', 'email', 'TEXT');
+db.exec('CREATE UNIQUE INDEX IF NOT EXISTS users_email ON users (email)');
+
+// Old names of renamed repositories, so that existing URLs and remotes keep working
+db.exec(`
+  CREATE TABLE IF NOT EXISTS repository_redirects (
+    old_name TEXT PRIMARY KEY,
+    new_name TEXT NOT NULL,
+    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+
+// Code search index of the default branches (see GUTHIB_SEARCH_INDEX). File
+// contents are in an FTS5 table whose rowids are the ids of code_search_files
+db.exec(`
+  CREATE TABLE IF NOT EXISTS code_search_files (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    repo_name TEXT NOT NULL,
+    path TEXT NOT NULL,
+    UNIQUE (repo_name, path)
+  )
+`);
+db.exec(`CREATE VIRTUAL TABLE IF NOT EXISTS code_search USING fts5(path, content, tokenize = 'trigram')`);
+db.exec(`
+  CREATE TABLE IF NOT EXISTS code_search_state (
+    repo_name TEXT PRIMARY KEY,
+    commit_sha TEXT,
+    indexed_at TEXT
+  )
+`);
+
+// Deleted repositories are kept in the trash, under a name no URL can reach: .trash/<id>
+const TRASH_NAME = '.trash';
+
+// Ensure repos and trash directories exist
+fs.mkdirSync(path.join(REPOS_DIR, TRASH_NAME), { recursive: true });
 
 // Helper to encode git packet line
 function packetLine(line) {
@@ -46,6 +354,33 @@ function flushPkt() {
   return '0000';
 }
 
+const ZERO_SHA = '0'.repeat(40);
+
+// Read the ref update commands at the start of a receive-pack request.
+// Returns null until the flush packet ending the command list has arrived,
+// and false if the request does not start with a command list.
+function readRefUpdates(buffer) {
+  const updates = [];
+  let offset = 0;
+
+  while (offset + 4 <= buffer.length) {
+    const header = buffer.toString('ascii', offset, offset + 4);
+    const length = parseInt(header, 16);
+    if (!/^[0-9a-f]{4}$/i.test(header) || (length > 0 && length < 4)) return false;
+    if (length === 0) return updates;
+    if (offset + length > buffer.length) return null;
+
+    // Capabilities follow a NUL byte on the first command
+    const line = buffer.toString('utf8', offset + 4, offset + length).split('\0')[0].trim();
+    const match = line.match(/^([a-f0-9]{40}) ([a-f0-9]{40}) (.+)$/);
+    if (match) {
+      updates.push({ before: match[1], after: match[2], ref: match[3] });
+    }
+    offset += length;
+  }
+  return null;
+}
+
 // Parse URL path
 function parsePath(url) {
   const urlObj = new URL(url, 'http://localhost');
@@ -70,6 +405,114 @@ function getRepoPath(repoName) {
   return path.join(REPOS_DIR, repoName);
 }
 
+// Let clients ask for shallow clones and partial clones (--filter), including
+// the follow-up fetches of individual missing objects that partial clones make
+const UPLOAD_PACK_CONFIG = [
+  ['uploadpack.allowFilter', 'true'],
+  ['uploadpack.allowReachableSHA1InWant', 'true']
+];
+
+// Git config [key, value] pairs as -c command line options
+function configArgs(config) {
+  return config.flatMap(([key, value]) => ['-c', `${key}=${value}`]);
+}
+
+// Git config [key, value] pairs as environment variables, for git commands we don't start ourselves
+function configEnv(config) {
+  const env = { GIT_CONFIG_COUNT: String(config.length) };
+  config.forEach(([key, value], i) => {
+    env[`GIT_CONFIG_KEY_${i}`] = key;
+    env[`GIT_CONFIG_VALUE_${i}`] = value;
+  });
+  return env;
+}
+
+// Environment for a git service process. Like git http-backend, we pass the
+// client's Git-Protocol header on as GIT_PROTOCOL, which is how protocol v2
+// is negotiated over HTTP
+function gitServiceEnv(req) {
+  const env = { ...process.env };
+  delete env.GIT_PROTOCOL;
+  const protocol = req.headers['git-protocol'];
+  if (protocol && /^[\w.=:-]+$/.test(protocol)) {
+    env.GIT_PROTOCOL = protocol;
+  }
+  return env;
+}
+
+// The request body with its Content-Encoding (gzip or deflate) removed, or
+// null if the encoding is not supported. Git compresses large upload-pack requests
+function decodeRequestBody(req) {
+  const encoding = (req.headers['content-encoding'] || 'identity').trim().toLowerCase();
+  let decoder;
+  if (encoding === 'identity') return req;
+  if (encoding === 'gzip' || encoding === 'x-gzip') decoder = zlib.createGunzip();
+  else if (encoding === 'deflate') decoder = zlib.createInflate();
+  else return null;
+
+  req.on('error', (err) => decoder.destroy(err));
+  return req.pipe(decoder);
+}
+
+function sendUnsupportedEncoding(res) {
+  res.writeHead(415, { 'Content-Type': 'text/plain' });
+  res.end('Unsupported Content-Encoding');
+}
+
+// Thrown by the body parsers, answered with a 415 by the request handler
+function unsupportedEncodingError() {
+  const err = new Error('Unsupported Content-Encoding');
+  err.unsupportedEncoding = true;
+  return err;
+}
+
+// Response types worth compressing. Packfiles (upload-pack results) are already compressed
+const COMPRESSIBLE_TYPES = /^(text\/|application\/json|application\/x-git-[a-z-]+-advertisement)/;
+
+// Compress the response if the client accepts gzip or deflate and the handler
+// writes a compressible Content-Type. Handlers keep using writeHead/write/end
+// (or pipe into res) as usual; the body goes through the compressor on its way out
+function compressResponse(req, res) {
+  const accepted = (req.headers['accept-encoding'] || '').split(',').map(e => e.split(';')[0].trim().toLowerCase());
+  const encoding = ['gzip', 'deflate'].find(e => accepted.includes(e));
+  if (!encoding || req.method === 'HEAD') return;
+
+  const writeHead = res.writeHead.bind(res);
+  res.writeHead = (status, headers = {}) => {
+    const type = headers['Content-Type'] || '';
+    if (status === 204 || status === 304 || headers['Content-Encoding'] || !COMPRESSIBLE_TYPES.test(type)) {
+      return writeHead(status, headers);
+    }
+
+    // The length of the compressed body is not known up front
+    const compressedHeaders = { ...headers, 'Content-Encoding': encoding, 'Vary': 'Accept-Encoding' };
+    delete compressedHeaders['Content-Length'];
+    writeHead(status, compressedHeaders);
+
+    const compressor = encoding === 'gzip' ? zlib.createGzip() : zlib.createDeflate();
+    const write = res.write.bind(res);
+    const end = res.end.bind(res);
+    compressor.on('data', (chunk) => {
+      if (!write(chunk)) {
+        compressor.pause();
+        res.once('drain', () => compressor.resume());
+      }
+    });
+    compressor.on('end', () => end());
+    // Streams piping into res wait for its drain event
+    compressor.on('drain', () => res.emit('drain'));
+
+    res.write = (chunk, ...args) => compressor.write(chunk, ...args);
+    res.end = (chunk, ...args) => {
+      if (typeof chunk === 'function') compressor.end(chunk);
+      else if (chunk !== undefined && chunk !== null) compressor.end(chunk, ...args);
+      else compressor.end(...args);
+      return res;
+    };
+    return res;
+  };
+}
+
 // Handle git info/refs request (discovery)
 async function handleInfoRefs(req, res, repoName, service) {
   const repoPath = getRepoPath(repoName);
@@ -86,12 +529,17 @@ async function handleInfoRefs(req, res, repoName, service) {
     'Cache-Control': 'no-cache'
   });
 
-  // Write service announcement
-  res.write(packetLine(`# service=${service}\n`));
-  res.write(flushPkt());
+  // Write service announcement; protocol v2 starts straight with the capability advertisement
+  const env = gitServiceEnv(req);
+  const isV2 = service === 'git-upload-pack' && (env.GIT_PROTOCOL || '').split(':').includes('version=2');
+  if (!isV2) {
+    res.write(packetLine(`# service=${service}\n`));
+    res.write(flushPkt());
+  }
 
   // Spawn git process
-  const git = spawn('git', [service.replace('git-', ''), '--stateless-rpc', '--advertise-refs', repoPath]);
+  const config = service === 'git-upload-pack' ? UPLOAD_PACK_CONFIG : [];
+  const git = spawn('git', [...configArgs(config), serviceName, '--stateless-rpc', '--advertise-refs', repoPath], { env });
 
   git.stdout.pipe(res);
   git.stderr.on('data', (data) => console.error(`git stderr: ${data}`));
@@ -107,20 +555,31 @@ async function handleUploadPack(req, res, repoName) {
     return;
   }
 
+  const body = decodeRequestBody(req);
+  if (!body) {
+    sendUnsupportedEncoding(res);
+    return;
+  }
+
   res.writeHead(200, {
     'Content-Type': 'application/x-git-upload-pack-result',
     'Cache-Control': 'no-cache'
   });
 
-  const git = spawn('git', ['upload-pack', '--stateless-rpc', repoPath]);
+  const git = spawn('git', [...configArgs(UPLOAD_PACK_CONFIG), 'upload-pack', '--stateless-rpc', repoPath], { env: gitServiceEnv(req) });
 
-  req.pipe(git.stdin);
+  body.on('error', (err) => {
+    console.error(`Failed to read upload-pack request: ${err.message}`);
+    git.kill();
+    res.destroy();
+  });
+  body.pipe(git.stdin);
   git.stdout.pipe(res);
   git.stderr.on('data', (data) => console.error(`git stderr: ${data}`));
 }
 
 // Handle git-receive-pack (push)
-async function handleReceivePack(req, res, repoName) {
+async function handleReceivePack(req, res, repoName, user) {
   const repoPath = getRepoPath(repoName);
 
   if (!fs.existsSync(repoPath)) {
@@ -129,1035 +588,8793 @@ async function handleReceivePack(req, res, repoName) {
     return;
   }
 
+  const body = decodeRequestBody(req);
+  if (!body) {
+    sendUnsupportedEncoding(res);
+    return;
+  }
+
+  // Read the ref update commands before git starts, so protected refs can be routed to the policy hook
+  const { updates, head, error } = await readReceivePackCommands(body);
+  if (error) {
+    rejectReceivePack(res, body, error);
+    return;
+  }
+
   res.writeHead(200, {
     'Content-Type': 'application/x-git-receive-pack-result',
     'Cache-Control': 'no-cache'
   });
 
-  const git = spawn('git', ['receive-pack', '--stateless-rpc', repoPath]);
+  const env = gitServiceEnv(req);
+  const { config, checkToken } = receivePackPolicy(repoName, user, updates, env);
 
-  req.pipe(git.stdin);
+  const git = spawn('git', [...configArgs(config), 'receive-pack', '--stateless-rpc', repoPath], { env });
+  git.on('error', (err) => console.error(`Failed to run receive-pack: ${err.message}`));
+
+  git.stdin.write(head);
+  if (body.readableEnded) {
+    git.stdin.end();
+  } else {
+    body.on('error', (err) => {
+      console.error(`Failed to read receive-pack request: ${err.message}`);
+      git.kill();
+      res.destroy();
+    });
+    body.pipe(git.stdin);
+  }
   git.stdout.pipe(res);
   git.stderr.on('data', (data) => console.error(`git stderr: ${data}`));
 
-  // Trigger webhooks after push completes
-  git.on('close', (code) => {
-    if (code === 0) {
-      triggerWebhooks(repoName, 'push', {
-        ref: 'refs/heads/main' // simplified - real impl would parse the pack
-      });
-    }
-  });
+  git.on('close', (code) => afterReceivePack(repoName, user, updates, checkToken, code));
 }
 
-// Create a new repository
-function createRepository(name, description = '') {
-  const repoName = name.endsWith('.git') ? name : `${name}.git`;
-  const repoPath = getRepoPath(repoName);
+// Pushes over SSH in progress, by session token, until git-serve reports how they went.
+// git-serve also reports when the connection drops; sessions it never reports on are
+// dropped by the sweep along with their push checks
+const pendingSshPushes = new Map();
+
+function sweepPendingSshPushes() {
+  const cutoff = Date.now() - PENDING_PUSH_TTL;
+  for (const [token, session] of pendingSshPushes) {
+    if (session.createdAt >= cutoff) continue;
+    pendingSshPushes.delete(token);
+    if (session.checkToken) pendingPushChecks.delete(session.checkToken);
+  }
+}
 
-  if (fs.existsSync(repoPath)) {
-    return { error: 'Repository already exists' };
+// Parse the command an SSH client asks to run, such as "git-upload-pack '/my-repo.git'"
+function parseSshCommand(command) {
+  const match = String(command || '').match(/^git[ -](upload-pack|receive-pack) '?\/?([^'/]+?)'?$/);
+  if (!match) return null;
+  const [, service, name] = match;
+  return { service, repoName: name.endsWith('.git') ? name : `${name}.git` };
+}
+
+// Authorize a git command run over SSH by the owner of a registered key.
+// Returns what ssh/git-serve needs to run it, or an error to show the user
+function openSshSession(keyId, command) {
+  const user = findUserBySshKey(keyId);
+  if (!user) {
+    return { status: 403, error: 'Unknown SSH key' };
   }
 
-  // Create bare repository
-  fs.mkdirSync(repoPath, { recursive: true });
-  const result = spawn('git', ['init', '--bare', repoPath], { stdio: 'inherit' });
+  if (!command) {
+    return { status: 400, error: `Hi ${user.username}! You've successfully authenticated, but GutHib does not provide shell access.` };
+  }
 
-  // Insert into database
-  const stmt = db.prepare('INSERT INTO repositories (name, description) VALUES (?, ?)');
-  stmt.run(repoName, description);
+  const parsed = parseSshCommand(command);
+  if (!parsed) {
+    return { status: 400, error: 'Only git clone, fetch and push are supported' };
+  }
+  const { service } = parsed;
+  // SSH has no redirects, so renamed repositories are served under their old name too
+  const repoName = findRenamedRepository(parsed.repoName) || parsed.repoName;
+  const repoPath = getRepoPath(repoName);
 
-  return { success: true, name: repoName };
-}
+  // Same rules as over HTTP: hide repositories the user cannot read
+  const visible = canAccess(user, repoName, 'read') && fs.existsSync(repoPath);
+  if (!visible || (service === 'receive-pack' && !canAccess(user, repoName, 'write'))) {
+    const error = !visible ? 'Repository not found' : (isArchivedFor(user, repoName) ? ARCHIVED_ERROR : 'Permission denied');
+    return { status: visible ? 403 : 404, error };
+  }
 
-// List all repositories
-function listRepositories() {
-  const stmt = db.prepare('SELECT * FROM repositories ORDER BY created_at DESC');
-  return stmt.all();
+  const session = { service, repo_path: path.resolve(repoPath), config: UPLOAD_PACK_CONFIG, env: {} };
+  if (service === 'receive-pack') {
+    const { config, checkToken } = receivePackPolicy(repoName, user, null, session.env);
+    session.config = config;
+    session.token = randomBytes(16).toString('hex');
+    pendingSshPushes.set(session.token, { repoName, user, checkToken, createdAt: Date.now() });
+  }
+  return session;
 }
 
-// Delete a repository
-function deleteRepository(name) {
-  const repoName = name.endsWith('.git') ? name : `${name}.git`;
-  const repoPath = getRepoPath(repoName);
+// Whether a request comes from one of the helpers in ssh/, which send the internal secret
+function isInternalRequest(req) {
+  const secret = Buffer.from(String(req.headers['x-guthib-secret'] || ''));
+  const expected = Buffer.from(INTERNAL_SECRET);
+  return secret.length === expected.length && timingSafeEqual(secret, expected);
+}
 
-  if (!fs.existsSync(repoPath)) {
-    return { error: 'Repository not found' };
+// Git config for a push: protected refs are routed to the proc-receive hook,
+// which asks the server (through the URL added to env) whether each update is allowed
+function receivePackPolicy(repoName, user, updates, env) {
+  // Over SSH the updates are not known before git starts, so all branches go through the hook
+  const protectedRefs = updates
+    ? updates.map(u => u.ref).filter(ref => getBranchRule(repoName, ref))
+    : (listBranchProtections(repoName).length > 0 ? ['refs/heads/'] : []);
+  const config = [];
+  let checkToken = null;
+
+  if (protectedRefs.length > 0) {
+    checkToken = randomBytes(16).toString('hex');
+    pendingPushChecks.set(checkToken, { repoName, user, createdAt: Date.now() });
+    env.GUTHIB_PUSH_CHECK_URL = `http://127.0.0.1:${PORT}/internal/push-checks/${checkToken}`;
+    config.push(['core.hooksPath', HOOKS_DIR]);
+    for (const ref of protectedRefs) {
+      config.push(['receive.procReceiveRefs', ref]);
+    }
   }
+  return { config, checkToken };
+}
 
-  fs.rmSync(repoPath, { recursive: true });
-  const stmt = db.prepare('DELETE FROM repositories WHERE name = ?');
-  stmt.run(repoName);
+// Once receive-pack exits: refresh the dumb HTTP files and trigger one webhook per updated ref
+async function afterReceivePack(repoName, user, updates, checkToken, code) {
+  if (checkToken) pendingPushChecks.delete(checkToken);
+  if (code !== 0) return;
 
-  return { success: true };
-}
+  const repoPath = getRepoPath(repoName);
+  await adoptDefaultBranch(repoPath, updates);
+  await updateServerInfo(repoPath);
+  queueSearchIndex(repoName);
 
-// Get repository info from database
-function getRepository(name) {
-  const stmt = db.prepare('SELECT * FROM repositories WHERE name = ?');
-  return stmt.get(name);
+  for (const update of updates) {
+    try {
+      const event = await buildPushEvent(repoPath, update);
+      if (!event) continue;
+      triggerWebhooks(repoName, 'push', { ...event, pusher: { name: user.username } });
+      await closeIssuesFromPush(repoName, repoPath, event, user);
+    } catch (err) {
+      console.error(`Failed to build push event for ${update.ref}:`, err.message);
+    }
+  }
 }
 
-// Webhook CRUD operations
-function createWebhook(repoName, url, secret = '') {
-  const stmt = db.prepare('INSERT INTO webhooks (repo_name, url, secret) VALUES (?, ?, ?)');
-  stmt.run(repoName, url, secret);
-  return { success: true };
+// Regenerate info/refs and objects/info/packs, which dumb HTTP clients read instead of asking git
+async function updateServerInfo(repoPath) {
+  try {
+    await runGit(repoPath, ['update-server-info']);
+  } catch (err) {
+    console.error('Failed to update server info:', err.message);
+  }
 }
 
-function listWebhooks(repoName) {
-  const stmt = db.prepare('SELECT * FROM webhooks WHERE repo_name = ? ORDER BY created_at DESC');
-  return stmt.all(repoName);
+// Files served as they are to dumb HTTP clients. Objects never change once
+// written, so they can be cached for good; the indexes of them cannot.
+// objects/info/alternates is left out as it holds paths on the server
+const DUMB_HTTP_FILES = [
+  { pattern: /^\/(info\/refs|HEAD)$/, type: 'text/plain', immutable: false },
+  { pattern: /^\/objects\/info\/(packs|http-alternates)$/, type: 'text/plain; charset=utf-8', immutable: false },
+  { pattern: /^\/objects\/[0-9a-f]{2}\/[0-9a-f]{38}$/, type: 'application/x-git-loose-object', immutable: true },
+  { pattern: /^\/objects\/pack\/pack-[0-9a-f]{40}\.pack$/, type: 'application/x-git-packed-objects', immutable: true },
+  { pattern: /^\/objects\/pack\/pack-[0-9a-f]{40}\.idx$/, type: 'application/x-git-packed-objects-toc', immutable: true }
+];
+
+function findDumbHttpFile(urlPath) {
+  return DUMB_HTTP_FILES.find(f => f.pattern.test(urlPath));
 }
 
-function deleteWebhook(id) {
-  const stmt = db.prepare('DELETE FROM webhooks WHERE id = ?');
-  stmt.run(id);
-  return { success: true };
+// Object directories a repository borrows objects from through objects/info/alternates, nearest first
+function listAlternateObjectDirs(objectsPath, depth = 0) {
+  let lines;
+  try {
+    lines = fs.readFileSync(path.join(objectsPath, 'info', 'alternates'), 'utf8').split('\n').filter(Boolean);
+  } catch {
+    return [];
+  }
+  // git itself gives up after five levels
+  return lines.flatMap((line) => {
+    const dir = path.resolve(objectsPath, line);
+    return [dir, ...(depth < 4 ? listAlternateObjectDirs(dir, depth + 1) : [])];
+  });
 }
 
-// Trigger webhooks for a repository
-async function triggerWebhooks(repoName, event, payload) {
-  const webhooks = listWebhooks(repoName);
+// Serve a file of the bare repository to a dumb HTTP client
+async function handleDumbRequest(req, res, repoName, urlPath, file) {
+  const repoPath = getRepoPath(repoName);
+  let filePath = path.join(repoPath, urlPath);
 
-  for (const webhook of webhooks) {
-    if (!webhook.events.includes(event)) continue;
+  // Repositories last pushed to before dumb HTTP support have no info/refs yet
+  if (urlPath === '/info/refs' && fs.existsSync(repoPath) && !fs.existsSync(filePath)) {
+    await updateServerInfo(repoPath);
+  }
 
-    const body = JSON.stringify({
-      event,
-      repository: repoName,
-      timestamp: new Date().toISOString(),
-      ...payload
-    });
+  // Forks borrow objects from the repository they were forked from. Dumb clients
+  // only follow http-alternates when told to, so serve those objects as the fork's own
+  const alternates = urlPath.startsWith('/objects/') ? listAlternateObjectDirs(path.join(repoPath, 'objects')) : [];
+  if (urlPath === '/objects/info/packs' && alternates.length > 0) {
+    const packs = new Set();
+    for (const dir of [path.join(repoPath, 'objects'), ...alternates]) {
+      try {
+        fs.readFileSync(path.join(dir, 'info', 'packs'), 'utf8').split('\n').filter(Boolean).forEach(line => packs.add(line));
+      } catch {
+        // No packs there, or no update-server-info run yet
+      }
+    }
+    const body = [...packs].join('\n') + '\n\n';
+    res.writeHead(200, { 'Content-Type': file.type, 'Content-Length': Buffer.byteLength(body), 'Cache-Control': 'no-cache' });
+    res.end(req.method === 'HEAD' ? undefined : body);
+    return;
+  }
+  if (!fs.existsSync(filePath)) {
+    const borrowed = alternates.map(dir => path.join(dir, urlPath.slice('/objects'.length))).find(p => fs.existsSync(p));
+    if (borrowed) filePath = borrowed;
+  }
 
-    try {
-      const url = new URL(webhook.url);
-      const options = {
-        method: 'POST',
-        hostname: url.hostname,
-        port: url.port || (url.protocol === 'https:' ? 443 : 80),
-        path: url.pathname + url.search,
-        headers: {
-          'Content-Type': 'application/json',
-          'Content-Length': Buffer.byteLength(body),
-          'X-GutHib-Event': event,
-          'X-GutHib-Delivery': Date.now().toString()
-        }
-      };
+  let stat;
+  try {
+    stat = await fs.promises.stat(filePath);
+  } catch {
+    stat = null;
+  }
+  if (!stat || !stat.isFile()) {
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not Found');
+    return;
+  }
 
-      if (webhook.secret) {
-        const { createHmac } = await import('node:crypto');
-        const signature = createHmac('sha256', webhook.secret).update(body).digest('hex');
-        options.headers['X-GutHib-Signature'] = `sha256=${signature}`;
-      }
+  res.writeHead(200, {
+    'Content-Type': file.type,
+    'Content-Length': stat.size,
+    'Last-Modified': stat.mtime.toUTCString(),
+    'Cache-Control': file.immutable ? 'public, max-age=31536000, immutable' : 'no-cache'
+  });
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  await pipeline(fs.createReadStream(filePath), res);
+}
 
-      const proto = url.protocol === 'https:' ? await import('node:https') : await import('node:http');
+// Run `git http-backend`, the CGI program that ships with git, for a git
+// request and relay its response. Resolves with its exit code
+function runHttpBackend(req, res, { repoName, urlPath, user, body = req, head = null, config = [], env = {} }) {
+  return new Promise((resolve) => {
+    const cgiEnv = {
+      ...process.env,
+      ...configEnv(config),
+      ...env,
+      GIT_PROJECT_ROOT: path.resolve(REPOS_DIR),
+      GIT_HTTP_EXPORT_ALL: '1',
+      PATH_INFO: `/${repoName}${urlPath}`,
+      REQUEST_METHOD: req.method,
+      QUERY_STRING: new URL(req.url, 'http://localhost').search.slice(1),
+      CONTENT_TYPE: req.headers['content-type'] || '',
+      REMOTE_ADDR: req.socket.remoteAddress || '',
+      // Access was checked already; a REMOTE_USER also lets http-backend accept pushes
+      REMOTE_USER: user ? user.username : ''
+    };
+    if (req.headers['git-protocol']) cgiEnv.HTTP_GIT_PROTOCOL = req.headers['git-protocol'];
+    // A body we decoded ourselves has no Content-Encoding, and its length is unknown
+    if (body === req) {
+      if (req.headers['content-encoding']) cgiEnv.HTTP_CONTENT_ENCODING = req.headers['content-encoding'];
+      if (req.headers['content-length']) cgiEnv.CONTENT_LENGTH = req.headers['content-length'];
+    }
 
-      const req = proto.request(options, (res) => {
-        console.log(`Webhook ${webhook.url} responded with ${res.statusCode}`);
-      });
+    const git = spawn('git', ['http-backend'], { env: cgiEnv });
+    git.stderr.on('data', (data) => console.error(`git stderr: ${data}`));
+
+    // The CGI response starts with headers, including a Status header, up to a blank line
+    let output = Buffer.alloc(0);
+    const onData = (chunk) => {
+      output = Buffer.concat([output, chunk]);
+      const text = output.toString('latin1');
+      const match = text.match(/\r?\n\r?\n/);
+      if (!match) return;
+
+      git.stdout.off('data', onData);
+      let status = 200;
+      const headers = {};
+      for (const line of text.slice(0, match.index).split(/\r?\n/)) {
+        const separator = line.indexOf(':');
+        const name = line.slice(0, separator).trim();
+        const value = line.slice(separator + 1).trim();
+        if (name.toLowerCase() === 'status') status = parseInt(value);
+        else headers[name] = value;
+      }
+      res.writeHead(status, headers);
+      res.write(output.subarray(match.index + match[0].length));
+      git.stdout.pipe(res);
+    };
+    git.stdout.on('data', onData);
 
-      req.on('error', (err) => {
-        console.error(`Webhook ${webhook.url} failed:`, err.message);
-      });
+    git.on('close', (code) => {
+      if (!res.headersSent) {
+        res.writeHead(502, { 'Content-Type': 'text/plain' });
+        res.end('git http-backend failed');
+      }
+      resolve(code);
+    });
 
-      req.write(body);
-      req.end();
-    } catch (err) {
-      console.error(`Webhook ${webhook.url} error:`, err.message);
+    if (req.method !== 'POST') {
+      git.stdin.end();
+      return;
     }
-  }
+    if (head) git.stdin.write(head);
+    body.on('error', (err) => {
+      console.error(`Failed to read request for git http-backend: ${err.message}`);
+      git.kill();
+      res.destroy();
+    });
+    if (body.readableEnded) git.stdin.end();
+    else body.pipe(git.stdin);
+  });
 }
 
-// Get git info (branches, tags, commits) using spawn
-function getGitInfo(repoPath) {
-  return new Promise((resolve) => {
-    const info = { branches: [], tags: [], commits: [] };
+// Handle any git route (smart or dumb) with git http-backend. Pushes still go
+// through branch protection and trigger webhooks
+async function handleHttpBackend(req, res, repoName, urlPath, user) {
+  if (req.method !== 'POST' || urlPath !== '/git-receive-pack') {
+    await runHttpBackend(req, res, { repoName, urlPath, user, config: UPLOAD_PACK_CONFIG });
+    return;
+  }
 
-    // Get branches
-    const branchProc = spawn('git', ['branch', '-a'], { cwd: repoPath });
-    let branchOutput = '';
-    branchProc.stdout.on('data', (d) => branchOutput += d);
-    branchProc.on('close', () => {
-      info.branches = branchOutput.split('\n')
-        .map(b => b.trim().replace(/^\* /, ''))
-        .filter(b => b && !b.includes('->'));
+  const body = decodeRequestBody(req);
+  if (!body) {
+    sendUnsupportedEncoding(res);
+    return;
+  }
 
-      // Get tags
-      const tagProc = spawn('git', ['tag', '-l'], { cwd: repoPath });
-      let tagOutput = '';
-      tagProc.stdout.on('data', (d) => tagOutput += d);
-      tagProc.on('close', () => {
-        info.tags = tagOutput.split('\n').filter(t => t.trim());
-
-        // Get recent commits
-        const logProc = spawn('git', ['log', '--all', '--oneline', '-20'], { cwd: repoPath });
-        let logOutput = '';
-        logProc.stdout.on('data', (d) => logOutput += d);
-        logProc.on('close', () => {
-          info.commits = logOutput.split('\n').filter(c => c.trim());
-          resolve(info);
-        });
-      });
-    });
-  });
+  const { updates, head, error } = await readReceivePackCommands(body);
+  if (error) {
+    rejectReceivePack(res, body, error);
+    return;
+  }
+  const env = {};
+  const { config, checkToken } = receivePackPolicy(repoName, user, updates, env);
+  let code = null;
+  try {
+    code = await runHttpBackend(req, res, { repoName, urlPath, user, body, head, config, env });
+  } finally {
+    await afterReceivePack(repoName, user, updates, checkToken, code);
+  }
 }
 
-// Get detailed commit information
-function getCommitDetails(repoPath, hash) {
-  return new Promise((resolve, reject) => {
-    const proc = spawn('git', ['show', '--format=%H%n%h%n%an%n%ae%n%at%n%s%n%b%n---BODY_END---', '--stat', hash], { cwd: repoPath });
-    let output = '';
-    let stderr = '';
-    proc.stdout.on('data', (d) => output += d);
-    proc.stderr.on('data', (d) => stderr += d);
-    proc.on('close', (code) => {
-      if (code !== 0) {
-        reject(new Error(stderr || 'Commit not found'));
-        return;
-      }
-      const lines = output.split('\n');
-      const bodyEndIndex = lines.findIndex(l => l === '---BODY_END---');
-      const commit = {
-        hash: lines[0],
-        shortHash: lines[1],
-        author: lines[2],
-        email: lines[3],
-        date: new Date(parseInt(lines[4]) * 1000).toISOString(),
-        subject: lines[5],
-        body: lines.slice(6, bodyEndIndex).join('\n').trim(),
-        stats: lines.slice(bodyEndIndex + 2).filter(l => l.trim()).join('\n')
-      };
-      resolve(commit);
-    });
-  });
-}
+// Buffer the start of a receive-pack request until its command list is complete.
+// Resolves with the parsed updates and the bytes read so far, leaving the request paused.
+// Without a complete command list, branch protection could not see the updates, so
+// the push is refused: it resolves with an error instead.
+const MAX_RECEIVE_PACK_COMMANDS_SIZE = 1024 * 1024;
 
-// Get commit diff (the actual file changes)
-function getCommitDiff(repoPath, hash) {
+function readReceivePackCommands(req) {
   return new Promise((resolve, reject) => {
-    const proc = spawn('git', ['show', '--format=', '-p', hash], { cwd: repoPath });
-    let output = '';
-    let stderr = '';
-    proc.stdout.on('data', (d) => output += d);
-    proc.stderr.on('data', (d) => stderr += d);
-    proc.on('close', (code) => {
-      if (code !== 0) {
-        reject(new Error(stderr || 'Commit not found'));
-        return;
+    let head = Buffer.alloc(0);
+
+    const done = (updates) => {
+      req.off('data', onData);
+      req.off('end', onEnd);
+      req.off('error', reject);
+      req.pause();
+      if (updates === false) {
+        resolve({ error: 'Malformed ref update commands' });
+      } else if (!updates) {
+        resolve({ error: head.length > MAX_RECEIVE_PACK_COMMANDS_SIZE ? 'Too many ref update commands' : 'Incomplete ref update commands' });
+      } else {
+        resolve({ updates, head });
       }
-      resolve(output);
-    });
+    };
+    const onData = (chunk) => {
+      head = Buffer.concat([head, chunk]);
+      const updates = readRefUpdates(head);
+      if (updates !== null || head.length > MAX_RECEIVE_PACK_COMMANDS_SIZE) done(updates);
+    };
+    const onEnd = () => done(readRefUpdates(head));
+
+    req.on('data', onData);
+    req.on('end', onEnd);
+    req.on('error', reject);
   });
 }
 
-// Get list of files changed in a commit
-function getCommitFiles(repoPath, hash) {
-  return new Promise((resolve, reject) => {
-    const proc = spawn('git', ['show', '--name-status', '--format=', hash], { cwd: repoPath });
-    let output = '';
-    let stderr = '';
-    proc.stdout.on('data', (d) => output += d);
-    proc.stderr.on('data', (d) => stderr += d);
-    proc.on('close', (code) => {
-      if (code !== 0) {
-        reject(new Error(stderr || 'Commit not found'));
-        return;
-      }
-      const files = output.split('\n')
-        .filter(l => l.trim())
-        .map(line => {
-          const [status, ...pathParts] = line.split('\t');
-          return { status, path: pathParts.join('\t') };
-        });
-      resolve(files);
-    });
-  });
+// Refuse a push whose commands could not be read, discarding the rest of the request
+function rejectReceivePack(res, body, error) {
+  res.writeHead(400, { 'Content-Type': 'text/plain' });
+  res.end(error);
+  body.resume();
 }
 
-// Get file tree at a specific ref
-function getFileTree(repoPath, ref) {
-  return new Promise((resolve, reject) => {
-    const proc = spawn('git', ['ls-tree', '-r', '--name-only', ref], { cwd: repoPath });
-    let output = '';
-    let stderr = '';
-    proc.stdout.on('data', (d) => output += d);
-    proc.stderr.on('data', (d) => stderr += d);
-    proc.on('close', (code) => {
-      if (code !== 0) {
-        reject(new Error(stderr || 'Ref not found'));
-        return;
-      }
-      const files = output.split('\n').filter(f => f.trim());
-      resolve(files);
-    });
-  });
+const REPO_NAME_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]*\.git$/;
+const INVALID_REPO_NAME = 'Repository names may only contain letters, digits, ".", "-" and "_"';
+
+// The name a repository is stored under, with the .git suffix, or null if the name is not valid
+function normalizeRepoName(name) {
+  if (typeof name !== 'string') return null;
+  const repoName = name.endsWith('.git') ? name : `${name}.git`;
+  return REPO_NAME_PATTERN.test(repoName) ? repoName : null;
 }
 
-// Get file content at a specific ref
-function getFileContent(repoPath, ref, filePath) {
-  return new Promise((resolve, reject) => {
-    const proc = spawn('git', ['show', `${ref}:${filePath}`], { cwd: repoPath });
-    let output = '';
-    let stderr = '';
-    proc.stdout.on('data', (d) => output += d);
-    proc.stderr.on('data', (d) => stderr += d);
-    proc.on('close', (code) => {
-      if (code !== 0) {
-        reject(new Error(stderr || 'File not found'));
-        return;
-      }
-      resolve(output);
-    });
-  });
+// Whether a name is in use, including by repositories still being imported
+function isRepoNameTaken(repoName) {
+  return Boolean(getRepository(repoName)) || fs.existsSync(getRepoPath(repoName));
 }
 
-// Compare two commits
-function getCommitComparison(repoPath, base, head) {
-  return new Promise((resolve, reject) => {
-    const proc = spawn('git', ['diff', base, head], { cwd: repoPath });
-    let output = '';
-    let stderr = '';
-    proc.stdout.on('data', (d) => output += d);
-    proc.stderr.on('data', (d) => stderr += d);
-    proc.on('close', (code) => {
-      if (code !== 0) {
-        reject(new Error(stderr || 'Comparison failed'));
-        return;
-      }
-      resolve(output);
-    });
-  });
+// Repositories are only imported over network protocols: local paths and
+// transports such as ext:: would give access to the server itself
+const IMPORT_PROTOCOLS = ['http:', 'https:', 'git:'];
+
+function parseImportUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  return IMPORT_PROTOCOLS.includes(parsed.protocol) ? parsed : null;
 }
 
-// Render repository detail page
-async function renderRepoPage(repoName) {
-  const repo = getRepository(repoName);
-  if (!repo) return null;
+// Addresses an import may not connect to: the server itself and its private networks
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [address, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv4');
+}
+// IPv4 addresses written as IPv6 (::ffff:127.0.0.1) are checked against the IPv4
+// subnets by BlockList itself; NAT64 addresses could still reach any of them
+for (const [address, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  PRIVATE_NETWORKS.addSubnet(address, prefix, 'ipv6');
+}
 
-  const repoPath = getRepoPath(repoName);
-  if (!fs.existsSync(repoPath)) return null;
+function isPrivateAddress(address) {
+  return PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
 
-  const gitInfo = await getGitInfo(repoPath);
-  const webhooks = listWebhooks(repoName);
+// Resolve the host of an import URL, refusing hosts on private networks.
+// Returns the addresses, which git is then held to, or an error
+async function resolveImportHost(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = net.isIP(hostname) ? [hostname] : (await dns.lookup(hostname, { all: true })).map(a => a.address);
+  } catch {
+    return { error: `Could not resolve ${hostname}` };
+  }
+  if (addresses.length === 0 || addresses.some(isPrivateAddress)) {
+    return { error: 'Import URL must point to a public host' };
+  }
+  return { addresses };
+}
 
-  const branchesList = gitInfo.branches.length
-    ? gitInfo.branches.map(b => `<li>${b}</li>`).join('')
-    : '<li class="empty">No branches yet</li>';
+// Names of the templates in a directory of templates/, without their extension
+function listTemplates(kind) {
+  return fs.readdirSync(path.join(TEMPLATES_DIR, kind)).map(file => file.replace(/\.[^.]+$/, '')).sort();
+}
 
-  const tagsList = gitInfo.tags.length
-    ? gitInfo.tags.map(t => `<li>${t}</li>`).join('')
-    : '<li class="empty">No tags yet</li>';
+// Contents of a template, looked up by name case-insensitively, or null if there is none
+function readTemplate(kind, name) {
+  const file = fs.readdirSync(path.join(TEMPLATES_DIR, kind))
+    .find(f => f.replace(/\.[^.]+$/, '').toLowerCase() === String(name).toLowerCase());
+  return file ? fs.readFileSync(path.join(TEMPLATES_DIR, kind, file), 'utf8') : null;
+}
 
-  const commitsList = gitInfo.commits.length
-    ? gitInfo.commits.map(c => {
-        const [hash, ...msgParts] = c.split(' ');
-        const msg = msgParts.join(' ');
-        return `<li><a href="/${repoName}/commit/${hash}" class="commit-link"><code class="commit-hash">${hash}</code> <span class="commit-msg">${msg}</span></a></li>`;
-      }).join('')
-    : '<li class="empty">No commits yet</li>';
+// Files for the initial commit of a new repository, or an error
+function initialFiles(repoName, description, owner, { autoInit, gitignoreTemplate, license }) {
+  const files = {};
+  if (autoInit) {
+    const title = repoName.replace(/\.git$/, '');
+    files['README.md'] = description ? `# ${title}\n\n${description}\n` : `# ${title}\n`;
+  }
+  if (gitignoreTemplate) {
+    files['.gitignore'] = readTemplate('gitignore', gitignoreTemplate);
+    if (!files['.gitignore']) {
+      return { error: `Unknown .gitignore template, use one of: ${listTemplates('gitignore').join(', ')}` };
+    }
+  }
+  if (license) {
+    const text = readTemplate('licenses', license);
+    if (!text) {
+      return { error: `Unknown license, use one of: ${listTemplates('licenses').join(', ')}` };
+    }
+    files['LICENSE'] = text.replace(/\[year\]/g, new Date().getFullYear()).replace(/\[fullname\]/g, owner.username);
+  }
+  return { files };
+}
 
-  const webhooksList = webhooks.length
-    ? webhooks.map(w => `
-        <li class="webhook-item">
-          <code>${w.url}</code>
-          <span class="webhook-meta">${w.secret ? '(with secret)' : ''} - ${w.created_at}</span>
-          <button onclick="deleteWebhook(${w.id})" class="delete-btn">Delete</button>
-        </li>
-      `).join('')
-    : '<li class="empty">No webhooks configured</li>';
+async function isValidBranchName(repoPath, branch) {
+  if (typeof branch !== 'string' || branch.startsWith('-')) return false;
+  try {
+    await runGit(repoPath, ['check-ref-format', `refs/heads/${branch}`]);
+    return true;
+  } catch {
+    return false;
+  }
+}
 
-  return `<!DOCTYPE html>
-<html>
-<head>
-  <title>${repoName} - GutHib</title>
-  <style>
-    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 900px; margin: 50px auto; padding: 20px; }
-    h1 { color: #333; }
-    h2 { color: #555; margin-top: 30px; }
-    .back { margin-bottom: 20px; }
-    .back a { color: #0066cc; text-decoration: none; }
-    .clone-box { background: #f5f5f5; padding: 15px; border-radius: 8px; margin: 20px 0; }
-    .clone-box code { background: #e0e0e0; padding: 8px 12px; border-radius: 4px; display: block; margin-top: 10px; }
-    .browse-box { margin: 15px 0; }
-    .browse-link { display: inline-flex; align-items: center; gap: 8px; padding: 10px 16px; background: #f6f8fa; border: 1px solid #e1e4e8; border-radius: 6px; color: #0066cc; text-decoration: none; font-size: 14px; }
-    .browse-link:hover { background: #f0f6fc; border-color: #0066cc; }
-    .description { color: #666; font-size: 14px; }
-    ul { list-style: none; padding: 0; }
-    li { padding: 8px 12px; background: #f9f9f9; margin: 4px 0; border-radius: 4px; }
-    li.empty { color: #999; font-style: italic; background: transparent; }
-    code { font-family: 'SF Mono', Monaco, monospace; font-size: 13px; }
-    .commit-link { display: flex; align-items: center; gap: 10px; text-decoration: none; color: inherit; }
-    .commit-link:hover { background: #f0f6fc; margin: -8px -12px; padding: 8px 12px; border-radius: 4px; }
-    .commit-link .commit-hash { color: #0066cc; }
-    .commit-link .commit-msg { color: #333; }
-    .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 20px; }
-    .webhook-form { background: #f9f9f9; padding: 15px; border-radius: 8px; margin: 15px 0; }
-    .webhook-form input { padding: 8px; margin-right: 10px; border: 1px solid #ddd; border-radius: 4px; }
-    .webhook-form input[type="url"] { width: 300px; }
-    .webhook-form input[type="text"] { width: 150px; }
-    .webhook-form button { padding: 8px 16px; background: #0066cc; color: white; border: none; border-radius: 4px; cursor: pointer; }
-    .webhook-item { display: flex; align-items: center; gap: 10px; }
-    .webhook-item code { flex: 1; }
-    .webhook-meta { color: #888; font-size: 12px; }
-    .delete-btn { padding: 4px 8px; background: #dc3545; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px; }
-    .compare-box { background: #f6f8fa; padding: 15px 20px; border-radius: 8px; margin: 20px 0; border: 1px solid #e1e4e8; }
-    .compare-box h3 { margin: 0 0 12px 0; font-size: 14px; color: #333; }
-    .compare-box form { display: flex; align-items: center; gap: 10px; flex-wrap: wrap; }
-    .compare-box select { padding: 8px 12px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px; font-family: 'SF Mono', Monaco, monospace; max-width: 280px; }
-    .compare-box .arrow { color: #666; font-size: 16px; }
-    .compare-box button { padding: 8px 16px; background: #0066cc; color: white; border: none; border-radius: 4px; cursor: pointer; }
-  </style>
-</head>
-<body>
-  <div class="back"><a href="/">&larr; Back to repositories</a></div>
-  <h1>${repoName}</h1>
-  <p class="description">${repo.description || 'No description'}</p>
-  <p class="description">Created: ${repo.created_at}</p>
+// Commit a tree as the first commit of an empty repository's branch
+async function commitInitialTree(repoPath, branch, tree, author) {
+  const commit = (await runGit(repoPath, ['commit-tree', tree, '-m', 'Initial commit'], { env: gitIdentityEnv(author) })).trim();
+  await runGit(repoPath, ['update-ref', `refs/heads/${branch}`, commit, ZERO_SHA]);
+}
 
-  <div class="clone-box">
-    <strong>Clone this repository:</strong>
-    <code>git clone http://localhost:${PORT}/${repoName}</code>
-  </div>
+// Commit files ({ path: contents }) at the top level of an empty repository, without a working tree
+async function commitInitialFiles(repoPath, branch, files, author) {
+  const entries = [];
+  for (const [name, contents] of Object.entries(files)) {
+    const sha = (await runGit(repoPath, ['hash-object', '-w', '--stdin'], { input: contents })).trim();
+    entries.push(`100644 blob ${sha}\t${name}`);
+  }
+  const tree = (await runGit(repoPath, ['mktree'], { input: entries.join('\n') + '\n' })).trim();
+  await commitInitialTree(repoPath, branch, tree, author);
+}
 
-  ${gitInfo.commits.length > 0 ? `
-  <div class="browse-box">
-    <a href="/${repoName}/tree/${gitInfo.commits[0].split(' ')[0]}" class="browse-link">Browse files at latest commit</a>
-  </div>
-  ` : ''}
+// Commit the files of a template repository's default branch as a new history
+async function commitTemplateTree(repoPath, branch, templatePath, author) {
+  await runGit(repoPath, ['fetch', '--quiet', '--no-tags', path.resolve(templatePath), 'HEAD']);
+  const tree = (await runGit(repoPath, ['rev-parse', 'FETCH_HEAD^{tree}'])).trim();
+  fs.rmSync(path.join(repoPath, 'FETCH_HEAD'), { force: true });
+  await commitInitialTree(repoPath, branch, tree, author);
+}
 
-  <div class="grid">
-    <div>
-      <h2>Branches</h2>
-      <ul>${branchesList}</ul>
-    </div>
-    <div>
-      <h2>Tags</h2>
-      <ul>${tagsList}</ul>
-    </div>
-  </div>
+// Create a new repository owned by a user. It starts empty, or imported from
+// importUrl, or with the files of a template repository, or with an initial
+// commit of a README (autoInit), a .gitignore template and a license
+async function createRepository(name, description = '', owner = null, visibility = 'private', options = {}) {
+  const { importUrl = null, template = null, defaultBranch = null } = options;
+  const repoName = normalizeRepoName(name);
+  if (!repoName) {
+    return { error: INVALID_REPO_NAME };
+  }
 
-  <h2>Recent Commits</h2>
-  <ul>${commitsList}</ul>
+  if (!VISIBILITIES.includes(visibility)) {
+    return { error: 'Visibility must be public or private' };
+  }
 
-  ${gitInfo.commits.length >= 2 ? `
-  <div class="compare-box">
-    <h3>Compare commits</h3>
-    <form action="/${repoName}/compare/" method="GET" onsubmit="return handleCompare(this)">
-      <select name="base" id="compare-base">
-        ${gitInfo.commits.map(c => {
-          const [hash, ...msg] = c.split(' ');
-          return `<option value="${hash}">${hash} - ${msg.join(' ').substring(0, 40)}</option>`;
-        }).join('')}
-      </select>
-      <span class="arrow">&rarr;</span>
-      <select name="head" id="compare-head">
-        ${gitInfo.commits.map(c => {
-          const [hash, ...msg] = c.split(' ');
-          return `<option value="${hash}">${hash} - ${msg.join(' ').substring(0, 40)}</option>`;
-        }).join('')}
-      </select>
-      <button type="submit">Compare</button>
-    </form>
-  </div>
-  <script>
-    function handleCompare(form) {
-      const base = form.base.value;
-      const head = form.head.value;
-      if (base === head) {
-        alert('Please select different commits to compare');
-        return false;
-      }
-      window.location.href = '/${repoName}/compare/' + base + '...' + head;
-      return false;
-    }
-  </script>
-  ` : ''}
+  const source = importUrl ? parseImportUrl(importUrl) : null;
+  if (importUrl && !source) {
+    return { error: 'Import URL must be an http, https or git URL' };
+  }
+  const sourceHost = source ? await resolveImportHost(source) : null;
+  if (sourceHost && sourceHost.error) {
+    return sourceHost;
+  }
 
-  <h2>Webhooks</h2>
-  <p class="description">Webhooks are triggered on every push to this repository.</p>
-  <form class="webhook-form" method="POST" action="/api/repos/${repoName}/webhooks">
-    <input type="url" name="url" placeholder="https://ci.example.com/webhook" required>
-    <input type="text" name="secret" placeholder="Secret (optional)">
-    <button type="submit">Add Webhook</button>
-  </form>
-  <ul>${webhooksList}</ul>
+  const initial = initialFiles(repoName, description, owner, options);
+  if (initial.error) {
+    return initial;
+  }
+  const hasFiles = Object.keys(initial.files).length > 0;
+  if ((source && (hasFiles || template || defaultBranch)) || (template && hasFiles)) {
+    return { error: 'Choose one of import_url, template or auto_init, gitignore_template and license' };
+  }
 
-  <script>
-    async function deleteWebhook(id) {
-      if (!confirm('Delete this webhook?')) return;
-      await fetch('/api/repos/${repoName}/webhooks/' + id, { method: 'DELETE' });
-      location.reload();
+  // Template repositories are offered to anyone who can read them
+  let templatePath = null;
+  if (template) {
+    const templateName = normalizeRepoName(template);
+    const templateRepo = templateName && getRepository(templateName);
+    if (!templateRepo || !canAccess(owner, templateName, 'read')) {
+      return { error: 'Template repository not found' };
+    }
+    if (!templateRepo.is_template) {
+      return { error: `${templateName} is not a template repository` };
+    }
+    templatePath = getRepoPath(templateName);
+    if (!(await readRef(templatePath, 'HEAD'))) {
+      return { error: 'Template repository is empty' };
     }
+  }
 
-    async function deleteRepository() {
-      if (!confirm('Are you sure you want to delete this repository? This action cannot be undone.')) return;
-      const res = await fetch('/api/repos/${repoName}', { method: 'DELETE' });
-      if (res.ok) {
-        window.location.href = '/';
-      } else {
-        alert('Failed to delete repository');
-      }
+  if (defaultBranch !== null && !(await isValidBranchName(REPOS_DIR, defaultBranch))) {
+    return { error: 'Default branch is not a valid branch name' };
+  }
+  const repoPath = getRepoPath(repoName);
+
+  if (isRepoNameTaken(repoName)) {
+    return { error: 'Repository already exists' };
+  }
+
+  // Insert into database, taking the name over from any repository renamed away from it
+  db.prepare('DELETE FROM repository_redirects WHERE old_name = ?').run(repoName);
+  const stmt = db.prepare('INSERT INTO repositories (name, description, owner_id, visibility) VALUES (?, ?, ?, ?)');
+  stmt.run(repoName, description, owner ? owner.id : null, visibility);
+
+  if (source) {
+    // Credentials in the URL are used for the clone but never stored
+    const displayUrl = new URL(source);
+    displayUrl.username = '';
+    displayUrl.password = '';
+    db.prepare("UPDATE repositories SET import_url = ?, import_status = 'importing' WHERE name = ?").run(displayUrl.href, repoName);
+    importRepository(repoName, source, sourceHost.addresses);
+    return { success: true, name: repoName, import_status: 'importing' };
+  }
+
+  // Create bare repository. Without a branch of its own choosing, HEAD is left to
+  // git's default and moves to the first branch pushed (see adoptDefaultBranch)
+  const branch = defaultBranch || (templatePath ? await getDefaultBranch(templatePath) : (hasFiles ? 'main' : null));
+  try {
+    fs.mkdirSync(repoPath, { recursive: true });
+    await runGit(repoPath, ['init', '--bare', '--quiet', ...(branch ? [`--initial-branch=${branch}`] : []), '.']);
+    if (defaultBranch) {
+      await runGit(repoPath, ['config', 'guthib.defaultBranch', defaultBranch]);
     }
-  </script>
 
-  <h2 style="color: #c00; margin-top: 40px;">Danger Zone</h2>
-  <div style="border: 1px solid #c00; border-radius: 4px; padding: 15px;">
-    <p style="margin: 0 0 10px 0;">Once you delete a repository, there is no going back.</p>
-    <button onclick="deleteRepository()" style="background: #c00; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer;">Delete Repository</button>
-  </div>
-</body>
-</html>`;
+    if (templatePath) {
+      await commitTemplateTree(repoPath, branch, templatePath, owner);
+    } else if (hasFiles) {
+      await commitInitialFiles(repoPath, branch, initial.files, owner);
+    }
+    await updateServerInfo(repoPath);
+  } catch (err) {
+    console.error(`Failed to create ${repoName}:`, err.message);
+    fs.rmSync(repoPath, { recursive: true, force: true });
+    db.prepare('DELETE FROM repositories WHERE name = ?').run(repoName);
+    return { error: 'Failed to create repository' };
+  }
+
+  queueSearchIndex(repoName);
+  return { success: true, name: repoName };
 }
 
-// Simple HTML page for web UI
-function renderHomePage() {
-  const repos = listRepositories();
-  const reposList = repos.map(r => `
-    <tr>
-      <td><a href="/${r.name}">${r.name}</a></td>
-      <td>${r.description || '-'}</td>
-      <td>${r.created_at}</td>
-      <td><code>git clone http://localhost:${PORT}/${r.name}</code></td>
-    </tr>
-  `).join('');
+// Mirror clones in progress, by repository name
+const activeImports = new Map();
 
-  return `<!DOCTYPE html>
-<html>
-<head>
-  <title>GutHib - Simple Git Server</title>
-  <style>
-    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 900px; margin: 50px auto; padding: 20px; }
-    h1 { color: #333; }
-    table { width: 100%; border-collapse: collapse; margin: 20px 0; }
-    th, td { padding: 12px; text-align: left; border-bottom: 1px solid #ddd; }
-    th { background: #f5f5f5; }
-    code { background: #f0f0f0; padding: 2px 6px; border-radius: 3px; font-size: 13px; }
-    form { background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0; }
-    input, button { padding: 10px; margin: 5px 0; font-size: 14px; }
-    input[type="text"] { width: 300px; border: 1px solid #ddd; border-radius: 4px; }
-    button { background: #0066cc; color: white; border: none; border-radius: 4px; cursor: pointer; }
-    button:hover { background: #0055aa; }
-    .empty { color: #666; font-style: italic; }
-  </style>
-</head>
-<body>
-  <h1>GutHib - Simple Git Server</h1>
+// Mirror a repository from another server in the background. The clone is made
+// next to the repository and moved into place once complete; its progress and
+// outcome are recorded on the repository for clients to poll
+function importRepository(repoName, url, addresses) {
+  const repoPath = getRepoPath(repoName);
+  const importPath = `${repoPath}.importing`;
+  const setStatus = db.prepare('UPDATE repositories SET import_status = ?, import_progress = ?, import_error = ? WHERE name = ?');
+
+  // Only the import protocols, only the addresses checked by resolveImportHost (so
+  // a second DNS answer cannot point elsewhere), and no redirects to other hosts
+  const config = [
+    ['protocol.allow', 'never'],
+    ...IMPORT_PROTOCOLS.map(protocol => [`protocol.${protocol.slice(0, -1)}.allow`, 'always']),
+    ['http.followRedirects', 'false']
+  ];
+  const pinned = addresses.map(address => net.isIPv6(address) ? `[${address}]` : address);
+  const cloneUrl = new URL(url.href);
+  if (url.protocol === 'git:') {
+    // git:// has no way to pin a name to an address, so it connects to the address itself
+    cloneUrl.hostname = pinned[0];
+  } else if (!net.isIP(url.hostname.replace(/^\[|\]$/g, ''))) {
+    const port = url.port || (url.protocol === 'https:' ? 443 : 80);
+    config.push(['http.curloptResolve', `${url.hostname}:${port}:${pinned.join(',')}`]);
+  }
 
-  <h2>Create Repository</h2>
-  <form method="POST" action="/api/repos">
-    <input type="text" name="name" placeholder="repository-name" required>
-    <input type="text" name="description" placeholder="Description (optional)">
-    <button type="submit">Create</button>
-  </form>
+  fs.rmSync(importPath, { recursive: true, force: true });
+  const git = spawn('git', [...configArgs(config), 'clone', '--mirror', '--progress', cloneUrl.href, importPath], {
+    env: { ...process.env, GIT_TERMINAL_PROMPT: '0', GIT_ALLOW_PROTOCOL: 'http:https:git' },
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+  activeImports.set(repoName, git);
+
+  // Progress lines such as "Receiving objects:  45% (450/1000)" are rewritten in place with \r
+  let output = '';
+  let progress = null;
+  let lastUpdate = 0;
+  git.stderr.on('data', (data) => {
+    output = (output + data).slice(-4096);
+    const lines = output.split(/[\r\n]+/).filter(line => line && !line.startsWith('Cloning into'));
+    const line = (lines[lines.length - 1] || '').trim();
+    if (line && line !== progress && Date.now() - lastUpdate >= 500) {
+      progress = line;
+      lastUpdate = Date.now();
+      setStatus.run('importing', progress, null, repoName);
+    }
+  });
 
-  <h2>Repositories</h2>
-  ${repos.length === 0 ? '<p class="empty">No repositories yet. Create one above!</p>' : `
-  <table>
-    <tr><th>Name</th><th>Description</th><th>Created</th><th>Clone URL</th></tr>
-    ${reposList}
-  </table>
-  `}
-</body>
-</html>`;
+  git.on('close', async (code) => {
+    activeImports.delete(repoName);
+    // The repository was deleted while importing
+    if (!getRepository(repoName)) {
+      fs.rmSync(importPath, { recursive: true, force: true });
+      return;
+    }
+
+    if (code !== 0) {
+      const fatal = output.split(/[\r\n]+/).filter(line => line.startsWith('fatal:')).pop();
+      fs.rmSync(importPath, { recursive: true, force: true });
+      setStatus.run('failed', null, fatal ? fatal.replace(/^fatal:\s*/, '') : 'Import failed', repoName);
+      return;
+    }
+
+    try {
+      // Nothing is fetched from the source again, and the URL may hold credentials
+      await runGit(importPath, ['config', '--remove-section', 'remote.origin']);
+      fs.renameSync(importPath, repoPath);
+      await updateServerInfo(repoPath);
+      setStatus.run('done', null, null, repoName);
+      queueSearchIndex(repoName);
+    } catch (err) {
+      console.error(`Failed to import ${repoName}:`, err.message);
+      fs.rmSync(importPath, { recursive: true, force: true });
+      setStatus.run('failed', null, 'Import failed', repoName);
+    }
+  });
 }
 
-// Escape HTML to prevent XSS
-function escapeHtml(text) {
-  return text
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
+// List the repositories a user can read
+function listRepositories(user) {
+  const stmt = db.prepare('SELECT * FROM repositories WHERE deleted_at IS NULL ORDER BY created_at DESC');
+  return stmt.all().filter(r => getRepoRole(user, r) !== null);
 }
 
-// Format diff with syntax highlighting
-function formatDiff(diff) {
-  if (!diff) return '<p class="empty">No changes</p>';
+// Repositories forked from a repository, including deleted ones still in the trash
+function listForks(repoName) {
+  return db.prepare('SELECT * FROM repositories WHERE forked_from = ? ORDER BY created_at').all(repoName);
+}
 
-  const lines = diff.split('\n');
-  let html = '';
-  let inFile = false;
-  let currentFile = '';
-
-  for (const line of lines) {
-    const escaped = escapeHtml(line);
-
-    if (line.startsWith('diff --git')) {
-      if (inFile) html += '</pre></div>';
-      const match = line.match(/b\/(.+)$/);
-      currentFile = match ? match[1] : '';
-      html += `<div class="diff-file"><div class="diff-file-header">${escapeHtml(currentFile)}</div><pre class="diff-content">`;
-      inFile = true;
-    } else if (line.startsWith('@@')) {
-      html += `<span class="diff-hunk">${escaped}</span>\n`;
-    } else if (line.startsWith('+') && !line.startsWith('+++')) {
-      html += `<span class="diff-add">${escaped}</span>\n`;
-    } else if (line.startsWith('-') && !line.startsWith('---')) {
-      html += `<span class="diff-del">${escaped}</span>\n`;
-    } else if (line.startsWith('index ') || line.startsWith('---') || line.startsWith('+++')) {
-      html += `<span class="diff-meta">${escaped}</span>\n`;
-    } else if (inFile) {
-      html += escaped + '\n';
-    }
-  }
-
-  if (inFile) html += '</pre></div>';
-  return html || '<p class="empty">No changes</p>';
-}
-
-// Get status label for file changes
-function getStatusLabel(status) {
-  const labels = {
-    'A': { text: 'Added', class: 'status-added' },
-    'M': { text: 'Modified', class: 'status-modified' },
-    'D': { text: 'Deleted', class: 'status-deleted' },
-    'R': { text: 'Renamed', class: 'status-renamed' },
-    'C': { text: 'Copied', class: 'status-copied' }
-  };
-  return labels[status] || { text: status, class: 'status-unknown' };
+// Point a fork at the objects of the repository it was forked from
+function linkAlternates(repoName, parentName) {
+  const alternatesPath = path.join(getRepoPath(repoName), 'objects', 'info', 'alternates');
+  fs.writeFileSync(alternatesPath, `${path.resolve(getRepoPath(parentName), 'objects')}\n`);
 }
 
-// Render commit detail page
-async function renderCommitPage(repoName, hash) {
-  const repo = getRepository(repoName);
-  if (!repo) return null;
+// Give a fork its own copy of the objects it borrows from its parent, so the parent can go away
+async function detachFork(repoName) {
+  const repoPath = getRepoPath(repoName);
+  const alternatesPath = path.join(repoPath, 'objects', 'info', 'alternates');
+
+  if (fs.existsSync(alternatesPath)) {
+    await runGit(repoPath, ['repack', '-a', '-d', '-q']);
+    fs.rmSync(alternatesPath);
+    await updateServerInfo(repoPath);
+  }
+  db.prepare('UPDATE repositories SET forked_from = NULL WHERE name = ?').run(repoName);
+}
+
+// Fork a repository. The fork starts with the same refs and borrows the objects
+// of the original (git clone --shared) instead of copying them
+async function forkRepository(sourceName, owner, name) {
+  const source = getRepository(sourceName);
+  const repoName = normalizeRepoName(name || `${owner.username}-${sourceName}`);
+  if (!repoName) {
+    return { error: INVALID_REPO_NAME };
+  }
+  if (isRepoNameTaken(repoName)) {
+    return { error: 'Repository already exists' };
+  }
+
+  const sourcePath = getRepoPath(sourceName);
+  if (!fs.existsSync(sourcePath)) {
+    return { error: 'Repository has not been imported yet' };
+  }
 
   const repoPath = getRepoPath(repoName);
-  if (!fs.existsSync(repoPath)) return null;
+  try {
+    await runGit(REPOS_DIR, ['clone', '--bare', '--shared', '--quiet', path.resolve(sourcePath), path.resolve(repoPath)]);
+  } catch (err) {
+    console.error(`Failed to fork ${sourceName}:`, err.message);
+    return { error: 'Failed to fork repository' };
+  }
+  linkAlternates(repoName, sourceName);
+  // Objects the fork borrows must stay in the original even once unreachable there
+  await runGit(sourcePath, ['config', 'gc.pruneExpire', 'never']);
+  await updateServerInfo(repoPath);
+
+  db.prepare('DELETE FROM repository_redirects WHERE old_name = ?').run(repoName);
+  const stmt = db.prepare('INSERT INTO repositories (name, description, owner_id, visibility, forked_from) VALUES (?, ?, ?, ?, ?)');
+  stmt.run(repoName, source.description, owner.id, source.visibility, sourceName);
+  queueSearchIndex(repoName);
+
+  return { success: true, repository: getRepository(repoName) };
+}
+
+// Delete a repository by moving it to the trash, from where it can be restored
+// until it is purged. Everything referring to it moves along with it
+function deleteRepository(name) {
+  const repoName = name.endsWith('.git') ? name : `${name}.git`;
+  const repo = getRepository(repoName);
+
+  if (!repo) {
+    return { error: 'Repository not found' };
+  }
+
+  if (activeImports.has(repoName)) {
+    activeImports.get(repoName).kill();
+  }
+
+  // Stop retrying webhooks; they can be redelivered once the repository is restored
+  db.prepare(`
+    UPDATE webhook_deliveries SET status = 'failed', next_attempt_at = NULL, error = 'Repository was deleted'
+    WHERE repo_name = ? AND status = 'pending'
+  `).run(repoName);
+
+  const trashName = `${TRASH_NAME}/${repo.id}`;
+  renameRepository(repoName, trashName, { redirect: false });
+  db.prepare('UPDATE repositories SET deleted_at = CURRENT_TIMESTAMP, deleted_name = ? WHERE name = ?').run(repoName, trashName);
+  db.prepare('DELETE FROM repository_redirects WHERE new_name = ?').run(trashName);
+
+  return { success: true };
+}
+
+// Deleted repositories a user could restore, with when they will be purged
+function listDeletedRepositories(user) {
+  const stmt = db.prepare(`
+    SELECT *, datetime(deleted_at, ?) AS purge_at FROM repositories
+    WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC
+  `);
+  return stmt.all(`+${TRASH_RETENTION_DAYS} days`).filter(r => getRepoRole(user, r) === 'admin');
+}
+
+function getDeletedRepository(id) {
+  return getRepository(`${TRASH_NAME}/${id}`);
+}
+
+// Bring a repository back from the trash, under its old name unless another is given
+function restoreRepository(id, name) {
+  const repo = getDeletedRepository(id);
+  if (!repo) {
+    return { error: 'Repository not found' };
+  }
+
+  const repoName = normalizeRepoName(name || repo.deleted_name);
+  if (!repoName) {
+    return { error: INVALID_REPO_NAME };
+  }
+  if (isRepoNameTaken(repoName)) {
+    return { error: `A repository named ${repoName} already exists, restore this one under another name` };
+  }
 
+  renameRepository(repo.name, repoName, { redirect: false });
+  // An import cut short by the deletion cannot be resumed
+  const importStatus = repo.import_status === 'importing' ? 'failed' : repo.import_status;
+  db.prepare('UPDATE repositories SET deleted_at = NULL, deleted_name = NULL, import_status = ? WHERE name = ?').run(importStatus, repoName);
+
+  return { success: true, repository: getRepository(repoName) };
+}
+
+// Permanently delete a repository from the trash, along with its webhooks,
+// pull requests and everything else stored about it
+async function purgeRepository(id) {
+  const repo = getDeletedRepository(id);
+  if (!repo) {
+    return { error: 'Repository not found' };
+  }
+
+  // Forks borrow objects from this repository, give them their own copies first
+  for (const fork of listForks(repo.name)) {
+    await detachFork(fork.name);
+  }
+
+  fs.rmSync(getRepoPath(repo.name), { recursive: true, force: true });
+  db.exec('BEGIN');
   try {
-    const [commit, files, diff] = await Promise.all([
-      getCommitDetails(repoPath, hash),
-      getCommitFiles(repoPath, hash),
-      getCommitDiff(repoPath, hash)
-    ]);
+    db.prepare('DELETE FROM pull_request_comments WHERE pull_request_id IN (SELECT id FROM pull_requests WHERE repo_name = ?)').run(repo.name);
+    db.prepare('DELETE FROM release_assets WHERE release_id IN (SELECT id FROM releases WHERE repo_name = ?)').run(repo.name);
+    for (const table of ['issue_labels', 'issue_assignees', 'issue_comments']) {
+      db.prepare(`DELETE FROM ${table} WHERE issue_id IN (SELECT id FROM issues WHERE repo_name = ?)`).run(repo.name);
+    }
+    db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id IN (SELECT id FROM webhooks WHERE repo_name = ?)').run(repo.name);
+    db.prepare('DELETE FROM code_search WHERE rowid IN (SELECT id FROM code_search_files WHERE repo_name = ?)').run(repo.name);
+    for (const [table, column] of REPO_NAME_REFERENCES) {
+      if (table !== 'repositories') {
+        db.prepare(`DELETE FROM ${table} WHERE ${column} = ?`).run(repo.name);
+      }
+    }
+    db.prepare('DELETE FROM repositories WHERE id = ?').run(repo.id);
+    db.exec('COMMIT');
+  } catch (err) {
+    db.exec('ROLLBACK');
+    throw err;
+  }
 
-    const filesList = files.map(f => {
-      const status = getStatusLabel(f.status);
-      return `<li class="file-item">
-        <span class="file-status ${status.class}">${status.text}</span>
-        <span class="file-path">${escapeHtml(f.path)}</span>
-      </li>`;
-    }).join('');
+  return { success: true };
+}
 
-    const formattedDiff = formatDiff(diff);
-    const formattedDate = new Date(commit.date).toLocaleString();
+// Purge repositories that have been in the trash for longer than the retention period
+async function purgeExpiredRepositories() {
+  const stmt = db.prepare('SELECT id, deleted_name FROM repositories WHERE deleted_at IS NOT NULL AND deleted_at <= datetime(\'now\', ?)');
+  for (const repo of stmt.all(`-${TRASH_RETENTION_DAYS} days`)) {
+    try {
+      await purgeRepository(repo.id);
+      console.log(`Purged deleted repository ${repo.deleted_name}`);
+    } catch (err) {
+      console.error(`Failed to purge ${repo.deleted_name}:`, err.message);
+    }
+  }
+}
+
+// Get repository info from database
+function getRepository(name) {
+  const stmt = db.prepare('SELECT * FROM repositories WHERE name = ?');
+  return stmt.get(name);
+}
+
+// The current name of a renamed repository, or null if the name was never renamed away from
+function findRenamedRepository(name) {
+  if (getRepository(name)) return null;
+  const redirect = db.prepare('SELECT new_name FROM repository_redirects WHERE old_name = ?').get(name);
+  return redirect ? redirect.new_name : null;
+}
+
+// Columns that refer to repositories by name
+const REPO_NAME_REFERENCES = [
+  ['webhooks', 'repo_name'],
+  ['webhook_deliveries', 'repo_name'],
+  ['collaborators', 'repo_name'],
+  ['branch_protections', 'repo_name'],
+  ['pull_requests', 'repo_name'],
+  ['issues', 'repo_name'],
+  ['releases', 'repo_name'],
+  ['commit_statuses', 'repo_name'],
+  ['repositories', 'forked_from'],
+  ['repository_redirects', 'new_name'],
+  ['code_search_files', 'repo_name'],
+  ['code_search_state', 'repo_name']
+];
+
+// Rename a repository, leaving a redirect behind at the old name unless told otherwise
+function renameRepository(oldName, newName, { redirect = true } = {}) {
+  const oldPath = getRepoPath(oldName);
+  const moved = fs.existsSync(oldPath);
+  if (moved) fs.renameSync(oldPath, getRepoPath(newName));
+
+  db.exec('BEGIN');
+  try {
+    // Rows referring to the old name are updated after the repository itself
+    db.exec('PRAGMA defer_foreign_keys = ON');
+    db.prepare('UPDATE repositories SET name = ? WHERE name = ?').run(newName, oldName);
+    for (const [table, column] of REPO_NAME_REFERENCES) {
+      db.prepare(`UPDATE ${table} SET ${column} = ? WHERE ${column} = ?`).run(newName, oldName);
+    }
+    db.prepare('DELETE FROM repository_redirects WHERE old_name = ?').run(newName);
+    if (redirect) {
+      db.prepare('INSERT OR REPLACE INTO repository_redirects (old_name, new_name) VALUES (?, ?)').run(oldName, newName);
+    }
+    db.exec('COMMIT');
+  } catch (err) {
+    db.exec('ROLLBACK');
+    if (moved) fs.renameSync(getRepoPath(newName), oldPath);
+    throw err;
+  }
+
+  for (const fork of listForks(newName)) {
+    linkAlternates(fork.name, newName);
+  }
+}
+
+// Update repository settings: name, description, visibility, archived, is_template and owner (a username)
+function updateRepository(name, { name: newName, description, visibility, archived, is_template: isTemplate, owner }) {
+  const repo = getRepository(name);
+
+  if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+    return { error: 'Visibility must be public or private' };
+  }
+  const parent = repo.forked_from && getRepository(repo.forked_from);
+  if (visibility === 'public' && parent && parent.visibility !== 'public') {
+    return { error: 'Forks of private repositories must stay private' };
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    return { error: 'Description must be a string' };
+  }
+
+  let newOwner = null;
+  if (owner !== undefined) {
+    newOwner = getUser(owner);
+    if (!newOwner) {
+      return { error: 'User not found' };
+    }
+  }
+
+  let repoName = name;
+  if (newName !== undefined) {
+    repoName = normalizeRepoName(newName);
+    if (!repoName) {
+      return { error: INVALID_REPO_NAME };
+    }
+    if (repoName !== name && repo.import_status === 'importing') {
+      return { error: 'Repository is still being imported' };
+    }
+    if (repoName !== name && isRepoNameTaken(repoName)) {
+      return { error: 'Repository already exists' };
+    }
+  }
+
+  if (visibility !== undefined) {
+    db.prepare('UPDATE repositories SET visibility = ? WHERE name = ?').run(visibility, name);
+  }
+  if (description !== undefined) {
+    db.prepare('UPDATE repositories SET description = ? WHERE name = ?').run(description, name);
+  }
+  if (archived !== undefined) {
+    db.prepare('UPDATE repositories SET archived = ? WHERE name = ?').run(archived ? 1 : 0, name);
+  }
+  if (isTemplate !== undefined) {
+    db.prepare('UPDATE repositories SET is_template = ? WHERE name = ?').run(isTemplate ? 1 : 0, name);
+  }
+  if (newOwner) {
+    // The new owner is an admin by ownership, so drop any collaborator role they had
+    db.prepare('UPDATE repositories SET owner_id = ? WHERE name = ?').run(newOwner.id, name);
+    db.prepare('DELETE FROM collaborators WHERE repo_name = ? AND user_id = ?').run(name, newOwner.id);
+  }
+  if (repoName !== name) {
+    renameRepository(name, repoName);
+  }
+  return { success: true, repository: getRepository(repoName) };
+}
+
+// Work out a user's role on a repository (null when they have no access)
+function getRepoRole(user, repo) {
+  // A fork is closed to anyone who cannot read the repository it was forked
+  // from, so forking a private repository never opens it up
+  const parent = repo.forked_from && getRepository(repo.forked_from);
+  if (parent && getRepoRole(user, parent) === null) return null;
+
+  if (user) {
+    if (user.is_admin || repo.owner_id === user.id) return 'admin';
+
+    const stmt = db.prepare('SELECT role FROM collaborators WHERE repo_name = ? AND user_id = ?');
+    const collaborator = stmt.get(repo.name, user.id);
+    if (collaborator) return collaborator.role;
+  }
+  return repo.visibility === 'public' ? 'read' : null;
+}
+
+// Check whether a user may perform an operation ('read', 'write' or 'admin') on a repository.
+// This is the single place access rules are decided; user may be null for anonymous requests.
+function canAccess(user, repoName, operation) {
+  const repo = getRepository(repoName);
+  if (!repo) return false;
+
+  // Archived repositories are read-only, though admins can still change their settings
+  if (operation === 'write' && repo.archived) return false;
+
+  const role = getRepoRole(user, repo);
+  return role !== null && ROLES.indexOf(role) >= ROLES.indexOf(operation);
+}
+
+const ARCHIVED_ERROR = 'This repository is archived and read-only';
+
+// Whether a user is denied writing to a repository only because it is archived
+function isArchivedFor(user, repoName) {
+  const repo = getRepository(repoName);
+  return Boolean(repo && repo.archived) && ROLES.indexOf(getRepoRole(user, repo)) >= ROLES.indexOf('write');
+}
+
+// Respond to a request the user is not allowed to make on a repository.
+// Repositories the user cannot read are reported as missing.
+function denyRepoAccess(res, user, repoName, { json = true } = {}) {
+  const visible = canAccess(user, repoName, 'read');
+  const error = visible ? (isArchivedFor(user, repoName) ? ARCHIVED_ERROR : 'Permission denied') : 'Repository not found';
+  res.writeHead(visible ? 403 : 404, { 'Content-Type': json ? 'application/json' : 'text/plain' });
+  res.end(json ? JSON.stringify({ error }) : error);
+}
+
+// Collaborator operations
+function listCollaborators(repoName) {
+  const stmt = db.prepare(`
+    SELECT u.username, c.role, c.created_at
+    FROM collaborators c JOIN users u ON u.id = c.user_id
+    WHERE c.repo_name = ? ORDER BY u.username
+  `);
+  return stmt.all(repoName);
+}
+
+function setCollaborator(repoName, username, role) {
+  if (!ROLES.includes(role)) {
+    return { error: 'Role must be read, write or admin' };
+  }
+
+  const user = getUser(username);
+  if (!user) {
+    return { error: 'User not found' };
+  }
+
+  const stmt = db.prepare(`
+    INSERT INTO collaborators (repo_name, user_id, role) VALUES (?, ?, ?)
+    ON CONFLICT (repo_name, user_id) DO UPDATE SET role = excluded.role
+  `);
+  stmt.run(repoName, user.id, role);
+  return { success: true, username, role };
+}
+
+function removeCollaborator(repoName, username) {
+  const user = getUser(username);
+  const result = user
+    ? db.prepare('DELETE FROM collaborators WHERE repo_name = ? AND user_id = ?').run(repoName, user.id)
+    : { changes: 0 };
+  if (result.changes === 0) {
+    return { error: 'Collaborator not found' };
+  }
+  return { success: true };
+}
+
+// Hash a password with scrypt, stored as "scrypt$<salt>$<hash>"
+async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+// Check a password against a stored scrypt hash
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scryptAsync(password, Buffer.from(salt, 'hex'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+// Access tokens are only stored as a SHA-256 digest
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+// User operations
+async function createUser(username, password, isAdmin = false, email = null) {
+  if (!username || !/^[a-zA-Z0-9_-]+$/.test(username)) {
+    return { error: 'Invalid username' };
+  }
+  if (!password || password.length < 8) {
+    return { error: 'Password must be at least 8 characters' };
+  }
+  if (getUser(username)) {
+    return { error: 'User already exists' };
+  }
+  const emailCheck = checkUserEmail(email);
+  if (emailCheck.error) return emailCheck;
+
+  const passwordHash = await hashPassword(password);
+  const stmt = db.prepare('INSERT INTO users (username, password_hash, is_admin, email) VALUES (?, ?, ?, ?)');
+  stmt.run(username, passwordHash, isAdmin ? 1 : 0, emailCheck.email);
+
+  return { success: true, username };
+}
+
+function getUser(username) {
+  const stmt = db.prepare('SELECT id, username, email, is_admin, created_at FROM users WHERE username = ?');
+  return stmt.get(username);
+}
+
+function listUsers() {
+  const stmt = db.prepare('SELECT id, username, email, is_admin, created_at FROM users ORDER BY username');
+  return stmt.all();
+}
+
+// A user's email is what their commits are matched to, for example when
+// checking signatures, so no two users may have the same one
+function checkUserEmail(email, userId = null) {
+  if (email === null || email === undefined || email === '') return { email: null };
+  if (typeof email !== 'string' || !/^[^\s@<>]+@[^\s@<>]+$/.test(email)) {
+    return { error: 'Invalid email' };
+  }
+  email = email.toLowerCase();
+  const owner = db.prepare('SELECT id FROM users WHERE email = ?').get(email);
+  if (owner && owner.id !== userId) return { error: 'Email is already in use' };
+  return { email };
+}
+
+function setUserEmail(userId, email) {
+  const result = checkUserEmail(email, userId);
+  if (result.error) return result;
+  db.prepare('UPDATE users SET email = ? WHERE id = ?').run(result.email, userId);
+  return { success: true, email: result.email };
+}
+
+// Look up a user by username and password
+// Successful password checks are remembered for a short while, so the many
+// requests of a single clone or push don't each pay for scrypt. Keys are a
+// digest of the credentials and the stored hash, so a new password misses.
+const PASSWORD_CACHE_TTL = 60 * 1000;
+const PASSWORD_CACHE_MAX = 1000;
+const verifiedPasswords = new Map();
+
+async function verifyUserPassword(username, password) {
+  const stmt = db.prepare('SELECT * FROM users WHERE username = ?');
+  const row = stmt.get(username);
+  if (!row) return null;
+
+  const key = createHash('sha256').update(`${row.id}\0${row.password_hash}\0${password}`).digest('hex');
+  const expires = verifiedPasswords.get(key);
+  if (!expires || expires < Date.now()) {
+    verifiedPasswords.delete(key);
+    if (!(await verifyPassword(password, row.password_hash))) return null;
+
+    if (verifiedPasswords.size >= PASSWORD_CACHE_MAX) {
+      verifiedPasswords.delete(verifiedPasswords.keys().next().value);
+    }
+    verifiedPasswords.set(key, Date.now() + PASSWORD_CACHE_TTL);
+  }
+  return getUser(username);
+}
+
+// Personal access token operations
+function createAccessToken(userId, name) {
+  const token = `ghb_${randomBytes(20).toString('hex')}`;
+  const stmt = db.prepare('INSERT INTO access_tokens (user_id, name, token_hash) VALUES (?, ?, ?)');
+  const result = stmt.run(userId, name, hashToken(token));
+
+  // The plaintext token is only ever returned here
+  return { success: true, id: Number(result.lastInsertRowid), name, token };
+}
+
+function listAccessTokens(userId) {
+  const stmt = db.prepare('SELECT id, name, last_used_at, revoked_at, created_at FROM access_tokens WHERE user_id = ? ORDER BY created_at DESC');
+  return stmt.all(userId);
+}
+
+function revokeAccessToken(userId, id) {
+  const stmt = db.prepare('UPDATE access_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL');
+  const result = stmt.run(id, userId);
+  if (result.changes === 0) {
+    return { error: 'Token not found' };
+  }
+  return { success: true };
+}
+
+// SSH key operations
+const SSH_KEY_TYPES = [
+  'ssh-ed25519', 'ssh-rsa', 'ecdsa-sha2-nistp256', 'ecdsa-sha2-nistp384', 'ecdsa-sha2-nistp521',
+  'sk-ssh-ed25519@openssh.com', 'sk-ecdsa-sha2-nistp256@openssh.com'
+];
+
+// Parse a public key in authorized_keys format ("<type> <base64> [comment]"), or null if it is not one
+function parsePublicKey(text) {
+  const [type, data] = String(text || '').trim().split(/\s+/);
+  if (!SSH_KEY_TYPES.includes(type) || !data || !/^[A-Za-z0-9+/]+={0,2}$/.test(data)) return null;
+
+  // The key blob starts with its own type, as a length-prefixed string
+  const blob = Buffer.from(data, 'base64');
+  if (blob.length < 4 || blob.subarray(4, 4 + blob.readUInt32BE(0)).toString() !== type) return null;
+
+  return {
+    type,
+    key: blob.toString('base64'),
+    fingerprint: `SHA256:${createHash('sha256').update(blob).digest('base64').replace(/=+$/, '')}`
+  };
+}
+
+function createSshKey(userId, title, publicKey) {
+  const parsed = parsePublicKey(publicKey);
+  if (!parsed) {
+    return { error: `Key must be an OpenSSH public key of type ${SSH_KEY_TYPES.join(', ')}` };
+  }
+  if (db.prepare('SELECT id FROM ssh_keys WHERE fingerprint = ?').get(parsed.fingerprint)) {
+    return { error: 'Key is already in use' };
+  }
+
+  const keyTitle = title || String(publicKey).trim().split(/\s+/).slice(2).join(' ') || parsed.type;
+  const stmt = db.prepare('INSERT INTO ssh_keys (user_id, title, key_type, public_key, fingerprint) VALUES (?, ?, ?, ?, ?)');
+  const result = stmt.run(userId, keyTitle, parsed.type, parsed.key, parsed.fingerprint);
+  return { success: true, id: Number(result.lastInsertRowid), title: keyTitle, fingerprint: parsed.fingerprint };
+}
+
+function listSshKeys(userId) {
+  const stmt = db.prepare(`
+    SELECT id, title, key_type || ' ' || public_key AS key, fingerprint, last_used_at, created_at
+    FROM ssh_keys WHERE user_id = ? ORDER BY created_at DESC
+  `);
+  return stmt.all(userId);
+}
+
+function deleteSshKey(userId, id) {
+  const result = db.prepare('DELETE FROM ssh_keys WHERE id = ? AND user_id = ?').run(id, userId);
+  if (result.changes === 0) {
+    return { error: 'Key not found' };
+  }
+  return { success: true };
+}
+
+// Find a registered key by its type and base64 data, as sshd hands them to AuthorizedKeysCommand
+function findSshKey(type, data) {
+  const parsed = parsePublicKey(`${type} ${data}`);
+  if (!parsed) return null;
+  const stmt = db.prepare('SELECT id, user_id, key_type, public_key FROM ssh_keys WHERE fingerprint = ?');
+  return stmt.get(parsed.fingerprint) || null;
+}
+
+// Resolve an SSH key to its user
+function findUserBySshKey(keyId) {
+  const stmt = db.prepare(`
+    SELECT u.id, u.username, u.is_admin, u.created_at
+    FROM ssh_keys k JOIN users u ON u.id = k.user_id
+    WHERE k.id = ?
+  `);
+  const user = stmt.get(keyId);
+  if (!user) return null;
+
+  db.prepare('UPDATE ssh_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(keyId);
+  return user;
+}
+
+// Write the allowed signers file git uses to check SSH commit signatures: every
+// registered key, with its user as the principal. Rewritten only when keys change
+let allowedSignersContent = null;
+function writeAllowedSigners() {
+  const keys = db.prepare(`
+    SELECT u.username, k.key_type, k.public_key
+    FROM ssh_keys k JOIN users u ON u.id = k.user_id
+    ORDER BY k.id
+  `).all();
+  const content = keys.map(k => `${k.username} namespaces="git" ${k.key_type} ${k.public_key}\n`).join('');
+  if (content !== allowedSignersContent) {
+    fs.writeFileSync(ALLOWED_SIGNERS_FILE, content);
+    allowedSignersContent = content;
+  }
+  return ALLOWED_SIGNERS_FILE;
+}
+
+// Resolve a personal access token to its user
+function findUserByToken(token) {
+  if (!token) return null;
+
+  const stmt = db.prepare(`
+    SELECT t.id AS token_id, u.id, u.username, u.email, u.is_admin, u.created_at
+    FROM access_tokens t JOIN users u ON u.id = t.user_id
+    WHERE t.token_hash = ? AND t.revoked_at IS NULL
+  `);
+  const row = stmt.get(hashToken(token));
+  if (!row) return null;
+
+  db.prepare('UPDATE access_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(row.token_id);
+  const { token_id, ...user } = row;
+  return user;
+}
+
+// Parse an "Authorization: Basic" header
+function parseBasicAuth(req) {
+  const header = req.headers['authorization'];
+  if (!header || !header.startsWith('Basic ')) {
+    return null;
+  }
+
+  const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  if (separator === -1) return null;
+
+  return {
+    username: decoded.slice(0, separator),
+    password: decoded.slice(separator + 1)
+  };
+}
+
+// Parse an "Authorization: Bearer" header
+function parseBearerToken(req) {
+  const header = req.headers['authorization'];
+  if (!header || !header.startsWith('Bearer ')) {
+    return null;
+  }
+  return header.slice(7).trim();
+}
+
+// Authenticate a request, returning the user or null
+async function authenticate(req) {
+  const bearer = parseBearerToken(req);
+  if (bearer) {
+    return findUserByToken(bearer);
+  }
+
+  const credentials = parseBasicAuth(req);
+  if (!credentials) return null;
+
+  // Token auth: username is ignored, password is the token
+  if (credentials.username === 'x-token' || credentials.username === 'x-access-token') {
+    return findUserByToken(credentials.password);
+  }
+
+  const user = await verifyUserPassword(credentials.username, credentials.password);
+  if (user) return user;
+
+  // A personal access token is also accepted in place of the password
+  const tokenUser = findUserByToken(credentials.password);
+  return tokenUser && tokenUser.username === credentials.username ? tokenUser : null;
+}
+
+// Whether a state-changing request was sent by a page on another site. Browsers
+// say so in Sec-Fetch-Site, or older ones in Origin; git and curl send neither
+function isCrossSiteRequest(req) {
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') return false;
+
+  const fetchSite = req.headers['sec-fetch-site'];
+  if (fetchSite) return fetchSite !== 'same-origin' && fetchSite !== 'none';
+
+  const origin = req.headers['origin'];
+  if (!origin) return false;
+  try {
+    return new URL(origin).host !== req.headers['host'];
+  } catch {
+    // Including "null" from sandboxed frames and redirects
+    return true;
+  }
+}
+
+// Send a 401 challenge so git credential helpers and browsers prompt for credentials
+function sendUnauthorized(res, { json = false } = {}) {
+  const challenges = json
+    ? ['Basic realm="GutHib"', 'Bearer realm="GutHib"']
+    : 'Basic realm="GutHib"';
+
+  res.writeHead(401, {
+    'Content-Type': json ? 'application/json' : 'text/plain',
+    'WWW-Authenticate': challenges
+  });
+  res.end(json ? JSON.stringify({ error: 'Authentication required' }) : 'Authentication required');
+}
+
+// Branch protection rules. Patterns match branch names: "*" matches within
+// one path segment and "**" matches across segments, e.g. "main" or "release/*".
+const BRANCH_RULE_FLAGS = ['allow_force_push', 'allow_deletion', 'require_linear_history', 'require_status_checks'];
+
+function branchPatternToRegExp(pattern) {
+  const source = pattern
+    .split('**')
+    .map(part => part.split('*').map(s => s.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+function listBranchProtections(repoName) {
+  const stmt = db.prepare('SELECT * FROM branch_protections WHERE repo_name = ? ORDER BY pattern');
+  return stmt.all(repoName);
+}
+
+// Validate and normalize rule fields from a JSON or form request
+function normalizeBranchRule(data, existing = {}) {
+  const rule = { ...existing };
+  if (data.pattern !== undefined) rule.pattern = String(data.pattern).trim();
+  if (data.push_role !== undefined) rule.push_role = data.push_role;
+  for (const flag of BRANCH_RULE_FLAGS) {
+    if (data[flag] !== undefined) {
+      rule[flag] = [true, 1, '1', 'on', 'true'].includes(data[flag]) ? 1 : 0;
+    }
+  }
+  // Contexts that must have succeeded, on top of every reported status
+  if (data.required_contexts !== undefined) rule.required_contexts = parseNameList(data.required_contexts).join(',');
+
+  if (!rule.pattern || rule.pattern.startsWith('refs/')) {
+    return { error: 'Pattern must be a branch name or glob, e.g. main or release/*' };
+  }
+  if (!ROLES.includes(rule.push_role || 'write')) {
+    return { error: 'Push role must be read, write or admin' };
+  }
+  return { rule };
+}
+
+function createBranchProtection(repoName, data) {
+  const { rule, error } = normalizeBranchRule(data);
+  if (error) return { error };
+
+  try {
+    const stmt = db.prepare(`
+      INSERT INTO branch_protections (
+        repo_name, pattern, push_role, allow_force_push, allow_deletion, require_linear_history, require_status_checks, required_contexts
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+    const result = stmt.run(
+      repoName, rule.pattern, rule.push_role || 'write',
+      rule.allow_force_push || 0, rule.allow_deletion || 0, rule.require_linear_history || 0,
+      rule.require_status_checks || 0, rule.required_contexts || ''
+    );
+    return { success: true, id: Number(result.lastInsertRowid) };
+  } catch (err) {
+    return { error: 'A rule for this pattern already exists' };
+  }
+}
+
+function updateBranchProtection(repoName, id, data) {
+  const existing = db.prepare('SELECT * FROM branch_protections WHERE id = ? AND repo_name = ?').get(id, repoName);
+  if (!existing) {
+    return { error: 'Rule not found' };
+  }
+
+  const { rule, error } = normalizeBranchRule(data, existing);
+  if (error) return { error };
+
+  try {
+    const stmt = db.prepare(`
+      UPDATE branch_protections
+      SET pattern = ?, push_role = ?, allow_force_push = ?, allow_deletion = ?, require_linear_history = ?,
+          require_status_checks = ?, required_contexts = ?
+      WHERE id = ?
+    `);
+    stmt.run(
+      rule.pattern, rule.push_role, rule.allow_force_push, rule.allow_deletion, rule.require_linear_history,
+      rule.require_status_checks, rule.required_contexts, id
+    );
+    return { success: true };
+  } catch (err) {
+    return { error: 'A rule for this pattern already exists' };
+  }
+}
+
+function deleteBranchProtection(repoName, id) {
+  const stmt = db.prepare('DELETE FROM branch_protections WHERE id = ? AND repo_name = ?');
+  const result = stmt.run(id, repoName);
+  if (result.changes === 0) {
+    return { error: 'Rule not found' };
+  }
+  return { success: true };
+}
+
+// Combine every rule matching a ref into the most restrictive one (null if the ref is unprotected)
+function getBranchRule(repoName, ref) {
+  if (!ref.startsWith('refs/heads/')) return null;
+  const branch = ref.slice('refs/heads/'.length);
+
+  const rules = listBranchProtections(repoName).filter(r => branchPatternToRegExp(r.pattern).test(branch));
+  if (rules.length === 0) return null;
+
+  return {
+    branch,
+    push_role: rules.reduce((role, r) => ROLES.indexOf(r.push_role) > ROLES.indexOf(role) ? r.push_role : role, 'read'),
+    allow_force_push: rules.every(r => r.allow_force_push),
+    allow_deletion: rules.every(r => r.allow_deletion),
+    require_linear_history: rules.some(r => r.require_linear_history),
+    require_status_checks: rules.some(r => r.require_status_checks),
+    required_contexts: [...new Set(rules.filter(r => r.require_status_checks).flatMap(r => parseNameList(r.required_contexts || '')))]
+  };
+}
+
+// Pushes waiting on the proc-receive hook, keyed by a one-time token. Entries are
+// removed once receive-pack exits; the sweep drops any left behind by a push that
+// never finished, well after git would have given up on it
+const pendingPushChecks = new Map();
+const PENDING_PUSH_TTL = 60 * 60 * 1000;
+
+function sweepPendingPushChecks() {
+  const cutoff = Date.now() - PENDING_PUSH_TTL;
+  for (const [token, pending] of pendingPushChecks) {
+    if (pending.createdAt < cutoff) pendingPushChecks.delete(token);
+  }
+}
+
+// Decide whether a ref update is allowed by branch protection.
+// Returns null when allowed, otherwise the reason shown to the pusher.
+// Required statuses are those of the new tip, or of statusSha for merges
+async function checkRefUpdate(repoName, user, { before, after, ref }, { statusSha = after } = {}) {
+  const rule = getBranchRule(repoName, ref);
+  if (!rule) return null;
+
+  const repoPath = getRepoPath(repoName);
+  const { branch } = rule;
+
+  if (!canAccess(user, repoName, rule.push_role)) {
+    return `protected branch ${branch} requires ${rule.push_role} access to push`;
+  }
+
+  if (after === ZERO_SHA) {
+    return rule.allow_deletion ? null : `cannot delete protected branch ${branch}`;
+  }
+
+  if (before !== ZERO_SHA && !rule.allow_force_push && !(await isAncestor(repoPath, before, after))) {
+    return `non-fast-forward updates are not allowed on protected branch ${branch}`;
+  }
+
+  if (rule.require_linear_history) {
+    const range = before === ZERO_SHA ? [after, '--not', '--all'] : [`${before}..${after}`];
+    const merges = await runGit(repoPath, ['rev-list', '--merges', '--max-count=1', ...range]);
+    if (merges.trim()) {
+      return `merge commits are not allowed on protected branch ${branch}`;
+    }
+  }
+
+  if (rule.require_status_checks) {
+    const failure = checkRequiredStatuses(repoName, statusSha, rule.required_contexts);
+    if (failure) {
+      return `protected branch ${branch} requires successful status checks: ${failure}`;
+    }
+  }
+
+  return null;
+}
+
+// Webhook CRUD operations
+function createWebhook(repoName, url, secret = '', events = ['push']) {
+  const list = (Array.isArray(events) ? events : String(events).split(',')).map(e => e.trim()).filter(Boolean);
+  const unknown = list.filter(e => !WEBHOOK_EVENTS.includes(e));
+  if (list.length === 0 || unknown.length > 0) {
+    return { error: `Events must be one or more of: ${WEBHOOK_EVENTS.join(', ')}` };
+  }
+
+  const stmt = db.prepare('INSERT INTO webhooks (repo_name, url, secret, events) VALUES (?, ?, ?, ?)');
+  stmt.run(repoName, url, secret, list.join(','));
+  return { success: true };
+}
+
+function listWebhooks(repoName) {
+  const stmt = db.prepare('SELECT * FROM webhooks WHERE repo_name = ? ORDER BY created_at DESC');
+  return stmt.all(repoName);
+}
+
+function getWebhook(repoName, id) {
+  const stmt = db.prepare('SELECT * FROM webhooks WHERE id = ? AND repo_name = ?');
+  return stmt.get(id, repoName);
+}
+
+function deleteWebhook(repoName, id) {
+  const stmt = db.prepare('DELETE FROM webhooks WHERE id = ? AND repo_name = ?');
+  const result = stmt.run(id, repoName);
+  if (result.changes > 0) {
+    db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(id);
+  }
+  return { success: true };
+}
+
+// Events a webhook can subscribe to
+const WEBHOOK_EVENTS = ['push', 'pull_request', 'issues', 'release'];
+
+// Webhook delivery settings
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_RETRY_BASE_MS = 10 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_RESPONSE_EXCERPT = 2048;
+
+// Queue a delivery for every webhook subscribed to the event
+function triggerWebhooks(repoName, event, payload) {
+  const webhooks = listWebhooks(repoName);
+
+  for (const webhook of webhooks) {
+    if (!webhook.events.split(',').includes(event)) continue;
+
+    const body = JSON.stringify({
+      event,
+      repository: repoName,
+      timestamp: new Date().toISOString(),
+      ...payload
+    });
+
+    enqueueDelivery(webhook, event, body);
+  }
+
+  processDeliveries();
+}
+
+// Record a pending delivery with the exact headers and body that will be sent
+function enqueueDelivery(webhook, event, body) {
+  const guid = randomUUID();
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-GutHib-Event': event,
+    'X-GutHib-Delivery': guid
+  };
+
+  if (webhook.secret) {
+    const signature = createHmac('sha256', webhook.secret).update(body).digest('hex');
+    headers['X-GutHib-Signature'] = `sha256=${signature}`;
+  }
+
+  const stmt = db.prepare(`
+    INSERT INTO webhook_deliveries (webhook_id, repo_name, event, guid, request_headers, request_body, next_attempt_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const result = stmt.run(webhook.id, webhook.repo_name, event, guid, JSON.stringify(headers), body, new Date().toISOString());
+  return Number(result.lastInsertRowid);
+}
+
+// POST a delivery to its webhook URL, resolving with the outcome (never rejects)
+function sendDelivery(url, delivery) {
+  return new Promise((resolve) => {
+    const started = Date.now();
+    const finish = (outcome) => resolve({ ...outcome, duration: Date.now() - started });
+
+    let target;
+    try {
+      target = new URL(url);
+    } catch (err) {
+      finish({ error: err.message });
+      return;
+    }
+
+    const proto = target.protocol === 'https:' ? https : http;
+    const req = proto.request(target, {
+      method: 'POST',
+      headers: {
+        ...JSON.parse(delivery.request_headers),
+        'Content-Length': Buffer.byteLength(delivery.request_body)
+      }
+    }, (res) => {
+      let excerpt = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        if (excerpt.length < WEBHOOK_RESPONSE_EXCERPT) {
+          excerpt = (excerpt + chunk).slice(0, WEBHOOK_RESPONSE_EXCERPT);
+        }
+      });
+      res.on('end', () => finish({ status: res.statusCode, body: excerpt }));
+      res.on('error', (err) => finish({ status: res.statusCode, body: excerpt, error: err.message }));
+    });
+
+    req.setTimeout(WEBHOOK_TIMEOUT_MS, () => req.destroy(new Error('Request timed out')));
+    req.on('error', (err) => finish({ error: err.message }));
+    req.end(delivery.request_body);
+  });
+}
+
+// Make one delivery attempt and schedule a retry with exponential backoff if it fails
+async function attemptDelivery(delivery) {
+  const webhook = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(delivery.webhook_id);
+  const outcome = webhook
+    ? await sendDelivery(webhook.url, delivery)
+    : { error: 'Webhook no longer exists', duration: 0 };
+
+  const attempts = delivery.attempts + 1;
+  const succeeded = outcome.status >= 200 && outcome.status < 300;
+  const exhausted = !webhook || attempts >= WEBHOOK_MAX_ATTEMPTS;
+
+  let status = 'success';
+  let nextAttemptAt = null;
+  if (!succeeded) {
+    status = exhausted ? 'failed' : 'pending';
+    if (!exhausted) {
+      nextAttemptAt = new Date(Date.now() + WEBHOOK_RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString();
+    }
+  }
+
+  const stmt = db.prepare(`
+    UPDATE webhook_deliveries
+    SET status = ?, attempts = ?, next_attempt_at = ?, response_status = ?, response_body = ?,
+        error = ?, duration_ms = ?, delivered_at = ?
+    WHERE id = ?
+  `);
+  stmt.run(
+    status, attempts, nextAttemptAt, outcome.status ?? null, outcome.body ?? null,
+    outcome.error ?? null, outcome.duration, new Date().toISOString(), delivery.id
+  );
+
+  const result = succeeded ? `responded with ${outcome.status}` : `failed: ${outcome.error || `HTTP ${outcome.status}`}`;
+  console.log(`Webhook delivery ${delivery.guid} (attempt ${attempts}) ${result}`);
+}
+
+// Background worker: send every pending delivery that is due
+let deliveryWorkerRunning = false;
+async function processDeliveries() {
+  if (deliveryWorkerRunning) return;
+  deliveryWorkerRunning = true;
+
+  try {
+    const stmt = db.prepare(`
+      SELECT * FROM webhook_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= ?
+        AND repo_name IN (SELECT name FROM repositories WHERE deleted_at IS NULL)
+      ORDER BY next_attempt_at LIMIT 20
+    `);
+
+    let due;
+    while ((due = stmt.all(new Date().toISOString())).length > 0) {
+      for (const delivery of due) {
+        await attemptDelivery(delivery);
+      }
+    }
+  } catch (err) {
+    console.error('Webhook delivery worker error:', err);
+  } finally {
+    deliveryWorkerRunning = false;
+  }
+}
+
+// Delivery log operations
+function listDeliveries(webhookId, limit = 20) {
+  const stmt = db.prepare(`
+    SELECT id, guid, event, status, attempts, response_status, error, duration_ms, next_attempt_at, delivered_at, created_at
+    FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ?
+  `);
+  return stmt.all(webhookId, limit);
+}
+
+function getDelivery(webhookId, id) {
+  const stmt = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?');
+  const delivery = stmt.get(id, webhookId);
+  if (!delivery) return null;
+  return { ...delivery, request_headers: JSON.parse(delivery.request_headers) };
+}
+
+// Send a finished delivery's payload again as a new delivery
+function redeliver(webhookId, id) {
+  const delivery = getDelivery(webhookId, id);
+  if (!delivery) {
+    return { error: 'Delivery not found' };
+  }
+  if (delivery.status === 'pending') {
+    return { error: 'Delivery is still pending' };
+  }
+
+  const webhook = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(webhookId);
+  const newId = enqueueDelivery(webhook, delivery.event, delivery.request_body);
+  processDeliveries();
+
+  return { success: true, id: newId };
+}
+
+// Run a git command in a repository and collect its output
+function runGit(repoPath, args, { env, raw = false, input } = {}) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('git', args, { cwd: repoPath, env: env ? { ...process.env, ...env } : process.env });
+    if (input !== undefined) proc.stdin.end(input);
+    const chunks = [];
+    let stderr = '';
+    proc.stdout.on('data', (d) => chunks.push(d));
+    proc.stderr.on('data', (d) => stderr += d);
+    proc.on('close', (code) => {
+      // Raw output stays a Buffer, for file contents that may be binary
+      const output = raw ? Buffer.concat(chunks) : Buffer.concat(chunks).toString();
+      if (code !== 0) {
+        const err = new Error(stderr.trim() || `git ${args[0]} failed`);
+        err.code = code;
+        err.stdout = output;
+        reject(err);
+        return;
+      }
+      resolve(output);
+    });
+  });
+}
+
+// Current value of a ref, or null if it does not exist
+async function readRef(repoPath, ref) {
+  try {
+    return (await runGit(repoPath, ['rev-parse', '--verify', '--quiet', ref])).trim();
+  } catch {
+    return null;
+  }
+}
+
+// Check whether one commit is an ancestor of another
+async function isAncestor(repoPath, ancestor, descendant) {
+  try {
+    await runGit(repoPath, ['merge-base', '--is-ancestor', ancestor, descendant]);
+    return true;
+  } catch (err) {
+    if (err.code === 1) return false;
+    throw err;
+  }
+}
+
+// Branch the repository's HEAD points at, or null if HEAD is detached
+async function getDefaultBranch(repoPath) {
+  try {
+    return (await runGit(repoPath, ['symbolic-ref', '--short', '-q', 'HEAD'])).trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+// Point HEAD at a pushed branch while the branch it names does not exist yet,
+// so the first branch pushed to an empty repository becomes its default branch
+async function adoptDefaultBranch(repoPath, updates) {
+  try {
+    const head = (await runGit(repoPath, ['symbolic-ref', '-q', 'HEAD'])).trim();
+    if (await readRef(repoPath, head)) return;
+    // Unless a default branch was chosen when the repository was created
+    if (await runGit(repoPath, ['config', '--get', 'guthib.defaultBranch']).catch(() => '')) return;
+
+    const created = updates.find(u => u.ref.startsWith('refs/heads/') && u.after !== ZERO_SHA);
+    if (created && await readRef(repoPath, created.ref)) {
+      await runGit(repoPath, ['symbolic-ref', 'HEAD', created.ref]);
+    }
+  } catch (err) {
+    console.error('Failed to set default branch:', err.message);
+  }
+}
+
+// Branch and tag names of a repository
+async function listRefNames(repoPath) {
+  const output = await runGit(repoPath, ['for-each-ref', '--format=%(refname)', 'refs/heads', 'refs/tags']);
+  const refs = { branches: new Set(), tags: new Set() };
+  for (const ref of output.split('\n').filter(Boolean)) {
+    if (ref.startsWith('refs/heads/')) refs.branches.add(ref.slice('refs/heads/'.length));
+    else refs.tags.add(ref.slice('refs/tags/'.length));
+  }
+  return refs;
+}
+
+// A revision as written in a browsing URL: a branch or tag name (which may
+// contain slashes), HEAD or a commit hash, optionally followed by ~n / ^n
+const REVISION_PATTERN = /^([^~^:\s\\]+?)((?:[~^]\d*)*)$/;
+
+// Resolve a revision from a URL to the commit it names. An empty revision
+// means the default branch. Returns { name, label, type, ref, sha } where type
+// is 'branch', 'tag' or 'commit', or null if it does not name a commit
+async function resolveRevision(repoPath, rev, refs = null) {
+  if (!rev) {
+    rev = await getDefaultBranch(repoPath);
+    if (!rev) return null;
+  }
+
+  const match = rev.match(REVISION_PATTERN);
+  if (!match || rev.startsWith('-') || rev.includes('..') || rev.includes('@{')) return null;
+  const [, base, suffix] = match;
+
+  refs = refs || await listRefNames(repoPath);
+  let ref = null;
+  if (refs.branches.has(base)) {
+    ref = `refs/heads/${base}`;
+  } else if (refs.tags.has(base)) {
+    ref = `refs/tags/${base}`;
+  } else if (base !== 'HEAD' && !/^[a-f0-9]{4,40}$/i.test(base)) {
+    return null;
+  }
+
+  const sha = await readRef(repoPath, `${ref || base}${suffix}^{commit}`);
+  if (!sha) return null;
+
+  // Only an exact branch or tag name stays on that ref; HEAD~2 or main^ name a fixed commit
+  const type = ref && !suffix ? (ref.startsWith('refs/heads/') ? 'branch' : 'tag') : 'commit';
+  const label = type === 'commit' && /^[a-f0-9]{40}$/i.test(rev) ? rev.substring(0, 7) : rev;
+  return { name: rev, label, type, ref: type === 'commit' ? null : ref, sha };
+}
+
+// Split "<revision>/<path>" from a blob or tree URL. Since branch and tag names
+// may contain slashes, the longest prefix that names a commit wins
+async function splitRevisionPath(repoPath, revPath) {
+  const segments = revPath.split('/');
+  const refs = await listRefNames(repoPath);
+  for (let i = segments.length; i > 0; i--) {
+    const revision = await resolveRevision(repoPath, segments.slice(0, i).join('/'), refs);
+    if (revision) return { revision, path: segments.slice(i).join('/') };
+  }
+  return null;
+}
+
+// Encode a revision or file path for use in a URL, keeping its slashes
+function encodeRevisionPath(value) {
+  return value.split('/').map(encodeURIComponent).join('/');
+}
+
+// Decode a path captured from a URL, or null if it is malformed
+function decodeRevisionPath(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return null;
+  }
+}
+
+const MAX_PUSH_COMMITS = 20;
+
+// The revisions git log and rev-list need for the commits a ref update
+// introduced. New refs introduce the commits no other ref already had; HEAD
+// is left out too, as it may point at the new ref
+function pushRange({ before, after, ref }) {
+  return before === ZERO_SHA
+    ? [after, '--not', `--exclude=${ref}`, '--exclude=HEAD', '--all']
+    : [`${before}..${after}`];
+}
+
+// List the newest commits a ref update introduced, oldest first, with their changed files
+async function getPushCommits(repoPath, update) {
+  if (update.after === ZERO_SHA) return [];
+
+  const shas = (await runGit(repoPath, ['rev-list', '--reverse', `--max-count=${MAX_PUSH_COMMITS}`, ...pushRange(update)]))
+    .split('\n')
+    .filter(Boolean);
+  if (shas.length === 0) return [];
+
+  const log = await runGit(repoPath, [
+    'log', '--no-walk=unsorted', '--no-renames', '--name-status',
+    '--format=%x1e%H%x1f%an%x1f%ae%x1f%aI%x1f%B%x1f', ...shas
+  ]);
+
+  return log.split('\x1e').filter(Boolean).map(record => {
+    const [id, name, email, timestamp, message, changes] = record.split('\x1f');
+    const commit = {
+      id,
+      message: message.trim(),
+      timestamp,
+      author: { name, email },
+      added: [],
+      modified: [],
+      removed: []
+    };
+
+    for (const line of changes.split('\n').filter(l => l.trim())) {
+      const [status, ...pathParts] = line.split('\t');
+      const filePath = pathParts.join('\t');
+      if (status === 'A') commit.added.push(filePath);
+      else if (status === 'D') commit.removed.push(filePath);
+      else commit.modified.push(filePath);
+    }
+    return commit;
+  });
+}
+
+// Build the push webhook payload for a single ref update.
+// Returns null when the ref was not actually updated (e.g. the push was rejected).
+async function buildPushEvent(repoPath, update) {
+  const { before, after, ref } = update;
+  const created = before === ZERO_SHA;
+  const deleted = after === ZERO_SHA;
+
+  const current = await readRef(repoPath, ref);
+  if (deleted ? current !== null : current !== after) return null;
+
+  const forced = !created && !deleted && !(await isAncestor(repoPath, before, after));
+  const commits = await getPushCommits(repoPath, update);
+
+  return {
+    ref,
+    before,
+    after,
+    created,
+    deleted,
+    forced,
+    commits,
+    head_commit: commits.length ? commits[commits.length - 1] : null
+  };
+}
+
+// Get git info (branches, tags, commits) using spawn
+function getGitInfo(repoPath) {
+  return new Promise((resolve) => {
+    const info = { branches: [], tags: [], commits: [] };
+
+    // Get branches
+    const branchProc = spawn('git', ['branch', '-a'], { cwd: repoPath });
+    let branchOutput = '';
+    branchProc.stdout.on('data', (d) => branchOutput += d);
+    branchProc.on('close', () => {
+      info.branches = branchOutput.split('\n')
+        .map(b => b.trim().replace(/^\* /, ''))
+        .filter(b => b && !b.includes('->'));
+
+      // Get tags
+      const tagProc = spawn('git', ['tag', '-l'], { cwd: repoPath });
+      let tagOutput = '';
+      tagProc.stdout.on('data', (d) => tagOutput += d);
+      tagProc.on('close', () => {
+        info.tags = tagOutput.split('\n').filter(t => t.trim());
+
+        // Get recent commits
+        const logProc = spawn('git', ['log', '--all', '--oneline', '-20'], { cwd: repoPath });
+        let logOutput = '';
+        logProc.stdout.on('data', (d) => logOutput += d);
+        logProc.on('close', () => {
+          info.commits = logOutput.split('\n').filter(c => c.trim());
+          resolve(info);
+        });
+      });
+    });
+  });
+}
+
+// Check a commit's signature with git verify-commit. Returns null for unsigned
+// commits, otherwise { verified, type, signer, reason }. SSH signatures are
+// checked against the keys GutHib users have registered; GPG and X.509 ones
+// against the keyrings of the user the server runs as. A good signature only
+// counts if the key belongs to the committer's email: the email of the GutHib
+// user with the SSH key, or one of the addresses on the GPG or X.509 key
+async function verifyCommitSignature(repoPath, sha) {
+  const object = await runGit(repoPath, ['cat-file', 'commit', sha]);
+  const headers = object.slice(0, object.indexOf('\n\n'));
+  const signature = headers.match(/^gpgsig(?:-sha256)? -----BEGIN ([A-Z ]+)-----/m);
+  if (!signature) return null;
+  const type = { 'SSH SIGNATURE': 'ssh', 'PGP SIGNATURE': 'gpg', 'SIGNED MESSAGE': 'x509' }[signature[1]] || 'unknown';
+  const committer = headers.match(/^committer .*<([^<>]*)> \d+ [+-]\d{4}$/m);
+  const committerEmail = committer ? committer[1].toLowerCase() : null;
+
+  const allowedSigners = path.resolve(writeAllowedSigners());
+  const { code, output } = await new Promise((resolve) => {
+    // verify-commit reports on stderr, whether or not the signature is good
+    const proc = spawn('git', ['-c', `gpg.ssh.allowedSignersFile=${allowedSigners}`, 'verify-commit', sha], { cwd: repoPath });
+    let output = '';
+    proc.stderr.on('data', (d) => output += d);
+    proc.on('error', () => resolve({ code: -1, output }));
+    proc.on('close', (code) => resolve({ code, output }));
+  });
+
+  const signer = output.match(/Good "git" signature for (\S+)/) || output.match(/Good signature from "([^"]+)"/);
+  if (code === 0) {
+    let signerEmails;
+    if (type === 'ssh') {
+      const signerUser = signer ? getUser(signer[1]) : null;
+      signerEmails = signerUser && signerUser.email ? [signerUser.email] : [];
+    } else {
+      // gpg lists each of the key's user IDs, as "Good signature from" and "aka" lines
+      signerEmails = [...output.matchAll(/(?:Good signature from|aka) "([^"]+)"/g)]
+        .map(m => (m[1].match(/<([^<>]+)>$/) || [null, m[1]])[1].toLowerCase())
+        .filter(email => email.includes('@'));
+    }
+    if (!committerEmail || !signerEmails.includes(committerEmail)) {
+      return { verified: false, type, signer: signer ? signer[1] : null, reason: 'The signing key does not belong to the committer\'s email' };
+    }
+    return { verified: true, type, signer: signer ? signer[1] : null, reason: 'valid' };
+  }
+
+  let reason = 'The signature could not be verified';
+  if (/BAD signature|Signature verification failed|incorrect signature/i.test(output)) {
+    reason = 'The signature does not match the commit';
+  } else if (/No principal matched|No public key|not found/i.test(output)) {
+    reason = 'The signature was made with a key that is not registered';
+  } else if (/expired|revoked/i.test(output)) {
+    reason = 'The signing key has expired or was revoked';
+  }
+  return { verified: false, type, signer: null, reason };
+}
+
+// A commit as an email patch, as produced by git format-patch. Merge commits,
+// which format-patch skips, are shown against their first parent
+async function getCommitPatch(repoPath, sha) {
+  const patch = await runGit(repoPath, ['format-patch', '-1', '--stdout', sha]);
+  if (patch) return patch;
+  return runGit(repoPath, ['show', '--format=email', '--stat', '--patch', '--diff-merges=first-parent', sha]);
+}
+
+// The last commit that changed each of the named entries of a directory.
+// Walks the directory's history once, stopping as soon as every entry is found
+function getLastCommits(repoPath, sha, treePath, names) {
+  return new Promise((resolve) => {
+    const pending = new Set(names);
+    const commits = new Map();
+    const prefix = treePath ? `${treePath}/` : '';
+    const proc = spawn('git', [
+      '-c', 'core.quotePath=false', 'log', '--format=%x01%H%x00%s%x00%aI', '--name-only', '--no-renames',
+      sha, '--', treePath || '.'
+    ], { cwd: repoPath });
+
+    let buffer = '';
+    let current = null;
+    proc.stdout.setEncoding('utf8');
+    proc.stdout.on('data', (chunk) => {
+      const lines = (buffer + chunk).split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line.startsWith('\x01')) {
+          const [commitSha, message, date] = line.slice(1).split('\0');
+          current = { sha: commitSha, message, date };
+          if (!commits.has('')) commits.set('', current);
+          continue;
+        }
+        if (!line || !current) continue;
+
+        // Unusual file names are quoted, with C-style escapes
+        let filePath = line;
+        if (line.startsWith('"')) {
+          try {
+            filePath = JSON.parse(line);
+          } catch {
+            continue;
+          }
+        }
+        if (!filePath.startsWith(prefix)) continue;
+        const name = filePath.slice(prefix.length).split('/')[0];
+        if (pending.delete(name)) commits.set(name, current);
+      }
+      if (pending.size === 0) proc.kill();
+    });
+    proc.on('error', () => resolve(commits));
+    proc.on('close', () => resolve(commits));
+  });
+}
+
+// Submodule URLs by path, from the .gitmodules file of a commit
+async function getSubmoduleUrls(repoPath, sha) {
+  const urls = new Map();
+  let output;
+  try {
+    output = await runGit(repoPath, ['config', '--blob', `${sha}:.gitmodules`, '-z', '--get-regexp', String.raw`^submodule\..*\.(path|url)$`]);
+  } catch {
+    return urls;
+  }
+
+  const submodules = new Map();
+  for (const item of output.split('\0').filter(Boolean)) {
+    const newline = item.indexOf('\n');
+    const match = item.slice(0, newline).match(/^submodule\.(.*)\.(path|url)$/);
+    if (!match) continue;
+    const submodule = submodules.get(match[1]) || {};
+    submodule[match[2]] = item.slice(newline + 1);
+    submodules.set(match[1], submodule);
+  }
+  for (const { path: submodulePath, url } of submodules.values()) {
+    if (submodulePath && url) urls.set(submodulePath, url);
+  }
+  return urls;
+}
+
+// Compare two commits. Callers pass resolved revisions; --end-of-options makes
+// sure nothing else is ever read as an option
+function getCommitComparison(repoPath, base, head) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('git', ['diff', '--end-of-options', base, head], { cwd: repoPath });
+    let output = '';
+    let stderr = '';
+    proc.stdout.on('data', (d) => output += d);
+    proc.stderr.on('data', (d) => stderr += d);
+    proc.on('close', (code) => {
+      if (code !== 0) {
+        reject(new Error(stderr || 'Comparison failed'));
+        return;
+      }
+      resolve(output);
+    });
+  });
+}
+
+// Browsing API: structured views of refs, commits, trees and diffs
+const EMPTY_TREE = '4b825dc642cb6eb9a060e54bf8d69288fbee4904';
+const DEFAULT_PER_PAGE = 30;
+const MAX_PER_PAGE = 100;
+
+// Page and page size from ?page=&per_page=
+function getPagination(query) {
+  const page = Math.max(parseInt(query.get('page')) || 1, 1);
+  const perPage = Math.min(Math.max(parseInt(query.get('per_page')) || DEFAULT_PER_PAGE, 1), MAX_PER_PAGE);
+  return { page, perPage, skip: (page - 1) * perPage };
+}
+
+// Response headers for one page of a listing, with a Link header to the neighbouring pages
+function paginationHeaders(req, { page, perPage }, total) {
+  const lastPage = Math.max(Math.ceil(total / perPage), 1);
+  const url = new URL(req.url, `http://${req.headers.host || `localhost:${PORT}`}`);
+  const link = (p, rel) => {
+    url.searchParams.set('page', p);
+    url.searchParams.set('per_page', perPage);
+    return `<${url}>; rel="${rel}"`;
+  };
+
+  const links = [];
+  if (page < lastPage) links.push(link(page + 1, 'next'), link(lastPage, 'last'));
+  if (page > 1) links.push(link(1, 'first'), link(Math.min(page - 1, lastPage), 'prev'));
+
+  const headers = { 'Content-Type': 'application/json', 'X-Total-Count': String(total) };
+  if (links.length) headers['Link'] = links.join(', ');
+  return headers;
+}
+
+async function listBranches(repoName) {
+  const repoPath = getRepoPath(repoName);
+  const defaultBranch = await getDefaultBranch(repoPath);
+  const output = await runGit(repoPath, ['for-each-ref', '--format=%(refname:strip=2)%00%(objectname)', 'refs/heads']);
+
+  return output.split('\n').filter(Boolean).map(line => {
+    const [name, sha] = line.split('\0');
+    return {
+      name,
+      commit: { sha, url: `/${repoName}/commit/${sha}` },
+      default: name === defaultBranch,
+      protected: Boolean(getBranchRule(repoName, `refs/heads/${name}`))
+    };
+  });
+}
+
+async function listTags(repoName) {
+  const output = await runGit(getRepoPath(repoName), [
+    'for-each-ref', '--sort=-creatordate',
+    '--format=%(refname:strip=2)%00%(objecttype)%00%(objectname)%00%(*objectname)%00%(contents:subject)',
+    'refs/tags'
+  ]);
+
+  return output.split('\n').filter(Boolean).map(line => {
+    const [name, type, objectSha, targetSha, subject] = line.split('\0');
+    const annotated = type === 'tag';
+    const sha = annotated ? targetSha : objectSha;
+    return {
+      name,
+      commit: { sha, url: `/${repoName}/commit/${sha}` },
+      annotated,
+      message: annotated ? subject : null
+    };
+  });
+}
+
+const COMMIT_FORMAT = '%x1e%H%x1f%T%x1f%P%x1f%an%x1f%ae%x1f%aI%x1f%cn%x1f%ce%x1f%cI%x1f%B';
+
+// Parse `git log --format=COMMIT_FORMAT` output
+function parseCommitLog(repoName, log) {
+  return log.split('\x1e').filter(Boolean).map(record => {
+    const [sha, tree, parents, authorName, authorEmail, authorDate, committerName, committerEmail, committerDate, message] = record.split('\x1f');
+    return {
+      sha,
+      tree,
+      parents: parents.split(' ').filter(Boolean).map(p => ({ sha: p, url: `/${repoName}/commit/${p}` })),
+      author: { name: authorName, email: authorEmail, date: authorDate },
+      committer: { name: committerName, email: committerEmail, date: committerDate },
+      message: message.trim(),
+      url: `/${repoName}/commit/${sha}`
+    };
+  });
+}
+
+// git arguments for a date filter. A bare day covers the whole day
+function historyDateArg(option, value, time) {
+  return `--${option}=${/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value} ${time}` : value}`;
+}
+
+// One page of the history of a commit, newest first. It can be limited to a
+// path, an author, a date range or messages containing some text, and follow
+// only first parents
+async function listCommits(repoName, sha, { path: filePath, author, since, until, grep, regex = false, matchCase = false, firstParent = false, skip, limit }) {
+  const repoPath = getRepoPath(repoName);
+  // Author and message filters match plain text, case-insensitively, unless
+  // regex (POSIX extended) or matchCase are set
+  const filterArgs = [regex ? '--extended-regexp' : '--fixed-strings'];
+  if (!matchCase) filterArgs.push('--regexp-ignore-case');
+  if (author) filterArgs.push(`--author=${author}`);
+  if (grep) filterArgs.push(`--grep=${grep}`);
+  if (since) filterArgs.push(historyDateArg('since', since, '00:00:00'));
+  if (until) filterArgs.push(historyDateArg('until', until, '23:59:59'));
+  if (firstParent) filterArgs.push('--first-parent');
+  const pathArgs = filePath ? ['--', filePath] : [];
+  const [log, count] = await Promise.all([
+    runGit(repoPath, ['log', `--format=${COMMIT_FORMAT}`, ...filterArgs, `--skip=${skip}`, `--max-count=${limit}`, sha, ...pathArgs]),
+    runGit(repoPath, ['rev-list', '--count', ...filterArgs, sha, ...pathArgs])
+  ]);
+  return { commits: parseCommitLog(repoName, log), total: parseInt(count) };
+}
+
+const DIFF_STATUSES = { A: 'added', M: 'modified', D: 'removed', R: 'renamed', C: 'copied', T: 'changed' };
+
+// Files changed between two tree-ish objects, with per-file line counts
+async function getDiffFiles(repoPath, base, head) {
+  const [nameStatus, numstat] = await Promise.all([
+    runGit(repoPath, ['diff', '--name-status', '-z', '-M', '--end-of-options', base, head]),
+    runGit(repoPath, ['diff', '--numstat', '-z', '-M', '--end-of-options', base, head])
+  ]);
+
+  // --name-status -z: "R100\0old\0new\0" for renames and copies, "M\0path\0" otherwise
+  const files = [];
+  const statusParts = nameStatus.split('\0');
+  for (let i = 0; i < statusParts.length - 1;) {
+    const status = statusParts[i];
+    const file = { filename: statusParts[i + 1], status: DIFF_STATUSES[status[0]] || status };
+    if (status[0] === 'R' || status[0] === 'C') {
+      file.previous_filename = statusParts[i + 1];
+      file.filename = statusParts[i + 2];
+      i += 3;
+    } else {
+      i += 2;
+    }
+    files.push(file);
+  }
+
+  // --numstat -z: "added\tdeleted\tpath\0", or "added\tdeleted\t\0old\0new\0" for renames; "-" for binary files
+  const numstatParts = numstat.split('\0');
+  for (let i = 0, n = 0; i < numstatParts.length - 1; n++) {
+    const [additions, deletions, filePath] = numstatParts[i].split('\t');
+    i += filePath === '' ? 3 : 1;
+    const file = files[n];
+    if (!file) break;
+    file.binary = additions === '-';
+    file.additions = file.binary ? 0 : parseInt(additions);
+    file.deletions = file.binary ? 0 : parseInt(deletions);
+    file.changes = file.additions + file.deletions;
+  }
+
+  return files;
+}
+
+// Totals across a list of changed files
+function diffStats(files) {
+  const additions = files.reduce((sum, f) => sum + f.additions, 0);
+  const deletions = files.reduce((sum, f) => sum + f.deletions, 0);
+  return { additions, deletions, total: additions + deletions };
+}
+
+// A commit with the files it changed relative to its first parent
+async function getCommit(repoName, sha) {
+  const repoPath = getRepoPath(repoName);
+  const [commit] = parseCommitLog(repoName, await runGit(repoPath, ['log', '-1', `--format=${COMMIT_FORMAT}`, sha]));
+  const base = commit.parents.length ? commit.parents[0].sha : EMPTY_TREE;
+  const files = await getDiffFiles(repoPath, base, commit.sha);
+  return { ...commit, stats: diffStats(files), files };
+}
+
+// Compare two commits: the commits on head that base lacks, and the changes
+// head made since the two diverged (the merge base), like a pull request
+async function compareCommits(repoName, base, head, { skip, limit }) {
+  const repoPath = getRepoPath(repoName);
+
+  let mergeBase = null;
+  try {
+    mergeBase = (await runGit(repoPath, ['merge-base', base.sha, head.sha])).trim();
+  } catch {
+    // Unrelated histories: compare the two trees directly
+  }
+
+  const [ahead, behind, log, files] = await Promise.all([
+    runGit(repoPath, ['rev-list', '--count', `${base.sha}..${head.sha}`]),
+    runGit(repoPath, ['rev-list', '--count', `${head.sha}..${base.sha}`]),
+    runGit(repoPath, ['log', `--format=${COMMIT_FORMAT}`, `--skip=${skip}`, `--max-count=${limit}`, `${base.sha}..${head.sha}`]),
+    getDiffFiles(repoPath, mergeBase || base.sha, head.sha)
+  ]);
+  const aheadBy = parseInt(ahead);
+  const behindBy = parseInt(behind);
+
+  let status = 'diverged';
+  if (!aheadBy && !behindBy) status = 'identical';
+  else if (!behindBy) status = 'ahead';
+  else if (!aheadBy) status = 'behind';
+
+  return {
+    base: { name: base.name, sha: base.sha },
+    head: { name: head.name, sha: head.sha },
+    merge_base: mergeBase,
+    status,
+    ahead_by: aheadBy,
+    behind_by: behindBy,
+    total_commits: aheadBy,
+    commits: parseCommitLog(repoName, log),
+    stats: diffStats(files),
+    files
+  };
+}
+
+// Type of the object a spec such as "<sha>:<path>" names ("tree", "blob", ...), or null if there is none
+async function getObjectType(repoPath, spec) {
+  try {
+    return (await runGit(repoPath, ['cat-file', '-t', spec])).trim();
+  } catch {
+    return null;
+  }
+}
+
+// Object name and size of a file in a commit, or null if the path is not a file
+async function getBlobInfo(repoPath, sha, filePath) {
+  const output = await runGit(repoPath, ['cat-file', '--batch-check=%(objectname) %(objecttype) %(objectsize)'], {
+    input: `${sha}:${filePath}\n`
+  });
+  const match = output.trim().match(/^([0-9a-f]{40}) blob (\d+)$/);
+  return match ? { sha: match[1], size: parseInt(match[2]) } : null;
+}
+
+// Which commit last changed each line of a file, from `git blame --porcelain`.
+// Commit details are only given the first time a commit appears
+async function getBlame(repoPath, sha, filePath) {
+  const output = await runGit(repoPath, ['blame', '--porcelain', sha, '--', filePath]);
+  const commits = new Map();
+  const lines = [];
+  let current = null;
+
+  for (const line of output.split('\n')) {
+    const header = line.match(/^([0-9a-f]{40}) \d+ \d+/);
+    if (header) {
+      if (!commits.has(header[1])) commits.set(header[1], { sha: header[1] });
+      current = commits.get(header[1]);
+    } else if (line.startsWith('\t')) {
+      lines.push({ sha: current.sha, content: line.slice(1) });
+    } else if (current) {
+      const space = line.indexOf(' ');
+      const key = space === -1 ? line : line.slice(0, space);
+      const value = space === -1 ? '' : line.slice(space + 1);
+      if (key === 'author') current.author = value;
+      if (key === 'author-time') current.date = new Date(parseInt(value) * 1000).toISOString();
+      if (key === 'summary') current.message = value;
+    }
+  }
+  return { commits, lines };
+}
+
+// Entries of a directory in a commit, or null if the path is not a directory
+async function listTreeEntries(repoPath, sha, treePath, { recursive = false } = {}) {
+  const spec = treePath ? `${sha}:${treePath}` : sha;
+  const type = await getObjectType(repoPath, spec);
+  if (type !== 'tree' && type !== 'commit') return null;
+
+  const output = await runGit(repoPath, ['ls-tree', '-l', '-z', ...(recursive ? ['-r', '-t'] : []), spec]);
+  return output.split('\0').filter(Boolean).map(line => {
+    const tab = line.indexOf('\t');
+    const name = line.slice(tab + 1);
+    const [mode, type, objectSha, size] = line.slice(0, tab).split(/\s+/);
+    return {
+      name: name.split('/').pop(),
+      path: treePath ? `${treePath}/${name}` : name,
+      type,
+      mode,
+      sha: objectSha,
+      size: size === '-' ? null : parseInt(size)
+    };
+  });
+}
+
+// Matching lines a code search returns at most, with their context
+const CODE_SEARCH_LIMIT = 200;
+
+// Search the files of a commit with git grep. The query is plain text unless
+// regex is set (POSIX extended), and matches case-insensitively unless
+// matchCase is set. pathGlob limits the search to matching paths; a glob
+// without a slash matches file names in any directory. Returns the matching
+// files with their matching lines and two lines of context around them,
+// cut short after CODE_SEARCH_LIMIT matching lines
+function searchCode(repoPath, sha, query, { regex = false, matchCase = false, pathGlob = '' } = {}) {
+  return new Promise((resolve, reject) => {
+    // Matches are the only colored part of the output: they are marked with
+    // "reverse video" codes, which also tells matching lines from context lines
+    const colors = ['filename', 'lineNumber', 'column', 'separator', 'function', 'context', 'selected']
+      .flatMap(slot => ['-c', `color.grep.${slot}=normal`]);
+    const args = [
+      ...colors, '-c', 'color.grep.matchSelected=reverse',
+      'grep', '--color=always', '-n', '-z', '-I', '-C', '2',
+      regex ? '--extended-regexp' : '--fixed-strings', ...(matchCase ? [] : ['--ignore-case']),
+      '-e', query, sha, '--'
+    ];
+    if (pathGlob) args.push(`:(glob)${pathGlob.includes('/') ? pathGlob.replace(/^\/+/, '') : `**/${pathGlob}`}`);
+    const proc = spawn('git', args, { cwd: repoPath });
+
+    const files = [];
+    let matches = 0;
+    let truncated = false;
+    let buffer = '';
+    let stderr = '';
+    proc.stdout.setEncoding('utf8');
+    proc.stdout.on('data', (chunk) => {
+      if (truncated) return;
+      const lines = (buffer + chunk).split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        // "--" separates groups of lines that are not next to each other
+        const [name, number, text] = line.split('\0');
+        if (text === undefined) {
+          const last = files[files.length - 1];
+          if (line === '--' && last) last.lines.push(null);
+          continue;
+        }
+
+        const filePath = name.slice(sha.length + 1);
+        let file = files[files.length - 1];
+        if (!file || file.path !== filePath) {
+          file = { path: filePath, lines: [] };
+          files.push(file);
+        }
+
+        // The matched parts of the line, as [start, end) offsets into its plain text
+        const ranges = [];
+        let plain = '';
+        for (const [i, part] of text.split(/\x1b\[7m|\x1b\[m/).entries()) {
+          if (i % 2 === 1) ranges.push([plain.length, plain.length + part.length]);
+          plain += part;
+        }
+        file.lines.push({ number: parseInt(number), text: plain, ranges });
+
+        if (ranges.length > 0 && ++matches >= CODE_SEARCH_LIMIT) {
+          truncated = true;
+          proc.kill();
+          break;
+        }
+      }
+    });
+    proc.stderr.on('data', (d) => stderr += d);
+    proc.on('error', reject);
+    proc.on('close', (code) => {
+      // 1 means nothing matched
+      if (code > 1 && !truncated) {
+        reject(new Error(stderr.replace(/^fatal: /, '').trim() || 'Search failed'));
+        return;
+      }
+      for (const file of files) {
+        // Separators between files are read as the end of the previous one
+        while (file.lines[file.lines.length - 1] === null) file.lines.pop();
+        while (file.lines[0] === null) file.lines.shift();
+      }
+      resolve({ files, truncated });
+    });
+  });
+}
+
+// Files larger than this are left out of the code search index
+const SEARCH_INDEX_FILE_LIMIT = 512 * 1024;
+// How much file content is read from git at a time while indexing
+const SEARCH_INDEX_BATCH_SIZE = 8 * 1024 * 1024;
+
+// Contents of blobs read with one git cat-file --batch, as a map of sha to Buffer
+async function readBlobs(repoPath, shas) {
+  const output = await runGit(repoPath, ['cat-file', '--batch'], { raw: true, input: shas.join('\n') + '\n' });
+  const blobs = new Map();
+  let offset = 0;
+  while (offset < output.length) {
+    // "<sha> <type> <size>\n<contents>\n", or "<sha> missing\n"
+    const newline = output.indexOf(10, offset);
+    const [sha, type, size] = output.toString('utf8', offset, newline).split(' ');
+    offset = newline + 1;
+    if (type === 'missing') continue;
+    blobs.set(sha, output.subarray(offset, offset + parseInt(size)));
+    offset += parseInt(size) + 1;
+  }
+  return blobs;
+}
+
+// Bring a repository's entries in the code search index up to date with its
+// default branch. Only files that changed since the last indexed commit are read
+async function updateSearchIndex(repoName) {
+  const repo = getRepository(repoName);
+  if (!repo || repo.deleted_at) return;
+
+  const repoPath = getRepoPath(repoName);
+  const revision = fs.existsSync(repoPath) ? await resolveRevision(repoPath, '') : null;
+  const sha = revision ? revision.sha : null;
+  const state = db.prepare('SELECT commit_sha FROM code_search_state WHERE repo_name = ?').get(repoName);
+  if (state && state.commit_sha === sha) return;
+
+  let changed = null;
+  if (state && state.commit_sha && sha) {
+    try {
+      const output = await runGit(repoPath, ['diff', '--name-only', '-z', '--no-renames', state.commit_sha, sha]);
+      changed = new Set(output.split('\0').filter(Boolean));
+    } catch {
+      // The indexed commit is gone after a force push: index everything again
+    }
+  }
+
+  // Text files only: symlinks and submodules are left out, and binary files below
+  const files = sha
+    ? (await listTreeEntries(repoPath, sha, '', { recursive: true }))
+      .filter(e => e.type === 'blob' && e.mode !== '120000' && e.size <= SEARCH_INDEX_FILE_LIMIT && (!changed || changed.has(e.path)))
+    : [];
+
+  const findFile = db.prepare('SELECT id FROM code_search_files WHERE repo_name = ? AND path = ?');
+  const removeContent = db.prepare('DELETE FROM code_search WHERE rowid = ?');
+  const removeFile = db.prepare('DELETE FROM code_search_files WHERE id = ?');
+  if (changed) {
+    for (const filePath of changed) {
+      const file = findFile.get(repoName, filePath);
+      if (!file) continue;
+      removeContent.run(file.id);
+      removeFile.run(file.id);
+    }
+  } else {
+    db.prepare('DELETE FROM code_search WHERE rowid IN (SELECT id FROM code_search_files WHERE repo_name = ?)').run(repoName);
+    db.prepare('DELETE FROM code_search_files WHERE repo_name = ?').run(repoName);
+  }
+
+  const insertFile = db.prepare('INSERT INTO code_search_files (repo_name, path) VALUES (?, ?)');
+  const insertContent = db.prepare('INSERT INTO code_search (rowid, path, content) VALUES (?, ?, ?)');
+  for (let start = 0; start < files.length;) {
+    let end = start;
+    for (let size = 0; end < files.length && (end === start || size + files[end].size <= SEARCH_INDEX_BATCH_SIZE); end++) {
+      size += files[end].size;
+    }
+    const batch = files.slice(start, end);
+    start = end;
+
+    const blobs = await readBlobs(repoPath, [...new Set(batch.map(f => f.sha))]);
+    db.exec('BEGIN');
+    try {
+      for (const file of batch) {
+        const content = blobs.get(file.sha);
+        if (!content || isBinary(content)) continue;
+        const { lastInsertRowid } = insertFile.run(repoName, file.path);
+        insertContent.run(lastInsertRowid, file.path, content.toString('utf8'));
+      }
+      db.exec('COMMIT');
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  db.prepare(`
+    INSERT INTO code_search_state (repo_name, commit_sha, indexed_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT (repo_name) DO UPDATE SET commit_sha = excluded.commit_sha, indexed_at = excluded.indexed_at
+  `).run(repoName, sha);
+}
+
+// Repositories are indexed one at a time, in the background
+let searchIndexQueue = Promise.resolve();
+const queuedSearchIndexes = new Set();
+
+// Update a repository's entries in the code search index, if it is enabled, once the ones queued before are done
+function queueSearchIndex(repoName) {
+  if (!SEARCH_INDEX || queuedSearchIndexes.has(repoName)) return;
+  queuedSearchIndexes.add(repoName);
+  searchIndexQueue = searchIndexQueue.then(async () => {
+    queuedSearchIndexes.delete(repoName);
+    try {
+      await updateSearchIndex(repoName);
+    } catch (err) {
+      console.error(`Failed to index ${repoName} for search:`, err.message);
+    }
+  });
+}
+
+// Search the indexed default branches of some repositories. Queries are
+// matched as plain text, case-insensitively, and need at least three characters
+function searchIndexedCode(repoNames, query, limit = 50) {
+  if (!SEARCH_INDEX || query.length < 3 || repoNames.length === 0) return [];
+  const stmt = db.prepare(`
+    SELECT f.repo_name, f.path, s.commit_sha, snippet(code_search, 1, char(1), char(2), '...', 16) AS snippet
+    FROM code_search
+    JOIN code_search_files f ON f.id = code_search.rowid
+    JOIN code_search_state s ON s.repo_name = f.repo_name
+    WHERE code_search MATCH ? AND f.repo_name IN (${repoNames.map(() => '?').join(', ')})
+    ORDER BY rank
+    LIMIT ?
+  `);
+  // A quoted string is a phrase, with no FTS5 query syntax inside
+  return stmt.all(`"${query.replace(/"/g, '""')}"`, ...repoNames, limit).map(r => ({
+    repository: r.repo_name,
+    path: r.path,
+    commit: r.commit_sha,
+    snippet: r.snippet,
+    url: `/${r.repo_name}/blob/${r.commit_sha}/${encodeRevisionPath(r.path)}`
+  }));
+}
+
+// Repositories a user can read whose name or description contains the query
+function searchRepositories(user, query) {
+  const needle = query.toLowerCase();
+  return listRepositories(user).filter(r => r.name.toLowerCase().includes(needle) || (r.description || '').toLowerCase().includes(needle));
+}
+
+// Whether file contents look binary: NUL bytes near the start, like git's own check, or invalid UTF-8
+function isBinary(content) {
+  if (content.subarray(0, 8000).includes(0)) return true;
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(content);
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+// A file's contents (base64 encoded if binary) or a directory listing at a commit, or null
+async function getContents(repoPath, sha, filePath) {
+  const spec = filePath ? `${sha}:${filePath}` : sha;
+  const type = await getObjectType(repoPath, spec);
+
+  if (type === 'tree' || type === 'commit') {
+    return { type: 'dir', path: filePath, entries: await listTreeEntries(repoPath, sha, filePath) };
+  }
+  if (type !== 'blob') return null;
+
+  const [objectSha, content] = await Promise.all([
+    runGit(repoPath, ['rev-parse', spec]),
+    runGit(repoPath, ['cat-file', 'blob', spec], { raw: true })
+  ]);
+  const binary = isBinary(content);
+  return {
+    type: 'file',
+    name: filePath.split('/').pop(),
+    path: filePath,
+    sha: objectSha.trim(),
+    size: content.length,
+    encoding: binary ? 'base64' : 'utf-8',
+    content: content.toString(binary ? 'base64' : 'utf8')
+  };
+}
+
+// Pull request operations
+const MERGE_STRATEGIES = ['merge', 'squash', 'rebase'];
+
+const PULL_REQUEST_COLUMNS = `
+  p.*, a.username AS author, m.username AS merged_by_user
+  FROM pull_requests p
+  LEFT JOIN users a ON a.id = p.author_id
+  LEFT JOIN users m ON m.id = p.merged_by
+`;
+
+function listPullRequests(repoName, state = 'open') {
+  if (state === 'all') {
+    return db.prepare(`SELECT ${PULL_REQUEST_COLUMNS} WHERE p.repo_name = ? ORDER BY p.number DESC`).all(repoName);
+  }
+  const stmt = db.prepare(`SELECT ${PULL_REQUEST_COLUMNS} WHERE p.repo_name = ? AND p.state = ? ORDER BY p.number DESC`);
+  return stmt.all(repoName, state);
+}
+
+function getPullRequest(repoName, number) {
+  const stmt = db.prepare(`SELECT ${PULL_REQUEST_COLUMNS} WHERE p.repo_name = ? AND p.number = ?`);
+  return stmt.get(repoName, number);
+}
+
+// Shape a pull request for API responses and webhook payloads
+function pullRequestPayload(pr) {
+  return {
+    number: pr.number,
+    title: pr.title,
+    body: pr.body,
+    state: pr.state,
+    base: pr.base,
+    head: pr.head,
+    author: pr.author,
+    merged: pr.state === 'merged',
+    merge_strategy: pr.merge_strategy,
+    merge_commit_sha: pr.merge_commit_sha,
+    merged_by: pr.merged_by_user,
+    merged_at: pr.merged_at,
+    closed_at: pr.closed_at,
+    created_at: pr.created_at,
+    updated_at: pr.updated_at,
+    url: `/${pr.repo_name}/pull/${pr.number}`
+  };
+}
+
+function triggerPullRequestWebhooks(repoName, action, number, user) {
+  const pr = getPullRequest(repoName, number);
+  triggerWebhooks(repoName, 'pull_request', {
+    action,
+    pull_request: pullRequestPayload(pr),
+    sender: { name: user.username }
+  });
+}
+
+async function createPullRequest(repoName, user, { title, body = '', base, head }) {
+  if (!title || !title.trim()) {
+    return { error: 'Title is required' };
+  }
+  if (!base || !head || base === head) {
+    return { error: 'Base and head must be two different branches' };
+  }
+
+  const repoPath = getRepoPath(repoName);
+  for (const branch of [base, head]) {
+    if (!(await readRef(repoPath, `refs/heads/${branch}`))) {
+      return { error: `Branch ${branch} does not exist` };
+    }
+  }
+
+  const existing = db.prepare("SELECT number FROM pull_requests WHERE repo_name = ? AND base = ? AND head = ? AND state = 'open'").get(repoName, base, head);
+  if (existing) {
+    return { error: `Pull request #${existing.number} is already open for these branches` };
+  }
+
+  const next = nextIssueNumber(repoName);
+  const stmt = db.prepare('INSERT INTO pull_requests (repo_name, number, title, body, base, head, author_id) VALUES (?, ?, ?, ?, ?, ?, ?)');
+  stmt.run(repoName, next, title.trim(), body, base, head, user.id);
+
+  triggerPullRequestWebhooks(repoName, 'opened', next, user);
+  return { success: true, number: next };
+}
+
+// Edit the title/body, or close and reopen a pull request
+async function updatePullRequest(repoName, number, user, { title, body, state }) {
+  const pr = getPullRequest(repoName, number);
+  if (!pr) {
+    return { error: 'Pull request not found' };
+  }
+  if (title !== undefined && !String(title).trim()) {
+    return { error: 'Title is required' };
+  }
+
+  let action = null;
+  if (state !== undefined && state !== pr.state) {
+    if (pr.state === 'merged') {
+      return { error: 'Pull request is already merged' };
+    }
+    if (state === 'closed') {
+      action = 'closed';
+    } else if (state === 'open') {
+      action = 'reopened';
+    } else {
+      return { error: 'State must be open or closed' };
+    }
+  }
+
+  // Remember what the branches pointed at when the pull request was closed
+  const repoPath = getRepoPath(repoName);
+  const shas = action === 'closed'
+    ? [await readRef(repoPath, `refs/heads/${pr.base}`), await readRef(repoPath, `refs/heads/${pr.head}`)]
+    : [pr.base_sha, pr.head_sha];
+
+  const stmt = db.prepare(`
+    UPDATE pull_requests
+    SET title = ?, body = ?, state = ?, base_sha = ?, head_sha = ?,
+        closed_at = CASE WHEN ? = 'closed' THEN CURRENT_TIMESTAMP ELSE NULL END, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+  const newState = state ?? pr.state;
+  stmt.run(title !== undefined ? String(title).trim() : pr.title, body ?? pr.body, newState, shas[0], shas[1], newState, pr.id);
+
+  if (action) {
+    triggerPullRequestWebhooks(repoName, action, number, user);
+  }
+  return { success: true };
+}
+
+// Git identity for commits GutHib creates on a user's behalf
+function gitIdentityEnv(committer, author = committer) {
+  return {
+    GIT_AUTHOR_NAME: author.username,
+    GIT_AUTHOR_EMAIL: `${author.username}@guthib.local`,
+    GIT_COMMITTER_NAME: committer.username,
+    GIT_COMMITTER_EMAIL: `${committer.username}@guthib.local`
+  };
+}
+
+// Merge two commits without a working tree. Returns the merged tree and any conflicted paths.
+async function mergeTrees(repoPath, base, head) {
+  try {
+    const output = await runGit(repoPath, ['merge-tree', '--write-tree', '--name-only', '--no-messages', base, head]);
+    return { tree: output.split('\n')[0], conflicts: [] };
+  } catch (err) {
+    if (err.code !== 1) throw err;
+    const [tree, ...conflicts] = err.stdout.split('\n').filter(Boolean);
+    return { tree, conflicts };
+  }
+}
+
+// Replay the commits of head onto base in a temporary worktree, returning the new tip
+async function rebaseCommits(repoPath, base, head, env) {
+  // Like git rebase, commits whose changes the base already has are left out
+  const commits = (await runGit(repoPath, ['rev-list', '--reverse', '--no-merges', '--cherry-pick', '--right-only', `${base}...${head}`]))
+    .split('\n')
+    .filter(Boolean);
+  if (commits.length === 0) return base;
+
+  const worktree = fs.mkdtempSync(path.join(os.tmpdir(), 'guthib-rebase-'));
+  try {
+    await runGit(repoPath, ['worktree', 'add', '--detach', worktree, base]);
+    try {
+      // Empty commits, and those that only become empty on the base, are kept as they are
+      await runGit(worktree, ['cherry-pick', '--allow-empty', '--keep-redundant-commits', ...commits], { env });
+    } catch (err) {
+      const error = new Error('Rebase failed: the commits do not apply cleanly on the base branch');
+      error.conflict = true;
+      throw error;
+    }
+    return (await runGit(worktree, ['rev-parse', 'HEAD'])).trim();
+  } finally {
+    await runGit(repoPath, ['worktree', 'remove', '--force', worktree]).catch(() => {});
+    fs.rmSync(worktree, { recursive: true, force: true });
+  }
+}
+
+// Check whether a pull request's branches can be merged without conflicts
+async function getMergeability(repoPath, pr) {
+  const baseSha = await readRef(repoPath, `refs/heads/${pr.base}`);
+  const headSha = await readRef(repoPath, `refs/heads/${pr.head}`);
+  if (!baseSha || !headSha) {
+    return { mergeable: false, reason: `Branch ${baseSha ? pr.head : pr.base} no longer exists` };
+  }
+  if (await isAncestor(repoPath, headSha, baseSha)) {
+    return { mergeable: false, reason: `${pr.head} has no commits that are not already in ${pr.base}` };
+  }
+
+  const { conflicts } = await mergeTrees(repoPath, baseSha, headSha);
+  if (conflicts.length > 0) {
+    return { mergeable: false, reason: `Conflicts in ${conflicts.join(', ')}` };
+  }
+
+  const rule = getBranchRule(pr.repo_name, `refs/heads/${pr.base}`);
+  const failure = rule && rule.require_status_checks ? checkRequiredStatuses(pr.repo_name, headSha, rule.required_contexts) : null;
+  if (failure) {
+    return { mergeable: false, reason: `Required status checks have not passed: ${failure}` };
+  }
+  return { mergeable: true, baseSha, headSha };
+}
+
+// Merge a pull request in the bare repository with the given strategy
+async function mergePullRequest(repoName, number, user, { strategy = 'merge' } = {}) {
+  const pr = getPullRequest(repoName, number);
+  if (!pr) {
+    return { error: 'Pull request not found' };
+  }
+  if (pr.state !== 'open') {
+    return { error: 'Pull request is not open' };
+  }
+  if (!MERGE_STRATEGIES.includes(strategy)) {
+    return { error: 'Strategy must be merge, squash or rebase' };
+  }
+
+  const repoPath = getRepoPath(repoName);
+  const mergeability = await getMergeability(repoPath, pr);
+  if (!mergeability.mergeable) {
+    return { error: mergeability.reason };
+  }
+  const { baseSha, headSha } = mergeability;
+  const ref = `refs/heads/${pr.base}`;
+
+  let mergeSha;
+  if (strategy === 'rebase') {
+    try {
+      mergeSha = await rebaseCommits(repoPath, baseSha, headSha, gitIdentityEnv(user));
+    } catch (err) {
+      if (err.conflict) return { error: err.message };
+      throw err;
+    }
+  } else {
+    const { tree } = await mergeTrees(repoPath, baseSha, headSha);
+    const squash = strategy === 'squash';
+    const message = squash
+      ? `${pr.title} (#${pr.number})${pr.body ? `\n\n${pr.body}` : ''}`
+      : `Merge pull request #${pr.number} from ${pr.head}\n\n${pr.title}`;
+    const parents = squash ? ['-p', baseSha] : ['-p', baseSha, '-p', headSha];
+    // The author's account may have been deleted; the merging user stands in
+    const env = gitIdentityEnv(user, squash && pr.author ? { username: pr.author } : user);
+    mergeSha = (await runGit(repoPath, ['commit-tree', tree, ...parents, '-m', message], { env })).trim();
+  }
+
+  // Merges go through the same branch protection as pushes, with the statuses of the merged head
+  const update = { before: baseSha, after: mergeSha, ref };
+  const reason = await checkRefUpdate(repoName, user, update, { statusSha: headSha });
+  if (reason) {
+    return { error: reason };
+  }
+
+  try {
+    await runGit(repoPath, ['update-ref', ref, mergeSha, baseSha]);
+  } catch (err) {
+    return { error: `${pr.base} was updated while merging, please try again` };
+  }
+
+  const stmt = db.prepare(`
+    UPDATE pull_requests
+    SET state = 'merged', base_sha = ?, head_sha = ?, merge_strategy = ?, merge_commit_sha = ?, merged_by = ?,
+        merged_at = CURRENT_TIMESTAMP, closed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+  stmt.run(baseSha, headSha, strategy, mergeSha, user.id, pr.id);
+  await updateServerInfo(repoPath);
+  queueSearchIndex(repoName);
+
+  const event = await buildPushEvent(repoPath, update);
+  if (event) {
+    triggerWebhooks(repoName, 'push', { ...event, pusher: { name: user.username } });
+    await closeIssuesFromPush(repoName, repoPath, event, user);
+  }
+  triggerPullRequestWebhooks(repoName, 'merged', number, user);
+
+  return { success: true, sha: mergeSha };
+}
+
+// The diff and commits of a pull request: live branches while open, recorded commits once closed
+function getPullRequestRange(pr) {
+  if (pr.state === 'open') {
+    return { base: `refs/heads/${pr.base}`, head: `refs/heads/${pr.head}` };
+  }
+  return { base: pr.base_sha, head: pr.head_sha };
+}
+
+async function getPullRequestCommits(repoPath, pr) {
+  const { base, head } = getPullRequestRange(pr);
+  const output = await runGit(repoPath, ['log', '--format=%H%x1f%h%x1f%an%x1f%aI%x1f%s', `${base}..${head}`]);
+  return output.split('\n').filter(Boolean).map(line => {
+    const [hash, shortHash, author, date, subject] = line.split('\x1f');
+    return { hash, shortHash, author, date, subject };
+  });
+}
+
+function getPullRequestDiff(repoPath, pr) {
+  const { base, head } = getPullRequestRange(pr);
+  return runGit(repoPath, ['diff', `${base}...${head}`]);
+}
+
+// Pull request comments: conversation comments have no path, review comments point at a diff line
+function listPullRequestComments(pullRequestId) {
+  const stmt = db.prepare(`
+    SELECT c.id, u.username AS author, c.body, c.path, c.line, c.side, c.commit_sha, c.created_at
+    FROM pull_request_comments c LEFT JOIN users u ON u.id = c.author_id
+    WHERE c.pull_request_id = ? ORDER BY c.id
+  `);
+  return stmt.all(pullRequestId);
+}
+
+async function createPullRequestComment(repoName, number, user, { body, path: filePath, line, side = 'new' }) {
+  const pr = getPullRequest(repoName, number);
+  if (!pr) {
+    return { error: 'Pull request not found' };
+  }
+  if (!body || !body.trim()) {
+    return { error: 'Comment body is required' };
+  }
+
+  let lineNumber = null;
+  if (filePath) {
+    lineNumber = parseInt(line);
+    if (!Number.isInteger(lineNumber) || lineNumber < 1 || !['old', 'new'].includes(side)) {
+      return { error: 'Review comments need a line number and a side (old or new)' };
+    }
+  }
+
+  const { head } = getPullRequestRange(pr);
+  const commitSha = head ? await readRef(getRepoPath(repoName), head) : null;
+
+  const stmt = db.prepare(`
+    INSERT INTO pull_request_comments (pull_request_id, author_id, body, path, line, side, commit_sha)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const result = stmt.run(pr.id, user.id, body, filePath || null, lineNumber, filePath ? side : null, commitSha);
+  db.prepare('UPDATE pull_requests SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(pr.id);
+
+  return { success: true, id: Number(result.lastInsertRowid) };
+}
+
+// Commit statuses, as reported by CI for a commit under a context such as "ci/jenkins"
+const STATUS_STATES = ['pending', 'success', 'failure', 'error'];
+
+function listCommitStatuses(repoName, sha) {
+  const stmt = db.prepare(`
+    SELECT s.*, u.username AS creator FROM commit_statuses s
+    LEFT JOIN users u ON u.id = s.creator_id
+    WHERE s.repo_name = ? AND s.sha = ? ORDER BY s.id DESC
+  `);
+  return stmt.all(repoName, sha);
+}
+
+// Shape a status for API responses
+function statusPayload(status) {
+  return {
+    id: status.id,
+    state: status.state,
+    context: status.context,
+    description: status.description,
+    target_url: status.target_url,
+    creator: status.creator,
+    created_at: status.created_at
+  };
+}
+
+// The latest status of each context of a commit, combined into one state:
+// failure if any failed or errored, pending while any is pending (or none
+// were reported), otherwise success
+function getCombinedStatus(repoName, sha) {
+  const latest = new Map();
+  for (const status of listCommitStatuses(repoName, sha)) {
+    if (!latest.has(status.context)) latest.set(status.context, status);
+  }
+  const statuses = [...latest.values()].sort((a, b) => a.context.localeCompare(b.context));
+
+  let state = statuses.length ? 'success' : 'pending';
+  if (statuses.some(s => s.state === 'failure' || s.state === 'error')) state = 'failure';
+  else if (statuses.some(s => s.state === 'pending')) state = 'pending';
+
+  return { state, sha, total_count: statuses.length, statuses: statuses.map(statusPayload) };
+}
+
+// Why a commit does not pass the status checks branch protection asks for, or null if it does
+function checkRequiredStatuses(repoName, sha, requiredContexts = []) {
+  const combined = getCombinedStatus(repoName, sha);
+  const short = sha.substring(0, 7);
+  if (!combined.total_count) {
+    return `no statuses were reported for ${short}`;
+  }
+  const missing = requiredContexts.filter(c => !combined.statuses.some(s => s.context === c));
+  if (missing.length) {
+    return `${missing.join(', ')} not reported for ${short}`;
+  }
+  const failed = combined.statuses.filter(s => s.state !== 'success');
+  if (failed.length) {
+    return failed.map(s => `${s.context} is ${s.state}`).join(', ') + ` for ${short}`;
+  }
+  return null;
+}
+
+// Record the status of a commit, named by its full or abbreviated SHA
+async function createCommitStatus(repoName, user, sha, { state, context = 'default', description = '', target_url: targetUrl }) {
+  if (!STATUS_STATES.includes(state)) {
+    return { error: `State must be one of: ${STATUS_STATES.join(', ')}` };
+  }
+  context = String(context ?? '').trim() || 'default';
+  if (targetUrl && !/^https?:\/\//i.test(targetUrl)) {
+    return { error: 'Target URL must be an http or https URL' };
+  }
+
+  let fullSha;
+  try {
+    fullSha = /^[0-9a-f]{4,40}$/i.test(sha)
+      ? (await runGit(getRepoPath(repoName), ['rev-parse', '--verify', '--quiet', `${sha}^{commit}`])).trim()
+      : null;
+  } catch {
+    fullSha = null;
+  }
+  if (!fullSha) {
+    return { error: 'Commit not found' };
+  }
+
+  const stmt = db.prepare(`
+    INSERT INTO commit_statuses (repo_name, sha, state, context, description, target_url, creator_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `);
+  const result = stmt.run(repoName, fullSha, state, context, String(description ?? ''), targetUrl || null, user.id);
+  const status = db.prepare('SELECT s.*, u.username AS creator FROM commit_statuses s LEFT JOIN users u ON u.id = s.creator_id WHERE s.id = ?')
+    .get(result.lastInsertRowid);
+  return { success: true, sha: fullSha, status: statusPayload(status) };
+}
+
+const STATUS_ICONS = { success: '&#10003;', failure: '&#10007;', error: '!', pending: '&#9679;' };
+
+// A combined status as a small icon whose title lists the contexts, or nothing if no status was reported
+function renderStatusBadge(combined) {
+  if (!combined.total_count) return '';
+  const title = combined.statuses
+    .map(s => `${s.context}: ${s.state}${s.description ? ` - ${s.description}` : ''}`)
+    .join('\n');
+  return `<span class="status-badge status-${combined.state}" title="${escapeHtml(title)}">${STATUS_ICONS[combined.state]}</span>`;
+}
+
+const STATUS_CSS = `
+    .status-badge { display: inline-block; font-size: 12px; font-weight: bold; margin: 0 4px; cursor: help; }
+    .status-success { color: #1a7f37; }
+    .status-failure, .status-error { color: #cf222e; }
+    .status-pending { color: #bf8700; }`;
+
+// Issue operations
+const ISSUE_COLUMNS = `
+  i.*, a.username AS author, c.username AS closed_by_user,
+  (SELECT COUNT(*) FROM issue_comments ic WHERE ic.issue_id = i.id) AS comment_count
+  FROM issues i
+  LEFT JOIN users a ON a.id = i.author_id
+  LEFT JOIN users c ON c.id = i.closed_by
+`;
+
+// Issues and pull requests are numbered together, so that #12 names only one of them
+function nextIssueNumber(repoName) {
+  const stmt = db.prepare(`
+    SELECT MAX(
+      COALESCE((SELECT MAX(number) FROM issues WHERE repo_name = ?), 0),
+      COALESCE((SELECT MAX(number) FROM pull_requests WHERE repo_name = ?), 0)
+    ) + 1 AS next
+  `);
+  return stmt.get(repoName, repoName).next;
+}
+
+// Issues, newest first, optionally with all of the given labels and assigned
+// to a user (or to nobody, with assignee "none")
+function listIssues(repoName, { state = 'open', labels = [], assignee = null } = {}) {
+  const conditions = ['i.repo_name = ?'];
+  const params = [repoName];
+  if (state !== 'all') {
+    conditions.push('i.state = ?');
+    params.push(state);
+  }
+  for (const label of labels) {
+    conditions.push('EXISTS (SELECT 1 FROM issue_labels l WHERE l.issue_id = i.id AND l.name = ?)');
+    params.push(label);
+  }
+  if (assignee === 'none') {
+    conditions.push('NOT EXISTS (SELECT 1 FROM issue_assignees ia WHERE ia.issue_id = i.id)');
+  } else if (assignee) {
+    conditions.push('EXISTS (SELECT 1 FROM issue_assignees ia JOIN users u ON u.id = ia.user_id WHERE ia.issue_id = i.id AND u.username = ?)');
+    params.push(assignee);
+  }
+  return db.prepare(`SELECT ${ISSUE_COLUMNS} WHERE ${conditions.join(' AND ')} ORDER BY i.number DESC`).all(...params);
+}
+
+function getIssue(repoName, number) {
+  return db.prepare(`SELECT ${ISSUE_COLUMNS} WHERE i.repo_name = ? AND i.number = ?`).get(repoName, number);
+}
+
+function listIssueLabels(issueId) {
+  return db.prepare('SELECT name FROM issue_labels WHERE issue_id = ? ORDER BY name').all(issueId).map(l => l.name);
+}
+
+function listIssueAssignees(issueId) {
+  const stmt = db.prepare(`
+    SELECT u.username FROM issue_assignees ia JOIN users u ON u.id = ia.user_id
+    WHERE ia.issue_id = ? ORDER BY u.username
+  `);
+  return stmt.all(issueId).map(u => u.username);
+}
+
+// Labels used in a repository, with how many open issues have them
+function listRepoLabels(repoName) {
+  const stmt = db.prepare(`
+    SELECT l.name, SUM(i.state = 'open') AS open_issues FROM issue_labels l
+    JOIN issues i ON i.id = l.issue_id
+    WHERE i.repo_name = ? GROUP BY l.name ORDER BY l.name
+  `);
+  return stmt.all(repoName);
+}
+
+// Users with issues assigned to them in a repository
+function listRepoAssignees(repoName) {
+  const stmt = db.prepare(`
+    SELECT DISTINCT u.username FROM issue_assignees ia
+    JOIN issues i ON i.id = ia.issue_id JOIN users u ON u.id = ia.user_id
+    WHERE i.repo_name = ? ORDER BY u.username
+  `);
+  return stmt.all(repoName).map(u => u.username);
+}
+
+// Labels and assignees can be given as arrays or comma-separated strings
+function parseNameList(value) {
+  const names = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(names.map(n => String(n).trim()).filter(Boolean))];
+}
+
+// Shape an issue for API responses and webhook payloads
+function issuePayload(issue) {
+  return {
+    number: issue.number,
+    title: issue.title,
+    body: issue.body,
+    state: issue.state,
+    author: issue.author,
+    labels: listIssueLabels(issue.id),
+    assignees: listIssueAssignees(issue.id),
+    comments: issue.comment_count,
+    closed_by: issue.closed_by_user,
+    closing_commit: issue.closing_commit_sha
+      ? { sha: issue.closing_commit_sha, url: `/${issue.repo_name}/commit/${issue.closing_commit_sha}` }
+      : null,
+    closed_at: issue.closed_at,
+    created_at: issue.created_at,
+    updated_at: issue.updated_at,
+    url: `/${issue.repo_name}/issues/${issue.number}`
+  };
+}
+
+function triggerIssueWebhooks(repoName, action, number, user) {
+  const issue = getIssue(repoName, number);
+  triggerWebhooks(repoName, 'issues', {
+    action,
+    issue: issuePayload(issue),
+    sender: { name: user.username }
+  });
+}
+
+// Check labels and assignees before an issue is created or changed. Assignees
+// need to be able to read the repository
+function checkIssueFields(repoName, { labels, assignees }) {
+  if (labels !== undefined && parseNameList(labels).some(l => l.length > 50)) {
+    return { error: 'Labels can be at most 50 characters long' };
+  }
+  const users = [];
+  for (const username of assignees !== undefined ? parseNameList(assignees) : []) {
+    const assignee = getUser(username);
+    if (!assignee || !canAccess(assignee, repoName, 'read')) {
+      return { error: `${username} cannot be assigned to issues in this repository` };
+    }
+    users.push(assignee);
+  }
+  return { labels: labels !== undefined ? parseNameList(labels) : undefined, users: assignees !== undefined ? users : undefined };
+}
+
+function setIssueFields(issueId, { labels, users }) {
+  if (labels !== undefined) {
+    db.prepare('DELETE FROM issue_labels WHERE issue_id = ?').run(issueId);
+    const stmt = db.prepare('INSERT INTO issue_labels (issue_id, name) VALUES (?, ?)');
+    labels.forEach(label => stmt.run(issueId, label));
+  }
+  if (users !== undefined) {
+    db.prepare('DELETE FROM issue_assignees WHERE issue_id = ?').run(issueId);
+    const stmt = db.prepare('INSERT INTO issue_assignees (issue_id, user_id) VALUES (?, ?)');
+    users.forEach(u => stmt.run(issueId, u.id));
+  }
+}
+
+function createIssue(repoName, user, { title, body = '', labels, assignees }) {
+  if (!title || !String(title).trim()) {
+    return { error: 'Title is required' };
+  }
+  const fields = checkIssueFields(repoName, { labels, assignees });
+  if (fields.error) {
+    return fields;
+  }
+
+  const number = nextIssueNumber(repoName);
+  const stmt = db.prepare('INSERT INTO issues (repo_name, number, title, body, author_id) VALUES (?, ?, ?, ?, ?)');
+  const result = stmt.run(repoName, number, String(title).trim(), body, user.id);
+  setIssueFields(Number(result.lastInsertRowid), fields);
+
+  triggerIssueWebhooks(repoName, 'opened', number, user);
+  return { success: true, number };
+}
+
+// Edit an issue, its labels and assignees, or close and reopen it
+function updateIssue(repoName, number, user, { title, body, state, labels, assignees }) {
+  const issue = getIssue(repoName, number);
+  if (!issue) {
+    return { error: 'Issue not found' };
+  }
+  if (title !== undefined && !String(title).trim()) {
+    return { error: 'Title is required' };
+  }
+  if (state !== undefined && !['open', 'closed'].includes(state)) {
+    return { error: 'State must be open or closed' };
+  }
+  const fields = checkIssueFields(repoName, { labels, assignees });
+  if (fields.error) {
+    return fields;
+  }
+
+  const stmt = db.prepare(`
+    UPDATE issues SET title = ?, body = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+  `);
+  stmt.run(title !== undefined ? String(title).trim() : issue.title, body ?? issue.body, issue.id);
+  setIssueFields(issue.id, fields);
+
+  const edited = [title, body, labels, assignees].some(v => v !== undefined);
+  if (edited) {
+    triggerIssueWebhooks(repoName, 'edited', number, user);
+  }
+  if (state !== undefined && state !== issue.state) {
+    setIssueState(issue, state, user);
+    triggerIssueWebhooks(repoName, state === 'closed' ? 'closed' : 'reopened', number, user);
+  }
+  return { success: true };
+}
+
+// Close an issue, by a user or by a commit that says it fixes the issue, or reopen it
+function setIssueState(issue, state, user, commitSha = null) {
+  const stmt = db.prepare(`
+    UPDATE issues
+    SET state = ?, closed_by = ?, closing_commit_sha = ?,
+        closed_at = CASE WHEN ? = 'closed' THEN CURRENT_TIMESTAMP ELSE NULL END, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `);
+  const closed = state === 'closed';
+  stmt.run(state, closed ? user.id : null, closed ? commitSha : null, state, issue.id);
+}
+
+// "Fixes #12", "closes #3", "resolved #7" and the like in a commit message
+const ISSUE_CLOSING_PATTERN = /\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?):?\s+#(\d+)\b/gi;
+
+// Close the issues that commits newly on the default branch say they fix. The
+// push event only lists the last few commits, so the whole range is read here;
+// git leaves out the commits that mention no issue number at all
+async function closeIssuesFromPush(repoName, repoPath, event, user) {
+  if (event.deleted || event.ref !== `refs/heads/${await getDefaultBranch(repoPath)}`) return;
+
+  const log = await runGit(repoPath, ['log', '--reverse', '--grep=#[0-9]', '--format=%x1e%H%x1f%B', ...pushRange(event)]);
+  for (const record of log.split('\x1e').filter(Boolean)) {
+    const [sha, message] = record.split('\x1f');
+    for (const [, number] of message.matchAll(ISSUE_CLOSING_PATTERN)) {
+      const issue = getIssue(repoName, parseInt(number));
+      if (!issue || issue.state !== 'open') continue;
+      setIssueState(issue, 'closed', user, sha);
+      triggerIssueWebhooks(repoName, 'closed', issue.number, user);
+    }
+  }
+}
+
+function listIssueComments(issueId) {
+  const stmt = db.prepare(`
+    SELECT c.id, c.body, c.in_reply_to, c.created_at, u.username AS author
+    FROM issue_comments c LEFT JOIN users u ON u.id = c.author_id
+    WHERE c.issue_id = ? ORDER BY c.id
+  `);
+  return stmt.all(issueId);
+}
+
+// Comment on an issue, or reply in the thread of another comment (replies to replies join the same thread)
+function createIssueComment(repoName, number, user, { body, in_reply_to: inReplyTo }) {
+  const issue = getIssue(repoName, number);
+  if (!issue) {
+    return { error: 'Issue not found' };
+  }
+  if (!body || !String(body).trim()) {
+    return { error: 'Comment body is required' };
+  }
+
+  let thread = null;
+  if (inReplyTo) {
+    const parent = db.prepare('SELECT id, in_reply_to FROM issue_comments WHERE id = ? AND issue_id = ?').get(parseInt(inReplyTo), issue.id);
+    if (!parent) {
+      return { error: 'The comment to reply to does not exist' };
+    }
+    thread = parent.in_reply_to ?? parent.id;
+  }
+
+  const stmt = db.prepare('INSERT INTO issue_comments (issue_id, author_id, body, in_reply_to) VALUES (?, ?, ?, ?)');
+  const result = stmt.run(issue.id, user.id, body, thread);
+  db.prepare('UPDATE issues SET updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(issue.id);
+
+  return { success: true, id: Number(result.lastInsertRowid) };
+}
+
+// Release operations
+const RELEASE_COLUMNS = `
+  r.*, a.username AS author
+  FROM releases r
+  LEFT JOIN users a ON a.id = r.author_id
+`;
+
+// Releases, drafts first and then newest first. Drafts are left out unless asked for
+function listReleases(repoName, { drafts = false } = {}) {
+  const stmt = db.prepare(`
+    SELECT ${RELEASE_COLUMNS} WHERE r.repo_name = ? ${drafts ? '' : 'AND r.draft = 0'}
+    ORDER BY r.draft DESC, COALESCE(r.published_at, r.created_at) DESC, r.id DESC
+  `);
+  return stmt.all(repoName);
+}
+
+function getRelease(repoName, id) {
+  return db.prepare(`SELECT ${RELEASE_COLUMNS} WHERE r.repo_name = ? AND r.id = ?`).get(repoName, id);
+}
+
+function getReleaseByTag(repoName, tag) {
+  return db.prepare(`SELECT ${RELEASE_COLUMNS} WHERE r.repo_name = ? AND r.tag_name = ?`).get(repoName, tag);
+}
+
+// The most recently published release that is not a prerelease
+function getLatestRelease(repoName) {
+  const stmt = db.prepare(`
+    SELECT ${RELEASE_COLUMNS} WHERE r.repo_name = ? AND r.draft = 0 AND r.prerelease = 0
+    ORDER BY r.published_at DESC, r.id DESC LIMIT 1
+  `);
+  return stmt.get(repoName);
+}
+
+function listReleaseAssets(releaseId) {
+  const stmt = db.prepare(`
+    SELECT ra.*, u.username AS uploader FROM release_assets ra
+    LEFT JOIN users u ON u.id = ra.uploader_id
+    WHERE ra.release_id = ? ORDER BY ra.name
+  `);
+  return stmt.all(releaseId);
+}
+
+// Asset files live in the repository directory, so they move along when it is renamed or deleted
+function getAssetsDir(repoName) {
+  return path.join(getRepoPath(repoName), 'release-assets');
+}
+
+function getAssetPath(repoName, assetId) {
+  return path.join(getAssetsDir(repoName), String(assetId));
+}
+
+function releaseUrl(repoName, tag) {
+  return `/${repoName}/releases/tag/${encodeRevisionPath(tag)}`;
+}
+
+function releaseAssetUrl(repoName, tag, name) {
+  return `/${repoName}/releases/download/${encodeRevisionPath(tag)}/${encodeURIComponent(name)}`;
+}
+
+// Shape a release for API responses and webhook payloads
+function releasePayload(release) {
+  return {
+    id: release.id,
+    tag_name: release.tag_name,
+    name: release.name,
+    body: release.body,
+    draft: Boolean(release.draft),
+    prerelease: Boolean(release.prerelease),
+    author: release.author,
+    created_at: release.created_at,
+    published_at: release.published_at,
+    url: releaseUrl(release.repo_name, release.tag_name),
+    zipball_url: archiveUrl(release.repo_name, release.tag_name, 'zip'),
+    tarball_url: archiveUrl(release.repo_name, release.tag_name, 'tar.gz'),
+    assets: listReleaseAssets(release.id).map(asset => releaseAssetPayload(release, asset))
+  };
+}
+
+function releaseAssetPayload(release, asset) {
+  return {
+    id: asset.id,
+    name: asset.name,
+    content_type: asset.content_type,
+    size: asset.size,
+    sha256: asset.sha256,
+    download_count: asset.download_count,
+    uploader: asset.uploader,
+    created_at: asset.created_at,
+    browser_download_url: releaseAssetUrl(release.repo_name, release.tag_name, asset.name)
+  };
+}
+
+function triggerReleaseWebhooks(repoName, action, release, user) {
+  triggerWebhooks(repoName, 'release', {
+    action,
+    release: releasePayload(release),
+    sender: { name: user.username }
+  });
+}
+
+// Published releases need their tag to exist. A draft can name a tag that is yet to be pushed
+async function checkReleaseTag(repoName, tag, draft) {
+  if (!tag || !String(tag).trim()) {
+    return 'Tag name is required';
+  }
+  if (!draft && !(await readRef(getRepoPath(repoName), `refs/tags/${tag}`))) {
+    return `Tag ${tag} does not exist, push it or save the release as a draft`;
+  }
+  return null;
+}
+
+async function createRelease(repoName, user, { tag_name: tag, name = '', body = '', draft = false, prerelease = false }) {
+  tag = tag ? String(tag).trim() : '';
+  const error = await checkReleaseTag(repoName, tag, draft);
+  if (error) {
+    return { error };
+  }
+  if (getReleaseByTag(repoName, tag)) {
+    return { error: `A release for tag ${tag} already exists` };
+  }
+
+  const stmt = db.prepare(`
+    INSERT INTO releases (repo_name, tag_name, name, body, draft, prerelease, author_id, published_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, CASE WHEN ? THEN NULL ELSE CURRENT_TIMESTAMP END)
+  `);
+  const result = stmt.run(repoName, tag, String(name).trim(), body, draft ? 1 : 0, prerelease ? 1 : 0, user.id, draft ? 1 : 0);
+
+  const release = getRelease(repoName, Number(result.lastInsertRowid));
+  triggerReleaseWebhooks(repoName, 'created', release, user);
+  if (!draft) {
+    triggerReleaseWebhooks(repoName, 'published', release, user);
+  }
+  return { success: true, release: releasePayload(release) };
+}
+
+// Edit a release. Setting draft to false publishes it
+async function updateRelease(repoName, id, user, { tag_name: tag, name, body, draft, prerelease }) {
+  const release = getRelease(repoName, id);
+  if (!release) {
+    return { error: 'Release not found' };
+  }
+
+  const newTag = tag !== undefined ? String(tag).trim() : release.tag_name;
+  const newDraft = draft !== undefined ? Boolean(draft) : Boolean(release.draft);
+  const error = await checkReleaseTag(repoName, newTag, newDraft);
+  if (error) {
+    return { error };
+  }
+  const existing = getReleaseByTag(repoName, newTag);
+  if (existing && existing.id !== release.id) {
+    return { error: `A release for tag ${newTag} already exists` };
+  }
+
+  const published = release.draft && !newDraft;
+  const stmt = db.prepare(`
+    UPDATE releases
+    SET tag_name = ?, name = ?, body = ?, draft = ?, prerelease = ?,
+        published_at = CASE WHEN ? THEN NULL ELSE COALESCE(published_at, CURRENT_TIMESTAMP) END
+    WHERE id = ?
+  `);
+  stmt.run(
+    newTag,
+    name !== undefined ? String(name).trim() : release.name,
+    body ?? release.body,
+    newDraft ? 1 : 0,
+    (prerelease !== undefined ? prerelease : release.prerelease) ? 1 : 0,
+    newDraft ? 1 : 0,
+    release.id
+  );
+
+  const updated = getRelease(repoName, release.id);
+  triggerReleaseWebhooks(repoName, published ? 'published' : 'edited', updated, user);
+  return { success: true, release: releasePayload(updated) };
+}
+
+// Delete a release along with its asset files
+function deleteRelease(repoName, id, user) {
+  const release = getRelease(repoName, id);
+  if (!release) {
+    return { error: 'Release not found' };
+  }
+
+  // The payload still lists the assets that were deleted
+  const payload = releasePayload(release);
+  for (const asset of listReleaseAssets(release.id)) {
+    fs.rmSync(getAssetPath(repoName, asset.id), { force: true });
+  }
+  db.prepare('DELETE FROM release_assets WHERE release_id = ?').run(release.id);
+  db.prepare('DELETE FROM releases WHERE id = ?').run(release.id);
+
+  triggerWebhooks(repoName, 'release', { action: 'deleted', release: payload, sender: { name: user.username } });
+  return { success: true };
+}
+
+// Attach files uploaded with parseMultipart to a release, named after their file names.
+// Nothing is attached if any name is missing or already taken
+function addReleaseAssets(repoName, release, user, files) {
+  const removeUploads = () => files.forEach(f => fs.rmSync(f.path, { force: true }));
+
+  if (!files.length) {
+    return { error: 'No files were uploaded' };
+  }
+  const names = files.map(f => path.posix.basename(f.filename.replace(/\\/g, '/')).replace(/[\x00-\x1f\x7f]/g, '').trim());
+  const taken = new Set(listReleaseAssets(release.id).map(a => a.name));
+  for (const name of names) {
+    if (!name || name === '.' || name === '..') {
+      removeUploads();
+      return { error: 'Uploaded files need a file name' };
+    }
+    if (taken.has(name)) {
+      removeUploads();
+      return { error: `An asset named ${name} already exists` };
+    }
+    taken.add(name);
+  }
+
+  const stmt = db.prepare(`
+    INSERT INTO release_assets (release_id, name, content_type, size, sha256, uploader_id)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const assets = [];
+  db.exec('BEGIN');
+  try {
+    files.forEach((file, i) => {
+      const result = stmt.run(release.id, names[i], file.contentType || 'application/octet-stream', file.size, file.sha256, user.id);
+      fs.renameSync(file.path, getAssetPath(repoName, result.lastInsertRowid));
+      assets.push(Number(result.lastInsertRowid));
+    });
+    db.exec('COMMIT');
+  } catch (err) {
+    db.exec('ROLLBACK');
+    assets.forEach(id => fs.rmSync(getAssetPath(repoName, id), { force: true }));
+    removeUploads();
+    throw err;
+  }
+
+  return {
+    success: true,
+    assets: listReleaseAssets(release.id).filter(a => assets.includes(a.id)).map(a => releaseAssetPayload(release, a))
+  };
+}
+
+function deleteReleaseAsset(repoName, release, assetId) {
+  const result = db.prepare('DELETE FROM release_assets WHERE release_id = ? AND id = ?').run(release.id, assetId);
+  if (!result.changes) {
+    return { error: 'Asset not found' };
+  }
+  fs.rmSync(getAssetPath(repoName, assetId), { force: true });
+  return { success: true };
+}
+
+// Render repository detail page
+async function renderRepoPage(repoName, user) {
+  const repo = getRepository(repoName);
+  if (!repo || !canAccess(user, repoName, 'read')) return null;
+
+  if (repo.import_status === 'importing' || repo.import_status === 'failed') {
+    return renderImportPage(repo, user);
+  }
+
+  const repoPath = getRepoPath(repoName);
+  if (!fs.existsSync(repoPath)) return null;
+
+  const gitInfo = await getGitInfo(repoPath);
+  const readme = await renderReadme(repoName, repoPath);
+  const isAdmin = canAccess(user, repoName, 'admin');
+  const isOwner = user && (user.is_admin || repo.owner_id === user.id);
+  const parent = repo.forked_from ? getRepository(repo.forked_from) : null;
+  const webhooks = isAdmin ? listWebhooks(repoName) : [];
+  const collaborators = isAdmin ? listCollaborators(repoName) : [];
+  const protections = isAdmin ? listBranchProtections(repoName) : [];
+
+  const branchesList = gitInfo.branches.length
+    ? gitInfo.branches.map(b => `<li><a href="/${repoName}/tree/${encodeRevisionPath(b)}">${escapeHtml(b)}</a></li>`).join('')
+    : '<li class="empty">No branches yet</li>';
+
+  const tagsList = gitInfo.tags.length
+    ? gitInfo.tags.map(t => `<li><a href="/${repoName}/tree/${encodeRevisionPath(t)}">${escapeHtml(t)}</a>
+        <span class="archive-links"><a href="${escapeHtml(archiveUrl(repoName, t, 'zip'))}">zip</a> <a href="${escapeHtml(archiveUrl(repoName, t, 'tar.gz'))}">tar.gz</a></span></li>`).join('')
+    : '<li class="empty">No tags yet</li>';
+
+  // Statuses are stored by full SHA
+  const fullShas = gitInfo.commits.length
+    ? (await runGit(repoPath, ['rev-parse', ...gitInfo.commits.map(c => c.split(' ')[0])])).split('\n')
+    : [];
+  const commitsList = gitInfo.commits.length
+    ? gitInfo.commits.map((c, i) => {
+        const [hash, ...msgParts] = c.split(' ');
+        const msg = msgParts.join(' ');
+        return `<li><a href="/${repoName}/commit/${hash}" class="commit-link"><code class="commit-hash">${hash}</code> <span class="commit-msg">${escapeHtml(msg)}</span>${renderStatusBadge(getCombinedStatus(repoName, fullShas[i]))}</a></li>`;
+      }).join('')
+    : '<li class="empty">No commits yet</li>';
+
+  const renderDeliveries = (webhook) => {
+    const deliveries = listDeliveries(webhook.id, 5);
+    if (!deliveries.length) return '';
+    return `<ul class="delivery-list">${deliveries.map(d => `
+      <li class="delivery-item">
+        <span class="delivery-status delivery-${d.status}">${d.status}</span>
+        <code>${d.event}</code>
+        <span class="webhook-meta">${d.response_status ? `HTTP ${d.response_status}` : escapeHtml(d.error || 'not sent yet')}${d.duration_ms !== null ? ` in ${d.duration_ms}ms` : ''} - ${d.attempts} attempt${d.attempts === 1 ? '' : 's'} - ${d.delivered_at || d.created_at}</span>
+        ${d.status === 'failed' ? `<button onclick="redeliver(${webhook.id}, ${d.id})" class="redeliver-btn">Redeliver</button>` : ''}
+      </li>
+    `).join('')}</ul>`;
+  };
+
+  const webhooksList = webhooks.length
+    ? webhooks.map(w => `
+        <li>
+          <div class="webhook-item">
+            <code>${w.url}</code>
+            <span class="webhook-meta">${w.events.split(',').join(', ')} ${w.secret ? '(with secret)' : ''} - ${w.created_at}</span>
+            <button onclick="deleteWebhook(${w.id})" class="delete-btn">Delete</button>
+          </div>
+          ${renderDeliveries(w)}
+        </li>
+      `).join('')
+    : '<li class="empty">No webhooks configured</li>';
+
+  const collaboratorsList = collaborators.length
+    ? collaborators.map(c => `
+        <li class="webhook-item">
+          <code>${escapeHtml(c.username)}</code>
+          <span class="webhook-meta">${c.role}</span>
+          <button onclick="removeCollaborator('${c.username}')" class="delete-btn">Remove</button>
+        </li>
+      `).join('')
+    : '<li class="empty">No collaborators</li>';
+
+  const protectionsList = protections.length
+    ? protections.map(p => {
+        const flags = [
+          `push: ${p.push_role}`,
+          p.allow_force_push ? 'force push allowed' : 'no force push',
+          p.allow_deletion ? 'deletion allowed' : 'no deletion',
+          p.require_linear_history ? 'linear history' : '',
+          p.require_status_checks ? `status checks${p.required_contexts ? ` (${p.required_contexts.split(',').join(', ')})` : ''}` : ''
+        ].filter(Boolean).join(', ');
+        return `
+        <li class="webhook-item">
+          <code>${escapeHtml(p.pattern)}</code>
+          <span class="webhook-meta">${escapeHtml(flags)}</span>
+          <button onclick="deleteProtection(${p.id})" class="delete-btn">Delete</button>
+        </li>
+      `;
+      }).join('')
+    : '<li class="empty">No protected branches</li>';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>${repoName} - GutHib</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 900px; margin: 50px auto; padding: 20px; }
+    h1 { color: #333; }
+    h2 { color: #555; margin-top: 30px; }
+    .back { margin-bottom: 20px; }
+    .back a { color: #0066cc; text-decoration: none; }
+    .clone-box { background: #f5f5f5; padding: 15px; border-radius: 8px; margin: 20px 0; }
+    .clone-box code { background: #e0e0e0; padding: 8px 12px; border-radius: 4px; display: block; margin-top: 10px; }
+    .browse-box { margin: 15px 0; }
+    .browse-link { display: inline-flex; align-items: center; gap: 8px; padding: 10px 16px; background: #f6f8fa; border: 1px solid #e1e4e8; border-radius: 6px; color: #0066cc; text-decoration: none; font-size: 14px; }
+    .browse-link:hover { background: #f0f6fc; border-color: #0066cc; }
+    .description { color: #666; font-size: 14px; }
+    ul { list-style: none; padding: 0; }
+    li { padding: 8px 12px; background: #f9f9f9; margin: 4px 0; border-radius: 4px; }
+    li.empty { color: #999; font-style: italic; background: transparent; }
+    .archive-links { float: right; font-size: 12px; }
+    .archive-links a { color: #0366d6; text-decoration: none; margin-left: 8px; }
+    code { font-family: 'SF Mono', Monaco, monospace; font-size: 13px; }
+    .commit-link { display: flex; align-items: center; gap: 10px; text-decoration: none; color: inherit; }
+    .commit-link:hover { background: #f0f6fc; margin: -8px -12px; padding: 8px 12px; border-radius: 4px; }
+    .commit-link .commit-hash { color: #0066cc; }
+    .commit-link .commit-msg { color: #333; }${STATUS_CSS}
+    .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 20px; }
+    .webhook-form { background: #f9f9f9; padding: 15px; border-radius: 8px; margin: 15px 0; }
+    .webhook-form input { padding: 8px; margin-right: 10px; border: 1px solid #ddd; border-radius: 4px; }
+    .webhook-form input[type="url"] { width: 300px; }
+    .webhook-form input[type="text"] { width: 150px; }
+    .webhook-form button { padding: 8px 16px; background: #0066cc; color: white; border: none; border-radius: 4px; cursor: pointer; }
+    .webhook-item { display: flex; align-items: center; gap: 10px; }
+    .webhook-item code { flex: 1; }
+    .webhook-meta { color: #888; font-size: 12px; }
+    .delete-btn { padding: 4px 8px; background: #dc3545; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px; }
+    .compare-box { background: #f6f8fa; padding: 15px 20px; border-radius: 8px; margin: 20px 0; border: 1px solid #e1e4e8; }
+    .compare-box h3 { margin: 0 0 12px 0; font-size: 14px; color: #333; }
+    .compare-box form { display: flex; align-items: center; gap: 10px; flex-wrap: wrap; }
+    .compare-box select { padding: 8px 12px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px; font-family: 'SF Mono', Monaco, monospace; max-width: 280px; }
+    .compare-box .arrow { color: #666; font-size: 16px; }
+    .compare-box button { padding: 8px 16px; background: #0066cc; color: white; border: none; border-radius: 4px; cursor: pointer; }
+    .delivery-list { margin: 8px 0 0 0; }
+    .delivery-item { display: flex; align-items: center; gap: 10px; background: white; padding: 4px 8px; margin: 2px 0; }
+    .delivery-status { font-size: 11px; padding: 1px 6px; border-radius: 4px; }
+    .delivery-success { background: #d4edda; color: #155724; }
+    .delivery-pending { background: #fff3cd; color: #856404; }
+    .delivery-failed { background: #f8d7da; color: #721c24; }
+    .redeliver-btn { padding: 2px 8px; background: #0066cc; color: white; border: none; border-radius: 4px; cursor: pointer; font-size: 12px; }
+    .visibility-badge { font-size: 12px; font-weight: normal; padding: 2px 8px; border: 1px solid #ddd; border-radius: 12px; color: #666; vertical-align: middle; }
+    .webhook-form select { padding: 8px; margin-right: 10px; border: 1px solid #ddd; border-radius: 4px; }
+    .archived-badge { border-color: #d4a72c; color: #9a6700; }
+    .archived-notice { background: #fff8c5; border: 1px solid #d4a72c; border-radius: 6px; padding: 10px 15px; margin: 15px 0; font-size: 14px; }
+    .fork-btn { float: right; padding: 6px 14px; background: #f6f8fa; color: #333; border: 1px solid #ddd; border-radius: 4px; cursor: pointer; font-size: 14px; }
+    .danger-action { display: flex; align-items: center; justify-content: space-between; gap: 10px; padding: 10px 0; border-bottom: 1px solid #f0d0d0; }
+    .danger-action:last-child { border-bottom: none; }
+    .danger-action p { margin: 0; }
+    .danger-btn { background: #c00; color: white; border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; white-space: nowrap; }
+    .readme { border: 1px solid #e1e4e8; border-radius: 8px; margin: 30px 0; overflow: hidden; }
+    .readme-header { background: #f6f8fa; padding: 10px 16px; border-bottom: 1px solid #e1e4e8; font-size: 14px; font-weight: 600; }
+    .readme-header a { color: #24292e; text-decoration: none; }
+    .readme .markdown-body { padding: 20px 30px; }
+    .readme > pre { margin: 0; padding: 20px; white-space: pre-wrap; font-family: 'SF Mono', Monaco, monospace; font-size: 13px; }${MARKDOWN_CSS}${HIGHLIGHT_CSS}
+  </style>
+</head>
+<body>
+  <div class="back"><a href="/">&larr; Back to repositories</a></div>
+  <h1>${repoName} <span class="visibility-badge">${repo.visibility}</span>${repo.archived ? ' <span class="visibility-badge archived-badge">archived</span>' : ''}${repo.is_template ? ' <span class="visibility-badge">template</span>' : ''}
+    ${user ? '<button onclick="forkRepository()" class="fork-btn">Fork</button>' : ''}
+    ${user && repo.is_template ? '<button onclick="useTemplate()" class="fork-btn">Use this template</button>' : ''}</h1>
+  ${parent ? `<p class="description">Forked from ${parent.deleted_at ? `${parent.deleted_name} (deleted)` : `<a href="/${parent.name}">${parent.name}</a>`}</p>` : ''}
+  <p class="description">${repo.description ? escapeHtml(repo.description) : 'No description'}</p>
+  <p class="description">Created: ${repo.created_at}</p>
+  ${repo.archived ? '<div class="archived-notice">This repository has been archived. It is read-only: pushes and pull request changes are rejected.</div>' : ''}
+
+  <div class="clone-box">
+    <strong>Clone this repository:</strong>
+    <code>git clone http://localhost:${PORT}/${repoName}</code>
+  </div>
+
+  <div class="browse-box">
+    ${gitInfo.commits.length > 0 ? `<a href="/${repoName}/tree/${gitInfo.commits[0].split(' ')[0]}" class="browse-link">Browse files at latest commit</a>` : ''}
+    ${gitInfo.branches.length > 0 ? `<a href="/${repoName}/commits" class="browse-link">Commit history</a>` : ''}
+    ${gitInfo.branches.length > 0 ? `<a href="/${repoName}/search" class="browse-link">Search</a>` : ''}
+    <a href="/${repoName}/pulls" class="browse-link">Pull requests (${listPullRequests(repoName, 'open').length} open)</a>
+    <a href="/${repoName}/issues" class="browse-link">Issues (${listIssues(repoName).length} open)</a>
+    <a href="/${repoName}/releases" class="browse-link">Releases (${listReleases(repoName).length})</a>
+  </div>
+
+  <div class="grid">
+    <div>
+      <h2>Branches</h2>
+      <ul>${branchesList}</ul>
+    </div>
+    <div>
+      <h2>Tags</h2>
+      <ul>${tagsList}</ul>
+    </div>
+  </div>
+
+  ${user && gitInfo.branches.length >= 2 ? `
+  <div class="compare-box">
+    <h3>New pull request</h3>
+    <form action="/${repoName}/pulls/new" method="GET">
+      <select name="base">
+        ${gitInfo.branches.map(b => `<option value="${escapeHtml(b)}">${escapeHtml(b)}</option>`).join('')}
+      </select>
+      <span class="arrow">&larr;</span>
+      <select name="head">
+        ${gitInfo.branches.map((b, i) => `<option value="${escapeHtml(b)}"${i === 1 ? ' selected' : ''}>${escapeHtml(b)}</option>`).join('')}
+      </select>
+      <button type="submit">Compare</button>
+    </form>
+  </div>
+  ` : ''}
+
+  <h2>Recent Commits</h2>
+  <ul>${commitsList}</ul>
+
+  ${gitInfo.commits.length >= 2 ? `
+  <div class="compare-box">
+    <h3>Compare commits</h3>
+    <form action="/${repoName}/compare/" method="GET" onsubmit="return handleCompare(this)">
+      <select name="base" id="compare-base">
+        ${gitInfo.commits.map(c => {
+          const [hash, ...msg] = c.split(' ');
+          return `<option value="${hash}">${hash} - ${msg.join(' ').substring(0, 40)}</option>`;
+        }).join('')}
+      </select>
+      <span class="arrow">&rarr;</span>
+      <select name="head" id="compare-head">
+        ${gitInfo.commits.map(c => {
+          const [hash, ...msg] = c.split(' ');
+          return `<option value="${hash}">${hash} - ${msg.join(' ').substring(0, 40)}</option>`;
+        }).join('')}
+      </select>
+      <button type="submit">Compare</button>
+    </form>
+  </div>
+  <script>
+    function handleCompare(form) {
+      const base = form.base.value;
+      const head = form.head.value;
+      if (base === head) {
+        alert('Please select different commits to compare');
+        return false;
+      }
+      window.location.href = '/${repoName}/compare/' + base + '...' + head;
+      return false;
+    }
+  </script>
+  ` : ''}
+
+  ${readme ? `
+  <div class="readme">
+    <div class="readme-header"><a href="${escapeHtml(readme.url)}">${escapeHtml(readme.name)}</a></div>
+    ${isMarkdownPath(readme.name) ? `<div class="markdown-body">${readme.html}</div>` : readme.html}
+  </div>
+  ` : ''}
+
+  ${user ? `
+  <script>
+    async function forkRepository() {
+      const name = prompt('Name of the fork', '${escapeHtml(user.username)}-${repoName}');
+      if (!name) return;
+      const res = await fetch('/api/repos/${repoName}/forks', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        window.location.href = '/' + data.repository.name;
+      } else {
+        alert(data.error);
+      }
+    }
+
+    async function useTemplate() {
+      const name = prompt('Name of the new repository');
+      if (!name) return;
+      const res = await fetch('/api/repos', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, template: '${repoName}', visibility: '${repo.visibility}' })
+      });
+      const data = await res.json();
+      if (res.ok) {
+        window.location.href = '/' + data.name;
+      } else {
+        alert(data.error);
+      }
+    }
+  </script>
+  ` : ''}
+
+  ${isAdmin ? `
+  <h2>Settings</h2>
+  <form class="webhook-form" onsubmit="return updateSettings(this)">
+    <input type="text" name="name" value="${repoName}" required>
+    <input type="text" name="description" value="${escapeHtml(repo.description || '')}" placeholder="Description">
+    <label><input type="checkbox" name="is_template"${repo.is_template ? ' checked' : ''}> Template repository</label>
+    <button type="submit">Save</button>
+  </form>
+
+  <h2>Collaborators</h2>
+  <form class="webhook-form" onsubmit="return addCollaborator(this)">
+    <input type="text" name="username" placeholder="username" required>
+    <select name="role">
+      <option value="read">read</option>
+      <option value="write">write</option>
+      <option value="admin">admin</option>
+    </select>
+    <button type="submit">Add Collaborator</button>
+  </form>
+  <ul>${collaboratorsList}</ul>
+
+  <h2>Branch Protection</h2>
+  <p class="description">Pushes that break these rules are rejected before any ref is updated.</p>
+  <form class="webhook-form" method="POST" action="/api/repos/${repoName}/branch-protection">
+    <input type="text" name="pattern" placeholder="main or release/*" required>
+    <select name="push_role">
+      <option value="write">write can push</option>
+      <option value="admin">admin can push</option>
+    </select>
+    <label><input type="checkbox" name="allow_force_push"> Allow force push</label>
+    <label><input type="checkbox" name="allow_deletion"> Allow deletion</label>
+    <label><input type="checkbox" name="require_linear_history"> Require linear history</label>
+    <label><input type="checkbox" name="require_status_checks"> Require successful status checks</label>
+    <input type="text" name="required_contexts" placeholder="Required contexts (optional)">
+    <button type="submit">Protect</button>
+  </form>
+  <ul>${protectionsList}</ul>
+
+  <h2>Webhooks</h2>
+  <p class="description">Webhooks are triggered on the selected events in this repository.</p>
+  <form class="webhook-form" method="POST" action="/api/repos/${repoName}/webhooks">
+    <input type="url" name="url" placeholder="https://ci.example.com/webhook" required>
+    <input type="text" name="secret" placeholder="Secret (optional)">
+    ${WEBHOOK_EVENTS.map(e => `<label><input type="checkbox" name="events" value="${e}"${e === 'push' ? ' checked' : ''}> ${e}</label>`).join('\n    ')}
+    <button type="submit">Add Webhook</button>
+  </form>
+  <ul>${webhooksList}</ul>
+
+  <script>
+    async function deleteWebhook(id) {
+      if (!confirm('Delete this webhook?')) return;
+      await fetch('/api/repos/${repoName}/webhooks/' + id, { method: 'DELETE' });
+      location.reload();
+    }
+
+    async function deleteProtection(id) {
+      if (!confirm('Remove this branch protection rule?')) return;
+      await fetch('/api/repos/${repoName}/branch-protection/' + id, { method: 'DELETE' });
+      location.reload();
+    }
+
+    async function redeliver(webhookId, deliveryId) {
+      await fetch('/api/repos/${repoName}/webhooks/' + webhookId + '/deliveries/' + deliveryId + '/redeliver', { method: 'POST' });
+      location.reload();
+    }
+
+    function addCollaborator(form) {
+      fetch('/api/repos/${repoName}/collaborators/' + encodeURIComponent(form.username.value), {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ role: form.role.value })
+      }).then(async (res) => {
+        if (res.ok) {
+          location.reload();
+        } else {
+          alert((await res.json()).error);
+        }
+      });
+      return false;
+    }
+
+    async function removeCollaborator(username) {
+      if (!confirm('Remove ' + username + ' from this repository?')) return;
+      await fetch('/api/repos/${repoName}/collaborators/' + encodeURIComponent(username), { method: 'DELETE' });
+      location.reload();
+    }
+
+    // Settings changes may rename the repository, so go to wherever it ends up
+    async function patchRepository(changes) {
+      const res = await fetch('/api/repos/${repoName}', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      const data = await res.json();
+      if (res.ok) {
+        window.location.href = '/' + data.repository.name;
+      } else {
+        alert(data.error);
+      }
+    }
+
+    function updateSettings(form) {
+      patchRepository({ name: form.name.value, description: form.description.value, is_template: form.is_template.checked });
+      return false;
+    }
+
+    function transferRepository() {
+      const owner = prompt('Username of the new owner');
+      if (owner) patchRepository({ owner });
+    }
+
+    function setArchived(archived) {
+      if (!confirm(archived ? 'Archive this repository? It will become read-only.' : 'Unarchive this repository?')) return;
+      patchRepository({ archived });
+    }
+
+    async function deleteRepository() {
+      if (!confirm('Are you sure you want to delete this repository? It will be kept in the trash for ${TRASH_RETENTION_DAYS} days.')) return;
+      const res = await fetch('/api/repos/${repoName}', { method: 'DELETE' });
+      if (res.ok) {
+        window.location.href = '/';
+      } else {
+        alert('Failed to delete repository');
+      }
+    }
+  </script>
+
+  <h2 style="color: #c00; margin-top: 40px;">Danger Zone</h2>
+  <div style="border: 1px solid #c00; border-radius: 4px; padding: 5px 15px;">
+    ${isOwner ? `
+    <div class="danger-action">
+      <p>Transfer this repository to another user, who becomes its owner.</p>
+      <button onclick="transferRepository()" class="danger-btn">Transfer</button>
+    </div>` : ''}
+    <div class="danger-action">
+      ${repo.archived
+        ? '<p>Make this repository writable again.</p><button onclick="setArchived(false)" class="danger-btn">Unarchive</button>'
+        : '<p>Archive this repository, making it read-only.</p><button onclick="setArchived(true)" class="danger-btn">Archive</button>'}
+    </div>
+    <div class="danger-action">
+      <p>Delete this repository. It can be restored from the home page for ${TRASH_RETENTION_DAYS} days.</p>
+      <button onclick="deleteRepository()" class="danger-btn">Delete Repository</button>
+    </div>
+  </div>
+  ` : ''}
+</body>
+</html>`;
+}
+
+// Page for a repository that is being imported, or failed to import
+function renderImportPage(repo, user) {
+  const importing = repo.import_status === 'importing';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>${repo.name} - GutHib</title>
+  ${importing ? '<meta http-equiv="refresh" content="3">' : ''}
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 900px; margin: 50px auto; padding: 20px; }
+    h1 { color: #333; }
+    a { color: #0066cc; text-decoration: none; }
+    .back { margin-bottom: 20px; }
+    .import-box { background: #f6f8fa; border: 1px solid #e1e4e8; border-radius: 8px; padding: 20px; }
+    .import-box.failed { background: #fff5f5; border-color: #f5c2c7; }
+    code { font-family: 'SF Mono', Monaco, monospace; font-size: 13px; }
+    .delete-btn { padding: 8px 16px; background: #c00; color: white; border: none; border-radius: 4px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <div class="back"><a href="/">&larr; Back to repositories</a></div>
+  <h1>${repo.name}</h1>
+  <div class="import-box${importing ? '' : ' failed'}">
+    <p>${importing ? 'Importing' : 'Failed to import'} <code>${escapeHtml(repo.import_url)}</code></p>
+    ${importing
+      ? `<p><code>${escapeHtml(repo.import_progress || 'Starting...')}</code></p>`
+      : `<p><code>${escapeHtml(repo.import_error || '')}</code></p>
+    ${canAccess(user, repo.name, 'admin') ? '<button onclick="deleteRepository()" class="delete-btn">Delete Repository</button>' : ''}`}
+  </div>
+  <script>
+    async function deleteRepository() {
+      const res = await fetch('/api/repos/${repo.name}', { method: 'DELETE' });
+      if (res.ok) window.location.href = '/';
+    }
+  </script>
+</body>
+</html>`;
+}
+
+// Simple HTML page for web UI
+function renderHomePage(user) {
+  const repos = listRepositories(user);
+  const deleted = user ? listDeletedRepositories(user) : [];
+  const templates = repos.filter(r => r.is_template);
+  const reposList = repos.map(r => `
+    <tr>
+      <td><a href="/${r.name}">${r.name}</a>${r.visibility === 'private' ? ' <span class="private">private</span>' : ''}${r.archived ? ' <span class="private">archived</span>' : ''}${r.is_template ? ' <span class="private">template</span>' : ''}</td>
+      <td>${r.description || '-'}</td>
+      <td>${r.created_at}</td>
+      <td><code>git clone http://localhost:${PORT}/${r.name}</code></td>
+    </tr>
+  `).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>GutHib - Simple Git Server</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 900px; margin: 50px auto; padding: 20px; }
+    h1 { color: #333; }
+    table { width: 100%; border-collapse: collapse; margin: 20px 0; }
+    th, td { padding: 12px; text-align: left; border-bottom: 1px solid #ddd; }
+    th { background: #f5f5f5; }
+    code { background: #f0f0f0; padding: 2px 6px; border-radius: 3px; font-size: 13px; }
+    form { background: #f9f9f9; padding: 20px; border-radius: 8px; margin: 20px 0; }
+    input, button { padding: 10px; margin: 5px 0; font-size: 14px; }
+    input[type="text"] { width: 300px; border: 1px solid #ddd; border-radius: 4px; }
+    input[type="text"].short { width: 200px; }
+    button { background: #0066cc; color: white; border: none; border-radius: 4px; cursor: pointer; }
+    button:hover { background: #0055aa; }
+    .empty { color: #666; font-style: italic; }
+    .session { float: right; font-size: 14px; color: #666; }
+    .session a { color: #0066cc; text-decoration: none; }
+    .private { font-size: 11px; padding: 1px 6px; border: 1px solid #ddd; border-radius: 10px; color: #666; }
+    select { padding: 10px; font-size: 14px; border: 1px solid #ddd; border-radius: 4px; }
+  </style>
+</head>
+<body>
+  <div class="session">${user ? `Signed in as <strong>${escapeHtml(user.username)}</strong>` : '<a href="/login">Sign in</a>'}</div>
+  <h1>GutHib - Simple Git Server</h1>
+
+  ${user ? `
+  <h2>Create Repository</h2>
+  <form method="POST" action="/api/repos">
+    <input type="text" name="name" placeholder="repository-name" required>
+    <input type="text" name="description" placeholder="Description (optional)">
+    <select name="visibility">
+      <option value="private">Private</option>
+      <option value="public">Public</option>
+    </select>
+    <input type="text" name="import_url" placeholder="Import from URL (optional)">
+    <div>
+      <label><input type="checkbox" name="auto_init"> Add a README</label>
+      <select name="gitignore_template">
+        <option value="">No .gitignore</option>
+        ${listTemplates('gitignore').map(t => `<option value="${t}">${t}</option>`).join('')}
+      </select>
+      <select name="license">
+        <option value="">No license</option>
+        ${listTemplates('licenses').map(l => `<option value="${l}">${l}</option>`).join('')}
+      </select>
+      <input type="text" name="default_branch" placeholder="Default branch (optional)" class="short">
+      ${templates.length > 0 ? `
+      <select name="template">
+        <option value="">No template</option>
+        ${templates.map(r => `<option value="${r.name}">${r.name}</option>`).join('')}
+      </select>` : ''}
+    </div>
+    <button type="submit">Create</button>
+  </form>
+  ` : ''}
+
+  <h2>Repositories</h2>
+  <form class="search" method="GET" action="/search">
+    <input type="text" name="q" placeholder="Search repositories${SEARCH_INDEX ? ' and code' : ''}">
+    <button type="submit">Search</button>
+  </form>
+  ${repos.length === 0 ? '<p class="empty">No repositories yet. Create one above!</p>' : `
+  <table>
+    <tr><th>Name</th><th>Description</th><th>Created</th><th>Clone URL</th></tr>
+    ${reposList}
+  </table>
+  `}
+
+  ${deleted.length > 0 ? `
+  <h2>Recently Deleted</h2>
+  <p class="empty">Deleted repositories can be restored until they are purged.</p>
+  <table>
+    <tr><th>Name</th><th>Deleted</th><th>Purged after</th><th></th></tr>
+    ${deleted.map(r => `
+    <tr>
+      <td>${r.deleted_name}</td>
+      <td>${r.deleted_at}</td>
+      <td>${r.purge_at}</td>
+      <td><button onclick="restoreRepository(${r.id})">Restore</button></td>
+    </tr>
+    `).join('')}
+  </table>
+  <script>
+    async function restoreRepository(id) {
+      let res = await fetch('/api/trash/' + id + '/restore', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{}'
+      });
+      // The name may have been taken since, ask for another one
+      if (res.status === 409) {
+        const name = prompt((await res.json()).error + '. New name:');
+        if (!name) return;
+        res = await fetch('/api/trash/' + id + '/restore', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ name })
+        });
+      }
+      const data = await res.json();
+      if (res.ok) {
+        window.location.href = '/' + data.repository.name;
+      } else {
+        alert(data.error);
+      }
+    }
+  </script>
+  ` : ''}
+</body>
+</html>`;
+}
+
+// Escape HTML to prevent XSS
+function escapeHtml(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// Syntax highlighting. Each language lists its comment and string delimiters
+// and its keywords; everything else is found by a shared tokenizer, which is
+// enough to color the common cases without parsing anything.
+const HIGHLIGHT_LANGUAGES = [
+  {
+    names: ['javascript', 'typescript', 'node'],
+    extensions: ['js', 'mjs', 'cjs', 'jsx', 'ts', 'mts', 'cts', 'tsx'],
+    lineComment: ['//'],
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'", '`'],
+    keywords: 'as async await break case catch class const continue debugger default delete do else enum export extends finally for from function get if implements import in instanceof interface let new of private protected public readonly return set static super switch throw try type typeof var void while with yield',
+    literals: 'true false null undefined NaN Infinity this'
+  },
+  {
+    extensions: ['json'],
+    strings: ['"'],
+    literals: 'true false null'
+  },
+  {
+    names: ['python'],
+    extensions: ['py', 'pyw'],
+    lineComment: ['#'],
+    strings: ['"""', "'''", '"', "'"],
+    keywords: 'and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield',
+    literals: 'True False None self'
+  },
+  {
+    names: ['ruby'],
+    extensions: ['rb', 'rake', 'gemspec'],
+    filenames: ['Gemfile', 'Rakefile'],
+    lineComment: ['#'],
+    strings: ['"', "'"],
+    keywords: 'alias and begin break case class def do else elsif end ensure for if in module next not or redo rescue retry return super then undef unless until when while yield',
+    literals: 'true false nil self'
+  },
+  {
+    names: ['golang'],
+    extensions: ['go'],
+    lineComment: ['//'],
+    blockComment: ['/*', '*/'],
+    strings: ['"', '`', "'"],
+    keywords: 'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var',
+    literals: 'true false nil iota',
+    types: 'any bool byte complex64 complex128 error float32 float64 int int8 int16 int32 int64 rune string uint uint8 uint16 uint32 uint64 uintptr'
+  },
+  {
+    names: ['rust'],
+    extensions: ['rs'],
+    lineComment: ['//'],
+    blockComment: ['/*', '*/'],
+    strings: ['"'],
+    keywords: 'as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return static struct super trait type unsafe use where while',
+    literals: 'true false self Self None Some Ok Err',
+    types: 'bool char f32 f64 i8 i16 i32 i64 i128 isize str u8 u16 u32 u64 u128 usize Box Option Result String Vec'
+  },
+  {
+    names: ['kotlin'],
+    extensions: ['java', 'kt', 'kts', 'scala'],
+    lineComment: ['//'],
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'"],
+    keywords: 'abstract assert break case catch class continue default do else enum extends final finally for fun if implements import instanceof interface native new object package private protected public return static super switch synchronized throw throws transient try val var volatile when while',
+    literals: 'true false null this',
+    types: 'boolean byte char double float int long short void Boolean Integer Long Object String'
+  },
+  {
+    names: ['c++', 'csharp', 'objc'],
+    extensions: ['c', 'h', 'cc', 'cpp', 'cxx', 'hpp', 'hh', 'hxx', 'm', 'cs'],
+    lineComment: ['//'],
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'"],
+    keywords: 'abstract auto break case catch class const constexpr continue default define delete do else endif enum explicit extern for foreach friend goto if ifdef ifndef include inline internal namespace new operator override pragma private protected public readonly register return sealed sizeof static struct switch template throw try typedef typename union using virtual volatile while',
+    literals: 'true false NULL nullptr null this',
+    types: 'bool char double float int long short signed size_t string unsigned void'
+  },
+  {
+    names: ['shell', 'console', 'shellscript'],
+    extensions: ['sh', 'bash', 'zsh'],
+    filenames: ['.bashrc', '.profile', '.zshrc'],
+    lineComment: ['#'],
+    strings: ['"', "'"],
+    keywords: 'case do done elif else esac exit export fi for function if in local readonly return select set shift then unset until while',
+    literals: 'true false'
+  },
+  {
+    extensions: ['sql'],
+    lineComment: ['--'],
+    blockComment: ['/*', '*/'],
+    strings: ["'"],
+    caseInsensitive: true,
+    keywords: 'add all alter and as asc begin between by case check commit create default delete desc distinct drop else end exists foreign from group having if in index inner insert into is join key left like limit not offset on or order outer primary references right rollback select set table then trigger union unique update values view when where with',
+    literals: 'null true false'
+  },
+  {
+    extensions: ['css', 'scss', 'less'],
+    blockComment: ['/*', '*/'],
+    strings: ['"', "'"],
+    word: String.raw`[A-Za-z_-][\w-]*`,
+    keywords: 'important'
+  },
+  {
+    extensions: ['html', 'htm', 'xml', 'svg', 'vue', 'xhtml'],
+    blockComment: ['<!--', '-->'],
+    // Apostrophes are common in text between tags, so only double quotes start strings
+    strings: ['"'],
+    tags: true
+  },
+  {
+    extensions: ['yml', 'yaml', 'toml', 'ini', 'cfg', 'conf'],
+    lineComment: ['#'],
+    strings: ['"'],
+    literals: 'true false null yes no on off'
+  },
+  {
+    extensions: ['dockerfile'],
+    filenames: ['Dockerfile', 'Containerfile'],
+    lineComment: ['#'],
+    strings: ['"'],
+    caseInsensitive: true,
+    keywords: 'add arg as cmd copy entrypoint env expose from healthcheck label maintainer onbuild run shell stopsignal user volume workdir'
+  },
+  {
+    names: ['makefile', 'make'],
+    extensions: ['mk'],
+    filenames: ['Makefile', 'GNUmakefile'],
+    lineComment: ['#'],
+    keywords: 'define else endef endif export ifdef ifeq ifndef ifneq include override'
+  }
+];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Build the tokenizer of a language: one sticky regular expression with a
+// group per token type, tried in order at each position
+function compileLanguage(language) {
+  const patterns = [];
+  if (language.blockComment) {
+    const [open, close] = language.blockComment.map(escapeRegExp);
+    patterns.push(['comment', `${open}[\\s\\S]*?(?:${close}|$)`]);
+  }
+  for (const marker of language.lineComment || []) {
+    patterns.push(['comment', `${escapeRegExp(marker)}[^\\n]*`]);
+  }
+  for (const quote of language.strings || []) {
+    // Only triple quotes and backticks span lines; other unterminated strings end with the line
+    const q = escapeRegExp(quote);
+    const multiline = quote.length === 3 || quote === '`';
+    patterns.push(['string', `${q}(?:\\\\[\\s\\S]|(?!${q})[^\\\\${multiline ? '' : '\\n'}])*(?:${q})?`]);
+  }
+  if (language.tags) {
+    patterns.push(['tag', String.raw`<\/?[A-Za-z][\w:.-]*|\/?>`]);
+  }
+  patterns.push(['number', String.raw`\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?)`]);
+  patterns.push(['word', language.word || String.raw`[A-Za-z_$][\w$]*`]);
+  patterns.push(['plain', String.raw`\s+|[\s\S]`]);
+
+  const words = (list) => new Set((list || '').split(' ').filter(Boolean));
+  return {
+    types: patterns.map(([type]) => type),
+    regex: new RegExp(patterns.map(([, source]) => `(${source})`).join('|'), 'y'),
+    keywords: words(language.keywords),
+    literals: words(language.literals),
+    builtinTypes: words(language.types),
+    caseInsensitive: Boolean(language.caseInsensitive)
+  };
+}
+
+const compiledLanguages = new Map();
+
+function getCompiledLanguage(language) {
+  if (!language) return null;
+  if (!compiledLanguages.has(language)) {
+    compiledLanguages.set(language, compileLanguage(language));
+  }
+  return compiledLanguages.get(language);
+}
+
+// The compiled language for a file, by name or extension, or null for plain text
+function findLanguage(filePath) {
+  const name = filePath.split('/').pop();
+  const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+  return getCompiledLanguage(HIGHLIGHT_LANGUAGES.find(l => (l.filenames || []).includes(name))
+    || HIGHLIGHT_LANGUAGES.find(l => l.extensions.includes(extension)));
+}
+
+// The compiled language for a name such as "python" or "py", as used in Markdown code fences
+function findLanguageByName(name) {
+  const key = name.toLowerCase();
+  return getCompiledLanguage(HIGHLIGHT_LANGUAGES.find(l => (l.names || []).includes(key) || l.extensions.includes(key)));
+}
+
+// Highlight a file's contents in a language from findLanguage, returning the HTML
+// of each line. Tokens that span lines, such as block comments, are split so
+// every line stands alone
+function highlightLines(content, language) {
+  const lines = [];
+  let line = '';
+
+  const emit = (type, text) => {
+    text.split('\n').forEach((part, i) => {
+      if (i > 0) {
+        lines.push(line);
+        line = '';
+      }
+      if (part) line += type ? `<span class="hl-${type}">${escapeHtml(part)}</span>` : escapeHtml(part);
+    });
+  };
+
+  if (language) {
+    const { regex } = language;
+    regex.lastIndex = 0;
+    let match;
+    while (regex.lastIndex < content.length && (match = regex.exec(content))) {
+      let type = language.types[match.indexOf(match[0], 1) - 1];
+      if (type === 'word') {
+        const word = language.caseInsensitive ? match[0].toLowerCase() : match[0];
+        type = language.keywords.has(word) ? 'keyword'
+          : language.literals.has(word) ? 'literal'
+          : language.builtinTypes.has(word) ? 'type'
+          : null;
+      } else if (type === 'plain') {
+        type = null;
+      }
+      emit(type, match[0]);
+    }
+  } else {
+    emit(null, content);
+  }
+  lines.push(line);
+
+  // A final newline ends the last line rather than starting another
+  if (content === '' || content.endsWith('\n')) lines.pop();
+  return lines;
+}
+
+// Colors for highlighted code, shared by the pages that show files
+const HIGHLIGHT_CSS = `
+    .hl-comment { color: #6a737d; font-style: italic; }
+    .hl-string { color: #032f62; }
+    .hl-number, .hl-literal { color: #005cc5; }
+    .hl-keyword { color: #d73a49; }
+    .hl-type { color: #6f42c1; }
+    .hl-tag { color: #22863a; }`;
+
+// Markdown rendering, covering the CommonMark and GitHub syntax READMEs
+// commonly use. Raw HTML is not supported and is escaped like any other text,
+// and link URLs are checked, so the output is safe to put in a page.
+//
+// resolveUrl(url, { image }) maps relative link and image URLs, for example
+// to files in the repository; return null to drop a link
+function renderMarkdown(text, { resolveUrl = null } = {}) {
+  // Past this size a document is shown as plain text
+  if (text.length > MARKDOWN_MAX_LENGTH) return `<pre>${escapeHtml(text)}</pre>`;
+  const lines = text.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+  const ctx = { references: new Map(), resolveUrl, headingIds: new Map(), depth: 0 };
+
+  // Link reference definitions ([name]: url "title") can be used before they appear
+  let fence = null;
+  const body = lines.filter(line => {
+    const fenceMatch = line.match(/^ {0,3}(`{3,}|~{3,})(.*)$/);
+    if (fenceMatch && !fence) {
+      fence = fenceMatch[1];
+    } else if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length && !fenceMatch[2].trim()) {
+      fence = null;
+    }
+    if (fence || fenceMatch) return true;
+
+    const definition = line.match(/^ {0,3}\[([^\]]+)\]:\s*<?([^\s>]+)>?(?:\s+(?:"([^"]*)"|'([^']*)'|\(([^)]*)\)))?\s*$/);
+    if (!definition) return true;
+    const label = normalizeMarkdownLabel(definition[1]);
+    if (!ctx.references.has(label)) {
+      ctx.references.set(label, { url: definition[2], title: definition[3] ?? definition[4] ?? definition[5] });
+    }
+    return false;
+  });
+
+  return renderMarkdownBlocks(body, ctx);
+}
+
+function normalizeMarkdownLabel(label) {
+  return label.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+const MARKDOWN_MAX_LENGTH = 512 * 1024;
+// Lists and block quotes nested deeper than this are shown as text
+const MARKDOWN_MAX_DEPTH = 32;
+
+const MARKDOWN_FENCE = /^( {0,3})(`{3,}(?!.*`)|~{3,})\s*(\S*)/;
+const MARKDOWN_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const MARKDOWN_RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const MARKDOWN_QUOTE = /^ {0,3}> ?(.*)$/;
+const MARKDOWN_LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])([ \t]+|$)(.*)$/;
+const MARKDOWN_TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+
+// Whether a line starts a block that ends a paragraph or a lazy list item line
+function startsMarkdownBlock(line) {
+  const item = line.match(MARKDOWN_LIST_ITEM);
+  return MARKDOWN_FENCE.test(line) || MARKDOWN_HEADING.test(line) || MARKDOWN_RULE.test(line)
+    || MARKDOWN_QUOTE.test(line) || Boolean(item && item[4].trim());
+}
+
+// Render block-level Markdown. In tight lists paragraphs are not wrapped in <p>
+function renderMarkdownBlocks(lines, ctx, tight = false) {
+  if (ctx.depth >= MARKDOWN_MAX_DEPTH) return `<p>${escapeHtml(lines.join('\n').trim())}</p>`;
+  ctx.depth++;
+  const html = [];
+  let paragraph = [];
+  const flush = () => {
+    if (paragraph.length === 0) return;
+    const inline = renderMarkdownInline(paragraph.map(l => l.replace(/^ +/, '')).join('\n').trimEnd(), ctx);
+    html.push(tight ? inline : `<p>${inline}</p>`);
+    paragraph = [];
+  };
+
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    let m;
+
+    if (!line.trim()) {
+      flush();
+      i++;
+    } else if ((m = line.match(MARKDOWN_FENCE))) {
+      flush();
+      const closing = new RegExp(`^ {0,3}${m[2][0] === '`' ? '`' : '~'}{${m[2].length},}\\s*$`);
+      const code = [];
+      for (i++; i < lines.length && !closing.test(lines[i]); i++) {
+        code.push(lines[i].replace(new RegExp(`^ {0,${m[1].length}}`), ''));
+      }
+      i++;
+      html.push(renderMarkdownCode(code.join('\n'), m[3]));
+    } else if ((m = line.match(MARKDOWN_HEADING))) {
+      flush();
+      html.push(renderMarkdownHeading(m[1].length, m[2] || '', ctx));
+      i++;
+    } else if (paragraph.length > 0 && (m = line.match(/^ {0,3}(=+|-+)[ \t]*$/))) {
+      // A setext heading: the paragraph so far, underlined
+      html.push(renderMarkdownHeading(m[1][0] === '=' ? 1 : 2, paragraph.join('\n').trim(), ctx));
+      paragraph = [];
+      i++;
+    } else if (MARKDOWN_RULE.test(line)) {
+      flush();
+      html.push('<hr>');
+      i++;
+    } else if (MARKDOWN_QUOTE.test(line)) {
+      flush();
+      const quoted = [];
+      for (; i < lines.length && (m = lines[i].match(MARKDOWN_QUOTE)); i++) quoted.push(m[1]);
+      html.push(`<blockquote>${renderMarkdownBlocks(quoted, ctx)}</blockquote>`);
+    } else if (line.includes('|') && MARKDOWN_TABLE_DELIMITER.test(lines[i + 1] || '')
+      && splitMarkdownTableRow(line).length === splitMarkdownTableRow(lines[i + 1]).length) {
+      flush();
+      const rows = [];
+      for (; i < lines.length && lines[i].trim() && lines[i].includes('|'); i++) rows.push(lines[i]);
+      html.push(renderMarkdownTable(rows, ctx));
+    } else if ((m = line.match(MARKDOWN_LIST_ITEM)) && !(paragraph.length > 0 && (!m[4].trim() || /^\d+/.test(m[2]) && parseInt(m[2]) !== 1))) {
+      // Lists may only interrupt a paragraph if they cannot be mistaken for text, like "2020. was a year"
+      flush();
+      i = renderMarkdownList(lines, i, ctx, html);
+    } else if (paragraph.length === 0 && /^ {4}/.test(line)) {
+      // Indented code, up to the first line that is neither indented nor blank
+      const code = [];
+      for (; i < lines.length && (/^ {4}/.test(lines[i]) || !lines[i].trim()); i++) code.push(lines[i].slice(4));
+      while (!code[code.length - 1].trim()) code.pop();
+      html.push(renderMarkdownCode(code.join('\n'), ''));
+    } else if (paragraph.length === 0 && /^ {0,3}<!--/.test(line)) {
+      // HTML comments are often used for notes in READMEs; leave them out
+      while (i < lines.length && !lines[i].includes('-->')) i++;
+      i++;
+    } else {
+      paragraph.push(line);
+      i++;
+    }
+  }
+  flush();
+  ctx.depth--;
+  return html.join('\n');
+}
+
+function renderMarkdownCode(code, languageName) {
+  const language = languageName ? findLanguageByName(languageName) : null;
+  const body = language ? highlightLines(code, language).join('\n') : escapeHtml(code);
+  return `<pre><code${languageName ? ` class="language-${escapeHtml(languageName)}"` : ''}>${body}</code></pre>`;
+}
+
+// Headings get an id from their text so they can be linked to, like GitHub's
+function renderMarkdownHeading(level, text, ctx) {
+  const inline = renderMarkdownInline(text, ctx);
+  const base = inline.replace(/<[^>]*>/g, '').replace(/&[#\w]+;/g, '').toLowerCase()
+    .replace(/[^\p{L}\p{N}_ -]/gu, '').trim().replace(/ /g, '-');
+  const count = ctx.headingIds.get(base) || 0;
+  ctx.headingIds.set(base, count + 1);
+  const id = count ? `${base}-${count}` : base;
+  return `<h${level}${id ? ` id="${escapeHtml(id)}"` : ''}>${inline}</h${level}>`;
+}
+
+function splitMarkdownTableRow(row) {
+  return row.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function renderMarkdownTable(rows, ctx) {
+  const [header, delimiter, ...body] = rows.map(splitMarkdownTableRow);
+  const aligns = delimiter.map(cell => cell.endsWith(':') ? (cell.startsWith(':') ? 'center' : 'right') : cell.startsWith(':') ? 'left' : null);
+  const renderRow = (cells, tag) => `<tr>${aligns.map((align, i) =>
+    `<${tag}${align ? ` style="text-align: ${align}"` : ''}>${renderMarkdownInline(cells[i] || '', ctx)}</${tag}>`).join('')}</tr>`;
+  return `<table><thead>${renderRow(header, 'th')}</thead>${body.length ? `<tbody>${body.map(cells => renderRow(cells, 'td')).join('')}</tbody>` : ''}</table>`;
+}
+
+// Render the list starting at lines[start] into html, returning the index of the line after it
+function renderMarkdownList(lines, start, ctx, html) {
+  const first = lines[start].match(MARKDOWN_LIST_ITEM);
+  const ordered = /^\d/.test(first[2]);
+  const marker = first[2].slice(-1);
+  const items = [];
+  let loose = false;
+  let blankBefore = false;
+  let i = start;
+
+  let m;
+  while (i < lines.length && !MARKDOWN_RULE.test(lines[i]) && (m = lines[i].match(MARKDOWN_LIST_ITEM))
+    && /^\d/.test(m[2]) === ordered && m[2].slice(-1) === marker) {
+    if (blankBefore) loose = true;
+    // Content more than four spaces after the marker is indented code inside the item
+    const padding = m[3].length > 4 || !m[4] ? 1 : m[3].length;
+    const contentIndent = m[1].length + m[2].length + padding;
+    const itemLines = [' '.repeat(Math.max(0, m[3].length - padding)) + m[4]];
+
+    for (i++; i < lines.length; i++) {
+      const next = lines[i];
+      if (!next.trim()) {
+        itemLines.push('');
+      } else if (next.match(/^ */)[0].length >= contentIndent) {
+        // A blank line between two of the item's own blocks makes the list loose
+        const inner = next.slice(contentIndent);
+        if (!itemLines[itemLines.length - 1] && !MARKDOWN_LIST_ITEM.test(inner)) loose = true;
+        itemLines.push(inner);
+      } else if (itemLines[itemLines.length - 1].trim() && !startsMarkdownBlock(next)) {
+        // A lazy continuation of the item's paragraph
+        itemLines.push(next.trim());
+      } else {
+        break;
+      }
+    }
+
+    blankBefore = false;
+    while (itemLines.length > 1 && !itemLines[itemLines.length - 1].trim()) {
+      itemLines.pop();
+      blankBefore = true;
+    }
+    items.push(itemLines);
+  }
+
+  const tag = ordered ? 'ol' : 'ul';
+  const startNumber = ordered ? parseInt(first[2]) : 1;
+  html.push(`<${tag}${startNumber !== 1 ? ` start="${startNumber}"` : ''}>${items.map(itemLines => {
+    const task = itemLines[0].match(/^\[([ xX])\][ \t]+/);
+    if (!task) return `<li>${renderMarkdownBlocks(itemLines, ctx, !loose)}</li>`;
+    const checkbox = `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `;
+    return `<li class="task-list-item">${checkbox}${renderMarkdownBlocks([itemLines[0].slice(task[0].length), ...itemLines.slice(1)], ctx, !loose)}</li>`;
+  }).join('')}</${tag}>`);
+  return i;
+}
+
+const MARKDOWN_URL_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+// A link or image URL made safe to use, or null if it is not allowed
+function resolveMarkdownUrl(url, ctx, { image = false } = {}) {
+  url = url.replace(/[\u0000-\u0020\u007f]/g, '');
+  if (!url) return null;
+  if (url.startsWith('#')) return url;
+  const scheme = url.match(/^([a-z][a-z0-9+.-]*:)/i);
+  if (scheme) return MARKDOWN_URL_SCHEMES.includes(scheme[1].toLowerCase()) ? url : null;
+  if (url.startsWith('//')) return `https:${url}`;
+  // Anything else is relative; a colon before the path could still hide a scheme
+  if (/^[^/?#]*:/.test(url)) return null;
+  return ctx.resolveUrl ? ctx.resolveUrl(url, { image }) : url;
+}
+
+// The link or image target after the "]" at text[end] closing the "[" at
+// text[start]: an inline link [text](url "title") or a reference
+// [text][name], [name][] or [name]
+function parseMarkdownLinkTarget(text, start, end, ctx) {
+  if (text[end + 1] === '(') {
+    const inline = /\(\s*(?:<([^<>\n]*)>|((?:\\.|[^\s()\\]|\((?:\\.|[^\s()\\])*\))*))(?:\s+(?:"((?:\\.|[^"\\])*)"|'((?:\\.|[^'\\])*)'|\(((?:\\.|[^()\\])*)\)))?\s*\)/y;
+    inline.lastIndex = end + 1;
+    const m = inline.exec(text);
+    if (m) return { url: m[1] ?? m[2], title: m[3] ?? m[4] ?? m[5], end: inline.lastIndex };
+  }
+
+  // Labels are at most 999 characters, as in CommonMark
+  const reference = /\[([^\]]{0,999})\]/y;
+  reference.lastIndex = end + 1;
+  const m = reference.exec(text);
+  const name = m && m[1].trim() ? m[1] : end - start <= 1000 ? text.slice(start + 1, end) : '';
+  const definition = ctx.references.get(normalizeMarkdownLabel(name));
+  if (!definition) return null;
+  return { ...definition, end: end + 1 + (m ? m[0].length : 0) };
+}
+
+const MARKDOWN_WHITESPACE = /\s/u;
+const MARKDOWN_PUNCTUATION = /[\p{P}\p{S}]/u;
+
+// Render inline Markdown: code spans, links, images, emphasis and line breaks.
+// Like CommonMark, the text is read once: it becomes a list of HTML pieces,
+// with runs of *, _ and ~ and the openings of links kept on stacks, and these
+// are matched up when a closing "]" or the end of the text is reached
+function renderMarkdownInline(text, ctx) {
+  const first = { html: '', plain: false };
+  let last = first;
+  let delimiters = null;
+  let brackets = null;
+  const append = (node) => {
+    node.prev = last;
+    last.next = node;
+    last = node;
+    return node;
+  };
+  const appendHtml = (html) => {
+    if (last.plain) last.html += html;
+    else append({ html, plain: true });
+  };
+  const removeNode = (node) => {
+    node.prev.next = node.next;
+    if (node.next) node.next.prev = node.prev;
+    else last = node.prev;
+  };
+  const removeDelimiter = (delimiter) => {
+    if (delimiter.previous) delimiter.previous.following = delimiter.following;
+    if (delimiter.following) delimiter.following.previous = delimiter.previous;
+    else delimiters = delimiter.previous;
+  };
+
+  // Match the delimiters above bottom into <em>, <strong> and <del>, then drop them from the stack
+  const processEmphasis = (bottom) => {
+    if (delimiters === bottom) return;
+    let closer = delimiters;
+    while (closer.previous !== bottom) closer = closer.previous;
+    const bottomIndex = bottom ? bottom.index : -1;
+    // Where the search for an opener for each kind of closer last failed
+    const openersBottom = new Map();
+
+    while (closer) {
+      if (!closer.canClose) {
+        closer = closer.following;
+        continue;
+      }
+      const kind = `${closer.char}${closer.canOpen}${closer.length % 3}`;
+      const floor = Math.max(bottomIndex, openersBottom.get(kind) ?? -1);
+      let opener = closer.previous;
+      for (; opener && opener.index > floor; opener = opener.previous) {
+        if (opener.char !== closer.char || !opener.canOpen) continue;
+        // A run that can both open and close only pairs up if the lengths allow it
+        if (closer.char !== '~' && (opener.canClose || closer.canOpen)
+          && (opener.length + closer.length) % 3 === 0 && (opener.length % 3 !== 0 || closer.length % 3 !== 0)) continue;
+        break;
+      }
+
+      if (!opener || opener.index <= floor) {
+        openersBottom.set(kind, closer.previous ? closer.previous.index : -1);
+        const next = closer.following;
+        if (!closer.canOpen) removeDelimiter(closer);
+        closer = next;
+        continue;
+      }
+
+      const used = closer.char === '~' || (opener.count >= 2 && closer.count >= 2) ? 2 : 1;
+      const tag = closer.char === '~' ? 'del' : used === 2 ? 'strong' : 'em';
+      opener.count -= used;
+      closer.count -= used;
+      opener.node.html = opener.char.repeat(opener.count);
+      closer.node.html = closer.char.repeat(closer.count);
+
+      let inner = '';
+      for (let node = opener.node.next; node !== closer.node; node = node.next) inner += node.html;
+      const wrapped = { html: `<${tag}>${inner}</${tag}>`, plain: false, prev: opener.node, next: closer.node };
+      opener.node.next = wrapped;
+      closer.node.prev = wrapped;
+      opener.following = closer;
+      closer.previous = opener;
+
+      if (opener.count === 0) {
+        removeNode(opener.node);
+        removeDelimiter(opener);
+      }
+      if (closer.count === 0) {
+        const next = closer.following;
+        removeNode(closer.node);
+        removeDelimiter(closer);
+        closer = next;
+      }
+    }
+
+    delimiters = bottom;
+    if (bottom) bottom.following = null;
+  };
+
+  // Code spans end at the next run of as many backticks; the runs are found once
+  let backtickRuns = null;
+  const findBacktickRun = (from, length) => {
+    if (!backtickRuns) {
+      backtickRuns = new Map();
+      for (const m of text.matchAll(/`+/g)) {
+        if (!backtickRuns.has(m[0].length)) backtickRuns.set(m[0].length, { starts: [], next: 0 });
+        backtickRuns.get(m[0].length).starts.push(m.index);
+      }
+    }
+    const runs = backtickRuns.get(length);
+    if (!runs) return -1;
+    while (runs.next < runs.starts.length && runs.starts[runs.next] < from) runs.next++;
+    return runs.next < runs.starts.length ? runs.starts[runs.next] : -1;
+  };
+  let commentEnd;
+  const findCommentEnd = (from) => {
+    if (commentEnd === undefined || (commentEnd !== -1 && commentEnd < from)) commentEnd = text.indexOf('-->', from);
+    return commentEnd;
+  };
+
+  const isWordChar = (c) => c !== undefined && /[\p{L}\p{N}]/u.test(c);
+  let i = 0;
+  const at = (regex) => {
+    regex.lastIndex = i;
+    return regex.exec(text);
+  };
+
+  while (i < text.length) {
+    const c = text[i];
+    let m;
+
+    if ((m = at(/[^\\`<!\[\]*_~h ]+/y))) {
+      appendHtml(escapeHtml(m[0]));
+    } else if ((m = at(/\\([!-/:-@[-`{-~])/y))) {
+      appendHtml(escapeHtml(m[1]));
+    } else if ((m = at(/\\\n/y))) {
+      appendHtml('<br>\n');
+    } else if ((m = at(/ +\n?/y))) {
+      // Two or more spaces at the end of a line make a line break
+      appendHtml(m[0].length > 2 && m[0].endsWith('\n') ? '<br>\n' : m[0]);
+    } else if ((m = at(/`+/y))) {
+      const end = findBacktickRun(i + m[0].length, m[0].length);
+      if (end === -1) {
+        appendHtml(m[0]);
+      } else {
+        const code = text.slice(i + m[0].length, end).replace(/\n/g, ' ');
+        appendHtml(`<code>${escapeHtml(/^ .* $/.test(code) ? code.slice(1, -1) : code)}</code>`);
+        i = end + m[0].length;
+        continue;
+      }
+    } else if (text.startsWith('<!--', i) && findCommentEnd(i + 4) !== -1) {
+      // Comments are left out
+      i = commentEnd + 3;
+      continue;
+    } else if ((m = at(/<((?:https?|mailto):[^\s<>]*)>/iy))) {
+      const href = resolveMarkdownUrl(m[1], ctx);
+      appendHtml(href ? `<a href="${escapeHtml(href)}">${escapeHtml(m[1])}</a>` : escapeHtml(m[0]));
+    } else if ((m = at(/<([^\s<>@]+)@([^\s<>@]+)>/y)) && m[2].slice(1, -1).includes('.')) {
+      const address = `${m[1]}@${m[2]}`;
+      appendHtml(`<a href="mailto:${escapeHtml(address)}">${escapeHtml(address)}</a>`);
+    } else if (c === '[' || (c === '!' && text[i + 1] === '[')) {
+      m = [c === '!' ? '![' : '['];
+      const node = append({ html: m[0], plain: false });
+      brackets = { node, image: c === '!', active: true, start: i + m[0].length - 1, delimiters, previous: brackets };
+    } else if (c === ']') {
+      const opener = brackets;
+      const link = opener && opener.active ? parseMarkdownLinkTarget(text, opener.start, i, ctx) : null;
+      if (opener) brackets = opener.previous;
+      if (!link) {
+        appendHtml(']');
+        i++;
+        continue;
+      }
+
+      // Emphasis inside the brackets is settled first, as it cannot reach outside them
+      processEmphasis(opener.delimiters);
+      let label = '';
+      for (let node = opener.node.next; node; node = node.next) label += node.html;
+      opener.node.next = null;
+      opener.node.plain = true;
+      last = opener.node;
+
+      const title = link.title ? ` title="${escapeHtml(link.title)}"` : '';
+      if (opener.image) {
+        const src = resolveMarkdownUrl(link.url, ctx, { image: true });
+        const alt = label.replace(/<[^>]*>/g, '');
+        opener.node.html = src ? `<img src="${escapeHtml(src)}" alt="${alt}"${title}>` : alt;
+      } else {
+        const href = resolveMarkdownUrl(link.url, ctx);
+        opener.node.html = href ? `<a href="${escapeHtml(href)}"${title}>${label}</a>` : label;
+        // Links cannot contain other links
+        for (let outer = brackets; outer; outer = outer.previous) {
+          if (outer.image) continue;
+          if (!outer.active) break;
+          outer.active = false;
+        }
+      }
+      i = link.end;
+      continue;
+    } else if ((m = at(c === '*' ? /\*+/y : c === '_' ? /_+/y : /~+/y))) {
+      const before = text[i - 1] ?? ' ';
+      const after = text[i + m[0].length] ?? ' ';
+      const spaceBefore = MARKDOWN_WHITESPACE.test(before);
+      const spaceAfter = MARKDOWN_WHITESPACE.test(after);
+      const punctuationBefore = MARKDOWN_PUNCTUATION.test(before);
+      const punctuationAfter = MARKDOWN_PUNCTUATION.test(after);
+      const leftFlanking = !spaceAfter && (!punctuationAfter || spaceBefore || punctuationBefore);
+      const rightFlanking = !spaceBefore && (!punctuationBefore || spaceAfter || punctuationAfter);
+      // Underscores inside words, as in snake_case, are not emphasis; only ~~ strikes through
+      let canOpen = leftFlanking;
+      let canClose = rightFlanking;
+      if (c === '_') {
+        canOpen = leftFlanking && (!rightFlanking || punctuationBefore);
+        canClose = rightFlanking && (!leftFlanking || punctuationAfter);
+      } else if (c === '~' && m[0].length !== 2) {
+        canOpen = canClose = false;
+      }
+
+      if (canOpen || canClose) {
+        const node = append({ html: m[0], plain: false });
+        const delimiter = { node, char: c, length: m[0].length, count: m[0].length, canOpen, canClose, index: i, previous: delimiters, following: null };
+        if (delimiters) delimiters.following = delimiter;
+        delimiters = delimiter;
+      } else {
+        appendHtml(m[0]);
+      }
+    } else if (!isWordChar(text[i - 1]) && (m = at(brackets ? /https?:\/\/[^\s<\]]*[^\s<?!.,:*_~'")\]]/y : /https?:\/\/[^\s<]*[^\s<?!.,:*_~'")\]]/y))) {
+      appendHtml(`<a href="${escapeHtml(m[0])}">${escapeHtml(m[0])}</a>`);
+    } else {
+      m = [c];
+      appendHtml(escapeHtml(c));
+    }
+    i += m[0].length;
+  }
+
+  processEmphasis(null);
+  let html = '';
+  for (let node = first.next; node; node = node.next) html += node.html;
+  return html;
+}
+
+// Styles for rendered Markdown, inside an element with the markdown-body class
+const MARKDOWN_CSS = `
+    .markdown-body { font-size: 15px; line-height: 1.6; color: #24292e; word-wrap: break-word; }
+    .markdown-body > :first-child { margin-top: 0; }
+    .markdown-body h1, .markdown-body h2 { padding-bottom: 0.3em; border-bottom: 1px solid #eaecef; }
+    .markdown-body h1, .markdown-body h2, .markdown-body h3, .markdown-body h4, .markdown-body h5, .markdown-body h6 { margin: 24px 0 16px; color: #24292e; line-height: 1.25; }
+    .markdown-body p, .markdown-body blockquote, .markdown-body pre, .markdown-body table, .markdown-body ul, .markdown-body ol { margin: 0 0 16px; }
+    .markdown-body a { color: #0366d6; text-decoration: none; }
+    .markdown-body a:hover { text-decoration: underline; }
+    .markdown-body ul, .markdown-body ol { padding-left: 2em; }
+    .markdown-body ul { list-style: disc; }
+    .markdown-body ol { list-style: decimal; }
+    .markdown-body ul ul, .markdown-body ol ol, .markdown-body ul ol, .markdown-body ol ul { margin-bottom: 0; }
+    .markdown-body li { padding: 0; margin: 0.25em 0; background: none; border-radius: 0; }
+    .markdown-body li.task-list-item { list-style: none; margin-left: -1.3em; }
+    .markdown-body code { background: #f3f4f6; padding: 0.2em 0.4em; border-radius: 4px; font-family: 'SF Mono', Monaco, monospace; font-size: 85%; }
+    .markdown-body pre { background: #f6f8fa; padding: 16px; border-radius: 6px; overflow-x: auto; line-height: 1.45; }
+    .markdown-body pre code { background: none; padding: 0; font-size: 13px; }
+    .markdown-body blockquote { padding: 0 1em; color: #6a737d; border-left: 4px solid #dfe2e5; }
+    .markdown-body table { border-collapse: collapse; display: block; overflow-x: auto; }
+    .markdown-body th, .markdown-body td { padding: 6px 13px; border: 1px solid #dfe2e5; }
+    .markdown-body th { background: #f6f8fa; }
+    .markdown-body img { max-width: 100%; }
+    .markdown-body hr { border: none; border-top: 4px solid #eaecef; margin: 24px 0; }`;
+
+// Diffs longer than these are cut short: a file with more changed lines than
+// the first is not shown until asked for, and files past the second in total aren't either
+const DIFF_FILE_LINE_LIMIT = 1500;
+const DIFF_TOTAL_LINE_LIMIT = 5000;
+
+// Undo git's quoting of unusual paths: "dir/caf\303\251" is dir/café
+function unquoteGitPath(text) {
+  if (!text.startsWith('"')) return text;
+  const bytes = [];
+  const escapes = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13 };
+  for (let i = 1; i < text.length - 1; i++) {
+    if (text[i] !== '\\') {
+      bytes.push(...Buffer.from(text[i]));
+    } else if (/[0-7]/.test(text[i + 1])) {
+      bytes.push(parseInt(text.slice(i + 1, i + 4), 8));
+      i += 3;
+    } else {
+      i++;
+      bytes.push(escapes[text[i]] ?? text.charCodeAt(i));
+    }
+  }
+  return Buffer.from(bytes).toString();
+}
+
+// Split `git diff` output into files, each with its hunks, line numbers and
+// counts of added and deleted lines
+function parseDiff(diff) {
+  const files = [];
+  let file = null;
+  let hunk = null;
+  let oldLine = 0;
+  let newLine = 0;
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      // Both paths, which the ---/+++ or rename lines below may refine. Unquoted
+      // names may contain spaces, so prefer the split that gives equal names
+      const names = line.slice('diff --git '.length);
+      const quoted = names.match(/^("(?:\\.|[^"\\])*"|\S+) ("(?:\\.|[^"\\])*"|\S+)$/);
+      const same = names.match(/^a\/(.*) b\/\1$/);
+      let [oldPath, newPath] = same ? [same[1], same[1]] : quoted ? [quoted[1], quoted[2]].map(unquoteGitPath) : names.split(' b/');
+      oldPath = oldPath.replace(/^a\//, '');
+      newPath = (newPath || oldPath).replace(/^b\//, '');
+      file = { oldPath, newPath, status: 'modified', binary: false, oldMode: null, newMode: null, hunks: [], additions: 0, deletions: 0 };
+      files.push(file);
+      hunk = null;
+    } else if (!file) {
+      continue;
+    } else if (line.startsWith('@@')) {
+      const match = line.match(/^@@ -(\d+)(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+      oldLine = match ? parseInt(match[1]) : 0;
+      newLine = match ? parseInt(match[2]) : 0;
+      hunk = { header: line, lines: [] };
+      file.hunks.push(hunk);
+    } else if (hunk) {
+      if (line.startsWith('+')) {
+        hunk.lines.push({ type: 'add', newNumber: newLine++, text: line.slice(1) });
+        file.additions++;
+      } else if (line.startsWith('-')) {
+        hunk.lines.push({ type: 'del', oldNumber: oldLine++, text: line.slice(1) });
+        file.deletions++;
+      } else if (line.startsWith(' ')) {
+        hunk.lines.push({ type: 'context', oldNumber: oldLine++, newNumber: newLine++, text: line.slice(1) });
+      } else if (line.startsWith('\\')) {
+        hunk.lines.push({ type: 'note', text: line });
+      }
+    } else if (line.startsWith('new file mode ')) {
+      file.status = 'added';
+      file.newMode = line.slice('new file mode '.length);
+    } else if (line.startsWith('deleted file mode ')) {
+      file.status = 'removed';
+      file.oldMode = line.slice('deleted file mode '.length);
+    } else if (line.startsWith('old mode ')) {
+      file.oldMode = line.slice('old mode '.length);
+    } else if (line.startsWith('new mode ')) {
+      file.newMode = line.slice('new mode '.length);
+    } else if (line.startsWith('rename from ') || line.startsWith('copy from ')) {
+      file.status = line.startsWith('rename') ? 'renamed' : 'copied';
+      file.oldPath = unquoteGitPath(line.replace(/^(rename|copy) from /, ''));
+    } else if (line.startsWith('rename to ') || line.startsWith('copy to ')) {
+      file.newPath = unquoteGitPath(line.replace(/^(rename|copy) to /, ''));
+    } else if (line.startsWith('--- ') && line !== '--- /dev/null') {
+      // Names with spaces end in a tab
+      file.oldPath = unquoteGitPath(line.slice(4).replace(/\t$/, '')).replace(/^a\//, '');
+    } else if (line.startsWith('+++ ') && line !== '+++ /dev/null') {
+      file.newPath = unquoteGitPath(line.slice(4).replace(/\t$/, '')).replace(/^b\//, '');
+    } else if (line.startsWith('Binary files ') || line === 'GIT binary patch') {
+      file.binary = true;
+    }
+  }
+  return files;
+}
+
+const DIFF_STATUS_LABELS = { added: 'Added', modified: 'Modified', removed: 'Deleted', renamed: 'Renamed', copied: 'Copied' };
+
+// Why a file's diff has no lines to show, or null if it has some
+function diffFileNotice(file) {
+  if (file.binary) return 'Binary file not shown';
+  if (file.hunks.length > 0) return null;
+  if (file.oldMode && file.newMode && file.oldMode !== file.newMode) return `File mode changed from ${file.oldMode} to ${file.newMode}`;
+  if (file.status === 'renamed') return 'File renamed without changes';
+  if (file.status === 'copied') return 'File copied without changes';
+  if (file.status === 'added') return 'Empty file added';
+  if (file.status === 'removed') return 'Empty file deleted';
+  return 'No changes';
+}
+
+// The lines of one file's diff, one after another with old and new line numbers.
+// With reviewComments, lines can be commented on and show their comments
+function renderUnifiedDiff(file, reviewComments) {
+  const rows = [];
+  for (const hunk of file.hunks) {
+    rows.push(`<tr class="diff-hunk"><td class="diff-num"></td><td class="diff-num"></td><td class="diff-code">${escapeHtml(hunk.header)}</td></tr>`);
+    for (const line of hunk.lines) {
+      if (line.type === 'note') {
+        rows.push(`<tr class="diff-note"><td class="diff-num"></td><td class="diff-num"></td><td class="diff-code">${escapeHtml(line.text)}</td></tr>`);
+        continue;
+      }
+      const cls = line.type === 'add' ? 'diff-add' : line.type === 'del' ? 'diff-del' : '';
+      const prefix = line.type === 'add' ? '+' : line.type === 'del' ? '-' : ' ';
+      // Context lines are commented on by their new line number
+      const side = line.type === 'del' ? 'old' : 'new';
+      const number = side === 'old' ? line.oldNumber : line.newNumber;
+      const attrs = reviewComments ? ` data-path="${escapeHtml(file.newPath)}" data-side="${side}" data-line="${number}"` : '';
+      rows.push(`<tr class="diff-line${cls ? ` ${cls}` : ''}"${attrs}><td class="diff-num">${line.oldNumber ?? ''}</td><td class="diff-num">${line.newNumber ?? ''}</td><td class="diff-code">${prefix}${escapeHtml(line.text)}</td></tr>`);
+
+      for (const c of (reviewComments && reviewComments.get(`${file.newPath}:${side}:${number}`)) || []) {
+        rows.push(`<tr class="review-comment-row"><td colspan="3"><div class="review-comment"><strong>${escapeHtml(c.author)}</strong> <span class="review-comment-date">${c.created_at}</span>\n${escapeHtml(c.body)}</div></td></tr>`);
+      }
+    }
+  }
+  return `<table class="diff-table">${rows.join('')}</table>`;
+}
+
+// The lines of one file's diff side by side: the old file on the left, the new
+// one on the right, with deleted lines next to the lines that replaced them
+function renderSplitDiff(file) {
+  const rows = [];
+  const cell = (line, side) => line
+    ? `<td class="diff-num">${side === 'old' ? line.oldNumber : line.newNumber}</td><td class="diff-code ${line.type === 'add' ? 'diff-add' : line.type === 'del' ? 'diff-del' : ''}">${escapeHtml(line.text)}</td>`
+    : '<td class="diff-num diff-empty"></td><td class="diff-code diff-empty"></td>';
+
+  for (const hunk of file.hunks) {
+    rows.push(`<tr class="diff-hunk"><td class="diff-num"></td><td class="diff-code" colspan="3">${escapeHtml(hunk.header)}</td></tr>`);
+    const lines = hunk.lines.filter(l => l.type !== 'note');
+    for (let i = 0; i < lines.length;) {
+      if (lines[i].type === 'context') {
+        rows.push(`<tr>${cell(lines[i], 'old')}${cell(lines[i], 'new')}</tr>`);
+        i++;
+        continue;
+      }
+      const deleted = [];
+      const added = [];
+      while (i < lines.length && lines[i].type === 'del') deleted.push(lines[i++]);
+      while (i < lines.length && lines[i].type === 'add') added.push(lines[i++]);
+      for (let j = 0; j < Math.max(deleted.length, added.length); j++) {
+        rows.push(`<tr>${cell(deleted[j], 'old')}${cell(added[j], 'new')}</tr>`);
+      }
+    }
+  }
+  return `<table class="diff-table diff-split">${rows.join('')}</table>`;
+}
+
+// The body of one file's section in a diff
+function renderDiffFileBody(file, { view = 'unified', reviewComments = null } = {}) {
+  const notice = diffFileNotice(file);
+  if (notice) return `<div class="diff-notice">${notice}</div>`;
+  return view === 'split' && !reviewComments ? renderSplitDiff(file) : renderUnifiedDiff(file, reviewComments);
+}
+
+// Format a diff as a collapsible section per file, with counts of changed lines.
+// view is "unified" or "split". Pass reviewComments (a map of "path:side:line"
+// to comments) to make lines commentable and show existing review comments
+// under the lines they refer to; review diffs are unified and never cut short.
+// Files too large to show get a button to load them from loadUrl(file), if given
+function formatDiff(diff, { reviewComments = null, view = 'unified', loadUrl = null } = {}) {
+  const files = parseDiff(diff || '');
+  if (files.length === 0) return '<p class="empty">No changes</p>';
+
+  let shownLines = 0;
+  return files.map((file, i) => {
+    const lines = file.hunks.reduce((sum, hunk) => sum + hunk.lines.length, 0);
+    let body;
+    if (!reviewComments && (lines > DIFF_FILE_LINE_LIMIT || (shownLines + lines > DIFF_TOTAL_LINE_LIMIT && shownLines > 0))) {
+      const url = loadUrl ? loadUrl(file) : null;
+      body = `<div class="diff-notice">${lines > DIFF_FILE_LINE_LIMIT ? 'Large diff' : 'Diff'} not shown.${url ? ` <button class="load-diff" data-url="${escapeHtml(url)}">Load diff</button>` : ''}</div>`;
+    } else {
+      shownLines += lines;
+      body = renderDiffFileBody(file, { view, reviewComments });
+    }
+
+    const name = file.oldPath !== file.newPath && (file.status === 'renamed' || file.status === 'copied')
+      ? `${escapeHtml(file.oldPath)} &rarr; ${escapeHtml(file.newPath)}`
+      : escapeHtml(file.newPath);
+    return `<details class="diff-file" id="diff-${i + 1}" open>
+      <summary class="diff-file-header">
+        <span class="diff-counts">${file.binary ? 'BIN' : `<span class="diff-additions">+${file.additions}</span> <span class="diff-deletions">&minus;${file.deletions}</span>`}</span>
+        <span class="diff-path">${name}</span>
+        ${file.status !== 'modified' ? `<span class="diff-status diff-status-${file.status}">${DIFF_STATUS_LABELS[file.status]}</span>` : ''}
+      </summary>
+      <div class="diff-body">${body}</div>
+    </details>`;
+  }).join('');
+}
+
+// Styles for formatDiff output, shared by the pages that show diffs
+const DIFF_CSS = `
+    .diff-file { border-bottom: 1px solid #e1e4e8; }
+    .diff-file:last-child { border-bottom: none; }
+    .diff-file-header { background: #f1f8ff; padding: 10px 15px; font-family: 'SF Mono', Monaco, monospace; font-size: 13px; color: #0366d6; border-bottom: 1px solid #e1e4e8; cursor: pointer; display: flex; align-items: center; gap: 12px; }
+    .diff-file:not([open]) .diff-file-header { border-bottom: none; }
+    .diff-file-header::before { content: '\\25BE'; color: #6a737d; }
+    .diff-file:not([open]) .diff-file-header::before { content: '\\25B8'; }
+    .diff-file-header::-webkit-details-marker { display: none; }
+    .diff-path { font-weight: 600; flex: 1; word-break: break-all; }
+    .diff-counts { font-size: 12px; min-width: 80px; color: #6a737d; }
+    .diff-additions { color: #22863a; }
+    .diff-deletions { color: #cb2431; }
+    .diff-status { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 11px; padding: 2px 8px; border-radius: 4px; background: #e2e3e5; color: #383d41; }
+    .diff-status-added { background: #d4edda; color: #155724; }
+    .diff-status-removed { background: #f8d7da; color: #721c24; }
+    .diff-status-renamed { background: #cce5ff; color: #004085; }
+    .diff-body { overflow-x: auto; }
+    .diff-table { width: 100%; border-collapse: collapse; font-family: 'SF Mono', Monaco, monospace; font-size: 12px; line-height: 1.5; }
+    .diff-table td { padding: 0 10px; vertical-align: top; }
+    .diff-num { width: 1%; min-width: 30px; text-align: right; color: #6a737d; user-select: none; white-space: nowrap; }
+    .diff-code { white-space: pre; }
+    .diff-split { table-layout: fixed; }
+    .diff-split .diff-num { width: 45px; }
+    .diff-split .diff-code { white-space: pre-wrap; word-break: break-all; }
+    .diff-split td:nth-child(3) { border-left: 1px solid #e1e4e8; }
+    .diff-add, .diff-add .diff-num { background: #e6ffec; color: #22863a; }
+    .diff-del, .diff-del .diff-num { background: #ffebe9; color: #cb2431; }
+    .diff-empty { background: #f6f8fa; }
+    .diff-hunk td { background: #f1f8ff; color: #0366d6; padding-top: 6px; padding-bottom: 6px; }
+    .diff-note td { color: #6a737d; }
+    .diff-notice { padding: 20px; text-align: center; color: #666; font-size: 14px; }
+    .diff-notice button { margin-left: 8px; padding: 4px 12px; background: #f6f8fa; border: 1px solid #d1d5da; border-radius: 4px; cursor: pointer; color: #0366d6; }
+    .review-comment { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; white-space: pre-wrap; background: #fffbdd; border: 1px solid #e1e4e8; border-radius: 6px; margin: 6px 15px; padding: 8px 12px; color: #333; }
+    .review-comment-date { color: #888; font-size: 11px; }`;
+
+// Loads diffs that were too large to show, for pages that pass a loadUrl to formatDiff
+const LOAD_DIFF_SCRIPT = `
+    document.addEventListener('click', async (e) => {
+      const button = e.target.closest('.load-diff');
+      if (!button) return;
+      button.disabled = true;
+      button.textContent = 'Loading...';
+      const res = await fetch(button.dataset.url);
+      if (res.ok) {
+        button.closest('.diff-body').innerHTML = await res.text();
+      } else {
+        button.textContent = 'Failed to load diff';
+      }
+    });`;
+
+// Render commit detail page: message, author and committer, parents, signature
+// and the changes against the first parent, unified or split (?view=split)
+async function renderCommitPage(repoName, rev, query, user) {
+  const repo = getRepository(repoName);
+  if (!repo || !canAccess(user, repoName, 'read')) return null;
+
+  const repoPath = getRepoPath(repoName);
+  if (!fs.existsSync(repoPath)) return null;
+
+  try {
+    const revision = await resolveRevision(repoPath, rev);
+    if (!revision) return null;
+
+    const commit = await getCommit(repoName, revision.sha);
+    const base = commit.parents.length ? commit.parents[0].sha : EMPTY_TREE;
+    const [diff, signature] = await Promise.all([
+      runGit(repoPath, ['diff', '-M', base, commit.sha]),
+      verifyCommitSignature(repoPath, commit.sha)
+    ]);
+
+    const view = query.get('view') === 'split' ? 'split' : 'unified';
+    const commitUrl = `/${repoName}/commit/${commit.sha}`;
+    const formattedDiff = formatDiff(diff, {
+      view,
+      loadUrl: (file) => {
+        const params = new URLSearchParams({ path: file.newPath, old_path: file.oldPath, view });
+        return `${commitUrl}?${params}`;
+      }
+    });
+
+    const filesList = commit.files.map((f, i) => `<li class="file-item">
+        <span class="file-counts">${f.binary ? 'BIN' : `<span class="diff-additions">+${f.additions}</span> <span class="diff-deletions">&minus;${f.deletions}</span>`}</span>
+        <a class="file-path" href="#diff-${i + 1}">${f.previous_filename ? `${escapeHtml(f.previous_filename)} &rarr; ` : ''}${escapeHtml(f.filename)}</a>
+        ${f.status !== 'modified' ? `<span class="diff-status diff-status-${f.status}">${DIFF_STATUS_LABELS[f.status] || escapeHtml(f.status)}</span>` : ''}
+      </li>`).join('');
+
+    const [subject, ...bodyLines] = commit.message.split('\n');
+    const body = bodyLines.join('\n').trim();
+    const person = (p) => `<strong>${escapeHtml(p.name)}</strong> &lt;${escapeHtml(p.email)}&gt;`;
+    const date = (p) => `<span title="${escapeHtml(new Date(p.date).toLocaleString())}">${timeAgo(p.date)}</span>`;
+    const sameCommitter = commit.committer.name === commit.author.name && commit.committer.email === commit.author.email;
+
+    let signatureBadge = '';
+    if (signature) {
+      const kind = { ssh: 'SSH', gpg: 'GPG', x509: 'X.509' }[signature.type] || 'Unknown';
+      const title = signature.verified
+        ? `${kind} signature${signature.signer ? ` by ${signature.signer}` : ''}, verified`
+        : `${kind} signature: ${signature.reason}`;
+      signatureBadge = `<span class="signature ${signature.verified ? 'signature-verified' : 'signature-unverified'}" title="${escapeHtml(title)}">${signature.verified ? 'Verified' : 'Unverified'}</span>`;
+    }
+
+    const combinedStatus = getCombinedStatus(repoName, commit.sha);
+    const statusSummary = { success: 'All checks have passed', failure: 'Some checks were not successful', pending: 'Some checks have not completed yet' };
+    const statusesSection = combinedStatus.total_count ? `
+  <div class="statuses-section">
+    <h2>${renderStatusBadge(combinedStatus)} ${statusSummary[combinedStatus.state]}</h2>
+    <ul class="status-list">${combinedStatus.statuses.map(st => `
+      <li><span class="status-badge status-${st.state}">${STATUS_ICONS[st.state]}</span>
+        <strong>${escapeHtml(st.context)}</strong>
+        <span class="status-description">${escapeHtml(st.description || st.state)}</span>
+        ${st.target_url ? `<a href="${escapeHtml(st.target_url)}">Details</a>` : ''}</li>`).join('')}
+    </ul>
+  </div>` : '';
+
+    const viewUrl = (v) => `${commitUrl}${v === 'split' ? '?view=split' : ''}`;
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <title>${commit.sha.substring(0, 7)} - ${repoName} - GutHib</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: ${view === 'split' ? 1400 : 1100}px; margin: 50px auto; padding: 20px; background: #fafafa; }
+    h1 { color: #333; font-size: 20px; margin-bottom: 5px; }
+    .back { margin-bottom: 20px; }
+    .back a { color: #0066cc; text-decoration: none; }
+    .commit-info { background: white; padding: 20px; border-radius: 8px; margin-bottom: 20px; border: 1px solid #e1e4e8; }
+    .commit-hash { font-family: 'SF Mono', Monaco, monospace; color: #666; font-size: 14px; }
+    .commit-subject { font-size: 18px; font-weight: 600; margin: 10px 0; }
+    .commit-body { color: #555; white-space: pre-wrap; margin: 15px 0; padding: 15px; background: #f6f8fa; border-radius: 6px; }
+    .commit-meta { color: #666; font-size: 14px; margin-top: 4px; }
+    .commit-meta strong { color: #333; }
+    .commit-meta a { color: #0366d6; text-decoration: none; font-family: 'SF Mono', Monaco, monospace; }
+    .signature { font-size: 12px; padding: 2px 8px; border-radius: 10px; border: 1px solid; margin-left: 8px; vertical-align: middle; cursor: help; }
+    .signature-verified { color: #22863a; border-color: #34d058; }
+    .signature-unverified { color: #b08800; border-color: #dbab09; }
+    .statuses-section { background: white; padding: 15px 20px; border-radius: 8px; margin-bottom: 20px; border: 1px solid #e1e4e8; }
+    .statuses-section h2 { margin: 0 0 10px 0; font-size: 15px; color: #333; }
+    .status-list { list-style: none; padding: 0; margin: 0; font-size: 14px; }
+    .status-list li { padding: 6px 0; border-top: 1px solid #eee; display: flex; gap: 8px; align-items: baseline; }
+    .status-list a { margin-left: auto; color: #0366d6; text-decoration: none; }
+    .status-description { color: #666; }${STATUS_CSS}
+    .files-section { background: white; padding: 20px; border-radius: 8px; margin-bottom: 20px; border: 1px solid #e1e4e8; }
+    .files-section h2 { margin-top: 0; font-size: 16px; color: #333; }
+    .file-list { list-style: none; padding: 0; margin: 0; }
+    .file-item { padding: 8px 12px; border-bottom: 1px solid #eee; display: flex; align-items: center; gap: 12px; }
+    .file-item:last-child { border-bottom: none; }
+    .file-counts { font-family: 'SF Mono', Monaco, monospace; font-size: 12px; min-width: 80px; }
+    .file-path { font-family: 'SF Mono', Monaco, monospace; font-size: 13px; color: #0366d6; text-decoration: none; }
+    .diff-section { background: white; border-radius: 8px; border: 1px solid #e1e4e8; overflow: hidden; }
+    .diff-section-header { display: flex; justify-content: space-between; align-items: center; padding: 15px 20px; border-bottom: 1px solid #e1e4e8; background: #f6f8fa; }
+    .diff-section h2 { margin: 0; font-size: 16px; color: #333; }
+    .diff-views { font-size: 13px; }
+    .diff-views a, .diff-views span { margin-left: 4px; padding: 4px 10px; border: 1px solid #e1e4e8; border-radius: 4px; text-decoration: none; color: #0366d6; background: white; }
+    .diff-views span { background: #0366d6; border-color: #0366d6; color: white; }
+    .diff-views .diff-download { border: none; background: none; }${DIFF_CSS}
+    .empty { color: #666; font-style: italic; padding: 20px; text-align: center; }
+    .nav-links { display: flex; gap: 15px; margin-top: 15px; }
+    .nav-links a { color: #0066cc; text-decoration: none; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <div class="back">
+    <a href="/${repoName}">&larr; Back to ${repoName}</a>
+  </div>
+
+  <div class="commit-info">
+    <span class="commit-hash">${commit.sha}</span>${renderStatusBadge(combinedStatus)}${signatureBadge}
+    <h1 class="commit-subject">${escapeHtml(subject)}</h1>
+    ${body ? `<div class="commit-body">${escapeHtml(body)}</div>` : ''}
+    <div class="commit-meta">${person(commit.author)} authored ${date(commit.author)}</div>
+    ${sameCommitter && commit.committer.date === commit.author.date ? '' : `<div class="commit-meta">${sameCommitter ? 'Committed' : `${person(commit.committer)} committed`} ${date(commit.committer)}</div>`}
+    <div class="commit-meta">${commit.parents.length === 0 ? 'No parents' : `${commit.parents.length === 1 ? 'Parent' : 'Parents'} ${commit.parents.map(p => `<a href="/${repoName}/commit/${p.sha}">${p.sha.substring(0, 7)}</a>`).join(' + ')}`}</div>
+    <div class="nav-links">
+      <a href="/${repoName}/tree/${commit.sha}">Browse files at this commit</a>
+      <a href="/${repoName}/commits/${commit.sha}">History</a>
+    </div>
+  </div>
+
+  ${statusesSection}
+
+  <div class="files-section">
+    <h2>${commit.files.length} file${commit.files.length === 1 ? '' : 's'} changed, <span class="diff-additions">${commit.stats.additions} addition${commit.stats.additions === 1 ? '' : 's'}</span>, <span class="diff-deletions">${commit.stats.deletions} deletion${commit.stats.deletions === 1 ? '' : 's'}</span>${commit.parents.length > 1 ? ' against the first parent' : ''}</h2>
+    <ul class="file-list">${filesList || '<li class="empty">No files changed</li>'}</ul>
+  </div>
+
+  <div class="diff-section">
+    <div class="diff-section-header">
+      <h2>Diff</h2>
+      <span class="diff-views">
+        ${view === 'unified' ? '<span>Unified</span>' : `<a href="${viewUrl('unified')}">Unified</a>`}
+        ${view === 'split' ? '<span>Split</span>' : `<a href="${viewUrl('split')}">Split</a>`}
+        <a class="diff-download" href="${commitUrl}.patch">.patch</a>
+        <a class="diff-download" href="${commitUrl}.diff">.diff</a>
+      </span>
+    </div>
+    ${formattedDiff}
+  </div>
+  <script>${LOAD_DIFF_SCRIPT}</script>
+</body>
+</html>`;
+  } catch (err) {
+    return null;
+  }
+}
+
+// One file's diff in a commit, for the page's "Load diff" buttons
+async function renderCommitDiffFile(repoName, rev, query, user) {
+  const repo = getRepository(repoName);
+  if (!repo || !canAccess(user, repoName, 'read')) return null;
+
+  const repoPath = getRepoPath(repoName);
+  if (!fs.existsSync(repoPath)) return null;
+
+  try {
+    const revision = await resolveRevision(repoPath, rev);
+    if (!revision) return null;
+
+    const filePath = query.get('path');
+    const oldPath = query.get('old_path') || filePath;
+    const [commit] = parseCommitLog(repoName, await runGit(repoPath, ['log', '-1', `--format=${COMMIT_FORMAT}`, revision.sha]));
+    const base = commit.parents.length ? commit.parents[0].sha : EMPTY_TREE;
+    // Both paths, so a rename is still detected as one
+    const diff = await runGit(repoPath, ['diff', '-M', base, commit.sha, '--', `:(literal)${oldPath}`, `:(literal)${filePath}`]);
+    const file = parseDiff(diff).find(f => f.newPath === filePath);
+    if (!file) return null;
+    return renderDiffFileBody(file, { view: query.get('view') === 'split' ? 'split' : 'unified' });
+  } catch (err) {
+    return null;
+  }
+}
+
+// Serve a commit as a .patch (an email, as from git format-patch) or a plain .diff
+async function handleCommitPatchRequest(res, repoName, rev, format, user) {
+  const repo = getRepository(repoName);
+  if (!repo || !canAccess(user, repoName, 'read')) return false;
+
+  const repoPath = getRepoPath(repoName);
+  if (!fs.existsSync(repoPath)) return false;
+
+  const revision = await resolveRevision(repoPath, rev);
+  if (!revision) return false;
+
+  let output;
+  if (format === 'patch') {
+    output = await getCommitPatch(repoPath, revision.sha);
+  } else {
+    const parent = await readRef(repoPath, `${revision.sha}^`);
+    output = await runGit(repoPath, ['diff', '-M', '--binary', parent || EMPTY_TREE, revision.sha]);
+  }
+  res.writeHead(200, {
+    'Content-Type': 'text/plain; charset=utf-8',
+    'X-Content-Type-Options': 'nosniff'
+  });
+  res.end(output);
+  return true;
+}
+
+// How the tree page shows git file modes, in the style of ls
+const TREE_ENTRY_MODES = {
+  '040000': 'drwxr-xr-x',
+  '100644': '-rw-r--r--',
+  '100755': '-rwxr-xr-x',
+  '120000': 'lrwxrwxrwx',
+  '160000': 'm---------'
+};
+
+// Where to browse the commit a submodule points at: a repository on this
+// server for relative URLs, or the same path on the host of an absolute one
+function submoduleCommitUrl(repoName, url, sha) {
+  if (/^\.\.?\//.test(url)) {
+    // Relative URLs are relative to the superproject's own URL
+    const name = normalizeRepoName(path.posix.join(repoName, url));
+    return name && !name.includes('/') ? `/${name}/tree/${sha}` : null;
+  }
+
+  let base = null;
+  const scp = url.match(/^(?:[\w.-]+@)?([\w.-]+):(?!\/\/)(.+)$/);
+  if (/^https?:\/\//i.test(url)) {
+    base = url;
+  } else if (/^(?:ssh|git):\/\//i.test(url)) {
+    const parsed = URL.canParse(url) ? new URL(url) : null;
+    base = parsed ? `https://${parsed.hostname}${parsed.pathname}` : null;
+  } else if (scp) {
+    base = `https://${scp[1]}/${scp[2].replace(/^\//, '')}`;
+  }
+  return base ? `${base.replace(/\/+$/, '').replace(/\.git$/, '')}/tree/${sha}` : null;
+}
+
+// Render file tree page: one directory of a commit, folders first, with the
+// last commit that changed each entry
+async function renderTreePage(repoName, revPath, user) {
+  const repo = getRepository(repoName);
+  if (!repo || !canAccess(user, repoName, 'read')) return null;
+
+  const repoPath = getRepoPath(repoName);
+  if (!fs.existsSync(repoPath)) return null;
+
+  try {
+    // No revision means the root of the default branch
+    revPath = revPath.replace(/\/+$/, '');
+    const target = revPath
+      ? await splitRevisionPath(repoPath, revPath)
+      : { revision: await resolveRevision(repoPath, ''), path: '' };
+    if (!target || !target.revision) return null;
+    const { revision, path: treePath } = target;
+
+    const entries = await listTreeEntries(repoPath, revision.sha, treePath);
+    if (!entries) return null;
+    entries.sort((a, b) => {
+      if ((a.type === 'tree') !== (b.type === 'tree')) return a.type === 'tree' ? -1 : 1;
+      return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+    });
+
+    const [commits, submodules, symlinks] = await Promise.all([
+      getLastCommits(repoPath, revision.sha, treePath, entries.map(e => e.name)),
+      entries.some(e => e.type === 'commit') ? getSubmoduleUrls(repoPath, revision.sha) : new Map(),
+      // Symlinks link to what they point at, when that is in the repository
+      Promise.all(entries.filter(e => e.mode === '120000').map(async (entry) => {
+        const linkTarget = (await runGit(repoPath, ['cat-file', 'blob', entry.sha])).trim();
+        const resolved = path.posix.normalize(path.posix.join(treePath || '.', linkTarget));
+        const type = linkTarget.startsWith('/') || resolved.startsWith('..')
+          ? null
+          : await getObjectType(repoPath, `${revision.sha}:${resolved}`);
+        return [entry.path, { target: linkTarget, path: resolved, type }];
+      })).then(pairs => new Map(pairs))
+    ]);
+
+    const rev = encodeRevisionPath(revision.name);
+    const treeUrl = (p) => `/${repoName}/tree/${rev}${p ? `/${encodeRevisionPath(p)}` : ''}`;
+    const blobUrl = (p) => `/${repoName}/blob/${rev}/${encodeRevisionPath(p)}`;
+
+    const renderName = (entry) => {
+      if (entry.type === 'tree') {
+        return `<a class="tree-dir" href="${escapeHtml(treeUrl(entry.path))}">${escapeHtml(entry.name)}/</a>`;
+      }
+      if (entry.type === 'commit') {
+        const url = submodules.has(entry.path) ? submoduleCommitUrl(repoName, submodules.get(entry.path), entry.sha) : null;
+        const label = `${escapeHtml(entry.name)} @ ${entry.sha.substring(0, 7)}`;
+        return url ? `<a class="tree-submodule" href="${escapeHtml(url)}">${label}</a>` : `<span class="tree-submodule">${label}</span>`;
+      }
+      const symlink = symlinks.get(entry.path);
+      if (symlink) {
+        const url = symlink.type === 'tree' ? treeUrl(symlink.path) : symlink.type === 'blob' ? blobUrl(symlink.path) : null;
+        const linkTarget = url ? `<a href="${escapeHtml(url)}">${escapeHtml(symlink.target)}</a>` : escapeHtml(symlink.target);
+        return `<a class="tree-file" href="${escapeHtml(blobUrl(entry.path))}">${escapeHtml(entry.name)}</a> <span class="symlink-target">&rarr; ${linkTarget}</span>`;
+      }
+      return `<a class="tree-file" href="${escapeHtml(blobUrl(entry.path))}">${escapeHtml(entry.name)}</a>`;
+    };
+
+    const renderCommit = (commit) => commit
+      ? `<td class="entry-message"><a href="/${repoName}/commit/${commit.sha}" title="${escapeHtml(commit.message)}">${escapeHtml(commit.message)}</a></td>
+        <td class="entry-date">${new Date(commit.date).toLocaleDateString()}</td>`
+      : '<td class="entry-message"></td><td class="entry-date"></td>';
+
+    const rows = entries.map(entry => `
+      <tr>
+        <td class="entry-mode">${TREE_ENTRY_MODES[entry.mode] || entry.mode}</td>
+        <td class="entry-name">${renderName(entry)}</td>
+        <td class="entry-size">${entry.size !== null && entry.mode !== '120000' ? formatSize(entry.size) : ''}</td>
+        ${renderCommit(commits.get(entry.name))}
+      </tr>`).join('');
+
+    // Breadcrumbs: the repository, then each directory down to this one
+    const segments = treePath ? treePath.split('/') : [];
+    const breadcrumbs = [
+      `<a href="${escapeHtml(treeUrl(''))}">${repoName}</a>`,
+      ...segments.map((segment, i) => i === segments.length - 1
+        ? `<strong>${escapeHtml(segment)}</strong>`
+        : `<a href="${escapeHtml(treeUrl(segments.slice(0, i + 1).join('/')))}">${escapeHtml(segment)}</a>`)
+    ].join(' / ');
+    const latest = commits.get('');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <title>${treePath ? `${escapeHtml(treePath)} at ` : 'Files at '}${escapeHtml(revision.label)} - ${repoName} - GutHib</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 1000px; margin: 50px auto; padding: 20px; background: #fafafa; }
+    h1 { color: #333; font-size: 18px; font-weight: normal; }
+    h1 a { color: #0366d6; text-decoration: none; }
+    .back { margin-bottom: 20px; }
+    .back a { color: #0066cc; text-decoration: none; }
+    .ref-badge { background: #f1f8ff; color: #0366d6; padding: 4px 10px; border-radius: 4px; font-family: 'SF Mono', Monaco, monospace; font-size: 13px; margin-left: 10px; }
+    .tree-container { background: white; border: 1px solid #e1e4e8; border-radius: 8px; overflow: hidden; }
+    .tree-header { background: #f6f8fa; padding: 12px 16px; border-bottom: 1px solid #e1e4e8; font-size: 14px; display: flex; justify-content: space-between; gap: 10px; }
+    .tree-header a { color: #24292e; text-decoration: none; }
+    .tree-header .latest-date { color: #6a737d; white-space: nowrap; }
+    .tree-table { width: 100%; border-collapse: collapse; font-size: 13px; table-layout: fixed; }
+    .tree-table td { padding: 8px 16px; border-bottom: 1px solid #eee; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .tree-table tr:last-child td { border-bottom: none; }
+    .tree-table tr:hover td { background: #f6f8fa; }
+    .entry-mode { width: 90px; font-family: 'SF Mono', Monaco, monospace; color: #6a737d; }
+    .entry-name { width: 35%; font-family: 'SF Mono', Monaco, monospace; }
+    .entry-size { width: 70px; text-align: right; color: #6a737d; }
+    .entry-message a { color: #6a737d; text-decoration: none; }
+    .entry-message a:hover { color: #0366d6; text-decoration: underline; }
+    .entry-date { width: 90px; text-align: right; color: #6a737d; }
+    .tree-dir { color: #0366d6; font-weight: 500; text-decoration: none; }
+    .tree-file { color: #24292e; text-decoration: none; }
+    .tree-file:hover, .tree-dir:hover { text-decoration: underline; }
+    .tree-submodule { color: #6f42c1; text-decoration: none; }
+    .symlink-target { color: #6a737d; }
+    .symlink-target a { color: #6a737d; }
+    .archive-links { font-size: 13px; color: #6a737d; margin-bottom: 12px; }
+    .archive-links a { color: #0366d6; text-decoration: none; margin-left: 6px; }
+    .empty { color: #666; font-style: italic; padding: 20px; text-align: center; }
+  </style>
+</head>
+<body>
+  <div class="back">
+    <a href="/${repoName}">&larr; Back to ${repoName}</a>
+  </div>
+
+  <h1>${breadcrumbs} <span class="ref-badge">${escapeHtml(revision.label)}</span></h1>
+
+  <div class="archive-links">
+    Download ${treePath ? 'this directory' : 'a snapshot'}:
+    <a href="${escapeHtml(archiveUrl(repoName, revision.name, 'zip', treePath))}">ZIP</a>
+    <a href="${escapeHtml(archiveUrl(repoName, revision.name, 'tar.gz', treePath))}">tar.gz</a>
+  </div>
+
+  <div class="tree-container">
+    <div class="tree-header">
+      ${latest
+        ? `<a href="/${repoName}/commit/${latest.sha}"><code>${latest.sha.substring(0, 7)}</code> ${escapeHtml(latest.message)}</a>
+      <span class="latest-date">${new Date(latest.date).toLocaleDateString()} &middot; <a href="/${repoName}/commits/${rev}${treePath ? `?path=${encodeURIComponent(treePath)}` : ''}">History</a></span>`
+        : `<span>${entries.length} entries</span>`}
+    </div>
+    <table class="tree-table">
+      ${treePath ? `<tr><td class="entry-mode"></td><td class="entry-name"><a class="tree-dir" href="${escapeHtml(treeUrl(segments.slice(0, -1).join('/')))}">..</a></td><td colspan="3"></td></tr>` : ''}
+      ${rows || '<tr><td class="empty" colspan="5">No files in this directory</td></tr>'}
+    </table>
+  </div>
+</body>
+</html>`;
+  } catch (err) {
+    return null;
+  }
+}
+
+// How long ago a date was, such as "3 days ago"
+function timeAgo(date) {
+  const seconds = Math.round((Date.now() - new Date(date).getTime()) / 1000);
+  const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60]];
+  for (const [unit, size] of units) {
+    const n = Math.floor(seconds / size);
+    if (n >= 1) return `${n} ${unit}${n === 1 ? '' : 's'} ago`;
+  }
+  return 'just now';
+}
+
+const GRAPH_ROW_HEIGHT = 52;
+const GRAPH_LANE_WIDTH = 14;
+const GRAPH_COLORS = ['#0366d6', '#28a745', '#d73a49', '#6f42c1', '#e36209', '#0598bc', '#b08800'];
+
+// Lay out a list of commits, newest first, in lanes: each lane follows one
+// line of history down the page. Returns an SVG drawing for each commit's row.
+// Lines only connect commits on the same page
+function renderCommitGraph(commits) {
+  let lanes = [];
+  const rows = commits.map(commit => {
+    const before = lanes;
+    const after = [...before];
+    let column = before.indexOf(commit.sha);
+    if (column === -1) {
+      // A commit no line leads to, such as a branch tip, starts a new lane
+      column = after.indexOf(null) === -1 ? after.length : after.indexOf(null);
+    }
+    after[column] = null;
+
+    // Each parent joins the lane already waiting for it. Otherwise the first
+    // parent continues this lane and other parents start new ones
+    const targets = commit.parents.map((parent, i) => {
+      let lane = after.indexOf(parent);
+      if (lane === -1) {
+        lane = i === 0 ? column : after.indexOf(null);
+        if (lane === -1) lane = after.length;
+        after[lane] = parent;
+      }
+      return lane;
+    });
+    while (after.length && after[after.length - 1] === null) after.pop();
+    lanes = after;
+    return { before, column, targets, merge: commit.parents.length > 1 };
+  });
+
+  const width = Math.max(1, ...rows.map(r => Math.max(r.before.length, r.column + 1, ...r.targets.map(t => t + 1)))) * GRAPH_LANE_WIDTH + 6;
+  const x = (lane) => lane * GRAPH_LANE_WIDTH + GRAPH_LANE_WIDTH / 2 + 3;
+  const color = (lane) => GRAPH_COLORS[lane % GRAPH_COLORS.length];
+  const middle = GRAPH_ROW_HEIGHT / 2;
+
+  return rows.map(({ before, column, targets, merge }) => {
+    const lines = [];
+    // Lanes from above pass through, except the one ending at this commit
+    before.forEach((sha, lane) => {
+      if (sha === null) return;
+      const y2 = lane === column ? middle : GRAPH_ROW_HEIGHT;
+      lines.push(`<line x1="${x(lane)}" y1="0" x2="${x(lane)}" y2="${y2}" stroke="${color(lane)}"/>`);
+    });
+    // A branch joining another lane keeps its color; a merged branch takes its own lane's
+    targets.forEach((target, i) => {
+      lines.push(`<line x1="${x(column)}" y1="${middle}" x2="${x(target)}" y2="${GRAPH_ROW_HEIGHT}" stroke="${color(i === 0 ? column : target)}"/>`);
+    });
+    const dot = `<circle cx="${x(column)}" cy="${middle}" r="4" fill="${merge ? 'white' : color(column)}" stroke="${color(column)}" stroke-width="2"/>`;
+    return `<svg width="${width}" height="${GRAPH_ROW_HEIGHT}" stroke-width="2">${lines.join('')}${dot}</svg>`;
+  });
+}
+
+const HISTORY_FILTERS = ['path', 'author', 'since', 'until', 'grep', 'first_parent'];
+
+// Render the commit history page, /:repo/commits/:ref, with its filters
+async function renderHistoryPage(repoName, rev, query, user) {
+  const repo = getRepository(repoName);
+  if (!repo || !canAccess(user, repoName, 'read')) return null;
+
+  const repoPath = getRepoPath(repoName);
+  if (!fs.existsSync(repoPath)) return null;
+
+  try {
+    const revision = await resolveRevision(repoPath, rev);
+    if (!revision) return null;
+
+    const filters = Object.fromEntries(HISTORY_FILTERS.map(name => [name, (query.get(name) || '').trim()]));
+    const firstParent = ['1', 'true', 'on'].includes(filters.first_parent);
+    const pagination = getPagination(query);
+    const { commits, total } = await listCommits(repoName, revision.sha, {
+      path: filters.path.replace(/^\/+|\/+$/g, ''),
+      author: filters.author,
+      since: filters.since,
+      until: filters.until,
+      grep: filters.grep,
+      firstParent,
+      skip: pagination.skip,
+      limit: pagination.perPage
+    });
+
+    // The graph only makes sense when every commit of the history is listed
+    const showGraph = !filters.path && !filters.author && !filters.since && !filters.until && !filters.grep;
+    const graph = showGraph
+      ? renderCommitGraph(commits.map(c => ({ sha: c.sha, parents: (firstParent ? c.parents.slice(0, 1) : c.parents).map(p => p.sha) })))
+      : [];
+
+    const rows = commits.map((commit, i) => {
+      const [subject, ...body] = commit.message.split('\n');
+      return `
+      <tr>
+        ${showGraph ? `<td class="graph">${graph[i]}</td>` : ''}
+        <td class="commit-info">
+          <a class="commit-subject" href="/${repoName}/commit/${commit.sha}"${body.join('').trim() ? ` title="${escapeHtml(commit.message)}"` : ''}>${escapeHtml(subject)}</a>
+          <div class="commit-meta">${escapeHtml(commit.author.name)} committed <span title="${escapeHtml(new Date(commit.author.date).toLocaleString())}">${timeAgo(commit.author.date)}</span>${commit.parents.length > 1 ? ' &middot; merge' : ''}</div>
+        </td>
+        <td class="commit-links">
+          <a class="commit-sha" href="/${repoName}/commit/${commit.sha}">${commit.sha.substring(0, 7)}</a>
+          <a href="/${repoName}/tree/${commit.sha}" title="Browse the files at this commit">Browse files</a>
+        </td>
+      </tr>`;
+    }).join('');
+
+    const pageUrl = (page) => {
+      const params = new URLSearchParams();
+      for (const name of HISTORY_FILTERS) {
+        if (filters[name]) params.set(name, filters[name]);
+      }
+      if (query.get('per_page')) params.set('per_page', pagination.perPage);
+      if (page > 1) params.set('page', page);
+      const search = params.toString();
+      return `/${repoName}/commits/${encodeRevisionPath(revision.name)}${search ? `?${search}` : ''}`;
+    };
+    const lastPage = Math.max(Math.ceil(total / pagination.perPage), 1);
+    const filtered = HISTORY_FILTERS.some(name => filters[name]);
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <title>Commits at ${escapeHtml(revision.label)} - ${repoName} - GutHib</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 1000px; margin: 50px auto; padding: 20px; background: #fafafa; }
+    h1 { color: #333; font-size: 18px; font-weight: normal; }
+    .back { margin-bottom: 20px; }
+    .back a { color: #0066cc; text-decoration: none; }
+    .ref-badge { background: #f1f8ff; color: #0366d6; padding: 4px 10px; border-radius: 4px; font-family: 'SF Mono', Monaco, monospace; font-size: 13px; margin-left: 10px; }
+    .filters { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; background: white; border: 1px solid #e1e4e8; border-radius: 8px; padding: 12px 16px; margin-bottom: 16px; font-size: 13px; }
+    .filters input[type="text"], .filters input[type="date"] { padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px; }
+    .filters input[type="text"] { width: 130px; }
+    .filters button { padding: 6px 14px; background: #0066cc; color: white; border: none; border-radius: 4px; cursor: pointer; }
+    .filters a { color: #0366d6; text-decoration: none; }
+    .history { background: white; border: 1px solid #e1e4e8; border-radius: 8px; overflow: hidden; }
+    .history-header { background: #f6f8fa; padding: 12px 16px; border-bottom: 1px solid #e1e4e8; font-size: 14px; }
+    .history table { width: 100%; border-collapse: collapse; table-layout: fixed; }
+    .history tr { height: ${GRAPH_ROW_HEIGHT}px; }
+    .history td { border-bottom: 1px solid #eee; vertical-align: middle; }
+    .history tr:last-child td { border-bottom: none; }
+    .history td.graph { border-bottom: none; padding: 0 0 0 8px; width: 1px; line-height: 0; }
+    .commit-info { padding: 0 16px; overflow: hidden; }
+    .commit-subject { display: block; color: #24292e; text-decoration: none; font-weight: 500; font-size: 14px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .commit-subject:hover { color: #0366d6; text-decoration: underline; }
+    .commit-meta { color: #6a737d; font-size: 12px; margin-top: 2px; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .commit-links { width: 190px; text-align: right; padding-right: 16px; font-size: 12px; white-space: nowrap; }
+    .commit-links a { color: #0366d6; text-decoration: none; margin-left: 10px; }
+    .commit-sha { font-family: 'SF Mono', Monaco, monospace; }
+    .empty { color: #666; font-style: italic; padding: 20px; text-align: center; }
+    .pagination { display: flex; justify-content: space-between; margin-top: 16px; font-size: 14px; }
+    .pagination a { color: #0366d6; text-decoration: none; padding: 6px 12px; border: 1px solid #e1e4e8; border-radius: 4px; background: white; }
+    .pagination .disabled { color: #aaa; padding: 6px 12px; }
+  </style>
+</head>
+<body>
+  <div class="back">
+    <a href="/${repoName}">&larr; Back to ${repoName}</a>
+  </div>
+
+  <h1>Commits <span class="ref-badge">${escapeHtml(revision.label)}</span>${filters.path ? ` in <code>${escapeHtml(filters.path)}</code>` : ''}</h1>
+
+  <form class="filters" method="GET" action="/${repoName}/commits/${encodeRevisionPath(revision.name)}">
+    <input type="text" name="path" placeholder="Path" value="${escapeHtml(filters.path)}">
+    <input type="text" name="author" placeholder="Author" value="${escapeHtml(filters.author)}">
+    <input type="text" name="grep" placeholder="Message contains" value="${escapeHtml(filters.grep)}">
+    <label>From <input type="date" name="since" value="${escapeHtml(filters.since)}"></label>
+    <label>to <input type="date" name="until" value="${escapeHtml(filters.until)}"></label>
+    <label><input type="checkbox" name="first_parent" value="1"${firstParent ? ' checked' : ''}> First parent only</label>
+    <button type="submit">Filter</button>
+    ${filtered ? `<a href="/${repoName}/commits/${encodeRevisionPath(revision.name)}">Clear</a>` : ''}
+  </form>
+
+  <div class="history">
+    <div class="history-header">${total} commit${total === 1 ? '' : 's'}</div>
+    <table>
+      ${rows || '<tr><td class="empty">No commits match these filters</td></tr>'}
+    </table>
+  </div>
+
+  <div class="pagination">
+    ${pagination.page > 1 ? `<a href="${escapeHtml(pageUrl(Math.min(pagination.page - 1, lastPage)))}">&larr; Newer</a>` : '<span class="disabled">&larr; Newer</span>'}
+    <span>Page ${pagination.page} of ${lastPage}</span>
+    ${pagination.page < lastPage ? `<a href="${escapeHtml(pageUrl(pagination.page + 1))}">Older &rarr;</a>` : '<span class="disabled">Older &rarr;</span>'}
+  </div>
+</body>
+</html>`;
+  } catch (err) {
+    return null;
+  }
+}
+
+// A line of search results as HTML, with its matched parts marked
+function renderSearchLine(text, ranges) {
+  let html = '';
+  let offset = 0;
+  for (const [start, end] of ranges) {
+    html += `${escapeHtml(text.slice(offset, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    offset = end;
+  }
+  return html + escapeHtml(text.slice(offset));
+}
+
+// Styles shared by the search pages
+const SEARCH_PAGE_CSS = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 1000px; margin: 50px auto; padding: 20px; background: #fafafa; }
+    h1 { color: #333; font-size: 20px; }
+    h2 { color: #333; font-size: 16px; margin-top: 30px; }
+    .back { margin-bottom: 20px; }
+    .back a { color: #0066cc; text-decoration: none; }
+    .search-form { display: flex; flex-wrap: wrap; gap: 8px; align-items: center; background: white; border: 1px solid #e1e4e8; border-radius: 8px; padding: 12px 16px; margin-bottom: 16px; font-size: 13px; }
+    .search-form input[type="text"] { padding: 6px 8px; border: 1px solid #ddd; border-radius: 4px; font-size: 13px; width: 140px; }
+    .search-form input[name="q"] { flex: 1; min-width: 200px; font-size: 14px; }
+    .search-form select { padding: 6px; border: 1px solid #ddd; border-radius: 4px; }
+    .search-form button { padding: 6px 14px; background: #0066cc; color: white; border: none; border-radius: 4px; cursor: pointer; }
+    .search-summary { color: #666; font-size: 14px; margin-bottom: 12px; }
+    .search-error { background: #ffebe9; border: 1px solid #cf222e; color: #cf222e; border-radius: 6px; padding: 10px 14px; margin-bottom: 16px; font-size: 14px; }
+    .result { background: white; border: 1px solid #e1e4e8; border-radius: 8px; margin-bottom: 12px; overflow: hidden; }
+    .result-header { background: #f6f8fa; padding: 8px 14px; border-bottom: 1px solid #e1e4e8; font-family: 'SF Mono', Monaco, monospace; font-size: 13px; }
+    .result-header a { color: #0366d6; text-decoration: none; font-weight: 600; }
+    .result table { width: 100%; border-collapse: collapse; font-family: 'SF Mono', Monaco, monospace; font-size: 12px; line-height: 1.6; }
+    .result td { padding: 0 10px; white-space: pre-wrap; word-break: break-all; }
+    .result td.line-number { width: 1%; text-align: right; white-space: nowrap; }
+    .result td.line-number a { color: #6a737d; text-decoration: none; }
+    .result tr.match { background: #fffbdd; }
+    .result tr.gap td { color: #aaa; background: #f6f8fa; }
+    .result pre { margin: 0; padding: 10px 14px; font-family: 'SF Mono', Monaco, monospace; font-size: 12px; white-space: pre-wrap; word-break: break-all; }
+    .result p { margin: 0; padding: 10px 14px; color: #555; font-size: 14px; }
+    mark { background: #ffd33d; color: inherit; border-radius: 2px; }
+    .empty { color: #666; font-style: italic; padding: 20px; text-align: center; }
+    .pagination { display: flex; justify-content: space-between; margin-top: 16px; font-size: 14px; }
+    .pagination a { color: #0366d6; text-decoration: none; padding: 6px 12px; border: 1px solid #e1e4e8; border-radius: 4px; background: white; }
+    .pagination .disabled { color: #aaa; padding: 6px 12px; }`;
+
+const SEARCH_PARAMS = ['q', 'type', 'ref', 'path', 'regex', 'case'];
+
+// Render a repository's search page: code at a ref with git grep (type=code,
+// the default), or commit messages with git log --grep (type=commits)
+async function renderSearchPage(repoName, query, user) {
+  const repo = getRepository(repoName);
+  if (!repo || !canAccess(user, repoName, 'read')) return null;
+
+  const repoPath = getRepoPath(repoName);
+  if (!fs.existsSync(repoPath)) return null;
+
+  const params = Object.fromEntries(SEARCH_PARAMS.map(name => [name, query.get(name) || '']));
+  const type = params.type === 'commits' ? 'commits' : 'code';
+  const regex = ['1', 'true', 'on'].includes(params.regex);
+  const matchCase = ['1', 'true', 'on'].includes(params.case);
+
+  let results = '';
+  let error = null;
+  let pageLinks = '';
+  const revision = await resolveRevision(repoPath, params.ref.trim());
+  if (!revision) {
+    error = params.ref ? `Ref ${params.ref} not found` : null;
+  } else if (params.q) {
+    try {
+      if (type === 'code') {
+        const { files, truncated } = await searchCode(repoPath, revision.sha, params.q, { regex, matchCase, pathGlob: params.path.trim() });
+        const matches = files.reduce((sum, f) => sum + f.lines.filter(l => l && l.ranges.length > 0).length, 0);
+        results = `<div class="search-summary">${truncated ? `Showing the first ${matches}` : matches} matching line${matches === 1 ? '' : 's'} in ${files.length} file${files.length === 1 ? '' : 's'} at <code>${escapeHtml(revision.label)}</code></div>`;
+        results += files.map(file => {
+          const blobUrl = `/${repoName}/blob/${encodeRevisionPath(revision.name)}/${encodeRevisionPath(file.path)}`;
+          const rows = file.lines.map(line => line === null
+            ? '<tr class="gap"><td class="line-number">&hellip;</td><td></td></tr>'
+            : `<tr${line.ranges.length > 0 ? ' class="match"' : ''}><td class="line-number"><a href="${escapeHtml(blobUrl)}#L${line.number}">${line.number}</a></td><td>${renderSearchLine(line.text, line.ranges)}</td></tr>`).join('');
+          return `<div class="result"><div class="result-header"><a href="${escapeHtml(blobUrl)}">${escapeHtml(file.path)}</a></div><table>${rows}</table></div>`;
+        }).join('') || '<p class="empty">No code matches this search</p>';
+      } else {
+        const pagination = getPagination(query);
+        const { commits, total } = await listCommits(repoName, revision.sha, { grep: params.q, regex, matchCase, skip: pagination.skip, limit: pagination.perPage });
+        results = `<div class="search-summary">${total} commit${total === 1 ? '' : 's'} at <code>${escapeHtml(revision.label)}</code></div>`;
+        results += commits.map(commit => {
+          const [subject, ...body] = commit.message.split('\n');
+          return `<div class="result">
+            <div class="result-header"><a href="/${repoName}/commit/${commit.sha}">${escapeHtml(subject)}</a></div>
+            ${body.join('\n').trim() ? `<pre>${escapeHtml(body.join('\n').trim())}</pre>` : ''}
+            <p>${escapeHtml(commit.author.name)} committed <span title="${escapeHtml(new Date(commit.author.date).toLocaleString())}">${timeAgo(commit.author.date)}</span> &middot; <a href="/${repoName}/commit/${commit.sha}">${commit.sha.substring(0, 7)}</a></p>
+          </div>`;
+        }).join('') || '<p class="empty">No commit messages match this search</p>';
+
+        const pageUrl = (page) => {
+          const search = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+          if (page > 1) search.set('page', page);
+          return `/${repoName}/search?${search}`;
+        };
+        const lastPage = Math.max(Math.ceil(total / pagination.perPage), 1);
+        pageLinks = lastPage > 1 ? `<div class="pagination">
+          ${pagination.page > 1 ? `<a href="${escapeHtml(pageUrl(Math.min(pagination.page - 1, lastPage)))}">&larr; Newer</a>` : '<span class="disabled">&larr; Newer</span>'}
+          <span>Page ${pagination.page} of ${lastPage}</span>
+          ${pagination.page < lastPage ? `<a href="${escapeHtml(pageUrl(pagination.page + 1))}">Older &rarr;</a>` : '<span class="disabled">Older &rarr;</span>'}
+        </div>` : '';
+      }
+    } catch (err) {
+      error = `Invalid search: ${err.message}`;
+    }
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>Search - ${repoName} - GutHib</title>
+  <style>${SEARCH_PAGE_CSS}</style>
+</head>
+<body>
+  <div class="back">
+    <a href="/${repoName}">&larr; Back to ${repoName}</a>
+  </div>
+
+  <h1>Search ${repoName}</h1>
+
+  <form class="search-form" method="GET" action="/${repoName}/search">
+    <input type="text" name="q" placeholder="Search ${type === 'code' ? 'code' : 'commit messages'}" value="${escapeHtml(params.q)}" autofocus>
+    <select name="type">
+      <option value="code"${type === 'code' ? ' selected' : ''}>Code</option>
+      <option value="commits"${type === 'commits' ? ' selected' : ''}>Commits</option>
+    </select>
+    <input type="text" name="ref" placeholder="Ref (default branch)" value="${escapeHtml(params.ref)}">
+    <input type="text" name="path" placeholder="Paths, e.g. *.js" value="${escapeHtml(params.path)}">
+    <label><input type="checkbox" name="regex" value="1"${regex ? ' checked' : ''}> Regex</label>
+    <label><input type="checkbox" name="case" value="1"${matchCase ? ' checked' : ''}> Match case</label>
+    <button type="submit">Search</button>
+  </form>
+
+  ${error ? `<div class="search-error">${escapeHtml(error)}</div>` : ''}
+  ${!revision && !error ? '<p class="empty">This repository is empty</p>' : results}
+  ${pageLinks}
+</body>
+</html>`;
+}
+
+// Render the search page for all repositories: names and descriptions, and
+// code on default branches when the search index is enabled
+function renderGlobalSearchPage(query, user) {
+  const q = (query.get('q') || '').trim();
+  const repos = q ? searchRepositories(user, q) : [];
+  const code = q ? searchIndexedCode(listRepositories(user).map(r => r.name), q) : [];
+
+  const reposList = repos.map(r => `
+    <div class="result">
+      <div class="result-header"><a href="/${r.name}">${escapeHtml(r.name)}</a></div>
+      <p>${r.description ? escapeHtml(r.description) : 'No description'}</p>
+    </div>`).join('');
+
+  // The index marks matches in snippets with \x01 and \x02
+  const codeList = code.map(c => `
+    <div class="result">
+      <div class="result-header"><a href="/${c.repository}">${escapeHtml(c.repository)}</a> &middot; <a href="${escapeHtml(c.url)}">${escapeHtml(c.path)}</a></div>
+      <pre>${escapeHtml(c.snippet).replace(/\x01/g, '<mark>').replace(/\x02/g, '</mark>')}</pre>
+    </div>`).join('');
+
+  let codeSection = '';
+  if (!SEARCH_INDEX) {
+    codeSection = '<p class="empty">Code search across repositories is not enabled on this server. Search the code of a single repository from its page.</p>';
+  } else if (q.length < 3) {
+    codeSection = '<p class="empty">Code search needs at least three characters</p>';
+  } else {
+    codeSection = codeList || '<p class="empty">No code matches this search</p>';
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>${q ? `${escapeHtml(q)} - ` : ''}Search - GutHib</title>
+  <style>${SEARCH_PAGE_CSS}</style>
+</head>
+<body>
+  <div class="back">
+    <a href="/">&larr; Back to repositories</a>
+  </div>
+
+  <h1>Search</h1>
+
+  <form class="search-form" method="GET" action="/search">
+    <input type="text" name="q" placeholder="Search repositories and code" value="${escapeHtml(q)}" autofocus>
+    <button type="submit">Search</button>
+  </form>
+
+  ${q ? `
+  <h2>Repositories (${repos.length})</h2>
+  ${reposList || '<p class="empty">No repositories match this search</p>'}
+
+  <h2>Code${SEARCH_INDEX && q.length >= 3 ? ` (${code.length})` : ''}</h2>
+  ${codeSection}
+  ` : ''}
+</body>
+</html>`;
+}
+
+// Files larger than this are only offered raw, not shown in a page
+const BLOB_DISPLAY_LIMIT = 1024 * 1024;
+
+// Content types raw files are served with, by extension. Other files are
+// plain text, or octet streams if binary, so a browser never renders HTML
+// or runs scripts from a repository
+const RAW_CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  bmp: 'image/bmp',
+  ico: 'image/x-icon',
+  svg: 'image/svg+xml',
+  pdf: 'application/pdf',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  wav: 'audio/wav',
+  mp4: 'video/mp4',
+  webm: 'video/webm'
+};
+
+function rawContentType(filePath) {
+  const name = filePath.split('/').pop();
+  return name.includes('.') ? RAW_CONTENT_TYPES[name.split('.').pop().toLowerCase()] || null : null;
+}
+
+function isImagePath(filePath) {
+  return (rawContentType(filePath) || '').startsWith('image/');
+}
+
+function isMarkdownPath(filePath) {
+  return /\.(md|markdown|mdown|mkd)$/i.test(filePath);
+}
+
+// Render a Markdown file from a repository. Relative links point at other
+// files at the same revision, and relative images at their raw contents
+function renderRepoMarkdown(repoName, revisionName, filePath, content) {
+  const dir = path.posix.dirname(filePath);
+  const rev = encodeRevisionPath(revisionName);
+  return renderMarkdown(content, {
+    resolveUrl: (url, { image }) => {
+      const [, target, suffix] = url.match(/^([^?#]*)(.*)$/);
+      if (!target) return url;
+      const decoded = decodeRevisionPath(target) ?? target;
+      const resolved = path.posix.join('/', decoded.startsWith('/') ? '' : dir, decoded).slice(1).replace(/\/$/, '');
+      if (!resolved) return `/${repoName}/tree/${rev}`;
+      return `/${repoName}/${image ? 'raw' : 'blob'}/${rev}/${encodeRevisionPath(resolved)}${suffix}`;
+    }
+  });
+}
+
+const README_PATTERN = /^readme(\.[a-z]+)?$/i;
+
+// Rendered READMEs by repository, branch and blob, so a busy repository page
+// does not render the same README on every view. The least recently used go first.
+const README_CACHE_MAX = 100;
+const renderedReadmes = new Map();
+
+// The README at the root of the default branch, rendered, or null if there is none to show
+async function renderReadme(repoName, repoPath) {
+  const revision = await resolveRevision(repoPath, '');
+  if (!revision) return null;
+
+  const readmes = (await listTreeEntries(repoPath, revision.sha, '') || [])
+    .filter(e => e.type === 'blob' && README_PATTERN.test(e.name));
+  const readme = readmes.find(e => isMarkdownPath(e.name)) || readmes[0];
+  if (!readme || readme.size > BLOB_DISPLAY_LIMIT) return null;
+
+  // Links in the README depend on where it is, so those are part of the key
+  const key = `${repoName}\0${revision.name}\0${readme.path}\0${readme.sha}`;
+  if (renderedReadmes.has(key)) {
+    const cached = renderedReadmes.get(key);
+    renderedReadmes.delete(key);
+    renderedReadmes.set(key, cached);
+    return cached;
+  }
+
+  const content = await runGit(repoPath, ['cat-file', 'blob', readme.sha], { raw: true });
+  const rendered = isBinary(content) ? null : {
+    name: readme.name,
+    url: `/${repoName}/blob/${encodeRevisionPath(revision.name)}/${encodeRevisionPath(readme.path)}`,
+    html: isMarkdownPath(readme.name)
+      ? renderRepoMarkdown(repoName, revision.name, readme.path, content.toString())
+      : `<pre>${escapeHtml(content.toString())}</pre>`
+  };
+  if (renderedReadmes.size >= README_CACHE_MAX) {
+    renderedReadmes.delete(renderedReadmes.keys().next().value);
+  }
+  renderedReadmes.set(key, rendered);
+  return rendered;
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Look up the file a blob, raw or blame URL names, or null if there is none
+async function findBlob(repoName, revPath, user) {
+  const repo = getRepository(repoName);
+  if (!repo || !canAccess(user, repoName, 'read')) return null;
+
+  const repoPath = getRepoPath(repoName);
+  if (!fs.existsSync(repoPath)) return null;
+
+  const target = await splitRevisionPath(repoPath, revPath);
+  if (!target || !target.path) return null;
+  const blob = await getBlobInfo(repoPath, target.revision.sha, target.path);
+  if (!blob) return null;
+
+  const urlPath = `${encodeRevisionPath(target.revision.name)}/${encodeRevisionPath(target.path)}`;
+  return {
+    repoPath,
+    revision: target.revision,
+    filePath: target.path,
+    blob,
+    urls: {
+      blob: `/${repoName}/blob/${urlPath}`,
+      raw: `/${repoName}/raw/${urlPath}`,
+      blame: `/${repoName}/blame/${urlPath}`,
+      history: `/${repoName}/commits/${encodeRevisionPath(target.revision.name)}?path=${encodeURIComponent(target.path)}`
+    }
+  };
+}
+
+// Serve a file's contents as they are, or as an attachment for downloads.
+// Returns false if there is no such file
+async function handleRawRequest(req, res, repoName, revPath, user, { download = false } = {}) {
+  const target = await findBlob(repoName, revPath, user);
+  if (!target) return false;
+  const { repoPath, filePath, blob } = target;
+
+  const etag = `"${blob.sha}"`;
+  const headers = {
+    'ETag': etag,
+    'Cache-Control': 'no-cache',
+    'X-Content-Type-Options': 'nosniff',
+    // Files such as SVG images can carry scripts; never let them run on this origin
+    'Content-Security-Policy': "default-src 'none'; style-src 'unsafe-inline'; sandbox"
+  };
+  if (download) {
+    const name = filePath.split('/').pop();
+    headers['Content-Disposition'] = `attachment; filename="${name.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(name)}`;
+  }
+  if (req.headers['if-none-match'] === etag) {
+    res.writeHead(304, headers);
+    res.end();
+    return true;
+  }
+
+  if (blob.size === 0) {
+    res.writeHead(200, { ...headers, 'Content-Type': rawContentType(filePath) || 'text/plain; charset=utf-8', 'Content-Length': 0 });
+    res.end();
+    return true;
+  }
+
+  const git = spawn('git', ['cat-file', 'blob', blob.sha], { cwd: repoPath });
+  // The start of the file tells text from binary, as it does for git
+  const head = await new Promise((resolve) => {
+    git.stdout.once('readable', () => resolve(git.stdout.read() || Buffer.alloc(0)));
+  });
+  const type = rawContentType(filePath)
+    || (head.subarray(0, 8000).includes(0) ? 'application/octet-stream' : 'text/plain; charset=utf-8');
+
+  res.writeHead(200, { ...headers, 'Content-Type': type, 'Content-Length': blob.size });
+  if (req.method === 'HEAD') {
+    git.kill();
+    res.end();
+    return true;
+  }
+  res.write(head);
+  await pipeline(git.stdout, res);
+  return true;
+}
+
+// Archive formats by URL extension, as git archive names them
+const ARCHIVE_FORMATS = { 'zip': 'zip', 'tar.gz': 'tar.gz' };
+
+// Where to download a snapshot of a revision, optionally of one directory only
+function archiveUrl(repoName, revisionName, format, subdir = '') {
+  return `/${repoName}/archive/${encodeRevisionPath(revisionName)}.${format}${subdir ? `?path=${encodeURIComponent(subdir)}` : ''}`;
+}
+
+// Stream a snapshot of a revision from git archive. Files are put under
+// ?prefix= (by default a directory named after the repository and the ref),
+// and ?path= limits the archive to one directory. Returns false if there is
+// no such revision or directory
+async function handleArchiveRequest(req, res, repoName, rev, extension, query, user) {
+  const repo = getRepository(repoName);
+  if (!repo || !canAccess(user, repoName, 'read')) return false;
+
+  const repoPath = getRepoPath(repoName);
+  if (!fs.existsSync(repoPath)) return false;
+
+  const revision = await resolveRevision(repoPath, rev);
+  if (!revision) return false;
+
+  const subdir = (query.get('path') || '').replace(/^\/+|\/+$/g, '');
+  if (subdir && await getObjectType(repoPath, `${revision.sha}:${subdir}`) !== 'tree') return false;
+
+  const label = revision.type === 'commit' ? revision.sha.substring(0, 7) : revision.name;
+  const baseName = `${repoName.replace(/\.git$/, '')}-${label}`.replace(/[/\\]/g, '-');
+  let prefix = query.has('prefix') ? query.get('prefix') : `${baseName}/`;
+  if (prefix) {
+    // Entries must not escape the directory the archive is extracted into
+    prefix = path.posix.normalize(`${prefix.replace(/^\/+/, '')}/`);
+    if (prefix === '../' || prefix.startsWith('../')) return false;
+    if (prefix === './') prefix = '';
+  }
+
+  // The same commit, format and options always give the same archive
+  const variant = createHash('sha1').update(`${prefix}\0${subdir}`).digest('hex').substring(0, 12);
+  const etag = `"${revision.sha}-${extension}-${variant}"`;
+  const fileName = `${baseName}${subdir ? `-${subdir.replace(/\//g, '-')}` : ''}.${extension}`;
+  const headers = {
+    'ETag': etag,
+    'Cache-Control': 'no-cache',
+    'Content-Type': extension === 'zip' ? 'application/zip' : 'application/gzip',
+    'Content-Disposition': `attachment; filename="${fileName.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`
+  };
+  if (req.headers['if-none-match'] === etag) {
+    res.writeHead(304, headers);
+    res.end();
+    return true;
+  }
+  if (req.method === 'HEAD') {
+    res.writeHead(200, headers);
+    res.end();
+    return true;
+  }
+
+  const args = ['archive', `--format=${ARCHIVE_FORMATS[extension]}`, `--prefix=${prefix}`, revision.sha];
+  if (subdir) args.push('--', `:(literal)${subdir}`);
+  const git = spawn('git', args, { cwd: repoPath, stdio: ['ignore', 'pipe', 'pipe'] });
+  let stderr = '';
+  git.stderr.on('data', (d) => stderr += d);
+  const exited = new Promise((resolve) => {
+    git.on('error', () => resolve(-1));
+    git.on('close', (code) => resolve(code));
+  });
+
+  // The status goes out with the first bytes, so an archive that fails straight away gets an error
+  git.stdout.once('data', () => res.writeHead(200, headers));
+  try {
+    await pipeline(git.stdout, res, { end: false });
+  } catch (err) {
+    // The client went away mid-download
+    git.kill();
+    res.destroy();
+    return true;
+  }
+
+  const code = await exited;
+  if (code === 0) {
+    if (!res.headersSent) res.writeHead(200, headers);
+    res.end();
+    return true;
+  }
+  console.error(`Failed to archive ${repoName} at ${revision.sha}:`, stderr.trim());
+  if (res.headersSent) {
+    // Cut the download short, so it cannot pass for a complete archive
+    res.destroy();
+  } else {
+    res.writeHead(500, { 'Content-Type': 'text/plain' });
+    res.end('Failed to create the archive\n');
+  }
+  return true;
+}
+
+// Contents of a file to show in a page, with the reason if it cannot be shown
+async function readDisplayableBlob(target) {
+  const { repoPath, filePath, blob } = target;
+  if (blob.size > BLOB_DISPLAY_LIMIT) return { reason: 'large' };
+  if (isImagePath(filePath)) return { reason: 'image' };
+
+  const content = await runGit(repoPath, ['cat-file', 'blob', blob.sha], { raw: true });
+  if (isBinary(content)) return { reason: 'binary' };
+  return { content: content.toString() };
+}
+
+// Message shown in place of a file that cannot be shown as text
+function renderBlobPlaceholder(target, reason) {
+  if (reason === 'image') {
+    return `<div class="blob-image"><img src="${escapeHtml(target.urls.raw)}" alt="${escapeHtml(target.filePath)}"></div>`;
+  }
+  const message = reason === 'large'
+    ? `This file is too large to display (${formatSize(target.blob.size)}).`
+    : 'This is a binary file and is not shown.';
+  return `<div class="blob-message">${message} <a href="${escapeHtml(target.urls.raw)}?download=1">Download it</a> instead.</div>`;
+}
+
+// Styles shared by the file and blame pages
+const BLOB_PAGE_CSS = `
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 1100px; margin: 50px auto; padding: 20px; background: #fafafa; }
+    h1 { color: #333; font-size: 16px; font-weight: normal; }
+    h1 code { background: #f1f8ff; padding: 4px 8px; border-radius: 4px; }
+    .back { margin-bottom: 20px; }
+    .back a { color: #0066cc; text-decoration: none; }
+    .ref-badge { background: #f1f8ff; color: #0366d6; padding: 4px 10px; border-radius: 4px; font-family: 'SF Mono', Monaco, monospace; font-size: 13px; margin-left: 10px; }
+    .file-container { background: white; border: 1px solid #e1e4e8; border-radius: 8px; overflow: hidden; }
+    .file-header { background: #f6f8fa; padding: 12px 16px; border-bottom: 1px solid #e1e4e8; font-size: 14px; display: flex; justify-content: space-between; align-items: center; }
+    .file-actions a { color: #0366d6; text-decoration: none; margin-left: 12px; font-size: 13px; }
+    .file-actions a:hover { text-decoration: underline; }
+    .file-content { overflow-x: auto; }
+    .code-table { border-collapse: collapse; width: 100%; font-family: 'SF Mono', Monaco, monospace; font-size: 12px; line-height: 1.5; }
+    .code-table td { padding: 0 16px; vertical-align: top; }
+    .line-number { width: 1%; min-width: 40px; text-align: right; user-select: none; color: #6a737d; background: #f6f8fa; border-right: 1px solid #e1e4e8; }
+    .line-number a { color: inherit; text-decoration: none; }
+    .line-number a:hover { color: #24292e; }
+    .line-code { white-space: pre; }
+    tr.selected td { background: #fffbdd; }
+    tr.selected .line-number { background: #f8eec7; }
+    .blob-message { padding: 40px 20px; text-align: center; color: #666; }
+    .blob-message a { color: #0366d6; }
+    .blob-image { padding: 20px; text-align: center; background: repeating-conic-gradient(#f6f8fa 0% 25%, white 0% 50%) 0 0 / 20px 20px; }
+    .blob-image img { max-width: 100%; }${HIGHLIGHT_CSS}`;
+
+// Selecting lines: a line number links to #L<n>, shift-click extends it to
+// #L<a>-L<b>, and the selection is highlighted and scrolled to on load
+const LINE_SELECTION_SCRIPT = `
+    function parseSelection() {
+      const match = location.hash.match(/^#L(\\d+)(?:-L(\\d+))?$/);
+      if (!match) return null;
+      const a = parseInt(match[1]);
+      const b = parseInt(match[2] || match[1]);
+      return [Math.min(a, b), Math.max(a, b)];
+    }
+
+    function showSelection() {
+      document.querySelectorAll('tr.selected').forEach(row => row.classList.remove('selected'));
+      const selection = parseSelection();
+      if (!selection) return null;
+      for (let n = selection[0]; n <= selection[1]; n++) {
+        const row = document.getElementById('L' + n);
+        if (row) row.classList.add('selected');
+      }
+      return document.getElementById('L' + selection[0]);
+    }
+
+    document.querySelectorAll('.line-number a').forEach(link => {
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        const line = parseInt(link.dataset.line);
+        const selection = parseSelection();
+        const hash = e.shiftKey && selection
+          ? '#L' + Math.min(selection[0], line) + '-L' + Math.max(selection[0], line)
+          : '#L' + line;
+        history.replaceState(null, '', hash);
+        showSelection();
+      });
+    });
+
+    window.addEventListener('hashchange', showSelection);
+    const selected = showSelection();
+    if (selected) selected.scrollIntoView({ block: 'center' });`;
+
+function renderLineNumber(n) {
+  return `<td class="line-number"><a href="#L${n}" data-line="${n}">${n}</a></td>`;
+}
+
+// Whether a blob URL names a directory, which the tree page shows instead
+async function isDirectoryPath(repoName, revPath, user) {
+  if (!getRepository(repoName) || !canAccess(user, repoName, 'read')) return false;
+  const repoPath = getRepoPath(repoName);
+  const target = fs.existsSync(repoPath) && await splitRevisionPath(repoPath, revPath);
+  return Boolean(target && target.path && await getObjectType(repoPath, `${target.revision.sha}:${target.path}`) === 'tree');
+}
+
+// Render file content page. Markdown files are rendered unless plain is set
+async function renderBlobPage(repoName, revPath, user, { plain = false } = {}) {
+  try {
+    const target = await findBlob(repoName, revPath, user);
+    if (!target) return null;
+    const { revision, filePath, blob, urls } = target;
+
+    const { content, reason } = await readDisplayableBlob(target);
+    const markdown = content !== undefined && isMarkdownPath(filePath);
+    const preview = markdown && !plain;
+    let body;
+    let summary = formatSize(blob.size);
+    if (content !== undefined) {
+      const lines = highlightLines(content, findLanguage(filePath));
+      summary = `${lines.length} line${lines.length === 1 ? '' : 's'} &middot; ${summary}`;
+      body = preview
+        ? `<div class="markdown-body">${renderRepoMarkdown(repoName, revision.name, filePath, content)}</div>`
+        : `<table class="code-table">${lines.map((line, i) => `<tr id="L${i + 1}">${renderLineNumber(i + 1)}<td class="line-code">${line}</td></tr>`).join('')}</table>`;
+    } else {
+      body = renderBlobPlaceholder(target, reason);
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <title>${escapeHtml(filePath)} - ${repoName} - GutHib</title>
+  <style>${BLOB_PAGE_CSS}${MARKDOWN_CSS}
+    .file-content .markdown-body { padding: 20px 30px; }
+  </style>
+</head>
+<body>
+  <div class="back">
+    <a href="/${repoName}/tree/${encodeRevisionPath(revision.name)}">&larr; Back to file tree</a>
+  </div>
+
+  <h1><code>${escapeHtml(filePath)}</code> <span class="ref-badge">${escapeHtml(revision.label)}</span></h1>
+
+  <div class="file-container">
+    <div class="file-header">
+      <span>${summary}</span>
+      <span class="file-actions">
+        ${markdown ? (preview ? `<a href="${escapeHtml(urls.blob)}?plain=1">Code</a>` : `<a href="${escapeHtml(urls.blob)}">Preview</a>`) : ''}
+        <a href="${escapeHtml(urls.history)}">History</a>
+        <a href="${escapeHtml(urls.raw)}">Raw</a>
+        <a href="${escapeHtml(urls.raw)}?download=1">Download</a>
+        ${content !== undefined ? `<a href="${escapeHtml(urls.blame)}">Blame</a>` : ''}
+      </span>
+    </div>
+    <div class="file-content">
+      ${body}
+    </div>
+  </div>
+
+  <script>${preview ? `
+    // Line links need the numbered source
+    if (/^#L\\d/.test(location.hash)) location.replace('?plain=1' + location.hash);` : LINE_SELECTION_SCRIPT}
+  </script>
+</body>
+</html>`;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Render the blame page: each line of a file with the commit that last changed it
+async function renderBlamePage(repoName, revPath, user) {
+  try {
+    const target = await findBlob(repoName, revPath, user);
+    if (!target) return null;
+    const { repoPath, revision, filePath, urls } = target;
+
+    const { content, reason } = await readDisplayableBlob(target);
+    let body;
+    if (content !== undefined) {
+      const { commits, lines } = await getBlame(repoPath, revision.sha, filePath);
+      const highlighted = highlightLines(content, findLanguage(filePath));
+      body = `<table class="code-table">${lines.map((line, i) => {
+        // Consecutive lines from the same commit share one description
+        const first = i === 0 || lines[i - 1].sha !== line.sha;
+        const commit = commits.get(line.sha);
+        const info = first ? `
+          <a class="blame-sha" href="/${repoName}/commit/${commit.sha}">${commit.sha.substring(0, 7)}</a>
+          <span class="blame-message" title="${escapeHtml(commit.message || '')}">${escapeHtml(commit.message || '')}</span>
+          <div class="blame-meta">${escapeHtml(commit.author || '')} &middot; ${commit.date ? new Date(commit.date).toLocaleDateString() : ''}</div>` : '';
+        return `<tr id="L${i + 1}"${first && i > 0 ? ' class="blame-start"' : ''}><td class="blame-info">${info}</td>${renderLineNumber(i + 1)}<td class="line-code">${highlighted[i] ?? escapeHtml(line.content)}</td></tr>`;
+      }).join('')}</table>`;
+    } else {
+      body = renderBlobPlaceholder(target, reason);
+    }
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <title>Blame ${escapeHtml(filePath)} - ${repoName} - GutHib</title>
+  <style>${BLOB_PAGE_CSS}
+    body { max-width: 1300px; }
+    .blame-info { width: 260px; max-width: 260px; padding: 4px 12px !important; background: #fafbfc; border-right: 1px solid #e1e4e8; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 12px; overflow: hidden; }
+    .blame-sha { font-family: 'SF Mono', Monaco, monospace; color: #0366d6; text-decoration: none; margin-right: 6px; }
+    .blame-message { display: inline-block; max-width: 180px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; vertical-align: bottom; color: #24292e; }
+    .blame-meta { color: #6a737d; }
+    tr.blame-start td { border-top: 1px solid #e1e4e8; }
+  </style>
+</head>
+<body>
+  <div class="back">
+    <a href="${escapeHtml(urls.blob)}">&larr; Back to file</a>
+  </div>
+
+  <h1>Blame <code>${escapeHtml(filePath)}</code> <span class="ref-badge">${escapeHtml(revision.label)}</span></h1>
+
+  <div class="file-container">
+    <div class="file-header">
+      <span>${formatSize(target.blob.size)}</span>
+      <span class="file-actions">
+        <a href="${escapeHtml(urls.blob)}">View file</a>
+        <a href="${escapeHtml(urls.raw)}">Raw</a>
+      </span>
+    </div>
+    <div class="file-content">
+      ${body}
+    </div>
+  </div>
+
+  <script>${LINE_SELECTION_SCRIPT}
+  </script>
+</body>
+</html>`;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Commits listed on the compare page; the diff covers all of them
+const COMPARE_COMMITS_LIMIT = 250;
+
+// Render commit comparison page
+async function renderComparePage(repoName, baseRev, headRev, user) {
+  const repo = getRepository(repoName);
+  if (!repo || !canAccess(user, repoName, 'read')) return null;
+
+  const repoPath = getRepoPath(repoName);
+  if (!fs.existsSync(repoPath)) return null;
+
+  try {
+    const refs = await listRefNames(repoPath);
+    const base = await resolveRevision(repoPath, baseRev, refs);
+    const head = await resolveRevision(repoPath, headRev, refs);
+    if (!base || !head) return null;
+
+    const [diff, log] = await Promise.all([
+      getCommitComparison(repoPath, base.sha, head.sha),
+      runGit(repoPath, ['log', `--format=${COMMIT_FORMAT}`, `--max-count=${COMPARE_COMMITS_LIMIT}`, `${base.sha}..${head.sha}`])
+    ]);
+    const formattedDiff = formatDiff(diff);
+    const commits = parseCommitLog(repoName, log);
+    const commitsList = commits.length
+      ? commits.map(c => `<li><a href="${c.url}" class="commit-link"><code class="commit-hash">${c.sha.substring(0, 7)}</code> <span class="commit-msg">${escapeHtml(c.message.split('\n')[0])}</span></a>${renderStatusBadge(getCombinedStatus(repoName, c.sha))} <span class="commit-author">${escapeHtml(c.author.name)}</span></li>`).join('')
+      : `<li class="empty">${escapeHtml(head.label)} has no commits that ${escapeHtml(base.label)} does not have</li>`;
+
+    // Two branches can be proposed for merging
+    const canOpenPullRequest = user && base.type === 'branch' && head.type === 'branch' && base.name !== head.name;
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <title>Comparing ${escapeHtml(base.label)}...${escapeHtml(head.label)} - ${repoName} - GutHib</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 1100px; margin: 50px auto; padding: 20px; background: #fafafa; }
+    h1 { color: #333; font-size: 18px; }
+    .back { margin-bottom: 20px; }
+    .back a { color: #0066cc; text-decoration: none; }
+    .compare-header { background: white; padding: 20px; border-radius: 8px; margin-bottom: 20px; border: 1px solid #e1e4e8; }
+    .compare-refs { display: flex; align-items: center; gap: 10px; }
+    .ref-badge { background: #f1f8ff; color: #0366d6; padding: 6px 12px; border-radius: 4px; font-family: 'SF Mono', Monaco, monospace; font-size: 13px; text-decoration: none; }
+    .arrow { color: #6a737d; font-size: 18px; }
+    .diff-section { background: white; border-radius: 8px; border: 1px solid #e1e4e8; overflow: hidden; }
+    .diff-section h2 { margin: 0; padding: 15px 20px; font-size: 16px; color: #333; border-bottom: 1px solid #e1e4e8; background: #f6f8fa; }${DIFF_CSS}
+    .empty { color: #666; font-style: italic; padding: 20px; text-align: center; }
+    .commits-section { background: white; padding: 15px 20px; border-radius: 8px; margin-bottom: 20px; border: 1px solid #e1e4e8; }
+    .commits-section h2 { margin: 0 0 10px 0; font-size: 16px; color: #333; }
+    .commits-section ul { list-style: none; padding: 0; margin: 0; }
+    .commits-section li { padding: 6px 0; border-bottom: 1px solid #eee; display: flex; gap: 6px; align-items: center; }
+    .commits-section li:last-child { border-bottom: none; }
+    .commits-section li.empty { padding: 6px 0; display: block; text-align: left; }
+    .commit-link { text-decoration: none; color: inherit; }
+    .commit-hash { color: #0066cc; font-family: 'SF Mono', Monaco, monospace; font-size: 13px; }
+    .commit-author { color: #666; font-size: 13px; margin-left: auto; }${STATUS_CSS}
+    .pr-form { background: white; padding: 20px; border-radius: 8px; margin-bottom: 20px; border: 1px solid #e1e4e8; }
+    .pr-form h2 { margin-top: 0; font-size: 16px; color: #333; }
+    .pr-form input, .pr-form textarea { width: 100%; box-sizing: border-box; padding: 8px; margin-bottom: 10px; border: 1px solid #ddd; border-radius: 4px; font-family: inherit; font-size: 14px; }
+    .pr-form textarea { height: 120px; }
+    .pr-form button { padding: 8px 16px; background: #2da44e; color: white; border: none; border-radius: 4px; cursor: pointer; }
+  </style>
+</head>
+<body>
+  <div class="back">
+    <a href="/${repoName}">&larr; Back to ${repoName}</a>
+  </div>
+
+  <div class="compare-header">
+    <h1>Comparing changes</h1>
+    <div class="compare-refs">
+      <a class="ref-badge" href="/${repoName}/tree/${encodeRevisionPath(base.name)}">${escapeHtml(base.label)}</a>
+      <span class="arrow">&rarr;</span>
+      <a class="ref-badge" href="/${repoName}/tree/${encodeRevisionPath(head.name)}">${escapeHtml(head.label)}</a>${renderStatusBadge(getCombinedStatus(repoName, head.sha))}
+    </div>
+  </div>
+
+  <div class="commits-section">
+    <h2>Commits${commits.length < COMPARE_COMMITS_LIMIT ? ` (${commits.length})` : ''}</h2>
+    <ul>${commitsList}</ul>
+  </div>
+
+  ${canOpenPullRequest ? `
+  <form class="pr-form" method="POST" action="/api/repos/${repoName}/pulls">
+    <h2>Open a pull request</h2>
+    <input type="hidden" name="base" value="${escapeHtml(base.name)}">
+    <input type="hidden" name="head" value="${escapeHtml(head.name)}">
+    <input type="text" name="title" placeholder="Title" required>
+    <textarea name="body" placeholder="Describe your changes (optional)"></textarea>
+    <button type="submit">Create pull request</button>
+  </form>
+  ` : ''}
+
+  <div class="diff-section">
+    <h2>Diff</h2>
+    ${formattedDiff}
+  </div>
+</body>
+</html>`;
+  } catch (err) {
+    return null;
+  }
+}
+
+// A label, colored by its name, linking to the open issues that have it
+function renderIssueLabel(repoName, name) {
+  const hue = parseInt(createHash('sha1').update(name).digest('hex').substring(0, 4), 16) % 360;
+  return `<a class="label" style="background: hsl(${hue}, 70%, 90%); color: hsl(${hue}, 60%, 28%)" href="/${repoName}/issues?labels=${encodeURIComponent(name)}">${escapeHtml(name)}</a>`;
+}
+
+const ISSUE_CSS = `
+    .issue-state { font-size: 12px; padding: 2px 8px; border-radius: 12px; color: white; }
+    .issue-open { background: #2da44e; }
+    .issue-closed { background: #8250df; }
+    .label { font-size: 12px; padding: 1px 8px; border-radius: 12px; text-decoration: none; font-weight: 600; white-space: nowrap; }`;
+
+// Render the issue list page, filtered by state, labels and assignee
+function renderIssuesPage(repoName, query, user) {
+  const repo = getRepository(repoName);
+  if (!repo || !canAccess(user, repoName, 'read')) return null;
+
+  const state = ['open', 'closed', 'all'].includes(query.get('state')) ? query.get('state') : 'open';
+  const labels = parseNameList(query.get('labels') || '');
+  const assignee = query.get('assignee') || '';
+  const issues = listIssues(repoName, { state, labels, assignee: assignee || null });
+  const canWrite = canAccess(user, repoName, 'write');
+
+  const filterUrl = (changes) => {
+    const params = new URLSearchParams({ state, labels: labels.join(','), assignee, ...changes });
+    for (const [key, value] of [...params]) {
+      if (!value || (key === 'state' && value === 'open')) params.delete(key);
+    }
+    return `/${repoName}/issues${params.size ? `?${params}` : ''}`;
+  };
+
+  const issuesList = issues.length
+    ? issues.map(issue => {
+        const assignees = listIssueAssignees(issue.id);
+        return `
+        <li class="issue-item">
+          <span class="issue-state issue-${issue.state}">${issue.state}</span>
+          <div>
+            <a href="/${repoName}/issues/${issue.number}" class="issue-title">${escapeHtml(issue.title)}</a>
+            ${listIssueLabels(issue.id).map(l => renderIssueLabel(repoName, l)).join(' ')}
+            <div class="issue-meta">#${issue.number} opened by ${escapeHtml(issue.author || 'unknown')} - ${issue.created_at}${assignees.length ? ` - assigned to ${assignees.map(escapeHtml).join(', ')}` : ''}</div>
+          </div>
+          ${issue.comment_count ? `<span class="issue-meta comments">${issue.comment_count} comment${issue.comment_count === 1 ? '' : 's'}</span>` : ''}
+        </li>`;
+      }).join('')
+    : `<li class="empty">No ${state === 'all' ? '' : state + ' '}issues${labels.length || assignee ? ' match these filters' : ''}</li>`;
+
+  const tabs = ['open', 'closed', 'all']
+    .map(s => s === state ? `<strong>${s}</strong>` : `<a href="${escapeHtml(filterUrl({ state: s }))}">${s}</a>`)
+    .join(' | ');
+  const repoLabels = listRepoLabels(repoName);
+  const assignees = listRepoAssignees(repoName);
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>Issues - ${repoName} - GutHib</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 900px; margin: 50px auto; padding: 20px; }
+    h1 { color: #333; }
+    .back { margin-bottom: 20px; }
+    .back a, .tabs a, .filters a { color: #0066cc; text-decoration: none; }
+    .tabs { margin: 10px 0; font-size: 14px; }
+    .filters { display: flex; gap: 10px; align-items: center; font-size: 14px; margin-bottom: 20px; flex-wrap: wrap; }
+    .filters select, .new-issue input, .new-issue textarea { padding: 6px; border: 1px solid #ddd; border-radius: 4px; font-family: inherit; }
+    ul { list-style: none; padding: 0; }
+    li { padding: 10px 12px; background: #f9f9f9; margin: 4px 0; border-radius: 4px; }
+    li.empty { color: #999; font-style: italic; background: transparent; }
+    .issue-item { display: flex; align-items: flex-start; gap: 10px; }
+    .issue-title { color: #333; font-weight: 600; text-decoration: none; margin-right: 4px; }
+    .issue-title:hover { color: #0066cc; }
+    .issue-meta { color: #888; font-size: 12px; margin-top: 4px; }
+    .comments { margin-left: auto; white-space: nowrap; }
+    .new-issue { background: #f9f9f9; padding: 10px 15px; border-radius: 4px; margin-bottom: 20px; }
+    .new-issue input, .new-issue textarea { width: 100%; box-sizing: border-box; margin-top: 8px; }
+    .new-issue textarea { height: 120px; }
+    .new-issue button { margin-top: 8px; padding: 8px 16px; background: #2da44e; color: white; border: none; border-radius: 4px; cursor: pointer; }${ISSUE_CSS}
+  </style>
+</head>
+<body>
+  <div class="back"><a href="/${repoName}">&larr; Back to ${repoName}</a></div>
+  <h1>Issues</h1>
+
+  ${user && !repo.archived ? `
+  <details class="new-issue">
+    <summary>New issue</summary>
+    <form method="POST" action="/api/repos/${repoName}/issues">
+      <input type="text" name="title" placeholder="Title" required>
+      <textarea name="body" placeholder="Describe the issue (Markdown)"></textarea>
+      ${canWrite ? `
+      <input type="text" name="labels" placeholder="Labels, separated by commas">
+      <input type="text" name="assignees" placeholder="Assignees, separated by commas">` : ''}
+      <button type="submit">Open issue</button>
+    </form>
+  </details>
+  ` : ''}
+
+  <div class="tabs">${tabs}</div>
+  <form class="filters" method="GET" action="/${repoName}/issues">
+    <input type="hidden" name="state" value="${state}">
+    <label>Label
+      <select name="labels" onchange="this.form.submit()">
+        <option value="">any</option>
+        ${[...new Set([...labels, ...repoLabels.map(l => l.name)])].map(l => `<option value="${escapeHtml(l)}"${labels.length === 1 && labels[0] === l ? ' selected' : ''}>${escapeHtml(l)}</option>`).join('')}
+        ${labels.length > 1 ? `<option value="${escapeHtml(labels.join(','))}" selected>${escapeHtml(labels.join(', '))}</option>` : ''}
+      </select>
+    </label>
+    <label>Assignee
+      <select name="assignee" onchange="this.form.submit()">
+        <option value="">anyone</option>
+        <option value="none"${assignee === 'none' ? ' selected' : ''}>nobody</option>
+        ${[...new Set([...(assignee && assignee !== 'none' ? [assignee] : []), ...assignees])].map(a => `<option value="${escapeHtml(a)}"${a === assignee ? ' selected' : ''}>${escapeHtml(a)}</option>`).join('')}
+      </select>
+    </label>
+    ${labels.length || assignee ? `<a href="${escapeHtml(filterUrl({ labels: '', assignee: '' }))}">Clear filters</a>` : ''}
+  </form>
+  <ul>${issuesList}</ul>
+</body>
+</html>`;
+}
+
+// Render an issue with its comment threads
+function renderIssuePage(repoName, number, user) {
+  const repo = getRepository(repoName);
+  if (!repo || !canAccess(user, repoName, 'read')) return null;
+
+  const issue = getIssue(repoName, number);
+  if (!issue) return null;
+
+  const canWrite = canAccess(user, repoName, 'write');
+  const canEdit = !repo.archived && (canWrite || (user && user.username === issue.author));
+  const canComment = Boolean(user) && !repo.archived;
+  const labels = listIssueLabels(issue.id);
+  const assignees = listIssueAssignees(issue.id);
+  const comments = listIssueComments(issue.id);
+
+  const renderComment = (c) => `
+    <div class="comment" id="comment-${c.id}">
+      <div class="comment-header"><strong>${escapeHtml(c.author || 'unknown')}</strong> ${c.in_reply_to ? 'replied' : 'commented'} on ${c.created_at}</div>
+      <div class="comment-body markdown-body">${renderMarkdown(c.body)}</div>
+    </div>`;
+  const threads = comments.filter(c => !c.in_reply_to).map(c => {
+    const replies = comments.filter(r => r.in_reply_to === c.id);
+    return `
+    <div class="thread">
+      ${renderComment(c)}
+      ${replies.length || canComment ? `<div class="replies">
+        ${replies.map(renderComment).join('')}
+        ${canComment ? `
+        <details class="reply">
+          <summary>Reply</summary>
+          <form class="comment-form" method="POST" action="/api/repos/${repoName}/issues/${issue.number}/comments">
+            <input type="hidden" name="in_reply_to" value="${c.id}">
+            <textarea name="body" placeholder="Reply to this thread" required></textarea>
+            <button type="submit">Reply</button>
+          </form>
+        </details>` : ''}
+      </div>` : ''}
+    </div>`;
+  }).join('');
+
+  let closedNote = '';
+  if (issue.state === 'closed') {
+    const commit = issue.closing_commit_sha
+      ? ` in <a href="/${repoName}/commit/${issue.closing_commit_sha}"><code>${issue.closing_commit_sha.substring(0, 7)}</code></a>`
+      : '';
+    closedNote = `<div class="closed-note">Closed by <strong>${escapeHtml(issue.closed_by_user || 'unknown')}</strong>${commit} on ${issue.closed_at}</div>`;
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>${escapeHtml(issue.title)} #${issue.number} - ${repoName} - GutHib</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 1000px; margin: 50px auto; padding: 20px; background: #fafafa; }
+    h1 { color: #333; font-size: 22px; margin: 0 0 8px 0; }
+    .back { margin-bottom: 20px; }
+    .back a { color: #0066cc; text-decoration: none; }
+    .layout { display: grid; grid-template-columns: 1fr 220px; gap: 20px; align-items: start; }
+    .issue-header, .sidebar, .comment, .closed-note { background: white; border-radius: 8px; border: 1px solid #e1e4e8; margin-bottom: 15px; }
+    .issue-header, .closed-note { padding: 15px 20px; }
+    .closed-note { border-color: #8250df; font-size: 14px; }
+    .closed-note a { color: #0066cc; }
+    .issue-meta { color: #666; font-size: 13px; }
+    .comment-header { background: #f6f8fa; padding: 8px 15px; border-bottom: 1px solid #e1e4e8; font-size: 13px; color: #555; border-radius: 8px 8px 0 0; }
+    .comment-body { padding: 12px 15px; }
+    .replies { margin: -5px 0 15px 30px; padding-left: 15px; border-left: 2px solid #e1e4e8; }
+    .reply summary { color: #0066cc; cursor: pointer; font-size: 13px; margin-bottom: 8px; }
+    .comment-form textarea { width: 100%; box-sizing: border-box; height: 90px; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-family: inherit; }
+    button { padding: 7px 14px; background: #0066cc; color: white; border: none; border-radius: 4px; cursor: pointer; margin-top: 8px; }
+    .sidebar { padding: 5px 15px 15px; font-size: 14px; }
+    .sidebar h3 { font-size: 13px; color: #666; margin: 15px 0 6px 0; }
+    .sidebar .link-btn { background: none; color: #0066cc; padding: 0; margin: 0; font-size: 12px; float: right; }
+    .none { color: #999; }${ISSUE_CSS}${MARKDOWN_CSS}${HIGHLIGHT_CSS}
+  </style>
+</head>
+<body>
+  <div class="back"><a href="/${repoName}/issues">&larr; Back to issues</a></div>
+  <div class="layout">
+    <div>
+      <div class="issue-header">
+        <h1>${escapeHtml(issue.title)} <span class="issue-meta">#${issue.number}</span></h1>
+        <span class="issue-state issue-${issue.state}">${issue.state}</span>
+        <span class="issue-meta"><strong>${escapeHtml(issue.author || 'unknown')}</strong> opened this issue on ${issue.created_at}</span>
+      </div>
+      <div class="comment">
+        <div class="comment-header"><strong>${escapeHtml(issue.author || 'unknown')}</strong> wrote</div>
+        <div class="comment-body markdown-body">${issue.body ? renderMarkdown(issue.body) : '<p class="none">No description provided.</p>'}</div>
+      </div>
+
+      ${threads}
+      ${closedNote}
+
+      ${canComment ? `
+      <form class="comment-form" method="POST" action="/api/repos/${repoName}/issues/${issue.number}/comments">
+        <textarea name="body" placeholder="Leave a comment (Markdown)" required></textarea>
+        <button type="submit">Comment</button>
+        ${canEdit ? `<button type="button" onclick="updateIssue({ state: '${issue.state === 'open' ? 'closed' : 'open'}' })">${issue.state === 'open' ? 'Close issue' : 'Reopen issue'}</button>` : ''}
+      </form>
+      ` : ''}
+    </div>
+
+    <div class="sidebar">
+      <h3>Assignees ${canWrite ? `<button class="link-btn" onclick="editList('assignees', ${escapeHtml(JSON.stringify(assignees.join(', ')))})">Edit</button>` : ''}</h3>
+      ${assignees.length ? assignees.map(a => `<div><a href="/${repoName}/issues?assignee=${encodeURIComponent(a)}">${escapeHtml(a)}</a></div>`).join('') : '<div class="none">Nobody</div>'}
+      <h3>Labels ${canWrite ? `<button class="link-btn" onclick="editList('labels', ${escapeHtml(JSON.stringify(labels.join(', ')))})">Edit</button>` : ''}</h3>
+      ${labels.length ? labels.map(l => renderIssueLabel(repoName, l)).join(' ') : '<div class="none">None yet</div>'}
+    </div>
+  </div>
+
+  <script>
+    async function updateIssue(changes) {
+      const res = await fetch('/api/repos/${repoName}/issues/${issue.number}', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      if (res.ok) {
+        location.reload();
+      } else {
+        alert((await res.json()).error);
+      }
+    }
+
+    function editList(field, current) {
+      const value = prompt(field === 'labels' ? 'Labels, separated by commas' : 'Assignees (usernames), separated by commas', current);
+      if (value !== null) updateIssue({ [field]: value });
+    }
+  </script>
+</body>
+</html>`;
+}
+
+// Render the releases of a repository, or only the release of one tag
+async function renderReleasesPage(repoName, user, { tag } = {}) {
+  const repo = getRepository(repoName);
+  if (!repo || !canAccess(user, repoName, 'read')) return null;
+
+  const repoPath = getRepoPath(repoName);
+  const canWrite = canAccess(user, repoName, 'write');
+  let releases = listReleases(repoName, { drafts: canWrite });
+  if (tag !== undefined) {
+    releases = releases.filter(r => r.tag_name === tag);
+    if (!releases.length) return null;
+  }
+  const latest = getLatestRelease(repoName);
+  const tags = fs.existsSync(repoPath) ? await listTags(repoName) : [];
+  const tagNames = new Set(tags.map(t => t.name));
+
+  const releasesList = releases.length
+    ? releases.map(release => {
+        const assets = listReleaseAssets(release.id);
+        const assetRows = assets.map(a => `
+          <tr>
+            <td><a href="${escapeHtml(releaseAssetUrl(repoName, release.tag_name, a.name))}">${escapeHtml(a.name)}</a></td>
+            <td class="asset-size">${formatSize(a.size)}</td>
+            <td><code class="checksum" title="SHA-256">${a.sha256}</code></td>
+            <td class="asset-meta">${a.download_count} download${a.download_count === 1 ? '' : 's'}</td>
+            ${canWrite ? `<td><button class="link-btn" onclick="deleteAsset(${release.id}, ${a.id})">Delete</button></td>` : ''}
+          </tr>`).join('');
+        const sources = tagNames.has(release.tag_name)
+          ? `<tr>
+              <td>Source code <span class="archive-links"><a href="${escapeHtml(archiveUrl(repoName, release.tag_name, 'zip'))}">zip</a> <a href="${escapeHtml(archiveUrl(repoName, release.tag_name, 'tar.gz'))}">tar.gz</a></span></td>
+              <td colspan="${canWrite ? 4 : 3}"></td>
+            </tr>`
+          : '';
+
+        return `
+        <div class="release" id="release-${release.id}">
+          <h2><a href="${escapeHtml(releaseUrl(repoName, release.tag_name))}">${escapeHtml(release.name || release.tag_name)}</a>
+            ${release.draft ? '<span class="badge badge-draft">Draft</span>' : ''}
+            ${release.prerelease ? '<span class="badge badge-pre">Pre-release</span>' : ''}
+            ${latest && latest.id === release.id ? '<span class="badge badge-latest">Latest</span>' : ''}</h2>
+          <div class="release-meta">
+            ${tagNames.has(release.tag_name)
+              ? `<a class="ref-badge" href="/${repoName}/tree/${encodeRevisionPath(release.tag_name)}">${escapeHtml(release.tag_name)}</a>`
+              : `<span class="ref-badge">${escapeHtml(release.tag_name)}</span> (tag not pushed yet)`}
+            ${escapeHtml(release.author || 'unknown')} ${release.draft ? `drafted this on ${release.created_at}` : `released this on ${release.published_at}`}
+          </div>
+          ${release.body ? `<div class="markdown-body">${renderRepoMarkdown(repoName, release.tag_name, '', release.body)}</div>` : ''}
+          <h3>Assets (${assets.length + (sources ? 2 : 0)})</h3>
+          <table class="assets">${assetRows}${sources}</table>
+          ${canWrite ? `
+          <form class="release-actions" onsubmit="return uploadAssets(this, ${release.id})">
+            <input type="file" name="file" multiple required>
+            <button type="submit">Upload assets</button>
+            ${release.draft ? `<button type="button" onclick="publishRelease(${release.id})">Publish release</button>` : ''}
+            <button type="button" class="danger-btn" onclick="deleteRelease(${release.id})">Delete release</button>
+          </form>` : ''}
+        </div>`;
+      }).join('')
+    : '<p class="empty">No releases yet</p>';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>${tag !== undefined ? `${escapeHtml(releases[0].name || tag)} - ` : ''}Releases - ${repoName} - GutHib</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 900px; margin: 50px auto; padding: 20px; background: #fafafa; }
+    h1 { color: #333; }
+    .back { margin-bottom: 20px; }
+    .back a { color: #0066cc; text-decoration: none; }
+    .release, .new-release { background: white; padding: 15px 20px; border-radius: 8px; margin-bottom: 20px; border: 1px solid #e1e4e8; }
+    .release h2 { margin: 0 0 8px 0; font-size: 22px; }
+    .release h2 a { color: #333; text-decoration: none; }
+    .release h3 { font-size: 15px; color: #333; margin: 20px 0 8px 0; }
+    .badge { font-size: 12px; font-weight: normal; padding: 2px 8px; border-radius: 12px; border: 1px solid; vertical-align: middle; }
+    .badge-draft { color: #666; border-color: #999; }
+    .badge-pre { color: #9a6700; border-color: #d4a72c; }
+    .badge-latest { color: #1a7f37; border-color: #2da44e; }
+    .release-meta { color: #666; font-size: 13px; margin-bottom: 15px; }
+    .ref-badge { background: #f1f8ff; color: #0366d6; padding: 2px 8px; border-radius: 4px; font-family: 'SF Mono', Monaco, monospace; font-size: 13px; text-decoration: none; }
+    .assets { width: 100%; border-collapse: collapse; font-size: 14px; }
+    .assets td { padding: 6px 8px; border-top: 1px solid #eee; }
+    .assets a { color: #0066cc; text-decoration: none; }
+    .asset-size, .asset-meta { color: #666; white-space: nowrap; }
+    .checksum { font-family: 'SF Mono', Monaco, monospace; font-size: 11px; color: #666; word-break: break-all; }
+    .archive-links { font-size: 12px; }
+    .archive-links a { margin-left: 8px; }
+    .release-actions { display: flex; gap: 8px; align-items: center; margin-top: 15px; flex-wrap: wrap; }
+    .new-release input[type=text], .new-release select, .new-release textarea { width: 100%; box-sizing: border-box; padding: 8px; border: 1px solid #ddd; border-radius: 4px; margin-bottom: 10px; font-family: inherit; }
+    .new-release textarea { height: 120px; }
+    button { padding: 7px 14px; background: #0066cc; color: white; border: none; border-radius: 4px; cursor: pointer; }
+    .danger-btn { background: #cf222e; }
+    .link-btn { background: none; color: #cf222e; padding: 0; }
+    .empty { color: #999; font-style: italic; }${MARKDOWN_CSS}${HIGHLIGHT_CSS}
+  </style>
+</head>
+<body>
+  <div class="back"><a href="${tag !== undefined ? `/${repoName}/releases` : `/${repoName}`}">&larr; Back to ${tag !== undefined ? 'releases' : repoName}</a></div>
+  <h1>Releases</h1>
+
+  ${canWrite && tag === undefined ? `
+  <details class="new-release">
+    <summary>Draft a new release</summary>
+    <form onsubmit="return createRelease(this)">
+      <p><input type="text" name="tag_name" list="release-tags" placeholder="Tag, for example v1.0.0" required></p>
+      <datalist id="release-tags">${tags.map(t => `<option value="${escapeHtml(t.name)}">`).join('')}</datalist>
+      <input type="text" name="name" placeholder="Release title">
+      <textarea name="body" placeholder="Release notes (Markdown)"></textarea>
+      <label><input type="checkbox" name="prerelease"> This is a pre-release</label>
+      <div class="release-actions">
+        <button type="submit" name="publish">Publish release</button>
+        <button type="submit" name="draft">Save draft</button>
+      </div>
+    </form>
+  </details>
+  ` : ''}
+
+  ${releasesList}
+
+  ${canWrite ? `
+  <script>
+    async function send(url, options) {
+      const res = await fetch(url, options);
+      if (res.ok) {
+        location.reload();
+      } else {
+        alert((await res.json()).error);
+      }
+    }
+
+    function createRelease(form) {
+      const draft = document.activeElement && document.activeElement.name === 'draft';
+      send('/api/repos/${repoName}/releases', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          tag_name: form.tag_name.value,
+          name: form.name.value,
+          body: form.body.value,
+          prerelease: form.prerelease.checked,
+          draft
+        })
+      });
+      return false;
+    }
+
+    function publishRelease(id) {
+      send('/api/repos/${repoName}/releases/' + id, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ draft: false })
+      });
+    }
+
+    function deleteRelease(id) {
+      if (!confirm('Delete this release and its assets? The tag is kept.')) return;
+      send('/api/repos/${repoName}/releases/' + id, { method: 'DELETE' });
+    }
+
+    function uploadAssets(form, id) {
+      form.querySelector('button').disabled = true;
+      send('/api/repos/${repoName}/releases/' + id + '/assets', { method: 'POST', body: new FormData(form) });
+      return false;
+    }
+
+    function deleteAsset(releaseId, id) {
+      if (!confirm('Delete this asset?')) return;
+      send('/api/repos/${repoName}/releases/' + releaseId + '/assets/' + id, { method: 'DELETE' });
+    }
+  </script>
+  ` : ''}
+</body>
+</html>`;
+}
+
+// Download a release asset. Returns false if there is no such asset
+async function handleReleaseAssetRequest(req, res, repoName, tag, name, user) {
+  const repo = getRepository(repoName);
+  if (!repo || !canAccess(user, repoName, 'read')) return false;
+
+  const release = getReleaseByTag(repoName, tag);
+  if (!release || (release.draft && !canAccess(user, repoName, 'write'))) return false;
+  const asset = listReleaseAssets(release.id).find(a => a.name === name);
+  if (!asset) return false;
+
+  const etag = `"${asset.sha256}"`;
+  const headers = {
+    'ETag': etag,
+    'Cache-Control': 'no-cache',
+    'Content-Type': asset.content_type,
+    'Content-Disposition': `attachment; filename="${name.replace(/[^\x20-\x7e]|["\\]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(name)}`,
+    'X-Content-Type-Options': 'nosniff',
+    // Uploaded files are never rendered on this origin
+    'Content-Security-Policy': "default-src 'none'; sandbox"
+  };
+  if (req.headers['if-none-match'] === etag) {
+    res.writeHead(304, headers);
+    res.end();
+    return true;
+  }
+
+  res.writeHead(200, { ...headers, 'Content-Length': asset.size });
+  if (req.method === 'HEAD') {
+    res.end();
+    return true;
+  }
+  db.prepare('UPDATE release_assets SET download_count = download_count + 1 WHERE id = ?').run(asset.id);
+  await pipeline(fs.createReadStream(getAssetPath(repoName, asset.id)), res);
+  return true;
+}
+
+// Render pull request list page
+function renderPullRequestsPage(repoName, state, user) {
+  const repo = getRepository(repoName);
+  if (!repo || !canAccess(user, repoName, 'read')) return null;
+
+  const pulls = listPullRequests(repoName, state);
+  const pullsList = pulls.length
+    ? pulls.map(pr => `
+        <li class="pr-item">
+          <span class="pr-state pr-${pr.state}">${pr.state}</span>
+          <a href="/${repoName}/pull/${pr.number}">${escapeHtml(pr.title)}</a>
+          <span class="pr-meta">#${pr.number} ${escapeHtml(pr.head)} &rarr; ${escapeHtml(pr.base)} by ${escapeHtml(pr.author || 'unknown')} - ${pr.created_at}</span>
+        </li>
+      `).join('')
+    : `<li class="empty">No ${state === 'all' ? '' : `${escapeHtml(state)} `}pull requests</li>`;
+
+  const tabs = ['open', 'closed', 'merged', 'all']
+    .map(s => s === state ? `<strong>${s}</strong>` : `<a href="/${repoName}/pulls?state=${s}">${s}</a>`)
+    .join(' | ');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>Pull requests - ${repoName} - GutHib</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 900px; margin: 50px auto; padding: 20px; }
+    h1 { color: #333; }
+    .back { margin-bottom: 20px; }
+    .back a, .tabs a { color: #0066cc; text-decoration: none; }
+    .tabs { margin: 10px 0 20px 0; font-size: 14px; }
+    ul { list-style: none; padding: 0; }
+    li { padding: 10px 12px; background: #f9f9f9; margin: 4px 0; border-radius: 4px; }
+    li.empty { color: #999; font-style: italic; background: transparent; }
+    .pr-item { display: flex; align-items: center; gap: 10px; }
+    .pr-item a { color: #333; font-weight: 600; text-decoration: none; }
+    .pr-item a:hover { color: #0066cc; }
+    .pr-meta { color: #888; font-size: 12px; margin-left: auto; }
+    .pr-state { font-size: 12px; padding: 2px 8px; border-radius: 12px; color: white; }
+    .pr-open { background: #2da44e; }
+    .pr-closed { background: #cf222e; }
+    .pr-merged { background: #8250df; }
+  </style>
+</head>
+<body>
+  <div class="back"><a href="/${repoName}">&larr; Back to ${repoName}</a></div>
+  <h1>Pull requests</h1>
+  <div class="tabs">${tabs}</div>
+  <ul>${pullsList}</ul>
+</body>
+</html>`;
+}
+
+// Render pull request page
+async function renderPullRequestPage(repoName, number, user) {
+  const repo = getRepository(repoName);
+  if (!repo || !canAccess(user, repoName, 'read')) return null;
+
+  const pr = getPullRequest(repoName, number);
+  if (!pr) return null;
+
+  const repoPath = getRepoPath(repoName);
+  const comments = listPullRequestComments(pr.id);
+  const canWrite = canAccess(user, repoName, 'write');
+  const canEdit = canWrite || (user && user.username === pr.author);
+
+  let commits = [];
+  let formattedDiff;
+  const reviewComments = new Map();
+  for (const c of comments.filter(c => c.path)) {
+    const key = `${c.path}:${c.side}:${c.line}`;
+    reviewComments.set(key, [...(reviewComments.get(key) || []), c]);
+  }
+  try {
+    commits = await getPullRequestCommits(repoPath, pr);
+    formattedDiff = formatDiff(await getPullRequestDiff(repoPath, pr), { reviewComments });
+  } catch (err) {
+    formattedDiff = '<p class="empty">The branches of this pull request are no longer available</p>';
+  }
+
+  const mergeability = pr.state === 'open' ? await getMergeability(repoPath, pr) : null;
+
+  const commitsList = commits.length
+    ? commits.map(c => `<li><a href="/${repoName}/commit/${c.hash}" class="commit-link"><code class="commit-hash">${c.shortHash}</code> <span class="commit-msg">${escapeHtml(c.subject)}</span></a>${renderStatusBadge(getCombinedStatus(repoName, c.hash))} <span class="pr-meta">${escapeHtml(c.author)}</span></li>`).join('')
+    : '<li class="empty">No commits</li>';
+
+  const conversation = comments.filter(c => !c.path);
+  const conversationList = conversation.map(c => `
+    <div class="comment">
+      <div class="comment-header"><strong>${escapeHtml(c.author || 'unknown')}</strong> commented on ${c.created_at}</div>
+      <div class="comment-body">${escapeHtml(c.body)}</div>
+    </div>
+  `).join('');
+
+  let statusBox = '';
+  if (pr.state === 'merged') {
+    statusBox = `<div class="merge-box merged">Merged by <strong>${escapeHtml(pr.merged_by_user || 'unknown')}</strong> on ${pr.merged_at} using ${pr.merge_strategy} as <a href="/${repoName}/commit/${pr.merge_commit_sha}"><code>${pr.merge_commit_sha.substring(0, 7)}</code></a></div>`;
+  } else if (pr.state === 'closed') {
+    statusBox = `<div class="merge-box closed">Closed on ${pr.closed_at}${canEdit ? ' <button onclick="setState(\'open\')">Reopen</button>' : ''}</div>`;
+  } else if (!mergeability.mergeable) {
+    statusBox = `<div class="merge-box blocked">Cannot merge: ${escapeHtml(mergeability.reason)}${canEdit ? ' <button onclick="setState(\'closed\')">Close pull request</button>' : ''}</div>`;
+  } else {
+    statusBox = `<div class="merge-box">
+      This branch has no conflicts with ${escapeHtml(pr.base)}.
+      ${canWrite ? `
+      <form method="POST" action="/api/repos/${repoName}/pulls/${pr.number}/merge">
+        <select name="strategy">
+          <option value="merge">Create a merge commit</option>
+          <option value="squash">Squash and merge</option>
+          <option value="rebase">Rebase and merge</option>
+        </select>
+        <button type="submit" class="merge-btn">Merge pull request</button>
+      </form>` : ''}
+      ${canEdit ? '<button onclick="setState(\'closed\')">Close pull request</button>' : ''}
+    </div>`;
+  }
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>${escapeHtml(pr.title)} #${pr.number} - ${repoName} - GutHib</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 1100px; margin: 50px auto; padding: 20px; background: #fafafa; }
+    h1 { color: #333; font-size: 22px; margin-bottom: 5px; }
+    h2 { font-size: 16px; color: #333; }
+    .back { margin-bottom: 20px; }
+    .back a { color: #0066cc; text-decoration: none; }
+    .pr-header, .section, .comment, .merge-box { background: white; padding: 15px 20px; border-radius: 8px; margin-bottom: 20px; border: 1px solid #e1e4e8; }
+    .pr-state { font-size: 13px; padding: 3px 10px; border-radius: 12px; color: white; }
+    .pr-open { background: #2da44e; }
+    .pr-closed { background: #cf222e; }
+    .pr-merged { background: #8250df; }
+    .pr-meta { color: #666; font-size: 13px; }
+    .ref-badge { background: #f1f8ff; color: #0366d6; padding: 2px 8px; border-radius: 4px; font-family: 'SF Mono', Monaco, monospace; font-size: 13px; }
+    .pr-body { white-space: pre-wrap; color: #333; margin-top: 15px; }
+    .section ul { list-style: none; padding: 0; margin: 0; }
+    .section li { padding: 6px 0; border-bottom: 1px solid #eee; display: flex; gap: 10px; align-items: center; }
+    .section li:last-child { border-bottom: none; }
+    .commit-link { text-decoration: none; color: inherit; }
+    .commit-hash { color: #0066cc; font-family: 'SF Mono', Monaco, monospace; font-size: 13px; }${STATUS_CSS}
+    .comment { padding: 0; }
+    .comment-header { background: #f6f8fa; padding: 8px 15px; border-bottom: 1px solid #e1e4e8; font-size: 13px; color: #555; border-radius: 8px 8px 0 0; }
+    .comment-body { padding: 12px 15px; white-space: pre-wrap; }
+    .comment-form textarea { width: 100%; box-sizing: border-box; height: 90px; padding: 8px; border: 1px solid #ddd; border-radius: 4px; font-family: inherit; }
+    .comment-form button, .merge-box button { padding: 8px 16px; background: #0066cc; color: white; border: none; border-radius: 4px; cursor: pointer; margin-top: 8px; }
+    .merge-box form { display: inline-flex; gap: 8px; align-items: center; margin: 10px 10px 0 0; }
+    .merge-box select { padding: 7px; border: 1px solid #ddd; border-radius: 4px; }
+    .merge-box .merge-btn { background: #2da44e; margin-top: 0; }
+    .merge-box.merged { border-color: #8250df; }
+    .merge-box.closed, .merge-box.blocked { border-color: #cf222e; }
+    .diff-section { background: white; border-radius: 8px; border: 1px solid #e1e4e8; overflow: hidden; }
+    .diff-section h2 { margin: 0; padding: 15px 20px; font-size: 16px; color: #333; border-bottom: 1px solid #e1e4e8; background: #f6f8fa; }${DIFF_CSS}
+    ${user ? '.diff-line { cursor: pointer; } .diff-line:hover { outline: 1px solid #0366d6; }' : ''}
+    .empty { color: #666; font-style: italic; padding: 20px; text-align: center; }
+  </style>
+</head>
+<body>
+  <div class="back"><a href="/${repoName}/pulls">&larr; Back to pull requests</a></div>
+
+  <div class="pr-header">
+    <h1>${escapeHtml(pr.title)} <span class="pr-meta">#${pr.number}</span></h1>
+    <span class="pr-state pr-${pr.state}">${pr.state}</span>
+    <span class="pr-meta"><strong>${escapeHtml(pr.author || 'unknown')}</strong> wants to merge
+      <span class="ref-badge">${escapeHtml(pr.head)}</span> into <span class="ref-badge">${escapeHtml(pr.base)}</span>
+      - opened ${pr.created_at}</span>
+    ${pr.body ? `<div class="pr-body">${escapeHtml(pr.body)}</div>` : ''}
+  </div>
+
+  <div class="section">
+    <h2>Commits (${commits.length})</h2>
+    <ul>${commitsList}</ul>
+  </div>
+
+  ${conversationList}
+
+  ${statusBox}
+
+  ${user ? `
+  <form class="section comment-form" method="POST" action="/api/repos/${repoName}/pulls/${pr.number}/comments">
+    <textarea name="body" placeholder="Leave a comment" required></textarea>
+    <button type="submit">Comment</button>
+  </form>
+  ` : ''}
+
+  <div class="diff-section">
+    <h2>Files changed${user ? ' <span class="pr-meta">(click a line to comment on it)</span>' : ''}</h2>
+    ${formattedDiff}
+  </div>
+
+  <script>
+    async function setState(state) {
+      const res = await fetch('/api/repos/${repoName}/pulls/${pr.number}', {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ state })
+      });
+      if (res.ok) {
+        location.reload();
+      } else {
+        alert((await res.json()).error);
+      }
+    }
+
+    ${user ? `
+    document.querySelectorAll('.diff-line').forEach((line) => {
+      line.addEventListener('click', async () => {
+        const body = prompt('Comment on ' + line.dataset.path + ' line ' + line.dataset.line);
+        if (!body) return;
+        const res = await fetch('/api/repos/${repoName}/pulls/${pr.number}/comments', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ body, path: line.dataset.path, line: Number(line.dataset.line), side: line.dataset.side })
+        });
+        if (res.ok) {
+          location.reload();
+        } else {
+          alert((await res.json()).error);
+        }
+      });
+    });
+    ` : ''}
+  </script>
+</body>
+</html>`;
+}
+
+// An error for a request body that cannot be accepted, answered with its status
+function requestBodyError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// The boundary of a multipart/form-data request, or null for other requests
+function getMultipartBoundary(req) {
+  const contentType = req.headers['content-type'] || '';
+  if (!/^multipart\/form-data\s*;/i.test(contentType)) return null;
+  const match = contentType.match(/;\s*boundary=(?:"([^"]+)"|([^;\s]+))/i);
+  return match ? match[1] || match[2] : null;
+}
+
+// Parse a multipart/form-data body, streaming files into new files in dir as
+// they arrive and hashing them on the way. Resolves with the parts in order:
+// { name, value } for fields and { name, filename, contentType, path, size, sha256 }
+// for files. On failure the files written so far are removed again
+async function parseMultipart(req, boundary, dir, { maxFileSize = Infinity } = {}) {
+  const stream = decodeRequestBody(req);
+  if (!stream) throw unsupportedEncodingError();
+
+  // The first delimiter follows no line break, pretend it does so all delimiters look alike
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+  const parts = [];
+  let buffer = Buffer.from('\r\n');
+  let state = 'preamble';
+  let part = null;
+
+  const startPart = (headerText) => {
+    const headers = {};
+    for (const line of headerText.split('\r\n')) {
+      const colon = line.indexOf(':');
+      if (colon > 0) headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+    const params = {};
+    for (const [, key, quoted, plain] of (headers['content-disposition'] || '').matchAll(/;\s*([^=;\s]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;]*))/g)) {
+      params[key.toLowerCase()] = quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : plain.trim();
+    }
+    let filename = params.filename;
+    const extended = (params['filename*'] || '').match(/^utf-8''(.*)$/i);
+    if (extended) {
+      try { filename = decodeURIComponent(extended[1]); } catch { /* keep the plain file name */ }
+    }
+
+    if (filename === undefined) {
+      part = { name: params.name, chunks: [], size: 0 };
+      return;
+    }
+    const filePath = path.join(dir, `upload-${randomUUID()}`);
+    part = {
+      name: params.name,
+      filename,
+      contentType: headers['content-type'] || null,
+      path: filePath,
+      size: 0,
+      fd: fs.openSync(filePath, 'w'),
+      hash: createHash('sha256')
+    };
+    parts.push(part);
+  };
+
+  const writePart = (data) => {
+    if (!data.length) return;
+    part.size += data.length;
+    if (part.fd === undefined) {
+      if (part.size > 1024 * 1024) throw requestBodyError(413, 'Form field is too large');
+      part.chunks.push(data);
+      return;
+    }
+    if (part.size > maxFileSize) throw requestBodyError(413, `${part.filename} is larger than ${formatSize(maxFileSize)}`);
+    fs.writeSync(part.fd, data);
+    part.hash.update(data);
+  };
+
+  const endPart = () => {
+    if (part.fd === undefined) {
+      parts.push({ name: part.name, value: Buffer.concat(part.chunks).toString() });
+    } else {
+      fs.closeSync(part.fd);
+      delete part.fd;
+      part.sha256 = part.hash.digest('hex');
+      delete part.hash;
+    }
+    part = null;
+  };
+
+  const consume = () => {
+    while (state !== 'end') {
+      if (state === 'preamble' || state === 'body') {
+        const index = buffer.indexOf(delimiter);
+        if (index === -1) {
+          // Hold back what could be the start of a delimiter split across chunks
+          const keep = Math.min(buffer.length, delimiter.length - 1);
+          if (state === 'body') writePart(buffer.subarray(0, buffer.length - keep));
+          buffer = buffer.subarray(buffer.length - keep);
+          return;
+        }
+        if (state === 'body') {
+          writePart(buffer.subarray(0, index));
+          endPart();
+        }
+        buffer = buffer.subarray(index + delimiter.length);
+        state = 'delimiter';
+      } else if (state === 'delimiter') {
+        if (buffer.length < 2) return;
+        if (buffer.toString('latin1', 0, 2) === '--') {
+          state = 'end';
+          return;
+        }
+        state = 'headers';
+      } else if (state === 'headers') {
+        // The headers start after the line break ending the delimiter line
+        const end = buffer.indexOf('\r\n\r\n');
+        if (end === -1) {
+          if (buffer.length > 16 * 1024) throw requestBodyError(400, 'Malformed multipart body');
+          return;
+        }
+        startPart(buffer.toString('utf8', buffer.indexOf('\r\n') + 2, end));
+        buffer = buffer.subarray(end + 4);
+        state = 'body';
+      }
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    let failed = false;
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      if (part && part.fd !== undefined) fs.closeSync(part.fd);
+      for (const p of parts) {
+        if (p.path) fs.rmSync(p.path, { force: true });
+      }
+      reject(err);
+    };
+
+    stream.on('error', fail);
+    stream.on('data', (chunk) => {
+      if (failed) return;
+      try {
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+        consume();
+      } catch (err) {
+        fail(err);
+      }
+    });
+    stream.on('end', () => {
+      if (failed) return;
+      if (state !== 'end') {
+        fail(requestBodyError(400, 'Malformed multipart body'));
+        return;
+      }
+      resolve(parts);
+    });
+  });
+}
+
+// Parse form data (repeated fields, such as checkboxes, become arrays)
+async function parseFormData(req) {
+  return new Promise((resolve, reject) => {
+    const stream = decodeRequestBody(req);
+    if (!stream) {
+      reject(unsupportedEncodingError());
+      return;
+    }
+    let body = '';
+    stream.on('error', reject);
+    stream.on('data', chunk => body += chunk);
+    stream.on('end', () => {
+      const data = {};
+      for (const [key, value] of new URLSearchParams(body)) {
+        data[key] = key in data ? [].concat(data[key], value) : value;
+      }
+      resolve(data);
+    });
+  });
+}
+
+// Parse JSON body
+async function parseJSON(req) {
+  return new Promise((resolve, reject) => {
+    const stream = decodeRequestBody(req);
+    if (!stream) {
+      reject(unsupportedEncodingError());
+      return;
+    }
+    let body = '';
+    stream.on('error', reject);
+    stream.on('data', chunk => body += chunk);
+    stream.on('end', () => {
+      try {
+        resolve(JSON.parse(body));
+      } catch (e) {
+        reject(e);
+      }
+    });
+  });
+}
+
+// Main request handler
+const server = http.createServer(async (req, res) => {
+  const { repo, path: urlPath, query } = parsePath(req.url);
+
+  console.log(`${req.method} ${req.url}`);
+  compressResponse(req, res);
+
+  try {
+    // Branch protection checks from the proc-receive hook during a push
+    const pushCheckMatch = req.url.match(/^\/internal\/push-checks\/([a-f0-9]+)$/);
+    if (pushCheckMatch && req.method === 'POST') {
+      const pending = pendingPushChecks.get(pushCheckMatch[1]);
+      if (!pending) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Unknown push' }));
+        return;
+      }
+
+      const { updates } = await parseJSON(req);
+      const results = [];
+      for (const update of updates) {
+        results.push({ ref: update.ref, reason: await checkRefUpdate(pending.repoName, pending.user, update) });
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ results }));
+      return;
+    }
+
+    // Helpers in ssh/: key lookups for sshd, and git commands run over SSH
+    if (urlPath.startsWith('/internal/ssh/')) {
+      if (!isInternalRequest(req)) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Forbidden' }));
+        return;
+      }
+
+      // GET /internal/ssh/keys?type=&key= - the registered key sshd is asking about
+      if (urlPath === '/internal/ssh/keys' && req.method === 'GET') {
+        const key = findSshKey(query.get('type'), query.get('key'));
+        res.writeHead(key ? 200 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(key ? { id: key.id, key: `${key.key_type} ${key.public_key}` } : { error: 'Key not found' }));
+        return;
+      }
+
+      // POST /internal/ssh/sessions - authorize a git command for a key
+      if (urlPath === '/internal/ssh/sessions' && req.method === 'POST') {
+        const data = await parseJSON(req);
+        const session = openSshSession(parseInt(data.key_id), data.command);
+        res.writeHead(session.error ? session.status : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(session.error ? { error: session.error } : session));
+        return;
+      }
+
+      // POST /internal/ssh/sessions/:token - a push finished, with the ref updates it sent
+      const sessionMatch = urlPath.match(/^\/internal\/ssh\/sessions\/([a-f0-9]+)$/);
+      if (sessionMatch && req.method === 'POST') {
+        const session = pendingSshPushes.get(sessionMatch[1]);
+        if (!session) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Unknown session' }));
+          return;
+        }
+        pendingSshPushes.delete(sessionMatch[1]);
+
+        const { updates, code } = await parseJSON(req);
+        await afterReceivePack(session.repoName, session.user, updates || [], session.checkToken, code);
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true }));
+        return;
+      }
+    }
+
+    const user = await authenticate(req);
+
+    // Browsers attach Basic credentials to form posts from any site
+    if (user && isCrossSiteRequest(req)) {
+      res.writeHead(403, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Cross-site request refused' }));
+      return;
+    }
+
+    // Renamed repositories: send requests for the old name on to the new one. Git
+    // follows the redirect of its first request and sends the rest to the new URL
+    const renamedMatch = req.url.match(/^(\/api\/repos)?\/([^/?]+\.git)(?=[/?]|$)/);
+    const renamedTo = renamedMatch && findRenamedRepository(renamedMatch[2]);
+    if (renamedTo && canAccess(user, renamedTo, 'read')) {
+      const location = `${renamedMatch[1] || ''}/${renamedTo}${req.url.slice(renamedMatch[0].length)}`;
+      // 308 keeps the method and body of API writes
+      res.writeHead(req.method === 'GET' || req.method === 'HEAD' ? 301 : 308, { 'Location': location });
+      res.end();
+      return;
+    }
+
+    // API routes
+    if (req.url === '/' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(renderHomePage(user));
+      return;
+    }
+
+    // Search across repositories
+    if (!repo && urlPath === '/search' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(renderGlobalSearchPage(query, user));
+      return;
+    }
+
+    // Sign in: challenge the browser for Basic credentials
+    if (req.url === '/login' && req.method === 'GET') {
+      if (!user) {
+        sendUnauthorized(res);
+        return;
+      }
+      res.writeHead(302, { 'Location': '/' });
+      res.end();
+      return;
+    }
+
+    // Every API route requires an authenticated user
+    if (req.url.startsWith('/api/') && !user) {
+      sendUnauthorized(res, { json: true });
+      return;
+    }
+
+    // GET /api/user - current user
+    if (req.url === '/api/user' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(user));
+      return;
+    }
+
+    // Personal access token routes
+    const tokenMatch = req.url.match(/^\/api\/user\/tokens(\/(\d+))?$/);
+    if (tokenMatch) {
+      const tokenId = tokenMatch[2];
+
+      // GET /api/user/tokens - list tokens
+      if (req.method === 'GET' && !tokenId) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(listAccessTokens(user.id)));
+        return;
+      }
+
+      // POST /api/user/tokens - create token
+      if (req.method === 'POST' && !tokenId) {
+        const data = await parseJSON(req);
+        if (!data.name) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Name is required' }));
+          return;
+        }
+        res.writeHead(201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(createAccessToken(user.id, data.name)));
+        return;
+      }
+
+      // DELETE /api/user/tokens/:id - revoke token
+      if (req.method === 'DELETE' && tokenId) {
+        const result = revokeAccessToken(user.id, parseInt(tokenId));
+        res.writeHead(result.error ? 404 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
+      }
+    }
+
+    // SSH key routes
+    const keyMatch = req.url.match(/^\/api\/user\/keys(\/(\d+))?$/);
+    if (keyMatch) {
+      const keyId = keyMatch[2];
+
+      // GET /api/user/keys - list SSH keys
+      if (req.method === 'GET' && !keyId) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(listSshKeys(user.id)));
+        return;
+      }
+
+      // POST /api/user/keys - add an SSH key
+      if (req.method === 'POST' && !keyId) {
+        const data = await parseJSON(req);
+        const result = createSshKey(user.id, data.title, data.key);
+        res.writeHead(result.error ? 400 : 201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
+      }
+
+      // DELETE /api/user/keys/:id - remove an SSH key
+      if (req.method === 'DELETE' && keyId) {
+        const result = deleteSshKey(user.id, parseInt(keyId));
+        res.writeHead(result.error ? 404 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
+      }
+    }
+
+    // User administration routes (admins only)
+    if (req.url === '/api/users') {
+      if (!user.is_admin) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Admin access required' }));
+        return;
+      }
+
+      // GET /api/users - list users
+      if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(listUsers()));
+        return;
+      }
+
+      // POST /api/users - create user
+      if (req.method === 'POST') {
+        const data = await parseJSON(req);
+        const result = await createUser(data.username, data.password, Boolean(data.is_admin), data.email);
+        res.writeHead(result.error ? 400 : 201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
+      }
+    }
+
+    // PATCH /api/users/:username - set a user's email (admins only). Emails are
+    // not confirmed, so users cannot claim one themselves
+    const userMatch = req.url.match(/^\/api\/users\/([a-zA-Z0-9_-]+)$/);
+    if (userMatch && req.method === 'PATCH') {
+      if (!user.is_admin) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Admin access required' }));
+        return;
+      }
+      const target = getUser(userMatch[1]);
+      if (!target) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'User not found' }));
+        return;
+      }
+      const data = await parseJSON(req);
+      const result = setUserEmail(target.id, data.email);
+      res.writeHead(result.error ? 400 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+      return;
+    }
+
+    if (req.url === '/api/repos' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(listRepositories(user)));
+      return;
+    }
+
+    if (req.url === '/api/repos' && req.method === 'POST') {
+      const contentType = req.headers['content-type'] || '';
+      let data;
+
+      if (contentType.includes('application/json')) {
+        data = await parseJSON(req);
+      } else {
+        data = await parseFormData(req);
+      }
+
+      const result = await createRepository(data.name, data.description || '', user, data.visibility || 'private', {
+        importUrl: data.import_url || null,
+        template: data.template || null,
+        autoInit: [true, 1, '1', 'on', 'true'].includes(data.auto_init),
+        gitignoreTemplate: data.gitignore_template || null,
+        license: data.license || null,
+        defaultBranch: data.default_branch || null
+      });
+
+      if (result.error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+      } else {
+        // Redirect to home for form submissions, or to the import progress
+        if (!contentType.includes('application/json')) {
+          res.writeHead(302, { 'Location': result.import_status ? `/${result.name}` : '/' });
+          res.end();
+        } else {
+          // Imports carry on in the background
+          res.writeHead(result.import_status ? 202 : 201, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result));
+        }
+      }
+      return;
+    }
+
+    // GET /api/gitignore/templates and /api/licenses - what new repositories can start with
+    if (req.url === '/api/gitignore/templates' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(listTemplates('gitignore')));
+      return;
+    }
+
+    if (req.url === '/api/licenses' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(listTemplates('licenses')));
+      return;
+    }
+
+    // GET /api/trash - deleted repositories the user can restore
+    if (req.url === '/api/trash' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(listDeletedRepositories(user)));
+      return;
+    }
+
+    // Trash routes
+    const trashMatch = req.url.match(/^\/api\/trash\/(\d+)(\/restore)?$/);
+    if (trashMatch) {
+      const [, id, restorePath] = trashMatch;
+      const trashName = `${TRASH_NAME}/${id}`;
+
+      // Only admins of a deleted repository know it is there
+      if (!canAccess(user, trashName, 'admin')) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Repository not found' }));
+        return;
+      }
+
+      // POST /api/trash/:id/restore - restore a deleted repository, optionally under a new name
+      if (restorePath && req.method === 'POST') {
+        const data = await parseJSON(req);
+        const result = restoreRepository(id, data.name);
+        res.writeHead(result.error ? 409 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
+      }
+
+      // DELETE /api/trash/:id - delete a repository for good without waiting for the retention period
+      if (!restorePath && req.method === 'DELETE') {
+        const result = await purgeRepository(id);
+        res.writeHead(result.error ? 404 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
+      }
+    }
+
+    // Webhook delivery routes
+    const deliveryMatch = req.url.match(/^\/api\/repos\/([^/]+\.git)\/webhooks\/(\d+)\/deliveries(?:\/(\d+)(\/redeliver)?)?$/);
+    if (deliveryMatch) {
+      const [, repoName, webhookId, deliveryId, redeliverPath] = deliveryMatch;
+
+      if (!canAccess(user, repoName, 'admin')) {
+        denyRepoAccess(res, user, repoName);
+        return;
+      }
+
+      if (!getWebhook(repoName, parseInt(webhookId))) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Webhook not found' }));
+        return;
+      }
+
+      // GET /api/repos/:repo/webhooks/:id/deliveries - list recent deliveries
+      if (req.method === 'GET' && !deliveryId) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(listDeliveries(parseInt(webhookId))));
+        return;
+      }
+
+      // GET /api/repos/:repo/webhooks/:id/deliveries/:deliveryId - delivery details
+      if (req.method === 'GET' && deliveryId && !redeliverPath) {
+        const delivery = getDelivery(parseInt(webhookId), parseInt(deliveryId));
+        res.writeHead(delivery ? 200 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(delivery || { error: 'Delivery not found' }));
+        return;
+      }
+
+      // POST /api/repos/:repo/webhooks/:id/deliveries/:deliveryId/redeliver - send again
+      if (req.method === 'POST' && redeliverPath) {
+        const result = redeliver(parseInt(webhookId), parseInt(deliveryId));
+        const status = result.error ? (result.error === 'Delivery not found' ? 404 : 409) : 202;
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
+      }
+    }
+
+    // Webhook API routes (must be before repo DELETE route)
+    const webhookMatch = req.url.match(/^\/api\/repos\/([^/]+\.git)\/webhooks(\/(\d+))?$/);
+    if (webhookMatch) {
+      const repoName = webhookMatch[1];
+      const webhookId = webhookMatch[3];
+
+      if (!canAccess(user, repoName, 'admin')) {
+        denyRepoAccess(res, user, repoName);
+        return;
+      }
+
+      // GET /api/repos/:repo/webhooks - list webhooks
+      if (req.method === 'GET' && !webhookId) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(listWebhooks(repoName)));
+        return;
+      }
+
+      // POST /api/repos/:repo/webhooks - create webhook
+      if (req.method === 'POST' && !webhookId) {
+        const contentType = req.headers['content-type'] || '';
+        let data;
+        if (contentType.includes('application/json')) {
+          data = await parseJSON(req);
+        } else {
+          data = await parseFormData(req);
+        }
+
+        if (!data.url) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'URL is required' }));
+          return;
+        }
+
+        const result = createWebhook(repoName, data.url, data.secret || '', data.events || ['push']);
+        if (result.error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result));
+          return;
+        }
+
+        if (!contentType.includes('application/json')) {
+          res.writeHead(302, { 'Location': `/${repoName}` });
+          res.end();
+        } else {
+          res.writeHead(201, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: true }));
+        }
+        return;
+      }
+
+      // DELETE /api/repos/:repo/webhooks/:id - delete webhook
+      if (req.method === 'DELETE' && webhookId) {
+        deleteWebhook(repoName, parseInt(webhookId));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: true }));
+        return;
+      }
+    }
+
+    // Collaborator API routes
+    const collaboratorMatch = req.url.match(/^\/api\/repos\/([^/]+\.git)\/collaborators(\/([a-zA-Z0-9_-]+))?$/);
+    if (collaboratorMatch) {
+      const repoName = collaboratorMatch[1];
+      const username = collaboratorMatch[3];
+
+      if (!canAccess(user, repoName, 'admin')) {
+        denyRepoAccess(res, user, repoName);
+        return;
+      }
+
+      // GET /api/repos/:repo/collaborators - list collaborators
+      if (req.method === 'GET' && !username) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(listCollaborators(repoName)));
+        return;
+      }
+
+      // PUT /api/repos/:repo/collaborators/:username - add or change a collaborator
+      if (req.method === 'PUT' && username) {
+        const data = await parseJSON(req);
+        const result = setCollaborator(repoName, username, data.role || 'read');
+        res.writeHead(result.error ? 400 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
+      }
+
+      // DELETE /api/repos/:repo/collaborators/:username - remove a collaborator
+      if (req.method === 'DELETE' && username) {
+        const result = removeCollaborator(repoName, username);
+        res.writeHead(result.error ? 404 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
+      }
+    }
+
+    // Branch protection API routes
+    const protectionMatch = req.url.match(/^\/api\/repos\/([^/]+\.git)\/branch-protection(\/(\d+))?$/);
+    if (protectionMatch) {
+      const repoName = protectionMatch[1];
+      const ruleId = protectionMatch[3];
+
+      if (!canAccess(user, repoName, 'admin')) {
+        denyRepoAccess(res, user, repoName);
+        return;
+      }
+
+      // GET /api/repos/:repo/branch-protection - list rules
+      if (req.method === 'GET' && !ruleId) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(listBranchProtections(repoName)));
+        return;
+      }
+
+      // POST /api/repos/:repo/branch-protection - create a rule
+      if (req.method === 'POST' && !ruleId) {
+        const contentType = req.headers['content-type'] || '';
+        const data = contentType.includes('application/json') ? await parseJSON(req) : await parseFormData(req);
+        const result = createBranchProtection(repoName, data);
+
+        if (!result.error && !contentType.includes('application/json')) {
+          res.writeHead(302, { 'Location': `/${repoName}` });
+          res.end();
+        } else {
+          res.writeHead(result.error ? 400 : 201, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result));
+        }
+        return;
+      }
+
+      // PUT /api/repos/:repo/branch-protection/:id - update a rule
+      if (req.method === 'PUT' && ruleId) {
+        const data = await parseJSON(req);
+        const result = updateBranchProtection(repoName, parseInt(ruleId), data);
+        res.writeHead(result.error ? (result.error === 'Rule not found' ? 404 : 400) : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
+      }
+
+      // DELETE /api/repos/:repo/branch-protection/:id - delete a rule
+      if (req.method === 'DELETE' && ruleId) {
+        const result = deleteBranchProtection(repoName, parseInt(ruleId));
+        res.writeHead(result.error ? 404 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
+      }
+    }
+
+    // Pull request API routes
+    const pullMatch = urlPath.match(/^\/api\/repos\/([^/]+\.git)\/pulls(?:\/(\d+)(?:\/(merge|comments))?)?$/);
+    if (pullMatch) {
+      const [, repoName, numberParam, action] = pullMatch;
+      const number = numberParam ? parseInt(numberParam) : null;
+
+      if (!canAccess(user, repoName, 'read')) {
+        denyRepoAccess(res, user, repoName);
+        return;
+      }
+
+      const pr = number ? getPullRequest(repoName, number) : null;
+      if (number && !pr) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Pull request not found' }));
+        return;
+      }
+
+      const contentType = req.headers['content-type'] || '';
+      const isJSON = contentType.includes('application/json');
+      const readBody = () => isJSON ? parseJSON(req) : parseFormData(req);
 
-    return `<!DOCTYPE html>
-<html>
-<head>
-  <title>${commit.shortHash} - ${repoName} - GutHib</title>
-  <style>
-    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 1100px; margin: 50px auto; padding: 20px; background: #fafafa; }
-    h1 { color: #333; font-size: 20px; margin-bottom: 5px; }
-    .back { margin-bottom: 20px; }
-    .back a { color: #0066cc; text-decoration: none; }
-    .commit-info { background: white; padding: 20px; border-radius: 8px; margin-bottom: 20px; border: 1px solid #e1e4e8; }
-    .commit-hash { font-family: 'SF Mono', Monaco, monospace; color: #666; font-size: 14px; }
-    .commit-subject { font-size: 18px; font-weight: 600; margin: 10px 0; }
-    .commit-body { color: #555; white-space: pre-wrap; margin: 15px 0; padding: 15px; background: #f6f8fa; border-radius: 6px; }
-    .commit-meta { color: #666; font-size: 14px; }
-    .commit-meta strong { color: #333; }
-    .files-section { background: white; padding: 20px; border-radius: 8px; margin-bottom: 20px; border: 1px solid #e1e4e8; }
-    .files-section h2 { margin-top: 0; font-size: 16px; color: #333; }
-    .file-list { list-style: none; padding: 0; margin: 0; }
-    .file-item { padding: 8px 12px; border-bottom: 1px solid #eee; display: flex; align-items: center; gap: 12px; }
-    .file-item:last-child { border-bottom: none; }
-    .file-status { font-size: 12px; padding: 2px 8px; border-radius: 4px; font-weight: 500; min-width: 70px; text-align: center; }
-    .status-added { background: #d4edda; color: #155724; }
-    .status-modified { background: #fff3cd; color: #856404; }
-    .status-deleted { background: #f8d7da; color: #721c24; }
-    .status-renamed { background: #cce5ff; color: #004085; }
-    .status-copied { background: #e2e3e5; color: #383d41; }
-    .file-path { font-family: 'SF Mono', Monaco, monospace; font-size: 13px; }
-    .diff-section { background: white; border-radius: 8px; border: 1px solid #e1e4e8; overflow: hidden; }
-    .diff-section h2 { margin: 0; padding: 15px 20px; font-size: 16px; color: #333; border-bottom: 1px solid #e1e4e8; background: #f6f8fa; }
-    .diff-file { border-bottom: 1px solid #e1e4e8; }
-    .diff-file:last-child { border-bottom: none; }
-    .diff-file-header { background: #f1f8ff; padding: 10px 15px; font-family: 'SF Mono', Monaco, monospace; font-size: 13px; font-weight: 600; color: #0366d6; border-bottom: 1px solid #e1e4e8; }
-    .diff-content { margin: 0; padding: 0; font-family: 'SF Mono', Monaco, monospace; font-size: 12px; line-height: 1.5; overflow-x: auto; background: #fff; }
-    .diff-content span { display: block; padding: 0 15px; white-space: pre; }
-    .diff-add { background: #e6ffec; color: #22863a; }
-    .diff-del { background: #ffebe9; color: #cb2431; }
-    .diff-hunk { background: #f1f8ff; color: #0366d6; padding: 8px 15px !important; }
-    .diff-meta { color: #6a737d; }
-    .empty { color: #666; font-style: italic; padding: 20px; text-align: center; }
-    .nav-links { display: flex; gap: 15px; margin-top: 15px; }
-    .nav-links a { color: #0066cc; text-decoration: none; font-size: 14px; }
-  </style>
-</head>
-<body>
-  <div class="back">
-    <a href="/${repoName}">&larr; Back to ${repoName}</a>
-  </div>
+      // GET /api/repos/:repo/pulls?state= - list pull requests
+      if (req.method === 'GET' && !number) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(listPullRequests(repoName, query.get('state') || 'open').map(pullRequestPayload)));
+        return;
+      }
 
-  <div class="commit-info">
-    <span class="commit-hash">${commit.hash}</span>
-    <h1 class="commit-subject">${escapeHtml(commit.subject)}</h1>
-    ${commit.body ? `<div class="commit-body">${escapeHtml(commit.body)}</div>` : ''}
-    <div class="commit-meta">
-      <strong>${escapeHtml(commit.author)}</strong> &lt;${escapeHtml(commit.email)}&gt; committed on ${formattedDate}
-    </div>
-    <div class="nav-links">
-      <a href="/${repoName}/tree/${commit.hash}">Browse files at this commit</a>
-    </div>
-  </div>
+      // POST /api/repos/:repo/pulls - open a pull request
+      if (req.method === 'POST' && !number) {
+        const result = await createPullRequest(repoName, user, await readBody());
+        if (!result.error && !isJSON) {
+          res.writeHead(302, { 'Location': `/${repoName}/pull/${result.number}` });
+          res.end();
+        } else {
+          res.writeHead(result.error ? 400 : 201, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result));
+        }
+        return;
+      }
 
-  <div class="files-section">
-    <h2>Files changed (${files.length})</h2>
-    <ul class="file-list">${filesList || '<li class="empty">No files changed</li>'}</ul>
-  </div>
+      // GET /api/repos/:repo/pulls/:number - pull request details
+      if (req.method === 'GET' && !action) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(pullRequestPayload(pr)));
+        return;
+      }
 
-  <div class="diff-section">
-    <h2>Diff</h2>
-    ${formattedDiff}
-  </div>
-</body>
-</html>`;
-  } catch (err) {
-    return null;
-  }
-}
+      // PATCH /api/repos/:repo/pulls/:number - edit, close or reopen
+      if (req.method === 'PATCH' && !action) {
+        if (!canAccess(user, repoName, 'write') && user.username !== pr.author) {
+          denyRepoAccess(res, user, repoName);
+          return;
+        }
+        const result = await updatePullRequest(repoName, number, user, await parseJSON(req));
+        res.writeHead(result.error ? 400 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
+      }
 
-// Render file tree page
-async function renderTreePage(repoName, ref) {
-  const repo = getRepository(repoName);
-  if (!repo) return null;
+      // POST /api/repos/:repo/pulls/:number/merge - merge with a strategy
+      if (req.method === 'POST' && action === 'merge') {
+        if (!canAccess(user, repoName, 'write')) {
+          denyRepoAccess(res, user, repoName);
+          return;
+        }
+        const data = await readBody();
+        const result = await mergePullRequest(repoName, number, user, { strategy: data.strategy || 'merge' });
+        if (!result.error && !isJSON) {
+          res.writeHead(302, { 'Location': `/${repoName}/pull/${number}` });
+          res.end();
+        } else {
+          res.writeHead(result.error ? 409 : 200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result));
+        }
+        return;
+      }
 
-  const repoPath = getRepoPath(repoName);
-  if (!fs.existsSync(repoPath)) return null;
+      // GET /api/repos/:repo/pulls/:number/comments - list comments
+      if (req.method === 'GET' && action === 'comments') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(listPullRequestComments(pr.id)));
+        return;
+      }
 
-  try {
-    const files = await getFileTree(repoPath, ref);
-
-    // Organize files into directory structure
-    const tree = {};
-    for (const file of files) {
-      const parts = file.split('/');
-      let current = tree;
-      for (let i = 0; i < parts.length; i++) {
-        const part = parts[i];
-        if (i === parts.length - 1) {
-          current[part] = { type: 'file', path: file };
+      // POST /api/repos/:repo/pulls/:number/comments - comment, optionally on a diff line
+      if (req.method === 'POST' && action === 'comments') {
+        const result = await createPullRequestComment(repoName, number, user, await readBody());
+        if (!result.error && !isJSON) {
+          res.writeHead(302, { 'Location': `/${repoName}/pull/${number}` });
+          res.end();
         } else {
-          if (!current[part]) current[part] = { type: 'dir', children: {} };
-          current = current[part].children;
+          res.writeHead(result.error ? 400 : 201, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result));
         }
+        return;
       }
     }
 
-    // Render tree recursively
-    function renderTree(node, depth = 0) {
-      let html = '';
-      const entries = Object.entries(node).sort((a, b) => {
-        if (a[1].type !== b[1].type) return a[1].type === 'dir' ? -1 : 1;
-        return a[0].localeCompare(b[0]);
-      });
+    // Commit status routes
+    const statusMatch = urlPath.match(/^\/api\/repos\/([^/]+\.git)\/statuses\/(.+)$/);
+    if (statusMatch) {
+      const [, repoName, rest] = statusMatch;
 
-      for (const [name, item] of entries) {
-        const indent = '  '.repeat(depth);
-        if (item.type === 'dir') {
-          html += `<li class="tree-dir">${indent}<span class="dir-icon">+</span> ${escapeHtml(name)}</li>`;
-          html += renderTree(item.children, depth + 1);
-        } else {
-          html += `<li class="tree-file">${indent}<a href="/${repoName}/blob/${ref}/${item.path}">${escapeHtml(name)}</a></li>`;
+      if (!canAccess(user, repoName, 'read')) {
+        denyRepoAccess(res, user, repoName);
+        return;
+      }
+
+      // GET /api/repos/:repo/statuses/:ref - every status reported for a commit, newest first
+      if (req.method === 'GET') {
+        const revision = decodeRevisionPath(rest) !== null ? await resolveRevision(getRepoPath(repoName), decodeRevisionPath(rest)) : null;
+        if (!revision) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Ref not found' }));
+          return;
+        }
+        const statuses = listCommitStatuses(repoName, revision.sha);
+        const pagination = getPagination(query);
+        res.writeHead(200, paginationHeaders(req, pagination, statuses.length));
+        res.end(JSON.stringify(statuses.slice(pagination.skip, pagination.skip + pagination.perPage).map(statusPayload)));
+        return;
+      }
+
+      // POST /api/repos/:repo/statuses/:sha - report a status (state, context, description, target_url)
+      if (req.method === 'POST') {
+        if (!canAccess(user, repoName, 'write')) {
+          denyRepoAccess(res, user, repoName);
+          return;
         }
+        const result = await createCommitStatus(repoName, user, rest, await parseJSON(req));
+        res.writeHead(result.error ? (result.error === 'Commit not found' ? 404 : 400) : 201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
       }
-      return html;
     }
 
-    const treeHtml = renderTree(tree);
+    // Issue routes
+    const issueMatch = urlPath.match(/^\/api\/repos\/([^/]+\.git)\/issues(?:\/(\d+)(?:\/(comments))?)?$/);
+    if (issueMatch) {
+      const [, repoName, numberParam, action] = issueMatch;
+      const number = numberParam ? parseInt(numberParam) : null;
 
-    return `<!DOCTYPE html>
-<html>
-<head>
-  <title>Files at ${ref.substring(0, 7)} - ${repoName} - GutHib</title>
-  <style>
-    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 900px; margin: 50px auto; padding: 20px; background: #fafafa; }
-    h1 { color: #333; font-size: 18px; }
-    .back { margin-bottom: 20px; }
-    .back a { color: #0066cc; text-decoration: none; }
-    .ref-badge { background: #f1f8ff; color: #0366d6; padding: 4px 10px; border-radius: 4px; font-family: 'SF Mono', Monaco, monospace; font-size: 13px; }
-    .tree-container { background: white; border: 1px solid #e1e4e8; border-radius: 8px; overflow: hidden; }
-    .tree-header { background: #f6f8fa; padding: 12px 16px; border-bottom: 1px solid #e1e4e8; font-size: 14px; }
-    .tree-list { list-style: none; padding: 0; margin: 0; font-family: 'SF Mono', Monaco, monospace; font-size: 13px; }
-    .tree-list li { padding: 8px 16px; border-bottom: 1px solid #eee; }
-    .tree-list li:last-child { border-bottom: none; }
-    .tree-dir { color: #0366d6; font-weight: 500; }
-    .tree-file a { color: #24292e; text-decoration: none; }
-    .tree-file a:hover { color: #0366d6; text-decoration: underline; }
-    .dir-icon { color: #6a737d; margin-right: 4px; }
-    .empty { color: #666; font-style: italic; padding: 20px; text-align: center; }
-  </style>
-</head>
-<body>
-  <div class="back">
-    <a href="/${repoName}">&larr; Back to ${repoName}</a>
-  </div>
+      if (!canAccess(user, repoName, 'read')) {
+        denyRepoAccess(res, user, repoName);
+        return;
+      }
 
-  <h1>Files <span class="ref-badge">${escapeHtml(ref.substring(0, 12))}</span></h1>
+      const issue = number ? getIssue(repoName, number) : null;
+      if (number && !issue) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Issue not found' }));
+        return;
+      }
 
-  <div class="tree-container">
-    <div class="tree-header">${files.length} files</div>
-    <ul class="tree-list">
-      ${treeHtml || '<li class="empty">No files in this commit</li>'}
-    </ul>
-  </div>
-</body>
-</html>`;
-  } catch (err) {
-    return null;
-  }
-}
+      // Anyone who can read a repository can open and discuss issues, unless it is archived
+      if (req.method !== 'GET' && getRepository(repoName).archived) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: ARCHIVED_ERROR }));
+        return;
+      }
 
-// Render file content page
-async function renderBlobPage(repoName, ref, filePath) {
-  const repo = getRepository(repoName);
-  if (!repo) return null;
+      const canWrite = canAccess(user, repoName, 'write');
+      const contentType = req.headers['content-type'] || '';
+      const isJSON = contentType.includes('application/json');
+      const readBody = () => isJSON ? parseJSON(req) : parseFormData(req);
+
+      // GET /api/repos/:repo/issues?state=&labels=&assignee= - list issues
+      if (req.method === 'GET' && !number) {
+        const issues = listIssues(repoName, {
+          state: query.get('state') || 'open',
+          labels: parseNameList(query.get('labels') || ''),
+          assignee: query.get('assignee')
+        });
+        const pagination = getPagination(query);
+        res.writeHead(200, paginationHeaders(req, pagination, issues.length));
+        res.end(JSON.stringify(issues.slice(pagination.skip, pagination.skip + pagination.perPage).map(issuePayload)));
+        return;
+      }
 
-  const repoPath = getRepoPath(repoName);
-  if (!fs.existsSync(repoPath)) return null;
+      // POST /api/repos/:repo/issues - open an issue. Only users with write access set labels and assignees
+      if (req.method === 'POST' && !number) {
+        const data = await readBody();
+        if (!canWrite) {
+          delete data.labels;
+          delete data.assignees;
+        }
+        const result = createIssue(repoName, user, data);
+        if (!result.error && !isJSON) {
+          res.writeHead(302, { 'Location': `/${repoName}/issues/${result.number}` });
+          res.end();
+        } else {
+          res.writeHead(result.error ? 400 : 201, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result));
+        }
+        return;
+      }
 
-  try {
-    const content = await getFileContent(repoPath, ref, filePath);
-    const lines = content.split('\n');
-    const lineNumbers = lines.map((_, i) => i + 1).join('\n');
+      // GET /api/repos/:repo/issues/:number - issue details
+      if (req.method === 'GET' && !action) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(issuePayload(issue)));
+        return;
+      }
 
-    return `<!DOCTYPE html>
-<html>
-<head>
-  <title>${filePath} - ${repoName} - GutHib</title>
-  <style>
-    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 1100px; margin: 50px auto; padding: 20px; background: #fafafa; }
-    h1 { color: #333; font-size: 16px; font-weight: normal; }
-    h1 code { background: #f1f8ff; padding: 4px 8px; border-radius: 4px; }
-    .back { margin-bottom: 20px; }
-    .back a { color: #0066cc; text-decoration: none; }
-    .ref-badge { background: #f1f8ff; color: #0366d6; padding: 4px 10px; border-radius: 4px; font-family: 'SF Mono', Monaco, monospace; font-size: 13px; margin-left: 10px; }
-    .file-container { background: white; border: 1px solid #e1e4e8; border-radius: 8px; overflow: hidden; }
-    .file-header { background: #f6f8fa; padding: 12px 16px; border-bottom: 1px solid #e1e4e8; font-size: 14px; display: flex; justify-content: space-between; }
-    .file-content { display: flex; overflow-x: auto; }
-    .line-numbers { padding: 12px 10px; background: #f6f8fa; text-align: right; user-select: none; border-right: 1px solid #e1e4e8; color: #6a737d; font-family: 'SF Mono', Monaco, monospace; font-size: 12px; line-height: 1.5; white-space: pre; }
-    .code { padding: 12px 16px; margin: 0; font-family: 'SF Mono', Monaco, monospace; font-size: 12px; line-height: 1.5; white-space: pre; flex: 1; }
-  </style>
-</head>
-<body>
-  <div class="back">
-    <a href="/${repoName}/tree/${ref}">&larr; Back to file tree</a>
-  </div>
+      // PATCH /api/repos/:repo/issues/:number - edit, label, assign, close or reopen
+      if (req.method === 'PATCH' && !action) {
+        const data = await parseJSON(req);
+        const triage = data.labels !== undefined || data.assignees !== undefined;
+        if (!canWrite && (triage || user.username !== issue.author)) {
+          denyRepoAccess(res, user, repoName);
+          return;
+        }
+        const result = updateIssue(repoName, number, user, data);
+        res.writeHead(result.error ? 400 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
+      }
 
-  <h1><code>${escapeHtml(filePath)}</code> <span class="ref-badge">${escapeHtml(ref.substring(0, 12))}</span></h1>
+      // GET /api/repos/:repo/issues/:number/comments - list comments, oldest first
+      if (req.method === 'GET' && action === 'comments') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(listIssueComments(issue.id)));
+        return;
+      }
 
-  <div class="file-container">
-    <div class="file-header">
-      <span>${lines.length} lines</span>
-    </div>
-    <div class="file-content">
-      <div class="line-numbers">${lineNumbers}</div>
-      <pre class="code">${escapeHtml(content)}</pre>
-    </div>
-  </div>
-</body>
-</html>`;
-  } catch (err) {
-    return null;
-  }
-}
+      // POST /api/repos/:repo/issues/:number/comments - comment, optionally in reply to another comment
+      if (req.method === 'POST' && action === 'comments') {
+        const result = createIssueComment(repoName, number, user, await readBody());
+        if (!result.error && !isJSON) {
+          res.writeHead(302, { 'Location': `/${repoName}/issues/${number}#comment-${result.id}` });
+          res.end();
+        } else {
+          res.writeHead(result.error ? 400 : 201, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(result));
+        }
+        return;
+      }
+    }
 
-// Render commit comparison page
-async function renderComparePage(repoName, base, head) {
-  const repo = getRepository(repoName);
-  if (!repo) return null;
+    // Release routes: /releases, /releases/latest, /releases/tags/:tag and /releases/:id[/assets[/:assetId]]
+    const releaseMatch = urlPath.match(/^\/api\/repos\/([^/]+\.git)\/releases(?:\/(latest)|\/tags\/(.+)|\/(\d+)(?:\/(assets)(?:\/(\d+))?)?)?$/);
+    if (releaseMatch) {
+      const [, repoName, latest, tagPath, releaseId, assets, assetIdParam] = releaseMatch;
+      const assetId = assetIdParam ? parseInt(assetIdParam) : null;
 
-  const repoPath = getRepoPath(repoName);
-  if (!fs.existsSync(repoPath)) return null;
+      if (!canAccess(user, repoName, 'read')) {
+        denyRepoAccess(res, user, repoName);
+        return;
+      }
+      const canWrite = canAccess(user, repoName, 'write');
+
+      let release = null;
+      if (latest || tagPath || releaseId) {
+        if (latest) release = getLatestRelease(repoName);
+        else if (releaseId) release = getRelease(repoName, parseInt(releaseId));
+        else if (decodeRevisionPath(tagPath) !== null) release = getReleaseByTag(repoName, decodeRevisionPath(tagPath));
+
+        // Drafts are only visible to those who can publish them
+        if (!release || (release.draft && !canWrite)) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Release not found' }));
+          return;
+        }
+      }
 
-  try {
-    const diff = await getCommitComparison(repoPath, base, head);
-    const formattedDiff = formatDiff(diff);
+      // GET /api/repos/:repo/releases - list releases, including drafts for users with write access
+      if (req.method === 'GET' && !release) {
+        const releases = listReleases(repoName, { drafts: canWrite });
+        const pagination = getPagination(query);
+        res.writeHead(200, paginationHeaders(req, pagination, releases.length));
+        res.end(JSON.stringify(releases.slice(pagination.skip, pagination.skip + pagination.perPage).map(releasePayload)));
+        return;
+      }
 
-    return `<!DOCTYPE html>
-<html>
-<head>
-  <title>Comparing ${base.substring(0, 7)}...${head.substring(0, 7)} - ${repoName} - GutHib</title>
-  <style>
-    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 1100px; margin: 50px auto; padding: 20px; background: #fafafa; }
-    h1 { color: #333; font-size: 18px; }
-    .back { margin-bottom: 20px; }
-    .back a { color: #0066cc; text-decoration: none; }
-    .compare-header { background: white; padding: 20px; border-radius: 8px; margin-bottom: 20px; border: 1px solid #e1e4e8; }
-    .compare-refs { display: flex; align-items: center; gap: 10px; }
-    .ref-badge { background: #f1f8ff; color: #0366d6; padding: 6px 12px; border-radius: 4px; font-family: 'SF Mono', Monaco, monospace; font-size: 13px; }
-    .arrow { color: #6a737d; font-size: 18px; }
-    .diff-section { background: white; border-radius: 8px; border: 1px solid #e1e4e8; overflow: hidden; }
-    .diff-section h2 { margin: 0; padding: 15px 20px; font-size: 16px; color: #333; border-bottom: 1px solid #e1e4e8; background: #f6f8fa; }
-    .diff-file { border-bottom: 1px solid #e1e4e8; }
-    .diff-file:last-child { border-bottom: none; }
-    .diff-file-header { background: #f1f8ff; padding: 10px 15px; font-family: 'SF Mono', Monaco, monospace; font-size: 13px; font-weight: 600; color: #0366d6; border-bottom: 1px solid #e1e4e8; }
-    .diff-content { margin: 0; padding: 0; font-family: 'SF Mono', Monaco, monospace; font-size: 12px; line-height: 1.5; overflow-x: auto; background: #fff; }
-    .diff-content span { display: block; padding: 0 15px; white-space: pre; }
-    .diff-add { background: #e6ffec; color: #22863a; }
-    .diff-del { background: #ffebe9; color: #cb2431; }
-    .diff-hunk { background: #f1f8ff; color: #0366d6; padding: 8px 15px !important; }
-    .diff-meta { color: #6a737d; }
-    .empty { color: #666; font-style: italic; padding: 20px; text-align: center; }
-  </style>
-</head>
-<body>
-  <div class="back">
-    <a href="/${repoName}">&larr; Back to ${repoName}</a>
-  </div>
+      // GET /api/repos/:repo/releases/:id - release details with its assets
+      if (req.method === 'GET' && !assets) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(releasePayload(release)));
+        return;
+      }
 
-  <div class="compare-header">
-    <h1>Comparing changes</h1>
-    <div class="compare-refs">
-      <span class="ref-badge">${escapeHtml(base.substring(0, 12))}</span>
-      <span class="arrow">&rarr;</span>
-      <span class="ref-badge">${escapeHtml(head.substring(0, 12))}</span>
-    </div>
-  </div>
+      // GET /api/repos/:repo/releases/:id/assets[/:assetId] - list assets, or get one
+      if (req.method === 'GET') {
+        const list = listReleaseAssets(release.id).filter(a => !assetId || a.id === assetId);
+        if (assetId && !list.length) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Asset not found' }));
+          return;
+        }
+        const payloads = list.map(a => releaseAssetPayload(release, a));
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(assetId ? payloads[0] : payloads));
+        return;
+      }
 
-  <div class="diff-section">
-    <h2>Diff</h2>
-    ${formattedDiff}
-  </div>
-</body>
-</html>`;
-  } catch (err) {
-    return null;
-  }
-}
+      // Everything else changes releases
+      if (!canWrite) {
+        denyRepoAccess(res, user, repoName);
+        return;
+      }
 
-// Parse form data
-async function parseFormData(req) {
-  return new Promise((resolve) => {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', () => {
-      const params = new URLSearchParams(body);
-      resolve(Object.fromEntries(params));
-    });
-  });
-}
+      // POST /api/repos/:repo/releases - create a release
+      if (req.method === 'POST' && !latest && !tagPath && !releaseId) {
+        const result = await createRelease(repoName, user, await parseJSON(req));
+        res.writeHead(result.error ? 400 : 201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
+      }
 
-// Parse JSON body
-async function parseJSON(req) {
-  return new Promise((resolve, reject) => {
-    let body = '';
-    req.on('data', chunk => body += chunk);
-    req.on('end', () => {
-      try {
-        resolve(JSON.parse(body));
-      } catch (e) {
-        reject(e);
+      // PATCH /api/repos/:repo/releases/:id - edit, or publish a draft
+      if (req.method === 'PATCH' && !assets) {
+        const result = await updateRelease(repoName, release.id, user, await parseJSON(req));
+        res.writeHead(result.error ? 400 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
       }
-    });
-  });
-}
 
-// Main request handler
-const server = http.createServer(async (req, res) => {
-  const { repo, path: urlPath, query } = parsePath(req.url);
+      // DELETE /api/repos/:repo/releases/:id - delete a release and its assets
+      if (req.method === 'DELETE' && !assets) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(deleteRelease(repoName, release.id, user)));
+        return;
+      }
 
-  console.log(`${req.method} ${req.url}`);
+      // POST /api/repos/:repo/releases/:id/assets - upload files as multipart/form-data
+      if (req.method === 'POST' && assets && !assetId) {
+        const boundary = getMultipartBoundary(req);
+        if (!boundary) {
+          res.writeHead(415, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: 'Upload assets as multipart/form-data' }));
+          return;
+        }
 
-  try {
-    // API routes
-    if (req.url === '/' && req.method === 'GET') {
-      res.writeHead(200, { 'Content-Type': 'text/html' });
-      res.end(renderHomePage());
+        fs.mkdirSync(getAssetsDir(repoName), { recursive: true });
+        let parts;
+        try {
+          parts = await parseMultipart(req, boundary, getAssetsDir(repoName), { maxFileSize: MAX_ASSET_SIZE });
+        } catch (err) {
+          if (!err.status) throw err;
+          res.writeHead(err.status, { 'Content-Type': 'application/json', 'Connection': 'close' });
+          res.end(JSON.stringify({ error: err.message }));
+          return;
+        }
+
+        const result = addReleaseAssets(repoName, release, user, parts.filter(p => p.path));
+        res.writeHead(result.error ? 400 : 201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
+      }
+
+      // DELETE /api/repos/:repo/releases/:id/assets/:assetId - delete an asset
+      if (req.method === 'DELETE' && assetId) {
+        const result = deleteReleaseAsset(repoName, release, assetId);
+        res.writeHead(result.error ? 404 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
+      }
+    }
+
+    // GET /api/search/repositories?q= - repositories whose name or description contains the query
+    if (urlPath === '/api/search/repositories' && req.method === 'GET') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(searchRepositories(user, (query.get('q') || '').trim())));
       return;
     }
 
-    if (req.url === '/api/repos' && req.method === 'GET') {
+    // GET /api/search/code?q= - code on the default branches of all readable repositories, from the search index
+    if (urlPath === '/api/search/code' && req.method === 'GET') {
+      const q = (query.get('q') || '').trim();
+      if (!SEARCH_INDEX || q.length < 3) {
+        res.writeHead(SEARCH_INDEX ? 400 : 404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: SEARCH_INDEX ? 'The query must be at least three characters long' : 'Code search is not enabled on this server' }));
+        return;
+      }
+      const limit = Math.min(Math.max(parseInt(query.get('per_page')) || DEFAULT_PER_PAGE, 1), MAX_PER_PAGE);
       res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify(listRepositories()));
+      res.end(JSON.stringify(searchIndexedCode(listRepositories(user).map(r => r.name), q, limit)));
       return;
     }
 
-    if (req.url === '/api/repos' && req.method === 'POST') {
-      const contentType = req.headers['content-type'] || '';
-      let data;
+    // Browsing API: branches, tags, commits, trees, contents, comparisons and search
+    const browseMatch = urlPath.match(/^\/api\/repos\/([^/]+\.git)\/(branches|tags|commits|tree|contents|compare|search)(?:\/(.+))?$/);
+    if (browseMatch && req.method === 'GET') {
+      const [, repoName, resource, rest] = browseMatch;
 
-      if (contentType.includes('application/json')) {
-        data = await parseJSON(req);
-      } else {
-        data = await parseFormData(req);
+      if (!canAccess(user, repoName, 'read')) {
+        denyRepoAccess(res, user, repoName);
+        return;
       }
 
-      const result = createRepository(data.name, data.description);
+      const repoPath = getRepoPath(repoName);
+      const target = rest ? decodeRevisionPath(rest) : '';
+      const pagination = getPagination(query);
+      const notFound = (error) => {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error }));
+      };
 
-      if (result.error) {
-        res.writeHead(400, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(result));
-      } else {
-        // Redirect to home for form submissions
-        if (!contentType.includes('application/json')) {
-          res.writeHead(302, { 'Location': '/' });
-          res.end();
+      if (target === null) {
+        notFound('Not found');
+        return;
+      }
+
+      // GET /api/repos/:repo/branches, /tags - paginated ref lists
+      if ((resource === 'branches' || resource === 'tags') && !rest) {
+        const refs = resource === 'branches' ? await listBranches(repoName) : await listTags(repoName);
+        res.writeHead(200, paginationHeaders(req, pagination, refs.length));
+        res.end(JSON.stringify(refs.slice(pagination.skip, pagination.skip + pagination.perPage)));
+        return;
+      }
+
+      // GET /api/repos/:repo/commits?ref=&path=&author=&since=&until=&grep=&first_parent= - paginated history, newest first
+      if (resource === 'commits' && !rest) {
+        const revision = await resolveRevision(repoPath, query.get('ref') || '');
+        if (!revision) {
+          notFound('Ref not found');
+          return;
+        }
+        const { commits, total } = await listCommits(repoName, revision.sha, {
+          path: query.get('path'),
+          author: query.get('author'),
+          since: query.get('since'),
+          until: query.get('until'),
+          grep: query.get('grep'),
+          firstParent: ['1', 'true'].includes(query.get('first_parent')),
+          skip: pagination.skip,
+          limit: pagination.perPage
+        });
+        res.writeHead(200, paginationHeaders(req, pagination, total));
+        res.end(JSON.stringify(commits));
+        return;
+      }
+
+      // GET /api/repos/:repo/commits/:ref/status, /statuses - the combined status of a commit, or all its statuses
+      const statusPath = resource === 'commits' && target.match(/^(.+)\/(status|statuses)$/);
+      if (statusPath && !(await resolveRevision(repoPath, target))) {
+        const revision = await resolveRevision(repoPath, statusPath[1]);
+        if (!revision) {
+          notFound('Ref not found');
+          return;
+        }
+        if (statusPath[2] === 'status') {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify(getCombinedStatus(repoName, revision.sha)));
         } else {
-          res.writeHead(201, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify(result));
+          const statuses = listCommitStatuses(repoName, revision.sha);
+          res.writeHead(200, paginationHeaders(req, pagination, statuses.length));
+          res.end(JSON.stringify(statuses.slice(pagination.skip, pagination.skip + pagination.perPage).map(statusPayload)));
         }
+        return;
       }
-      return;
-    }
 
-    // Webhook API routes (must be before repo DELETE route)
-    const webhookMatch = req.url.match(/^\/api\/repos\/([^/]+\.git)\/webhooks(\/(\d+))?$/);
-    if (webhookMatch) {
-      const repoName = webhookMatch[1];
-      const webhookId = webhookMatch[3];
+      // GET /api/repos/:repo/commits/:sha - a commit with its changed files
+      if (resource === 'commits') {
+        const revision = await resolveRevision(repoPath, target);
+        if (!revision) {
+          notFound('Commit not found');
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(await getCommit(repoName, revision.sha)));
+        return;
+      }
 
-      // GET /api/repos/:repo/webhooks - list webhooks
-      if (req.method === 'GET' && !webhookId) {
+      // GET /api/repos/:repo/tree/:ref/*path?recursive=1 - directory entries
+      // GET /api/repos/:repo/contents/:ref/*path - file contents or directory entries
+      if (resource === 'tree' || resource === 'contents') {
+        const split = target ? await splitRevisionPath(repoPath, target) : { revision: await resolveRevision(repoPath, ''), path: '' };
+        if (!split || !split.revision) {
+          notFound('Ref not found');
+          return;
+        }
+        const { revision, path: filePath } = split;
+
+        if (resource === 'tree') {
+          const entries = await listTreeEntries(repoPath, revision.sha, filePath, { recursive: query.get('recursive') === '1' });
+          if (!entries) {
+            notFound('Directory not found');
+            return;
+          }
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ ref: revision.name, sha: revision.sha, path: filePath, entries }));
+          return;
+        }
+
+        const contents = await getContents(repoPath, revision.sha, filePath);
+        if (!contents) {
+          notFound('Path not found');
+          return;
+        }
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify(listWebhooks(repoName)));
+        res.end(JSON.stringify({ ref: revision.name, commit: revision.sha, ...contents }));
         return;
       }
 
-      // POST /api/repos/:repo/webhooks - create webhook
-      if (req.method === 'POST' && !webhookId) {
-        const contentType = req.headers['content-type'] || '';
-        let data;
-        if (contentType.includes('application/json')) {
-          data = await parseJSON(req);
-        } else {
-          data = await parseFormData(req);
+      // GET /api/repos/:repo/compare/:base...:head - commits and changed files between two refs
+      if (resource === 'compare') {
+        const separator = target.indexOf('...');
+        const refs = await listRefNames(repoPath);
+        const base = await resolveRevision(repoPath, separator === -1 ? '' : target.slice(0, separator), refs);
+        const head = await resolveRevision(repoPath, separator === -1 ? target : target.slice(separator + 3), refs);
+        if (!target || !base || !head) {
+          notFound('Ref not found');
+          return;
         }
+        const comparison = await compareCommits(repoName, base, head, { skip: pagination.skip, limit: pagination.perPage });
+        res.writeHead(200, paginationHeaders(req, pagination, comparison.total_commits));
+        res.end(JSON.stringify(comparison));
+        return;
+      }
 
-        if (!data.url) {
+      // GET /api/repos/:repo/search/code?q=&ref=&path=&regex=&case= - matching lines with context, from git grep
+      // GET /api/repos/:repo/search/commits?q=&ref=&regex=&case= - paginated commits whose message matches
+      if (resource === 'search' && (target === 'code' || target === 'commits')) {
+        const q = query.get('q') || '';
+        const regex = ['1', 'true'].includes(query.get('regex'));
+        const matchCase = ['1', 'true'].includes(query.get('case'));
+        const revision = await resolveRevision(repoPath, query.get('ref') || '');
+        if (!q) {
           res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ error: 'URL is required' }));
+          res.end(JSON.stringify({ error: 'A query (q) is required' }));
+          return;
+        }
+        if (!revision) {
+          notFound('Ref not found');
           return;
         }
 
-        createWebhook(repoName, data.url, data.secret || '');
-
-        if (!contentType.includes('application/json')) {
-          res.writeHead(302, { 'Location': `/${repoName}` });
-          res.end();
-        } else {
-          res.writeHead(201, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: true }));
+        try {
+          if (target === 'code') {
+            const { files, truncated } = await searchCode(repoPath, revision.sha, q, { regex, matchCase, pathGlob: query.get('path') || '' });
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+              ref: revision.name,
+              sha: revision.sha,
+              truncated,
+              files: files.map(f => ({
+                path: f.path,
+                url: `/${repoName}/blob/${encodeRevisionPath(revision.name)}/${encodeRevisionPath(f.path)}`,
+                // Runs of lines are separated by nulls
+                lines: f.lines.map(l => l && { line_number: l.number, text: l.text, match: l.ranges.length > 0 })
+              }))
+            }));
+          } else {
+            const { commits, total } = await listCommits(repoName, revision.sha, { grep: q, regex, matchCase, skip: pagination.skip, limit: pagination.perPage });
+            res.writeHead(200, paginationHeaders(req, pagination, total));
+            res.end(JSON.stringify(commits));
+          }
+        } catch (err) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: err.message }));
         }
         return;
       }
+    }
 
-      // DELETE /api/repos/:repo/webhooks/:id - delete webhook
-      if (req.method === 'DELETE' && webhookId) {
-        deleteWebhook(parseInt(webhookId));
+    // Fork routes
+    const forksMatch = req.url.match(/^\/api\/repos\/([^/]+\.git)\/forks$/);
+    if (forksMatch) {
+      const repoName = forksMatch[1];
+
+      if (!canAccess(user, repoName, 'read')) {
+        denyRepoAccess(res, user, repoName);
+        return;
+      }
+
+      // GET /api/repos/:repo/forks - list forks
+      if (req.method === 'GET') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
-        res.end(JSON.stringify({ success: true }));
+        res.end(JSON.stringify(listForks(repoName).filter(r => !r.deleted_at && getRepoRole(user, r) !== null)));
         return;
       }
+
+      // POST /api/repos/:repo/forks - fork into a new repository owned by the user
+      if (req.method === 'POST') {
+        const data = await parseJSON(req);
+        const result = await forkRepository(repoName, user, data.name);
+        res.writeHead(result.error ? 400 : 201, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+        return;
+      }
+    }
+
+    // GET /api/repos/:repo - repository details, including the progress of an import
+    const repoSettingsMatch = req.url.match(/^\/api\/repos\/([^/]+\.git)$/);
+    if (repoSettingsMatch && req.method === 'GET') {
+      const repoName = repoSettingsMatch[1];
+
+      if (!canAccess(user, repoName, 'read')) {
+        denyRepoAccess(res, user, repoName);
+        return;
+      }
+
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(getRepository(repoName)));
+      return;
+    }
+
+    // PATCH /api/repos/:repo - update repository settings
+    if (repoSettingsMatch && req.method === 'PATCH') {
+      const repoName = repoSettingsMatch[1];
+
+      if (!canAccess(user, repoName, 'admin')) {
+        denyRepoAccess(res, user, repoName);
+        return;
+      }
+
+      const data = await parseJSON(req);
+      // Only the owner can give a repository away
+      if (data.owner !== undefined && !user.is_admin && getRepository(repoName).owner_id !== user.id) {
+        res.writeHead(403, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Only the owner can transfer a repository' }));
+        return;
+      }
+
+      const result = updateRepository(repoName, data);
+      res.writeHead(result.error ? 400 : 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(result));
+      return;
     }
 
     // DELETE /api/repos/:repo - delete repository
     if (req.url.startsWith('/api/repos/') && req.method === 'DELETE') {
-      const repoName = req.url.replace('/api/repos/', '');
+      const name = req.url.replace('/api/repos/', '');
+      const repoName = name.endsWith('.git') ? name : `${name}.git`;
+
+      if (!canAccess(user, repoName, 'admin')) {
+        denyRepoAccess(res, user, repoName);
+        return;
+      }
+
       const result = deleteRepository(repoName);
       res.writeHead(result.error ? 404 : 200, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify(result));
@@ -1166,6 +9383,34 @@ const server = http.createServer(async (req, res) => {
 
     // Git protocol routes
     if (repo) {
+      // Dumb HTTP clients fetch files of the bare repository, starting with info/refs without ?service=
+      const isSmartInfoRefs = urlPath === '/info/refs' && query.has('service');
+      const dumbFile = (req.method === 'GET' || req.method === 'HEAD') && !isSmartInfoRefs ? findDumbHttpFile(urlPath) : null;
+      const isGitRoute = dumbFile || urlPath === '/info/refs' || urlPath === '/git-upload-pack' || urlPath === '/git-receive-pack';
+      if (isGitRoute) {
+        // upload-pack needs read access, receive-pack needs write access
+        const isPush = urlPath === '/git-receive-pack' || query.get('service') === 'git-receive-pack';
+        if (!canAccess(user, repo, isPush ? 'write' : 'read')) {
+          if (user) {
+            denyRepoAccess(res, user, repo, { json: false });
+          } else {
+            sendUnauthorized(res);
+          }
+          return;
+        }
+
+        if (GIT_HTTP_BACKEND) {
+          await handleHttpBackend(req, res, repo, urlPath, user);
+          return;
+        }
+      }
+
+      // Dumb HTTP protocol
+      if (dumbFile) {
+        await handleDumbRequest(req, res, repo, urlPath, dumbFile);
+        return;
+      }
+
       // Info/refs discovery
       if (urlPath === '/info/refs') {
         const service = query.get('service');
@@ -1183,14 +9428,44 @@ const server = http.createServer(async (req, res) => {
 
       // git-receive-pack (push)
       if (urlPath === '/git-receive-pack' && req.method === 'POST') {
-        await handleReceivePack(req, res, repo);
+        await handleReceivePack(req, res, repo, user);
         return;
       }
 
-      // Commit detail page
-      const commitMatch = urlPath.match(/^\/commit\/([a-f0-9]+)$/i);
-      if (commitMatch && req.method === 'GET') {
-        const html = await renderCommitPage(repo, commitMatch[1]);
+      // A commit as a patch or a diff, /commit/:rev.patch and /commit/:rev.diff
+      const patchMatch = urlPath.match(/^\/commit\/(.+)\.(patch|diff)$/);
+      if (patchMatch && req.method === 'GET' && decodeRevisionPath(patchMatch[1])) {
+        if (await handleCommitPatchRequest(res, repo, decodeRevisionPath(patchMatch[1]), patchMatch[2], user)) return;
+      }
+
+      // Commit detail page, or with ?path= one file's diff from it
+      const commitMatch = urlPath.match(/^\/commit\/(.+)$/);
+      if (commitMatch && req.method === 'GET' && decodeRevisionPath(commitMatch[1])) {
+        const rev = decodeRevisionPath(commitMatch[1]);
+        const html = query.has('path')
+          ? await renderCommitDiffFile(repo, rev, query, user)
+          : await renderCommitPage(repo, rev, query, user);
+        if (html) {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end(html);
+          return;
+        }
+      }
+
+      // Code and commit search
+      if (urlPath === '/search' && req.method === 'GET') {
+        const html = await renderSearchPage(repo, query, user);
+        if (html) {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end(html);
+          return;
+        }
+      }
+
+      // Commit history, at the default branch when no revision is given
+      const historyMatch = urlPath.match(/^\/commits(?:\/(.+))?$/);
+      if (historyMatch && req.method === 'GET' && decodeRevisionPath(historyMatch[1] || '') !== null) {
+        const html = await renderHistoryPage(repo, decodeRevisionPath(historyMatch[1] || ''), query, user);
         if (html) {
           res.writeHead(200, { 'Content-Type': 'text/html' });
           res.end(html);
@@ -1198,10 +9473,10 @@ const server = http.createServer(async (req, res) => {
         }
       }
 
-      // File tree page
-      const treeMatch = urlPath.match(/^\/tree\/([a-f0-9]+|[^/]+)$/i);
-      if (treeMatch && req.method === 'GET') {
-        const html = await renderTreePage(repo, treeMatch[1]);
+      // Directory listing, /tree/:ref/:path, at the root of the default branch when no revision is given
+      const treeMatch = urlPath.match(/^\/tree(?:\/(.+))?$/);
+      if (treeMatch && req.method === 'GET' && decodeRevisionPath(treeMatch[1] || '') !== null) {
+        const html = await renderTreePage(repo, decodeRevisionPath(treeMatch[1] || ''), user);
         if (html) {
           res.writeHead(200, { 'Content-Type': 'text/html' });
           res.end(html);
@@ -1210,9 +9485,99 @@ const server = http.createServer(async (req, res) => {
       }
 
       // File content page
-      const blobMatch = urlPath.match(/^\/blob\/([a-f0-9]+|[^/]+)\/(.+)$/i);
-      if (blobMatch && req.method === 'GET') {
-        const html = await renderBlobPage(repo, blobMatch[1], blobMatch[2]);
+      const blobMatch = urlPath.match(/^\/blob\/(.+)$/);
+      if (blobMatch && req.method === 'GET' && decodeRevisionPath(blobMatch[1])) {
+        const html = await renderBlobPage(repo, decodeRevisionPath(blobMatch[1]), user, { plain: query.get('plain') === '1' });
+        if (html) {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end(html);
+          return;
+        }
+        if (await isDirectoryPath(repo, decodeRevisionPath(blobMatch[1]), user)) {
+          res.writeHead(302, { 'Location': `/${repo}/tree/${blobMatch[1]}` });
+          res.end();
+          return;
+        }
+      }
+
+      // Raw file contents, or a download with ?download=1
+      const rawMatch = urlPath.match(/^\/raw\/(.+)$/);
+      if (rawMatch && (req.method === 'GET' || req.method === 'HEAD') && decodeRevisionPath(rawMatch[1])) {
+        const download = ['1', 'true'].includes(query.get('download'));
+        if (await handleRawRequest(req, res, repo, decodeRevisionPath(rawMatch[1]), user, { download })) return;
+      }
+
+      // Snapshot of a revision, /archive/:ref.zip and /archive/:ref.tar.gz
+      const archiveMatch = urlPath.match(/^\/archive\/(.+)\.(zip|tar\.gz)$/);
+      if (archiveMatch && (req.method === 'GET' || req.method === 'HEAD') && decodeRevisionPath(archiveMatch[1])) {
+        if (await handleArchiveRequest(req, res, repo, decodeRevisionPath(archiveMatch[1]), archiveMatch[2], query, user)) return;
+      }
+
+      // Blame page
+      const blameMatch = urlPath.match(/^\/blame\/(.+)$/);
+      if (blameMatch && req.method === 'GET' && decodeRevisionPath(blameMatch[1])) {
+        const html = await renderBlamePage(repo, decodeRevisionPath(blameMatch[1]), user);
+        if (html) {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end(html);
+          return;
+        }
+      }
+
+      // Commit comparison page: /compare/base...head, or /compare/head against the default branch
+      const compareMatch = urlPath.match(/^\/compare\/(?:(.*?)\.\.\.)?(.+)$/);
+      if (compareMatch && req.method === 'GET' && decodeRevisionPath(compareMatch[0])) {
+        const html = await renderComparePage(repo, decodeRevisionPath(compareMatch[1] || ''), decodeRevisionPath(compareMatch[2]), user);
+        if (html) {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end(html);
+          return;
+        }
+      }
+
+      // Issue list page
+      if (urlPath === '/issues' && req.method === 'GET') {
+        const html = renderIssuesPage(repo, query, user);
+        if (html) {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end(html);
+          return;
+        }
+      }
+
+      // Issue page
+      const issuePageMatch = urlPath.match(/^\/issues\/(\d+)$/);
+      if (issuePageMatch && req.method === 'GET') {
+        const html = renderIssuePage(repo, parseInt(issuePageMatch[1]), user);
+        if (html) {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end(html);
+          return;
+        }
+      }
+
+      // Releases page, and the page of a single release at /releases/tag/:tag
+      const releasesMatch = urlPath.match(/^\/releases(?:\/tag\/(.+))?$/);
+      if (releasesMatch && req.method === 'GET' && (!releasesMatch[1] || decodeRevisionPath(releasesMatch[1]))) {
+        const html = await renderReleasesPage(repo, user, { tag: releasesMatch[1] ? decodeRevisionPath(releasesMatch[1]) : undefined });
+        if (html) {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end(html);
+          return;
+        }
+      }
+
+      // Release asset download, /releases/download/:tag/:name
+      const assetMatch = urlPath.match(/^\/releases\/download\/(.+)\/([^/]+)$/);
+      if (assetMatch && (req.method === 'GET' || req.method === 'HEAD') && decodeRevisionPath(assetMatch[1])) {
+        const name = decodeRevisionPath(assetMatch[2]);
+        if (name && await handleReleaseAssetRequest(req, res, repo, decodeRevisionPath(assetMatch[1]), name, user)) return;
+      }
+
+      // Pull request list page
+      if (urlPath === '/pulls' && req.method === 'GET') {
+        const state = ['open', 'closed', 'merged', 'all'].includes(query.get('state')) ? query.get('state') : 'open';
+        const html = renderPullRequestsPage(repo, state, user);
         if (html) {
           res.writeHead(200, { 'Content-Type': 'text/html' });
           res.end(html);
@@ -1220,10 +9585,21 @@ const server = http.createServer(async (req, res) => {
         }
       }
 
-      // Commit comparison page
-      const compareMatch = urlPath.match(/^\/compare\/([a-f0-9]+)\.\.\.([a-f0-9]+)$/i);
-      if (compareMatch && req.method === 'GET') {
-        const html = await renderComparePage(repo, compareMatch[1], compareMatch[2]);
+      // New pull request: the compare view between two branches. Both are
+      // resolved to commits before git sees them
+      if (urlPath === '/pulls/new' && req.method === 'GET' && query.get('base') && query.get('head')) {
+        const html = await renderComparePage(repo, query.get('base'), query.get('head'), user);
+        if (html) {
+          res.writeHead(200, { 'Content-Type': 'text/html' });
+          res.end(html);
+          return;
+        }
+      }
+
+      // Pull request page
+      const pullPageMatch = urlPath.match(/^\/pull\/(\d+)$/);
+      if (pullPageMatch && req.method === 'GET') {
+        const html = await renderPullRequestPage(repo, parseInt(pullPageMatch[1]), user);
         if (html) {
           res.writeHead(200, { 'Content-Type': 'text/html' });
           res.end(html);
@@ -1233,7 +9609,7 @@ const server = http.createServer(async (req, res) => {
 
       // Repository detail page (web UI)
       if (urlPath === '/' && req.method === 'GET') {
-        const html = await renderRepoPage(repo);
+        const html = await renderRepoPage(repo, user);
         if (html) {
           res.writeHead(200, { 'Content-Type': 'text/html' });
           res.end(html);
@@ -1246,12 +9622,66 @@ const server = http.createServer(async (req, res) => {
     res.writeHead(404, { 'Content-Type': 'text/plain' });
     res.end('Not Found');
   } catch (err) {
+    if (err.unsupportedEncoding) {
+      sendUnsupportedEncoding(res);
+      return;
+    }
     console.error('Error:', err);
+    // A streamed response, such as a download the client gave up on, can fail halfway
+    if (res.headersSent) {
+      res.destroy();
+      return;
+    }
     res.writeHead(500, { 'Content-Type': 'text/plain' });
     res.end('Internal Server Error');
   }
 });
 
+// Bootstrap the initial admin account from the environment
+if (process.env.GUTHIB_ADMIN_USER && process.env.GUTHIB_ADMIN_PASSWORD && !getUser(process.env.GUTHIB_ADMIN_USER)) {
+  const result = await createUser(process.env.GUTHIB_ADMIN_USER, process.env.GUTHIB_ADMIN_PASSWORD, true);
+  if (result.error) {
+    console.error(`Failed to create admin user: ${result.error}`);
+  } else {
+    console.log(`Created admin user: ${result.username}`);
+  }
+}
+
+// Repositories from before access control have no owner; the first site admin takes them over
+const firstAdmin = db.prepare('SELECT id, username FROM users WHERE is_admin = 1 ORDER BY id LIMIT 1').get();
+if (firstAdmin) {
+  const adopted = db.prepare('UPDATE repositories SET owner_id = ? WHERE owner_id IS NULL').run(firstAdmin.id);
+  if (adopted.changes > 0) {
+    console.log(`Assigned ${adopted.changes} repositories without an owner to ${firstAdmin.username}`);
+  }
+}
+
+// Imports cannot be resumed after a restart
+for (const { name } of db.prepare("SELECT name FROM repositories WHERE import_status = 'importing'").all()) {
+  fs.rmSync(`${getRepoPath(name)}.importing`, { recursive: true, force: true });
+  db.prepare("UPDATE repositories SET import_status = 'failed', import_progress = NULL, import_error = ? WHERE name = ?")
+    .run('Interrupted by a server restart', name);
+}
+
+// Purge repositories that have been in the trash for too long
+setInterval(purgeExpiredRepositories, 60 * 60 * 1000);
+purgeExpiredRepositories();
+
+// Catch the code search index up with pushes made while the server was down
+for (const { name } of db.prepare('SELECT name FROM repositories WHERE deleted_at IS NULL').all()) {
+  queueSearchIndex(name);
+}
+
+// Forget pushes whose receive-pack or git-serve never reported back
+setInterval(() => {
+  sweepPendingSshPushes();
+  sweepPendingPushChecks();
+}, 5 * 60 * 1000);
+
+// Retry pending webhook deliveries in the background, including any left over from before a restart
+setInterval(processDeliveries, 5000);
+processDeliveries();
+
 server.listen(PORT, () => {
   console.log(`GutHib Git server running at http://localhost:${PORT}`);
   console.log(`Repositories stored in: ${path.resolve(REPOS_DIR)}`);